@@ -1,15 +1,21 @@
+import { recordIssueAuditEvent } from "./reviewer/audit-log.js";
 import { validateEnvironment } from "./reviewer/config.js";
 import {
   findLastReviewComment,
   postOrUpdateComment,
   postSystemErrorComment,
 } from "./reviewer/comments.js";
-import { SUPPORTED_REPOSITORY_PREFIX } from "./reviewer/constants.js";
+import { handleCommand } from "./reviewer/command-flow.js";
+import { parseCommand } from "./reviewer/commands.js";
 import {
   cleanupDedupMappingForClosedIssue,
   shouldContinueAfterDedupCheck,
 } from "./reviewer/issue-dedup.js";
+import { createJobContext } from "./reviewer/job-context.js";
+import { isRepositoryAllowed, loadRepoConfig } from "./reviewer/repo-config.js";
 import { handlePluginReview } from "./reviewer/review-flow.js";
+import { createReviewQueue } from "./reviewer/review-queue.js";
+import { markDeliveryReceived } from "./reviewer/webhook-deliveries.js";
 
 /**
  * Probot 应用的主函数。
@@ -20,13 +26,83 @@ export default (app) => {
 
   app.log.info("Plugin reviewer app loaded");
 
-  function hasPluginPublishLabel(issue) {
-    return issue.labels?.some((label) => label.name === "plugin-publish");
+  const reviewQueue = createReviewQueue({
+    runJob: async (job, context, { signal }) => {
+      try {
+        return await handlePluginReview(context, job.isUpdate, job.commentId, {
+          ref: job.ref,
+          files: job.files ?? null,
+          signal,
+          force: job.force ?? false,
+        });
+      } catch (error) {
+        app.log.error({ err: error, issueNumber: job.issueNumber }, "Error handling plugin review");
+        await postSystemErrorComment(context, error);
+      }
+    },
+    restoreContext: (job) => createJobContext(app, job),
+    notifyQueued: (job, position, context) =>
+      postOrUpdateComment(
+        context,
+        "review_queued",
+        { position },
+        Boolean(job.commentId),
+        job.commentId
+      ),
+    log: app.log,
+  });
+  reviewQueue.resume();
+
+  /**
+   * 将审核请求加入任务队列。队列有空位时立即开始审核，否则在评论中展示排队位置。
+   * @param {import('probot').Context} context 事件上下文。
+   * @param {{isUpdate?: boolean, commentId?: number|null, ref?: string|null, files?: string[]|null, force?: boolean}} [options] 审核选项。
+   */
+  async function enqueueReview(
+    context,
+    { isUpdate = false, commentId = null, ref = null, files = null, force = false } = {}
+  ) {
+    const { issue, repository, installation } = context.payload;
+    const { id, position } = await reviewQueue.enqueue(
+      {
+        installationId: installation?.id ?? null,
+        repositoryFullName: repository?.full_name,
+        issueNumber: issue.number,
+        isUpdate,
+        commentId,
+        ref,
+        files,
+        force,
+      },
+      context
+    );
+    app.log.debug({ issueNumber: issue.number, jobId: id, position }, "Review request queued");
   }
 
-  async function ensureSupportedRepository(context) {
+  /**
+   * 判断事件是否为 GitHub 对同一 Webhook 的重复投递（X-GitHub-Delivery 相同）。
+   * @param {import('probot').Context} context 事件上下文。
+   * @returns {boolean} 已处理过该投递时返回 true。
+   */
+  function isRedelivery(context) {
+    if (markDeliveryReceived(context.id)) {
+      return false;
+    }
+
+    app.log.info(
+      { deliveryId: context.id, event: context.name, issueNumber: context.payload.issue?.number },
+      "Skipping redelivered webhook"
+    );
+    return true;
+  }
+
+  function hasPluginPublishLabel(issue, repoConfig) {
+    return issue.labels?.some((label) => label.name === repoConfig.pluginPublishLabel);
+  }
+
+  async function ensureSupportedRepository(context, repoConfig) {
     const repositoryFullName = context.payload.repository?.full_name;
-    if (repositoryFullName?.startsWith(SUPPORTED_REPOSITORY_PREFIX)) {
+    if (isRepositoryAllowed(repositoryFullName, repoConfig)) {
       return true;
     }
 
@@ -37,6 +113,7 @@ export default (app) => {
 
     const lastReviewComment = await findLastReviewComment(context);
     if (lastReviewComment?.body?.includes("当前仓库不受支持")) {
+      recordIssueAuditEvent(context, { action: "unsupported_repository", outcome: "already_warned" });
       return false;
     }
 
@@ -45,11 +122,12 @@ export default (app) => {
       "unsupported_repository",
       {
         repositoryFullName: repositoryFullName || "未知仓库",
-        supportedRepositoryPrefix: SUPPORTED_REPOSITORY_PREFIX,
+        allowedRepositories: repoConfig.allowedRepositories,
       },
       false,
       null
     );
+    recordIssueAuditEvent(context, { action: "unsupported_repository", outcome: "warned" });
     return false;
   }
 
@@ -57,11 +135,16 @@ export default (app) => {
     const { issue, action } = context.payload;
     app.log.debug({ issueNumber: issue.number, action }, `Received issue event ${issue.number} with action ${action}`);
 
-    if (!(await ensureSupportedRepository(context))) {
+    if (isRedelivery(context)) {
       return;
     }
 
-    if (!hasPluginPublishLabel(issue)) {
+    const repoConfig = await loadRepoConfig(context);
+    if (!(await ensureSupportedRepository(context, repoConfig))) {
+      return;
+    }
+
+    if (!hasPluginPublishLabel(issue, repoConfig)) {
       return;
     }
 
@@ -73,7 +156,7 @@ export default (app) => {
         );
         if (shouldContinue) {
           app.log.info({ issueNumber: issue.number, action }, "Processing plugin-publish issue event");
-          await handlePluginReview(context, false, null);
+          await enqueueReview(context);
         }
       } catch (error) {
         app.log.error({ err: error, issueNumber: issue.number }, "Error handling opened issue duplicate check");
@@ -91,15 +174,17 @@ export default (app) => {
       if (
         !lastReviewComment ||
         lastReviewComment?.body.includes("## 🤖 AI代码审核报告") ||
-        lastReviewComment?.body.includes("## ⏳ 正在审核中...") ||
         !issue.body?.match(/[-*]\s*\[[xX]\]\s*重新提交审核/)
       ) {
         app.log.debug({ issueNumber: issue.number }, "Skipping edited issue, re-review conditions not met");
         return;
       }
 
-      isUpdate = true;
-      commentToUpdateId = lastReviewComment.id;
+      // 审核进行中时不接管正在更新的进度评论，而是排队一次后续审核
+      if (!lastReviewComment.body.includes("## ⏳ 正在审核中...")) {
+        isUpdate = true;
+        commentToUpdateId = lastReviewComment.id;
+      }
 
       const updatedBody = issue.body.replace(
         /([-*]\s*\[)[xX](\]\s*重新提交审核)/g,
@@ -114,7 +199,7 @@ export default (app) => {
     app.log.info({ issueNumber: issue.number, action }, "Processing plugin-publish issue event");
 
     try {
-      await handlePluginReview(context, isUpdate, commentToUpdateId);
+      await enqueueReview(context, { isUpdate, commentId: commentToUpdateId });
     } catch (error) {
       app.log.error({ err: error, issueNumber: issue.number }, "Error handling plugin review");
       await postSystemErrorComment(context, error);
@@ -124,29 +209,28 @@ export default (app) => {
   app.on(["issue_comment.created"], async (context) => {
     const { issue, comment } = context.payload;
 
-    if (!(await ensureSupportedRepository(context))) {
+    if (isRedelivery(context)) {
       return;
     }
 
-    if (!hasPluginPublishLabel(issue)) {
+    const repoConfig = await loadRepoConfig(context);
+    if (!(await ensureSupportedRepository(context, repoConfig))) {
       return;
     }
 
-    const lastReviewComment = await findLastReviewComment(context);
-    if (lastReviewComment?.body.includes("## ⏳ 正在审核中...")) {
+    if (!hasPluginPublishLabel(issue, repoConfig)) {
       return;
     }
 
     if (comment.user?.type === "Bot") return;
 
     try {
-      const body = comment.body || "";
-      if (!/@astrpluginreviewer\s+review/i.test(body)) return;
+      const command = parseCommand(comment.body, { mention: repoConfig.commandMention });
+      if (!command) return;
 
-      app.log.info({ issueNumber: issue.number, commentId: comment.id }, "Review requested via comment command");
-      await handlePluginReview(context, false, null);
+      await handleCommand(context, command, { repoConfig, reviewQueue, enqueueReview });
     } catch (error) {
-      app.log.error({ err: error, issueNumber: issue.number }, "Error handling comment review request");
+      app.log.error({ err: error, issueNumber: issue.number }, "Error handling comment command");
       await postSystemErrorComment(context, error);
     }
   });
@@ -154,7 +238,8 @@ export default (app) => {
   app.on("issues.closed", async (context) => {
     const { issue } = context.payload;
 
-    if (!hasPluginPublishLabel(issue)) {
+    const repoConfig = await loadRepoConfig(context);
+    if (!hasPluginPublishLabel(issue, repoConfig)) {
       return;
     }
     cleanupDedupMappingForClosedIssue(issue, app.log);
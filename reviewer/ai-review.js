@@ -1,19 +1,89 @@
-import OpenAI from "openai";
-import { MAIN_FILE_PROMPT, REGULAR_FILE_PROMPT } from "../prompts.js";
+import { createHash } from "node:crypto";
 import {
+  REVIEW_INSTRUCTIONS_PROMPT,
+  STRUCTURED_OUTPUT_PROMPT,
+  VERIFIED_RULES_PROMPT,
+} from "../prompts.js";
+import {
+  MAX_FILES_PER_BATCH,
   MAX_FILES_TO_REVIEW,
-  TOKEN_ESTIMATION_RATIO,
+  MAX_SECRET_SCAN_BLOBS,
 } from "./constants.js";
 import { getConfig } from "./config.js";
+import {
+  CONF_SCHEMA_PATH,
+  renderConfSchemaSection,
+  validateConfSchema,
+} from "./conf-schema.js";
+import {
+  DEPENDENCY_MANIFESTS,
+  parseDependencyManifests,
+  renderDependencySection,
+  reviewDependencies,
+} from "./dependency-review.js";
+import {
+  computeVerdict,
+  parseFindingsResponse,
+  renderFindingsReport,
+  renderVerdict,
+} from "./findings.js";
+import {
+  checkFrameworkRules,
+  describeVerifiedRules,
+  renderFrameworkComplianceSection,
+} from "./framework-rules.js";
+import { renderMetadataWarningSection } from "./metadata-schema.js";
+import { buildPromptSet } from "./prompt-templates.js";
+import {
+  createLlmProvider,
+  isJsonModeUnsupportedError,
+  isTransientLlmError,
+} from "./llm-provider.js";
+import { removeCommentsFromLine } from "./python-source.js";
+import { DEFAULT_REPO_CONFIG } from "./repo-config.js";
+import { getCachedFileReview, storeFileReview } from "./review-cache.js";
+import { compareFindings, renderReviewChangesSection } from "./review-diff.js";
+import {
+  redactSecrets,
+  renderSecretLeakSection,
+  scanSecrets,
+  shouldScanBlobForSecrets,
+} from "./secret-scan.js";
+import {
+  renderSecurityRiskSection,
+  scanSecurityRisks,
+} from "./security-scan.js";
+import { createTokenCounter } from "./tokenizer.js";
 import { validateMetadataYaml } from "./validation.js";
 
 /**
  * 协调插件审核的各个阶段。
  * @param {import('probot').Context} context 事件上下文。
  * @param {object} pluginData 从 Issue 中解析出的插件数据。
- * @returns {Promise<{success: boolean, review?: string, error?: string}>} 审核结果。
+ * @param {object} [options] 审核选项。
+ * @param {{repoKey: string, commitSha: string, findings: Array<object>}|null} [options.previousReview] 该 Issue 上一次成功审核的记录，用于生成增量对比。
+ * @param {string|null} [options.ref] 指定审核的分支、标签或提交SHA，未指定时审核默认分支的最新提交。
+ * @param {ReturnType<typeof import('./progress.js').createProgressReporter>|null} [options.progress] 审核进度报告器，提供时以流式方式调用 AI 并报告各阶段进度。
+ * @param {typeof import('./repo-config.js').DEFAULT_REPO_CONFIG} [options.repoConfig] 仓库配置，提供审核文件数上限、附加审核要求与 Prompt 段落配置。
+ * @param {string[]|null} [options.files] 只审核这些文件或目录下的 Python 文件（审核命令的 --files 参数），未指定时审核全部文件。
+ * @param {AbortSignal|null} [options.signal] 审核被取消时触发，审核在下一批文件开始前结束。
+ * @returns {Promise<{success: boolean, review?: string, error?: string, providerError?: boolean, transient?: boolean, cancelled?: boolean, findings?: Array<object>, securityFindings?: Array<object>, secretFindings?: Array<object>, verdict?: object|null, commitSha?: string, ref?: string, models?: string[], tokenUsage?: object, reviewedPaths?: string[]}>}
+ *   审核结果；reviewedPaths 为完整得到结构化审核结果的文件，作为下次增量审核的基准；providerError 表示失败源于 AI 服务而非插件本身，transient 表示该故障是暂时性的，cancelled 表示审核已被取消；
+ *   models 为完成了审核批次的模型，tokenUsage 为调用 AI 累计的 Token 用量（只要调用过 AI，审核失败或被取消时也会返回）。
  */
-export async function reviewPlugin(context, pluginData) {
+export async function reviewPlugin(
+  context,
+  pluginData,
+  {
+    previousReview = null,
+    ref = null,
+    progress = null,
+    repoConfig = DEFAULT_REPO_CONFIG,
+    files = null,
+    signal = null,
+  } = {}
+) {
+  const tokenUsage = createTokenUsage();
   try {
     const { pathname } = new URL(pluginData.repo);
     const [owner, repo] = pathname.split("/").filter(Boolean);
@@ -27,10 +97,16 @@ export async function reviewPlugin(context, pluginData) {
 
     const repoInfo = { owner, repo };
 
+    const target = await resolveReviewTarget(context.octokit, repoInfo, ref);
+    if (!target.success) {
+      return { success: false, error: target.error };
+    }
+
     const metadataResult = await validateMetadataYaml(
       context.octokit,
       repoInfo,
-      pluginData
+      pluginData,
+      { ref: target.commitSha }
     );
     if (!metadataResult.success) {
       return {
@@ -41,31 +117,78 @@ export async function reviewPlugin(context, pluginData) {
       };
     }
 
-    return await performAIReview(context.octokit, repoInfo);
+    progress?.report("metadata", "metadata.yaml 校验通过", { done: true });
+
+    return await performAIReview(context.octokit, repoInfo, {
+      commitSha: target.commitSha,
+      ref: target.ref,
+      metadataWarnings: metadataResult.warnings || [],
+      previousReview,
+      progress,
+      maxFilesToReview: repoConfig.maxFilesToReview,
+      promptSet: buildPromptSet({
+        disabledSections: repoConfig.disabledPromptSections,
+        variables: { pythonVersion: repoConfig.pythonVersion },
+        reviewInstructions: repoConfig.reviewInstructions,
+      }),
+      files,
+      signal,
+      tokenUsage,
+    });
   } catch (error) {
+    // 异常可能发生在部分批次完成之后，已经发生的 AI 调用仍需计入用量
+    const usage = tokenUsage.requestCount > 0 ? { tokenUsage } : {};
+    if (signal?.aborted) {
+      return { success: false, cancelled: true, error: "审核已被取消。", ...usage };
+    }
     return {
       success: false,
       error: `获取或分析代码时发生错误: ${error.message}`,
+      ...usage,
     };
   }
 }
 
 /**
  * 执行AI代码审核的核心流程。
- * 包含获取文件清单、选择文件、按需获取内容、调用AI和组合结果。
+ * 包含获取文件清单、获取内容、按Token分批、逐批调用AI、汇总并组合结果。
  * @param {import('@octokit/core').Octokit} octokit Octokit 实例。
  * @param {{owner: string, repo: string}} repoInfo 仓库信息。
- * @returns {Promise<{success: boolean, review?: string, error?: string}>}
+ * @param {object} options 附加选项。
+ * @param {string} options.commitSha 要审核的提交SHA。
+ * @param {string} options.ref 该提交对应的分支、标签或SHA，用于在报告中展示。
+ * @param {string[]} [options.metadataWarnings] metadata.yaml 校验产生的警告。
+ * @param {{repoKey: string, commitSha: string, findings: Array<object>}|null} [options.previousReview] 上一次成功审核的记录；
+ *   存在时只将自那次提交以来变化的文件（及 main.py）发送给 AI，未变化的文件沿用上次的结果，
+ *   并在报告中列出已解决、仍未解决与新发现的问题。
+ * @param {object|null} [options.progress] 审核进度报告器。
+ * @param {number} [options.maxFilesToReview] 最多审核的 Python 文件数，超出的文件会在报告中列出。
+ * @param {ReturnType<typeof buildPromptSet>} [options.promptSet] 按仓库配置组合的 Prompt。
+ * @param {string[]|null} [options.files] 只审核这些文件或目录下的 Python 文件。
+ * @param {AbortSignal|null} [options.signal] 审核被取消时触发。
+ * @param {object} [options.tokenUsage] 累计 Token 用量的对象，由调用方创建，以便审核中途抛出异常时仍能读取已发生的用量。
+ * @returns {Promise<{success: boolean, review?: string, error?: string, providerError?: boolean, transient?: boolean, findings?: Array<object>, verdict?: object|null, commitSha?: string}>}
  */
-async function performAIReview(octokit, repoInfo) {
+async function performAIReview(
+  octokit,
+  repoInfo,
+  {
+    commitSha,
+    ref,
+    metadataWarnings = [],
+    previousReview = null,
+    progress = null,
+    maxFilesToReview = MAX_FILES_TO_REVIEW,
+    promptSet = buildPromptSet(),
+    files = null,
+    signal = null,
+    tokenUsage = createTokenUsage(),
+  }
+) {
   const config = getConfig();
-  const openai = new OpenAI({
-    apiKey: config.apiKey,
-    timeout: 8 * 60 * 1000,
-    ...(config.baseURL && { baseURL: config.baseURL }),
-  });
 
-  const allPythonFiles = await fetchPythonFileTree(octokit, repoInfo);
+  const blobs = await fetchRepositoryTree(octokit, repoInfo, commitSha);
+  const allPythonFiles = blobs.filter((blob) => blob.path.endsWith(".py"));
   if (allPythonFiles.length === 0) {
     return {
       success: false,
@@ -73,59 +196,346 @@ async function performAIReview(octokit, repoInfo) {
     };
   }
 
-  const sortedFiles = sortFilesByPriority(allPythonFiles);
-  const selectedFiles = await selectAndFetchFilesForReview(
-    octokit,
-    repoInfo,
-    sortedFiles,
-    config.maxInputTokens
+  const selectedFiles = files
+    ? allPythonFiles.filter((blob) => isRequestedPath(blob.path, files))
+    : allPythonFiles;
+  if (selectedFiles.length === 0) {
+    return {
+      success: false,
+      error: `指定的路径中未找到任何Python（.py）文件：${files.join("、")}`,
+    };
+  }
+
+  const baseline = isSameRepository(previousReview?.repoKey, repoInfo)
+    ? previousReview
+    : null;
+  let changedFiles = null;
+  if (baseline) {
+    changedFiles =
+      baseline.commitSha === commitSha
+        ? []
+        : await fetchChangedFiles(octokit, repoInfo, baseline.commitSha, commitSha);
+    octokit.log.info("Comparing with previously reviewed commit", { previousCommitSha: baseline.commitSha, commitSha, changedFileCount: changedFiles?.length ?? null });
+  }
+
+  const sortedFiles = sortFilesByPriority(
+    selectedFiles,
+    new Set((changedFiles || []).map((f) => f.path))
+  );
+  const candidateFiles = sortedFiles.slice(0, maxFilesToReview);
+  const overLimitPaths = sortedFiles.slice(maxFilesToReview).map((f) => f.path);
+  if (overLimitPaths.length > 0) {
+    octokit.log.warn("Too many Python files to review, skipping the rest", { fileCount: sortedFiles.length, maxFilesToReview, skippedFileCount: overLimitPaths.length });
+  }
+  const fetchedFiles = await fetchFilesForReview(octokit, repoInfo, candidateFiles);
+  const fetchedPaths = new Set(fetchedFiles.map((f) => f.path));
+  const fetchFailedPaths = candidateFiles
+    .map((f) => f.path)
+    .filter((filePath) => !fetchedPaths.has(filePath));
+
+  if (fetchedFiles.length === 0) {
+    return {
+      success: false,
+      error: "未能获取任何文件内容，无法进行审核。",
+    };
+  }
+  progress?.report(
+    "fetch",
+    `已获取 ${fetchedFiles.length} 个 Python 文件（仓库共 ${allPythonFiles.length} 个）`,
+    { done: true }
   );
 
-  if (selectedFiles.length === 0) {
+  const partialReview =
+    Boolean(files) || overLimitPaths.length > 0 || fetchFailedPaths.length > 0;
+  const frameworkFindings = checkFrameworkRules(fetchedFiles, { partial: partialReview });
+  octokit.log.info("Framework rule check completed", { violationCount: frameworkFindings.length });
+
+  const securityFindings = scanSecurityRisks(fetchedFiles);
+  octokit.log.info("Security scan completed", { riskCount: securityFindings.length });
+
+  const textFiles = [
+    ...fetchedFiles,
+    ...(await fetchRemainingTextBlobs(octokit, repoInfo, blobs, fetchedFiles)),
+  ];
+  const secretFindings = scanSecrets(textFiles);
+  octokit.log.info("Secret scan completed", { scannedFileCount: textFiles.length, secretCount: secretFindings.length });
+
+  const manifests = textFiles.filter((f) => DEPENDENCY_MANIFESTS.includes(f.path));
+  const dependencies = parseDependencyManifests(manifests);
+  const dependencyFindings = reviewDependencies({
+    dependencies,
+    pythonFiles: fetchedFiles.filter((f) => !DEPENDENCY_MANIFESTS.includes(f.path)),
+    repositoryPaths: blobs.map((b) => b.path),
+  });
+  octokit.log.info("Dependency review completed", { manifestCount: manifests.length, dependencyCount: dependencies.length, issueCount: dependencyFindings.length });
+
+  const confSchemaFile = textFiles.find((f) => f.path === CONF_SCHEMA_PATH);
+  const confSchemaResult = confSchemaFile
+    ? validateConfSchema(confSchemaFile.source, fetchedFiles)
+    : null;
+  const confSchemaFindings = confSchemaResult?.findings || [];
+  octokit.log.info("Config schema check completed", { hasSchema: Boolean(confSchemaFile), issueCount: confSchemaFindings.length });
+  progress?.report("static", "静态检查完成（框架规范、安全风险、密钥泄露、依赖与配置）", { done: true });
+
+  const structured = config.reviewOutputMode === "json";
+  const { focusFiles, carriedFiles, carriedFindings } = selectFilesForIncrementalReview(
+    fetchedFiles,
+    structured ? baseline : null,
+    changedFiles
+  );
+  if (carriedFiles.length > 0) {
+    octokit.log.info("Carrying forward previous review of unchanged files", { carriedFileCount: carriedFiles.length, carriedFindingCount: carriedFindings.length, focusFileCount: focusFiles.length });
+    progress?.report("incremental", `${carriedFiles.length} 个文件自上次审核以来未发生变化，沿用上次的审核结果`, { done: true });
+  }
+
+  const modelChain = buildModelChain({ ...config, promptSet });
+  const cacheKeyBase = structured
+    ? { promptVersion: getPromptVersion(promptSet), model: config.model }
+    : null;
+  const { cachedFiles, cachedFindings, uncachedFiles } = cacheKeyBase
+    ? loadCachedReviews(
+        focusFiles,
+        cacheKeyBase,
+        modelChain.map((chainConfig) => chainConfig.model)
+      )
+    : { cachedFiles: [], cachedFindings: [], uncachedFiles: focusFiles };
+  if (cachedFiles.length > 0) {
+    octokit.log.info("Reusing cached file reviews", { cachedFileCount: cachedFiles.length, uncachedFileCount: uncachedFiles.length });
+    progress?.report("cache", `${cachedFiles.length} 个文件未发生变化，复用此前的审核结果`, { done: true });
+  }
+
+  const chainResult = await reviewFilesWithModelChain(
+    uncachedFiles,
+    modelChain,
+    { log: octokit.log, structured, cacheKeyBase, tokenUsage, progress, signal }
+  );
+  if (!chainResult.success) {
     return {
       success: false,
-      error: "由于token限制或空仓库，未选择任何文件进行审核。",
+      error: chainResult.error,
+      providerError: chainResult.providerError,
+      transient: chainResult.transient,
+      tokenUsage,
     };
   }
 
-  octokit.log.info("Files selected for AI review", { fileCount: selectedFiles.length, totalPythonFiles: allPythonFiles.length });
+  const { batches, markdownReviews, provider, tokenCounter } = chainResult;
+  const findings = [...carriedFindings, ...cachedFindings, ...chainResult.findings];
+  const structuredPaths = [
+    ...carriedFiles.map((f) => f.path),
+    ...cachedFiles.map((f) => f.path),
+    ...chainResult.structuredPaths,
+  ];
+
+  const allFindings = [
+    ...secretFindings,
+    ...securityFindings,
+    ...dependencyFindings,
+    ...confSchemaFindings,
+    ...frameworkFindings,
+    ...findings,
+  ];
+  const verdict =
+    structuredPaths.length > 0 ? computeVerdict(allFindings) : null;
+  const linkOptions = { ...repoInfo, commitSha };
 
-  const reviewResult = await reviewFileBatch(openai, selectedFiles, config, octokit.log);
+  const reviewSections = [
+    renderSecretLeakSection(secretFindings, linkOptions, textFiles.length),
+    renderSecurityRiskSection(securityFindings, linkOptions),
+    renderDependencySection(dependencyFindings, linkOptions, {
+      manifestPaths: manifests.map((m) => m.path),
+      dependencyCount: dependencies.length,
+    }),
+    renderConfSchemaSection(confSchemaResult, linkOptions),
+    renderFrameworkComplianceSection(frameworkFindings, linkOptions, { partial: partialReview }),
+  ];
+  if (metadataWarnings.length > 0) {
+    reviewSections.unshift(renderMetadataWarningSection(metadataWarnings));
+  }
+  if (baseline) {
+    const renamedPaths = new Map(
+      (changedFiles || [])
+        .filter((f) => f.previousPath)
+        .map((f) => [f.previousPath, f.path])
+    );
+    reviewSections.unshift(
+      renderReviewChangesSection(
+        {
+          previousCommitSha: baseline.commitSha,
+          changedFiles,
+          ...compareFindings(baseline.findings, allFindings, renamedPaths),
+        },
+        linkOptions
+      )
+    );
+  }
+  if (structuredPaths.length > 0) {
+    reviewSections.push(
+      renderFindingsReport(findings, {
+        ...linkOptions,
+        reviewedPaths: fetchedFiles
+          .map((f) => f.path)
+          .filter((filePath) => structuredPaths.includes(filePath)),
+      })
+    );
+  }
+  reviewSections.push(...markdownReviews);
+  let reviewText = reviewSections.join("\n\n---\n\n");
+  if (verdict) {
+    reviewText = `${renderVerdict(verdict)}\n${reviewText}`;
+  }
 
-  return combineReviewResults(reviewResult, allPythonFiles.length, selectedFiles);
+  signal?.throwIfAborted();
+  progress?.report("summary", "正在生成总体评价");
+  const summaryResult = await summarizeReview(
+    provider,
+    reviewText,
+    chainResult.modelConfig,
+    octokit.log,
+    tokenCounter,
+    tokenUsage,
+    progress &&
+      (({ receivedChars }) =>
+        progress.report("summary", `正在生成总体评价，已接收 ${receivedChars} 字符`))
+  );
+
+  octokit.log.info("AI review token usage", tokenUsage);
+
+  return combineReviewResults(
+    { success: true, review: reviewText },
+    summaryResult,
+    {
+      ...repoInfo,
+      commitSha,
+      ref,
+      totalFileCount: allPythonFiles.length,
+      requestedPaths: files,
+      maxFilesToReview,
+      overLimitPaths,
+      fetchFailedPaths,
+      reviewedFiles: batches.flat(),
+      cachedFiles: cacheKeyBase ? cachedFiles : null,
+      carriedFiles,
+      structuredPaths,
+      batchCount: batches.length,
+      usedModels: chainResult.usedModels,
+      primaryModel: config.model,
+      markdownBatchCount: markdownReviews.length,
+      findings: allFindings,
+      securityFindings,
+      secretFindings,
+      verdict,
+      tokenUsage,
+      promptVersions: promptSet.sectionVersions,
+    }
+  );
+}
+
+/**
+ * 将要审核的版本解析为确切的提交SHA。未指定 ref 时使用默认分支的最新提交。
+ * @param {import('@octokit/core').Octokit} octokit Octokit 实例。
+ * @param {{owner: string, repo: string}} repoInfo 仓库信息。
+ * @param {string|null} ref 指定的分支、标签或提交SHA。
+ * @returns {Promise<{success: boolean, commitSha?: string, ref?: string, error?: string}>} 解析结果，ref 为报告中展示的版本名称。
+ */
+async function resolveReviewTarget(octokit, repoInfo, ref) {
+  if (!ref) {
+    const { data: repo } = await octokit.rest.repos.get(repoInfo);
+    const { data: branch } = await octokit.rest.repos.getBranch({
+      ...repoInfo,
+      branch: repo.default_branch,
+    });
+    return { success: true, commitSha: branch.commit.sha, ref: repo.default_branch };
+  }
+
+  try {
+    const { data: commit } = await octokit.rest.repos.getCommit({ ...repoInfo, ref });
+    octokit.log.info("Resolved pinned ref", { ref, commitSha: commit.sha });
+    return { success: true, commitSha: commit.sha, ref };
+  } catch (error) {
+    if (error.status === 404 || error.status === 422) {
+      return {
+        success: false,
+        error: `在仓库 ${repoInfo.owner}/${repoInfo.repo} 中找不到指定的版本 \`${ref}\`，请确认分支、标签或提交SHA是否正确且已推送。`,
+      };
+    }
+    throw error;
+  }
 }
 
 /**
- * 获取仓库中所有 Python 文件的元数据（路径和SHA）
+ * 获取指定提交中所有文件的元数据（路径、SHA 和大小）。
  * @param {import('@octokit/core').Octokit} octokit Octokit 实例。
  * @param {{owner: string, repo: string}} repoInfo 仓库信息。
- * @returns {Promise<Array<{path: string, sha: string}>>} 文件元数据数组。
+ * @param {string} commitSha 要审核的提交SHA。
+ * @returns {Promise<Array<{path: string, sha: string, size?: number}>>} 文件元数据数组。
  */
-async function fetchPythonFileTree(octokit, repoInfo) {
-  const { data: repo } = await octokit.rest.repos.get(repoInfo);
+async function fetchRepositoryTree(octokit, repoInfo, commitSha) {
   const { data: tree } = await octokit.rest.git.getTree({
     ...repoInfo,
-    tree_sha: repo.default_branch,
+    tree_sha: commitSha,
     recursive: true,
   });
 
   if (!tree.tree?.length) {
-    octokit.log.warn("Repository tree is invalid or empty", { owner: repoInfo.owner, repo: repoInfo.repo });
+    octokit.log.warn("Repository tree is invalid or empty", { owner: repoInfo.owner, repo: repoInfo.repo, commitSha });
     return [];
   }
 
   return tree.tree.filter(
-    (item) => item.type === "blob" && item.path?.endsWith(".py") && item.sha
+    (item) => item.type === "blob" && item.path && item.sha
   );
 }
 
 /**
- * 对文件元数据进行排序。
+ * 判断上次审核的仓库是否与本次审核的仓库相同（作者可能在 Issue 中更换了仓库地址）。
+ * @param {string|null|undefined} repoKey 上次审核记录中的仓库标识（owner/repo）。
+ * @param {{owner: string, repo: string}} repoInfo 本次审核的仓库信息。
+ * @returns {boolean}
+ */
+function isSameRepository(repoKey, repoInfo) {
+  if (!repoKey) return false;
+  return repoKey.toLowerCase() === `${repoInfo.owner}/${repoInfo.repo}`.toLowerCase();
+}
+
+/**
+ * 获取两次提交之间变化的文件列表。获取失败（如旧提交已被强制推送覆盖）时返回 null。
+ * @param {import('@octokit/core').Octokit} octokit Octokit 实例。
+ * @param {{owner: string, repo: string}} repoInfo 仓库信息。
+ * @param {string} baseSha 上次审核的提交SHA。
+ * @param {string} headSha 本次审核的提交SHA。
+ * @returns {Promise<Array<{path: string, status: string, previousPath?: string}>|null>} 变化的文件。
+ */
+async function fetchChangedFiles(octokit, repoInfo, baseSha, headSha) {
+  try {
+    const { data } = await octokit.rest.repos.compareCommits({
+      ...repoInfo,
+      base: baseSha,
+      head: headSha,
+    });
+    return (data.files || []).map((file) => ({
+      path: file.filename,
+      status: file.status,
+      ...(file.previous_filename && { previousPath: file.previous_filename }),
+    }));
+  } catch (error) {
+    octokit.log.warn("Failed to compare with previously reviewed commit", { baseSha, headSha, err: error });
+    return null;
+  }
+}
+
+/**
+ * 对文件元数据进行排序。自上次审核以来变化的文件排在最前，确保它们不会因审核文件数上限被跳过。
  * @param {Array<{path: string}>} files 要排序的文件元数据。
+ * @param {Set<string>} [changedPaths] 自上次审核以来变化的文件路径。
  * @returns {Array<{path: string}>} 排序后的文件元数据。
  */
-function sortFilesByPriority(files) {
+function sortFilesByPriority(files, changedPaths = new Set()) {
   return [...files].sort((a, b) => {
+    const isAChanged = changedPaths.has(a.path);
+    const isBChanged = changedPaths.has(b.path);
+    if (isAChanged !== isBChanged) return isAChanged ? -1 : 1;
+
     const isAMain = a.path.toLowerCase().includes("main.py");
     const isBMain = b.path.toLowerCase().includes("main.py");
     if (isAMain !== isBMain) return isAMain ? -1 : 1;
@@ -139,165 +549,767 @@ function sortFilesByPriority(files) {
 }
 
 /**
- * 根据Token限制选择文件，并仅为选中的文件获取内容。
+ * 存在上次审核的记录且能获取差异时，只将变化的文件与作为上下文的 main.py 发送给 AI；
+ * 上次完整得到结构化结果、且此后未变化的文件不再审核，沿用上次审核中 AI 给出的发现（静态检查的发现每次都会重新生成）。
+ * 上次未审核（超出上限、获取失败、被截断或以 Markdown 输出）的文件仍会发送给 AI。
+ * Markdown 模式没有逐文件的发现可以沿用，调用方应传入 null 作为 baseline。
+ * @param {Array<{path: string}>} files 已获取内容的待审核文件。
+ * @param {{findings: Array<object>, reviewedPaths?: string[]}|null} baseline 上次成功审核的记录，reviewedPaths 为上次得到结构化结果的文件。
+ * @param {Array<{path: string}>|null} changedFiles 自上次审核以来变化的文件，无法获取差异时为 null。
+ * @returns {{focusFiles: Array<object>, carriedFiles: Array<object>, carriedFindings: Array<object>}}
+ *   需要发送给 AI 的文件，以及沿用上次结果的文件及其发现。
+ */
+function selectFilesForIncrementalReview(files, baseline, changedFiles) {
+  if (!baseline || !changedFiles) {
+    return { focusFiles: files, carriedFiles: [], carriedFindings: [] };
+  }
+
+  const changedPaths = new Set(changedFiles.map((f) => f.path));
+  const previouslyReviewedPaths = new Set(baseline.reviewedPaths || []);
+  const focusFiles = [];
+  const carriedFiles = [];
+  for (const file of files) {
+    if (
+      changedPaths.has(file.path) ||
+      isMainFile(file.path) ||
+      !previouslyReviewedPaths.has(file.path)
+    ) {
+      focusFiles.push(file);
+    } else {
+      carriedFiles.push(file);
+    }
+  }
+
+  const carriedPaths = new Set(carriedFiles.map((f) => f.path));
+  const carriedFindings = (baseline.findings || []).filter(
+    (finding) => !finding.ruleId && carriedPaths.has(finding.file)
+  );
+  return { focusFiles, carriedFiles, carriedFindings };
+}
+
+/**
+ * 获取文件内容并移除注释与空行。获取失败的文件会被跳过。
+ * 同时记录保留下来的每一行在原文件中的行号，以便结构化结果定位到真实行；原始源码保留在 source 中供静态检查使用。
+ * 发送给 AI 的 content 中疑似密钥的值会被打码。
  * @param {import('@octokit/core').Octokit} octokit Octokit 实例。
  * @param {{owner: string, repo: string}} repoInfo 仓库信息。
  * @param {Array<{path: string, sha: string}>} files 排序后的文件元数据。
- * @param {number} maxInputTokens AI模型的最大输入Token。
- * @returns {Promise<Array<{path: string, content: string}>>} 包含文件内容的对象数组。
+ * @returns {Promise<Array<{path: string, sha: string, content: string, lineNumbers: number[], source: string}>>} 包含文件内容的对象数组。
  */
-async function selectAndFetchFilesForReview(
-  octokit,
-  repoInfo,
-  files,
-  maxInputTokens
-) {
-  const selected = [];
-  let totalEstimatedTokens = 0;
-  const tokenLimit = maxInputTokens * 0.7;
-
-  const mainPromptTokens = Math.ceil(
-    MAIN_FILE_PROMPT.length * TOKEN_ESTIMATION_RATIO
-  );
-  const regularPromptTokens = Math.ceil(
-    REGULAR_FILE_PROMPT.length * TOKEN_ESTIMATION_RATIO
-  );
+async function fetchFilesForReview(octokit, repoInfo, files) {
+  const fetched = [];
 
   for (const fileMeta of files) {
-    if (selected.length >= MAX_FILES_TO_REVIEW) break;
-
     try {
       const { data: blob } = await octokit.rest.git.getBlob({
         ...repoInfo,
         file_sha: fileMeta.sha,
       });
 
-      let content = Buffer.from(blob.content, "base64").toString("utf-8");
-      content = content
+      const source = Buffer.from(blob.content, "base64").toString("utf-8");
+      const lines = [];
+      const lineNumbers = [];
+      redactSecrets(source)
         .split("\n")
-        .map(removeCommentsFromLine)
-        .filter((line) => line.trim() !== "")
-        .join("\n");
-
-      const promptTokens = fileMeta.path.toLowerCase().includes("main.py")
-        ? mainPromptTokens
-        : regularPromptTokens;
-      const estimatedTokens = Math.ceil(
-        (content.length + fileMeta.path.length) * TOKEN_ESTIMATION_RATIO +
-          promptTokens
-      );
-
-      if (totalEstimatedTokens + estimatedTokens > tokenLimit) break;
+        .forEach((line, index) => {
+          const code = removeCommentsFromLine(line);
+          if (code.trim() === "") return;
+          lines.push(code);
+          lineNumbers.push(index + 1);
+        });
 
-      totalEstimatedTokens += estimatedTokens;
-      selected.push({ path: fileMeta.path, content });
+      fetched.push({
+        path: fileMeta.path,
+        sha: fileMeta.sha,
+        content: lines.join("\n"),
+        lineNumbers,
+        source,
+      });
     } catch (error) {
       octokit.log.warn("Failed to fetch file content, skipping", { filePath: fileMeta.path });
       continue;
     }
   }
-  return selected;
+  return fetched;
 }
 
 /**
- * 从Python代码中移除注释。
- * @param {string} line - 一行代码。
- * @returns {string} - 移除了注释的代码。
+ * 获取尚未读取过的其余文本文件内容，供密钥扫描与依赖检查使用。根目录下的文件优先获取。
+ * 二进制与过大的文件会被跳过，获取失败的文件同样跳过。
+ * @param {import('@octokit/core').Octokit} octokit Octokit 实例。
+ * @param {{owner: string, repo: string}} repoInfo 仓库信息。
+ * @param {Array<{path: string, sha: string, size?: number}>} blobs 仓库中的全部文件元数据。
+ * @param {Array<{path: string}>} fetchedFiles 已获取内容的待审核文件。
+ * @returns {Promise<Array<{path: string, source: string}>>} 文件路径与文本内容。
  */
-function removeCommentsFromLine(line) {
-  let inSingleQuote = false;
-  let inDoubleQuote = false;
+async function fetchRemainingTextBlobs(octokit, repoInfo, blobs, fetchedFiles) {
+  const fetchedPaths = new Set(fetchedFiles.map((f) => f.path));
+  const candidates = blobs
+    .filter(
+      (blob) => !fetchedPaths.has(blob.path) && shouldScanBlobForSecrets(blob)
+    )
+    .sort(
+      (a, b) =>
+        a.path.split("/").length - b.path.split("/").length ||
+        a.path.localeCompare(b.path)
+    );
+  const remainingSlots = Math.max(0, MAX_SECRET_SCAN_BLOBS - fetchedFiles.length);
+  if (candidates.length > remainingSlots) {
+    octokit.log.warn("Too many text files to scan, fetching a subset", { candidateCount: candidates.length, remainingSlots });
+  }
 
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
+  const scanned = [];
+  for (const blobMeta of candidates.slice(0, remainingSlots)) {
+    try {
+      const { data: blob } = await octokit.rest.git.getBlob({
+        ...repoInfo,
+        file_sha: blobMeta.sha,
+      });
+      scanned.push({
+        path: blobMeta.path,
+        source: Buffer.from(blob.content, "base64").toString("utf-8"),
+      });
+    } catch (error) {
+      octokit.log.warn("Failed to fetch text file, skipping", { filePath: blobMeta.path });
+    }
+  }
+  return scanned;
+}
 
-    if (char === "'" && !inDoubleQuote) {
-      if (i === 0 || line[i - 1] !== "\\") {
-        inSingleQuote = !inSingleQuote;
+/**
+ * 计算结构化审核所用 Prompt 的版本标识。任何模板内容、段落开关或附加审核要求变化都会得到新的版本，使旧缓存自然失效。
+ * @param {ReturnType<typeof buildPromptSet>} promptSet 本次审核使用的 Prompt。
+ * @returns {string} Prompt 内容的短哈希。
+ */
+function getPromptVersion(promptSet) {
+  return createHash("sha256")
+    .update(
+      [
+        promptSet.mainFile,
+        promptSet.regularFile,
+        STRUCTURED_OUTPUT_PROMPT,
+        buildReviewNotes(promptSet.reviewInstructions),
+      ].join("\u0000")
+    )
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * 从审核缓存中读取未发生变化的文件的审核结果。
+ * 备用模型完成的批次以备用模型为键写入缓存，因此按模型调用链的顺序依次查找，使用第一个命中的结果，
+ * 避免主模型不可用期间每次重新审核都要再次调用备用模型。
+ * @param {Array<{path: string, sha: string}>} files 已获取内容的待审核文件。
+ * @param {{promptVersion: string, model: string}} cacheKeyBase 缓存键中与文件无关的部分。
+ * @param {string[]} models 模型调用链中的模型，按优先级排列。
+ * @returns {{cachedFiles: Array<object>, cachedFindings: Array<object>, uncachedFiles: Array<object>}} 命中缓存的文件及其审核发现，以及仍需发送给 AI 的文件。
+ */
+function loadCachedReviews(files, cacheKeyBase, models) {
+  const cachedFiles = [];
+  const cachedFindings = [];
+  const uncachedFiles = [];
+
+  for (const file of files) {
+    let cached = null;
+    for (const model of models) {
+      cached = getCachedFileReview({ ...cacheKeyBase, model, blobSha: file.sha });
+      if (cached) break;
+    }
+    if (!cached) {
+      uncachedFiles.push(file);
+      continue;
+    }
+    cachedFiles.push(file);
+    cachedFindings.push(...cached.map((finding) => ({ ...finding, file: file.path })));
+  }
+
+  return { cachedFiles, cachedFindings, uncachedFiles };
+}
+
+/**
+ * 将一批文件的结构化审核结果按文件写入缓存。被截断的文件只审核了部分内容，不写入缓存。
+ * 缓存写入失败只记录日志，不影响本次审核。
+ * @param {Array<{path: string, sha: string, truncated?: boolean}>} batch 本批次审核的文件。
+ * @param {Array<object>} findings 本批次的审核发现。
+ * @param {{promptVersion: string, model: string}} cacheKeyBase 缓存键中与文件无关的部分。
+ * @param {object} log 日志器实例。
+ */
+function storeBatchReviews(batch, findings, cacheKeyBase, log) {
+  for (const file of batch) {
+    if (file.truncated) continue;
+    try {
+      storeFileReview(
+        { ...cacheKeyBase, blobSha: file.sha },
+        findings.filter((finding) => finding.file === file.path)
+      );
+    } catch (error) {
+      log.warn("Failed to store file review in cache", { filePath: file.path, err: error });
+    }
+  }
+}
+
+/**
+ * 构建模型调用链：主模型在前，备用模型按配置顺序排列，共享同一提供方与凭据。
+ * @param {object} config 应用配置。
+ * @returns {Array<object>} 每个模型对应的配置。
+ */
+function buildModelChain(config) {
+  return [
+    config,
+    ...(config.fallbackModels || []).map((fallback) => ({
+      ...config,
+      model: fallback.model,
+      maxInputTokens: fallback.maxInputTokens,
+    })),
+  ];
+}
+
+/**
+ * 沿模型调用链逐批审核文件。某个模型的调用在重试后仍然失败时，切换到下一个模型，
+ * 并按该模型的输入预算对尚未审核的文件重新分批；已完成批次的结果保留不变。
+ * @param {Array<{path: string, content: string, sha?: string}>} files 需要发送给 AI 的文件。
+ * @param {Array<object>} modelChain buildModelChain 生成的模型配置。
+ * @param {object} options 附加选项。
+ * @param {object} options.log 日志器实例。
+ * @param {boolean} options.structured 是否使用结构化输出模式。
+ * @param {{promptVersion: string, model: string}|null} options.cacheKeyBase 缓存键的公共部分，未启用缓存时为 null。
+ * @param {object} options.tokenUsage 累计的 Token 用量，尚未记录分词器时记录主模型的分词器。
+ * @param {object|null} [options.progress] 审核进度报告器。
+ * @param {AbortSignal|null} [options.signal] 审核被取消时触发，在下一批开始前抛出异常。
+ * @returns {Promise<{success: boolean, error?: string, providerError?: boolean, transient?: boolean,
+ *   batches?: Array<Array<object>>, findings?: Array<object>, structuredPaths?: string[], markdownReviews?: string[],
+ *   usedModels?: string[], modelConfig?: object, provider?: object, tokenCounter?: object}>}
+ *   成功时 modelConfig、provider 与 tokenCounter 为最后使用的模型，供后续汇总复用。
+ */
+async function reviewFilesWithModelChain(
+  files,
+  modelChain,
+  { log, structured, cacheKeyBase, tokenUsage, progress = null, signal = null }
+) {
+  const result = {
+    batches: [],
+    findings: [],
+    structuredPaths: [],
+    markdownReviews: [],
+    usedModels: [],
+  };
+  let pendingFiles = files;
+
+  for (const [chainIndex, chainConfig] of modelChain.entries()) {
+    const provider = createLlmProvider(chainConfig);
+    const modelConfig = { ...chainConfig };
+    if (provider.contextWindow && modelConfig.maxInputTokens > provider.contextWindow) {
+      log.warn("Configured input budget exceeds the model context window", { provider: provider.name, model: provider.model, maxInputTokens: modelConfig.maxInputTokens, contextWindow: provider.contextWindow });
+      modelConfig.maxInputTokens = provider.contextWindow;
+    }
+    const tokenCounter = await createTokenCounter(modelConfig, log);
+    tokenUsage.tokenizer ??= tokenCounter.name;
+    const batches = splitFilesIntoBatches(
+      pendingFiles,
+      modelConfig.maxInputTokens,
+      tokenCounter,
+      structured,
+      modelConfig.promptSet
+    );
+
+    log.info("Files split into review batches", { fileCount: pendingFiles.length, batchCount: batches.length, tokenizer: tokenCounter.name, outputMode: modelConfig.reviewOutputMode, provider: provider.name, model: modelConfig.model });
+
+    let failure = null;
+    for (const [index, batch] of batches.entries()) {
+      signal?.throwIfAborted();
+      const batchLabel = `${chainIndex > 0 ? `正在使用备用模型 \`${modelConfig.model}\` ` : "正在"}审核第 ${index + 1}/${batches.length} 批（${batch.length} 个文件）`;
+      progress?.report("review", batchLabel);
+      const batchResult = await reviewFileBatch(
+        provider,
+        batch,
+        modelConfig,
+        log,
+        tokenCounter,
+        tokenUsage,
+        progress &&
+          (({ receivedChars }) =>
+            progress.report("review", `${batchLabel}，已接收 ${receivedChars} 字符`))
+      );
+      if (!batchResult.success) {
+        log.warn("Review batch failed", { batchIndex: index + 1, batchCount: batches.length, model: modelConfig.model, transient: batchResult.transient });
+        failure = batchResult;
+        break;
+      }
+
+      result.batches.push(batch);
+      if (!result.usedModels.includes(modelConfig.model)) {
+        result.usedModels.push(modelConfig.model);
       }
-    } else if (char === '"' && !inSingleQuote) {
-      if (i === 0 || line[i - 1] !== "\\") {
-        inDoubleQuote = !inDoubleQuote;
+      if (batchResult.findings) {
+        result.findings.push(...batchResult.findings);
+        result.structuredPaths.push(...batch.map((f) => f.path));
+        if (cacheKeyBase) {
+          storeBatchReviews(batch, batchResult.findings, { ...cacheKeyBase, model: modelConfig.model }, log);
+        }
+      } else {
+        result.markdownReviews.push(batchResult.review);
       }
+      const reviewedPaths = new Set(batch.map((f) => f.path));
+      pendingFiles = pendingFiles.filter((f) => !reviewedPaths.has(f.path));
+    }
+
+    if (!failure) {
+      if (result.batches.length > 0) {
+        progress?.report("review", `AI 审核完成，共 ${result.batches.length} 批`, { done: true });
+      }
+      return { success: true, ...result, modelConfig, provider, tokenCounter };
+    }
+
+    const nextConfig = modelChain[chainIndex + 1];
+    if (!failure.providerError || !nextConfig) {
+      return {
+        success: false,
+        error: failure.error,
+        providerError: Boolean(failure.providerError),
+        transient: Boolean(failure.transient),
+      };
+    }
+    log.warn("Falling back to the next model", { failedModel: modelConfig.model, nextModel: nextConfig.model, remainingFileCount: pendingFiles.length });
+  }
+}
+
+/**
+ * 按Token预算将文件划分为多个批次，每批不超过 MAX_FILES_PER_BATCH 个文件。
+ * 单个文件超出整批预算时独占一批并截断内容。
+ * Markdown 模式下每个文件都附带审核模板；结构化模式下每批只附带一次模板与输出格式说明，
+ * 因此 main.py 独占一批，以免同批的其他文件按 main.py 的要求审核。
+ * @param {Array<{path: string, content: string}>} files 已获取内容的文件。
+ * @param {number} maxInputTokens AI模型的最大输入Token。
+ * @param {{count: (text: string) => number}} tokenCounter Token 计数器。
+ * @param {boolean} structured 是否使用结构化输出模式。
+ * @param {ReturnType<typeof buildPromptSet>} promptSet 本次审核使用的 Prompt，附加审核要求每批附带一次。
+ * @returns {Array<Array<{path: string, content: string, truncated?: boolean}>>} 文件批次。
+ */
+function splitFilesIntoBatches(files, maxInputTokens, tokenCounter, structured, promptSet) {
+  const reviewNotesTokens = tokenCounter.count(buildReviewNotes(promptSet.reviewInstructions));
+  const batchOverhead = structured
+    ? tokenCounter.count(promptSet.mainFile + STRUCTURED_OUTPUT_PROMPT) +
+      reviewNotesTokens
+    : reviewNotesTokens;
+  const tokenLimit = maxInputTokens * 0.7 - batchOverhead;
+  const templateTokens = new Map(
+    [promptSet.mainFile, promptSet.regularFile].map((template) => [
+      template,
+      structured ? 0 : tokenCounter.count(template),
+    ])
+  );
+  const batches = [];
+  let currentBatch = [];
+  let currentTokens = 0;
+
+  for (const file of files) {
+    const promptTokens = templateTokens.get(getPromptTemplateForFile(file.path, promptSet));
+    const contentTokens = tokenCounter.count(
+      formatFileContent(file, structured) + file.path
+    );
+    let entry = file;
+    let fileTokens = contentTokens + promptTokens;
+
+    if (fileTokens > tokenLimit) {
+      entry = truncateFileToBudget(
+        file,
+        contentTokens,
+        tokenLimit - promptTokens
+      );
+      fileTokens = tokenLimit;
     }
 
-    if (char === "#" && !inSingleQuote && !inDoubleQuote) {
-      return line.substring(0, i).trimEnd();
+    if (
+      currentBatch.length > 0 &&
+      (currentTokens + fileTokens > tokenLimit ||
+        currentBatch.length >= MAX_FILES_PER_BATCH ||
+        (structured && (isMainFile(file.path) || currentBatch.some((f) => isMainFile(f.path)))))
+    ) {
+      batches.push(currentBatch);
+      currentBatch = [];
+      currentTokens = 0;
     }
+
+    currentBatch.push(entry);
+    currentTokens += fileTokens;
   }
 
-  return line;
+  if (currentBatch.length > 0) batches.push(currentBatch);
+  return batches;
+}
+
+/**
+ * 将文件内容按其实际的字符/Token比例截断到给定的Token预算内。
+ * @param {{path: string, content: string}} file 文件对象。
+ * @param {number} contentTokens 文件内容（含路径）的Token数。
+ * @param {number} tokenBudget 可用于文件内容的Token数。
+ * @returns {{path: string, content: string, truncated: boolean}} 截断后的文件对象。
+ */
+function truncateFileToBudget(file, contentTokens, tokenBudget) {
+  const charsPerToken =
+    (file.content.length + file.path.length) / Math.max(1, contentTokens);
+  const maxChars = Math.max(
+    0,
+    Math.floor(tokenBudget * charsPerToken) - file.path.length
+  );
+  return {
+    ...file,
+    content: `${file.content.slice(0, maxChars)}\n# ...（文件过长，后续内容已截断）`,
+    truncated: true,
+  };
+}
+
+/**
+ * 创建用于累计本次审核 Token 用量的对象。
+ * @param {string|null} [tokenizer] 使用的分词器名称，未知时由模型调用链在创建主模型的计数器后填写。
+ * @returns {{tokenizer: string|null, requestCount: number, sentTokens: number, promptTokens: number, completionTokens: number, totalTokens: number, hasApiUsage: boolean}}
+ */
+function createTokenUsage(tokenizer = null) {
+  return {
+    tokenizer,
+    requestCount: 0,
+    sentTokens: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    hasApiUsage: false,
+  };
+}
+
+/**
+ * 将单次 AI 调用的本地计数与 API 返回的 usage 累加到总用量中。
+ * @param {object} tokenUsage 由 createTokenUsage 创建的用量对象。
+ * @param {number} sentTokens 本地计数的请求 Token 数。
+ * @param {object|null|undefined} usage API 返回的 usage 字段。
+ */
+function recordTokenUsage(tokenUsage, sentTokens, usage) {
+  tokenUsage.requestCount += 1;
+  tokenUsage.sentTokens += sentTokens;
+
+  if (!usage) return;
+
+  tokenUsage.hasApiUsage = true;
+  tokenUsage.promptTokens += usage.prompt_tokens || 0;
+  tokenUsage.completionTokens += usage.completion_tokens || 0;
+  tokenUsage.totalTokens +=
+    usage.total_tokens ||
+    (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+}
+
+/**
+ * 根据文件路径选择对应的Prompt模板。
+ * @param {string} filePath 文件路径。
+ * @param {ReturnType<typeof buildPromptSet>} promptSet 本次审核使用的 Prompt。
+ * @returns {string} Prompt模板。
+ */
+function getPromptTemplateForFile(filePath, promptSet) {
+  return isMainFile(filePath) ? promptSet.mainFile : promptSet.regularFile;
+}
+
+/**
+ * 判断文件是否位于审核命令指定的路径中（与某个路径完全一致，或位于该目录下）。
+ * @param {string} filePath 文件路径。
+ * @param {string[]} requestedPaths 指定的文件或目录。
+ * @returns {boolean}
+ */
+function isRequestedPath(filePath, requestedPaths) {
+  return requestedPaths.some(
+    (requested) => filePath === requested || filePath.startsWith(`${requested}/`)
+  );
+}
+
+/**
+ * 判断文件是否为插件入口 main.py。
+ * @param {string} filePath 文件路径。
+ * @returns {boolean}
+ */
+function isMainFile(filePath) {
+  return filePath.toLowerCase().includes("main.py");
 }
 
 /**
  * 使用单次AI API调用审核一批文件。
- * @param {OpenAI} openai OpenAI客户端实例。
+ * 结构化模式下优先请求 JSON 结果，模型无法产出有效 JSON 时回退到 Markdown 模式。
+ * @param {ReturnType<typeof createLlmProvider>} provider LLM 提供方。
  * @param {Array<{path: string, content: string}>} files 需要审核的文件（已包含内容）。
  * @param {object} config 应用配置。
  * @param {object} log 日志器实例。
- * @returns {Promise<{success: boolean, review?: string, error?: string, tokensUsed?: number}>}
+ * @param {{count: (text: string) => number}} tokenCounter Token 计数器。
+ * @param {object} tokenUsage 累计的 Token 用量。
+ * @param {((progress: {receivedChars: number}) => void)|null} [onProgress] 流式输出的进度回调，提供时以流式方式请求。
+ * @returns {Promise<{success: boolean, review?: string, findings?: Array<object>, error?: string, providerError?: boolean, transient?: boolean}>}
  */
-async function reviewFileBatch(openai, files, config, log) {
+async function reviewFileBatch(
+  provider,
+  files,
+  config,
+  log,
+  tokenCounter,
+  tokenUsage,
+  onProgress = null
+) {
   if (files.length === 0) {
     return { success: false, error: "未选择任何文件进行审查。" };
   }
 
-  const prompt = buildBatchPrompt(files);
+  if (config.reviewOutputMode === "json") {
+    const structuredResult = await requestStructuredReview(
+      provider,
+      files,
+      config,
+      log,
+      tokenCounter,
+      tokenUsage,
+      onProgress
+    );
+    if (structuredResult) return structuredResult;
+  }
+
+  const prompt = buildBatchPrompt(files, config.promptSet);
+  const sentTokens = tokenCounter.count(prompt);
 
   try {
-    const completionParams = {
-      model: config.model,
-      messages: [{ role: "user", content: prompt }],
+    const { content, usage } = await provider.complete(prompt, { onProgress });
+    recordTokenUsage(tokenUsage, sentTokens, usage);
+    if (!content) {
+      return { success: false, error: "AI返回了空响应。", providerError: true };
+    }
+
+    return {
+      success: true,
+      review: content,
     };
+  } catch (error) {
+    recordTokenUsage(tokenUsage, sentTokens, null);
+    log.error("AI batch review API call failed", { err: error, attempts: error?.attempts });
+    return describeProviderFailure(error);
+  }
+}
 
-    if (config.model.includes("qwen3-235b-a22b-fp8")) {
-      completionParams.response_format = { type: "text" };
+/**
+ * 以 JSON 模式请求结构化审核结果并校验、修复。
+ * @param {ReturnType<typeof createLlmProvider>} provider LLM 提供方。
+ * @param {Array<{path: string, content: string}>} files 需要审核的文件。
+ * @param {object} config 应用配置。
+ * @param {object} log 日志器实例。
+ * @param {{count: (text: string) => number}} tokenCounter Token 计数器。
+ * @param {object} tokenUsage 累计的 Token 用量。
+ * @param {((progress: {receivedChars: number}) => void)|null} [onProgress] 流式输出的进度回调。
+ * @returns {Promise<{success: boolean, findings?: Array<object>, error?: string, providerError?: boolean, transient?: boolean}|null>} 需要回退到 Markdown 模式时返回 null。
+ */
+async function requestStructuredReview(
+  provider,
+  files,
+  config,
+  log,
+  tokenCounter,
+  tokenUsage,
+  onProgress = null
+) {
+  const prompt = buildStructuredBatchPrompt(files, config.promptSet);
+  const sentTokens = tokenCounter.count(prompt);
+  const reviewedPaths = files.map((f) => f.path);
+
+  try {
+    const { content, usage } = await provider.complete(prompt, {
+      json: true,
+      onProgress,
+    });
+    recordTokenUsage(tokenUsage, sentTokens, usage);
+
+    const parsed = parseFindingsResponse(content, reviewedPaths);
+    if (!parsed.success) {
+      log.warn("Structured review output invalid, falling back to Markdown", { reason: parsed.error, fileCount: files.length });
+      return null;
+    }
+    if (parsed.droppedCount > 0) {
+      log.debug("Dropped invalid structured findings", { droppedCount: parsed.droppedCount });
     }
 
-    const completion = await openai.chat.completions.create(completionParams);
+    return { success: true, findings: parsed.findings };
+  } catch (error) {
+    recordTokenUsage(tokenUsage, sentTokens, null);
+    if (isJsonModeUnsupportedError(error)) {
+      log.warn("Model rejected JSON mode, falling back to Markdown", { err: error });
+      return null;
+    }
 
-    const responseContent = completion.choices[0].message.content || "";
-    if (!responseContent) {
+    log.error("AI batch review API call failed", { err: error, attempts: error?.attempts });
+    return describeProviderFailure(error);
+  }
+}
+
+/**
+ * 将 AI 调用的异常转换为审核失败结果，并标明这是 AI 服务而非插件本身的问题。
+ * @param {unknown} error 重试耗尽后抛出的错误。
+ * @returns {{success: false, error: string, providerError: true, transient: boolean}}
+ */
+function describeProviderFailure(error) {
+  const transient = isTransientLlmError(error);
+  return {
+    success: false,
+    error: transient
+      ? `AI审核服务暂时不可用（已尝试 ${error?.attempts || 1} 次），请稍后重试。`
+      : "调用AI审核服务时发生内部错误。",
+    providerError: true,
+    transient,
+  };
+}
+
+/**
+ * 对合并后的审核报告进行汇总，生成总体评价与代码评审团点评。
+ * 汇总失败不影响逐文件报告的输出。
+ * @param {ReturnType<typeof createLlmProvider>} provider LLM 提供方。
+ * @param {string} reviewText 合并后的逐文件审核报告。
+ * @param {object} config 应用配置。
+ * @param {object} log 日志器实例。
+ * @param {{count: (text: string) => number}} tokenCounter Token 计数器。
+ * @param {object} tokenUsage 累计的 Token 用量。
+ * @param {((progress: {receivedChars: number}) => void)|null} [onProgress] 流式输出的进度回调。
+ * @returns {Promise<{success: boolean, review?: string, error?: string}>}
+ */
+async function summarizeReview(
+  provider,
+  reviewText,
+  config,
+  log,
+  tokenCounter,
+  tokenUsage,
+  onProgress = null
+) {
+  const tokenBudget =
+    config.maxInputTokens * 0.7 - tokenCounter.count(config.promptSet.summary);
+  let reviewsText = reviewText;
+  const reviewsTokens = tokenCounter.count(reviewsText);
+  if (reviewsTokens > tokenBudget) {
+    const maxChars = Math.max(
+      0,
+      Math.floor((tokenBudget * reviewsText.length) / reviewsTokens)
+    );
+    reviewsText = `${reviewsText.slice(0, maxChars)}\n\n（报告过长，后续内容已截断）`;
+  }
+
+  const prompt = `${config.promptSet.summary}\n\n${reviewsText}`;
+  const sentTokens = tokenCounter.count(prompt);
+
+  try {
+    const { content, usage } = await provider.complete(prompt, { onProgress });
+    recordTokenUsage(tokenUsage, sentTokens, usage);
+    if (!content) {
       return { success: false, error: "AI返回了空响应。" };
     }
-
-    return {
-      success: true,
-      review: responseContent,
-    };
+    return { success: true, review: content };
   } catch (error) {
-    log.error("AI batch review API call failed", { err: error });
-    return {
-      success: false,
-      error: "调用AI审核服务时发生内部错误。",
-    };
+    recordTokenUsage(tokenUsage, sentTokens, null);
+    log.warn("AI summary API call failed", { err: error });
+    return { success: false, error: "调用AI汇总服务时发生内部错误。" };
   }
 }
 
 /**
  * 为一批文件构建组合的Prompt。
  * @param {Array<{path: string, content: string}>} files 文件数组。
+ * @param {ReturnType<typeof buildPromptSet>} promptSet 本次审核使用的 Prompt。
  * @returns {string} 完整的Prompt字符串。
  */
-function buildBatchPrompt(files) {
-  return files
+function buildBatchPrompt(files, promptSet) {
+  const fileSections = files
     .map((file) => {
-      const promptTemplate = file.path.toLowerCase().includes("main.py")
-        ? MAIN_FILE_PROMPT
-        : REGULAR_FILE_PROMPT;
+      const promptTemplate = getPromptTemplateForFile(file.path, promptSet);
       return `### ${file.path}\n\n\`\`\`python\n${file.content}\n\`\`\`\n\n${promptTemplate}`;
     })
     .join("\n\n---\n\n");
+  return `${fileSections}\n\n${buildReviewNotes(promptSet.reviewInstructions)}`;
+}
+
+/**
+ * 为一批文件构建请求结构化结果的Prompt，代码行前标注原文件行号。
+ * main.py 总是独占一批（见 splitFilesIntoBatches），批次为 main.py 时使用 main.py 的审核模板。
+ * @param {Array<{path: string, content: string, lineNumbers?: number[]}>} files 文件数组。
+ * @param {ReturnType<typeof buildPromptSet>} promptSet 本次审核使用的 Prompt。
+ * @returns {string} 完整的Prompt字符串。
+ */
+function buildStructuredBatchPrompt(files, promptSet) {
+  const promptTemplate = files.some((f) => isMainFile(f.path))
+    ? promptSet.mainFile
+    : promptSet.regularFile;
+  const fileSections = files
+    .map(
+      (file) =>
+        `### ${file.path}\n\n\`\`\`python\n${formatFileContent(file, true)}\n\`\`\``
+    )
+    .join("\n\n---\n\n");
+  return `${promptTemplate}\n\n${fileSections}\n\n${buildReviewNotes(promptSet.reviewInstructions)}\n\n${STRUCTURED_OUTPUT_PROMPT}`;
+}
+
+/**
+ * 构建告知模型哪些框架规则已由静态检查器验证的说明。
+ * @returns {string} Prompt 片段。
+ */
+function buildVerifiedRulesNote() {
+  return `${VERIFIED_RULES_PROMPT}\n${describeVerifiedRules()}`;
+}
+
+/**
+ * 构建附加在每批文件之后的说明：已验证的框架规则，以及仓库配置中的附加审核要求（如有）。
+ * @param {string} [reviewInstructions] 仓库维护者的附加审核要求。
+ * @returns {string} Prompt 片段。
+ */
+function buildReviewNotes(reviewInstructions = "") {
+  const verifiedRulesNote = buildVerifiedRulesNote();
+  return reviewInstructions
+    ? `${verifiedRulesNote}\n${REVIEW_INSTRUCTIONS_PROMPT}\n${reviewInstructions}`
+    : verifiedRulesNote;
 }
 
 /**
- * 将AI的原始审核报告与一个摘要部分组合起来。
- * @param {object} reviewResult 来自AI调用的结果对象。
- * @param {number} totalFileCount 仓库中Python文件的总数。
- * @param {Array<{path: string}>} selectedFiles 已发送至AI审核的文件。
- * @returns {{success: boolean, review?: string, error?: string}}
+ * 返回发送给模型的文件内容，结构化模式下在每行前标注原文件行号。
+ * @param {{content: string, lineNumbers?: number[]}} file 文件对象。
+ * @param {boolean} withLineNumbers 是否标注行号。
+ * @returns {string} 文件内容。
  */
-function combineReviewResults(reviewResult, totalFileCount, selectedFiles) {
+function formatFileContent(file, withLineNumbers) {
+  if (!withLineNumbers) return file.content;
+  return file.content
+    .split("\n")
+    .map((line, index) => {
+      const lineNumber = file.lineNumbers?.[index] ?? "";
+      return `${String(lineNumber).padStart(4)}| ${line}`;
+    })
+    .join("\n");
+}
+
+/**
+ * 将合并后的审核报告、汇总结果与一个摘要部分组合起来。
+ * @param {object} reviewResult 合并后的逐文件审核结果对象。
+ * @param {object|null} summaryResult 汇总阶段的结果对象。
+ * @param {object} details 审核过程信息。
+ * @param {string} details.owner 仓库所有者。
+ * @param {string} details.repo 仓库名。
+ * @param {string} details.commitSha 被审核的提交SHA。
+ * @param {string} details.ref 被审核提交对应的分支、标签或SHA。
+ * @param {number} details.totalFileCount 仓库中Python文件的总数。
+ * @param {string[]|null} details.requestedPaths 审核命令指定的审核范围，审核全部文件时为 null。
+ * @param {number} details.maxFilesToReview 审核文件数上限。
+ * @param {string[]} details.overLimitPaths 超出审核文件数上限而未审核的文件。
+ * @param {string[]} details.fetchFailedPaths 获取内容失败而未审核的文件。
+ * @param {Array<{path: string, truncated?: boolean}>} details.reviewedFiles 已发送至AI审核的文件。
+ * @param {Array<{path: string}>|null} details.cachedFiles 复用了缓存审核结果的文件，未启用缓存时为 null。
+ * @param {Array<{path: string}>} details.carriedFiles 自上次审核以来未变化、沿用了上次审核结果的文件。
+ * @param {string[]} details.structuredPaths 得到结构化审核结果的文件，其中被截断的文件不会作为下次增量审核的基准。
+ * @param {number} details.batchCount 审核批次数。
+ * @param {string[]} details.usedModels 实际完成了审核批次的模型。
+ * @param {string} details.primaryModel 配置的主模型。
+ * @param {number} details.markdownBatchCount 未能生成结构化结果、以 Markdown 输出的批次数。
+ * @param {Array<object>} details.findings 结构化审核发现。
+ * @param {Array<object>} details.securityFindings 安全扫描发现。
+ * @param {Array<object>} details.secretFindings 密钥泄露扫描发现（仅含打码后的值）。
+ * @param {object|null} details.verdict 基于结构化结果的审核结论。
+ * @param {object} details.tokenUsage 本次审核累计的 Token 用量。
+ * @param {string[]} details.promptVersions 本次启用的 Prompt 段落及其版本（id@version）。
+ * @returns {{success: boolean, review?: string, error?: string, findings?: Array<object>, securityFindings?: Array<object>, secretFindings?: Array<object>, verdict?: object|null, commitSha?: string, ref?: string, models?: string[], tokenUsage?: object, reviewedPaths?: string[]}}
+ */
+function combineReviewResults(reviewResult, summaryResult, details) {
   if (!reviewResult.success) {
     return {
       success: false,
@@ -305,20 +1317,108 @@ function combineReviewResults(reviewResult, totalFileCount, selectedFiles) {
     };
   }
 
-  const rawReviewText = reviewResult.review;
-  const selectedFileCount = selectedFiles.length;
+  const {
+    owner,
+    repo,
+    commitSha,
+    ref,
+    totalFileCount,
+    requestedPaths,
+    maxFilesToReview,
+    overLimitPaths,
+    fetchFailedPaths,
+    reviewedFiles,
+    cachedFiles,
+    carriedFiles,
+    structuredPaths,
+    batchCount,
+    usedModels,
+    primaryModel,
+    markdownBatchCount,
+    findings,
+    securityFindings,
+    secretFindings,
+    verdict,
+    tokenUsage,
+    promptVersions,
+  } = details;
+  const reviewedFileCount =
+    reviewedFiles.length + (cachedFiles?.length || 0) + carriedFiles.length;
+  const truncatedFiles = reviewedFiles.filter((f) => f.truncated);
+
+  let reviewText = reviewResult.review;
+  if (summaryResult?.success) {
+    reviewText += `\n\n---\n\n${summaryResult.review}`;
+  }
 
   let summary = `\n\n---\n\n### 🔍 审核摘要\n\n`;
   summary += `**统计信息**\n`;
+  summary += `* **审核提交**: [\`${commitSha.slice(0, 7)}\`](https://github.com/${owner}/${repo}/tree/${commitSha})${
+    ref && ref !== commitSha ? `（\`${ref}\`）` : ""
+  }\n`;
   summary += `* **仓库文件总数**: ${totalFileCount} 个 Python 文件\n`;
-  summary += `* **已选择审核文件**: ${selectedFileCount} / ${totalFileCount}\n`;
-  summary += `**已发送至 AI 审核的文件清单**\n\`\`\`\n${selectedFiles
-    .map((f) => f.path)
-    .join("\n")}\n\`\`\`\n`;
+  summary += `* **已审核文件**: ${reviewedFileCount} / ${totalFileCount}\n`;
+  if (requestedPaths) {
+    summary += `* **审核范围**: 仅审核命令中指定的路径 ${requestedPaths
+      .map((p) => `\`${p}\``)
+      .join("、")}\n`;
+  }
+  if (cachedFiles) {
+    summary += `* **缓存复用**: ${cachedFiles.length} 个文件未发生变化，直接复用了此前的审核结果\n`;
+  }
+  if (carriedFiles.length > 0) {
+    summary += `* **增量审核**: ${carriedFiles.length} 个文件自上次审核以来未发生变化，未重新发送至 AI，沿用了上次的审核结果\n`;
+  }
+  summary += `* **审核批次**: ${batchCount} 批\n`;
+  if (usedModels.some((model) => model !== primaryModel)) {
+    summary += `* **审核模型**: ${usedModels
+      .map((model) => `\`${model}\``)
+      .join("、")}（主模型 \`${primaryModel}\` 调用失败，已自动切换至备用模型）\n`;
+  }
+  summary += `* **已发送 Token**: ${tokenUsage.sentTokens}（本地计数，分词器 \`${tokenUsage.tokenizer}\`，共 ${tokenUsage.requestCount} 次请求）\n`;
+  if (tokenUsage.hasApiUsage) {
+    summary += `* **API 用量**: 输入 ${tokenUsage.promptTokens} / 输出 ${tokenUsage.completionTokens} / 合计 ${tokenUsage.totalTokens} Token\n`;
+  }
+  summary += `* **Prompt 版本**: ${promptVersions
+    .map((version) => `\`${version}\``)
+    .join("、")}\n`;
+  summary += reviewedFiles.length > 0
+    ? `**已发送至 AI 审核的文件清单**\n\`\`\`\n${reviewedFiles
+        .map((f) => f.path)
+        .join("\n")}\n\`\`\`\n`
+    : `*所有文件均复用了缓存或上次的审核结果，本次未向 AI 发送任何文件。*\n`;
 
-  if (totalFileCount > selectedFileCount) {
-    summary += `\n*注意：由于项目规模或Token限制，本次仅审核了部分优先文件。以上报告内容由 AI 直接生成。*`;
+  if (overLimitPaths.length > 0) {
+    summary += `\n*注意：Python 文件数超过审核上限（${maxFilesToReview} 个），以下 ${overLimitPaths.length} 个文件本次未审核：*\n\`\`\`\n${overLimitPaths.join("\n")}\n\`\`\`\n`;
+  }
+  if (fetchFailedPaths.length > 0) {
+    summary += `\n*注意：以下 ${fetchFailedPaths.length} 个文件获取内容失败，本次未审核：*\n\`\`\`\n${fetchFailedPaths.join("\n")}\n\`\`\`\n`;
+  }
+  if (truncatedFiles.length > 0) {
+    summary += `\n*注意：以下文件过长，仅审核了前半部分内容：${truncatedFiles
+      .map((f) => `\`${f.path}\``)
+      .join("、")}。*`;
+  }
+  if (verdict && markdownBatchCount > 0) {
+    summary += `\n*注意：有 ${markdownBatchCount} 批文件未能生成结构化结果，已改用 AI 原始报告，审核结论仅基于结构化结果。*`;
+  }
+  if (summaryResult && !summaryResult.success) {
+    summary += `\n*注意：总体评价生成失败，以上仅包含逐文件审核报告。*`;
   }
 
-  return { success: true, review: rawReviewText + summary };
+  return {
+    success: true,
+    review: reviewText + summary,
+    findings,
+    securityFindings,
+    secretFindings,
+    verdict,
+    commitSha,
+    ref,
+    models: usedModels,
+    tokenUsage,
+    reviewedPaths: structuredPaths.filter(
+      (filePath) => !truncatedFiles.some((f) => f.path === filePath)
+    ),
+  };
 }
@@ -0,0 +1,171 @@
+import fs from "node:fs";
+import path from "node:path";
+import { open } from "lmdb";
+import { getPluginRepoKeyFromIssue } from "./quota.js";
+
+const AUDIT_LOG_DB_PATH = path.join(process.cwd(), "data", "audit-log.lmdb");
+
+let auditLogDb = null;
+let hasRegisteredCloseHook = false;
+let eventSequence = 0;
+
+/**
+ * 初始化审计日志的 LMDB 数据库（按时间排序的事件 ID -> 事件记录）。
+ * 如果数据库已初始化，则直接返回。
+ */
+export function initializeAuditLogDb() {
+  if (auditLogDb) return;
+
+  fs.mkdirSync(path.dirname(AUDIT_LOG_DB_PATH), { recursive: true });
+  auditLogDb = open({
+    path: AUDIT_LOG_DB_PATH,
+  });
+  registerDbCloseHook();
+  console.debug("Audit log DB initialized at %s", AUDIT_LOG_DB_PATH);
+}
+
+/**
+ * 追加一条审计事件。审计日志只追加、不修改。
+ * @param {object} event 事件内容。
+ * @param {string} event.action 操作名称：review（审核流程）、dedup_check（重复提交检查）、
+ *   unsupported_repository（不受支持仓库的警告）或维护者命令名。
+ * @param {string|null} [event.actor] 触发操作的 GitHub 用户。
+ * @param {string|null} [event.repositoryFullName] Issue 所在仓库的完整名称（owner/repo）。
+ * @param {number|null} [event.issueNumber] Issue Number。
+ * @param {string|null} [event.repoKey] 插件仓库标识（owner/repo）。
+ * @param {string|null} [event.model] 审核使用的模型，多个模型以逗号分隔。
+ * @param {number|null} [event.tokensUsed] 审核消耗的 Token 数。
+ * @param {string} event.outcome 操作结果，例如 success、failed、denied。
+ * @param {object} [event.details] 与操作相关的其他信息。
+ * @returns {object} 写入的事件记录。
+ */
+export function recordAuditEvent({
+  action,
+  actor = null,
+  repositoryFullName = null,
+  issueNumber = null,
+  repoKey = null,
+  model = null,
+  tokensUsed = null,
+  outcome,
+  details = {},
+}) {
+  initializeAuditLogDb();
+
+  const record = {
+    id: createEventId(),
+    timestamp: new Date().toISOString(),
+    action,
+    actor,
+    repositoryFullName,
+    issueNumber,
+    repoKey,
+    model,
+    tokensUsed,
+    outcome,
+    details,
+  };
+  auditLogDb.putSync(record.id, record);
+  return record;
+}
+
+/**
+ * 为事件上下文中的 Issue 追加一条审计事件。Issue 所在仓库、Issue Number 与插件仓库标识从上下文中获取，
+ * actor 默认为触发事件的用户。写入失败时只记录日志，不影响正在进行的操作。
+ * @param {import('probot').Context} context 事件上下文。
+ * @param {object} event 事件内容，字段同 recordAuditEvent，可覆盖 actor 与 repoKey。
+ * @returns {object|null} 写入的事件记录，写入失败时返回 null。
+ */
+export function recordIssueAuditEvent(context, event) {
+  const { issue, repository, sender } = context.payload;
+  try {
+    return recordAuditEvent({
+      actor: sender?.login ?? null,
+      repositoryFullName: repository?.full_name ?? null,
+      issueNumber: issue?.number ?? null,
+      repoKey: getPluginRepoKeyFromIssue(issue),
+      ...event,
+    });
+  } catch (error) {
+    context.log.error({ err: error, action: event.action }, "Failed to write audit event");
+    return null;
+  }
+}
+
+/**
+ * 按条件查询审计事件，结果按时间先后排序。
+ * @param {object} [filters] 查询条件，均为可选。
+ * @param {string} [filters.repoKey] 插件仓库标识（owner/repo），不区分大小写。
+ * @param {number} [filters.issueNumber] Issue Number。
+ * @param {string} [filters.action] 操作名称。
+ * @param {Date|string|number} [filters.since] 起始时间（包含）。
+ * @param {Date|string|number} [filters.until] 结束时间（包含）。
+ * @param {number} [filters.limit] 最多返回的事件数，超出时保留最近的事件。
+ * @returns {Array<object>} 事件记录。
+ */
+export function queryAuditEvents({ repoKey, issueNumber, action, since, until, limit } = {}) {
+  initializeAuditLogDb();
+
+  const range = {};
+  if (since) range.start = formatEventTime(new Date(since).getTime());
+  if (until) range.end = formatEventTime(new Date(until).getTime() + 1);
+
+  const normalizedRepoKey = repoKey?.toLowerCase();
+  const events = [];
+  for (const { value } of auditLogDb.getRange(range)) {
+    if (normalizedRepoKey && value.repoKey?.toLowerCase() !== normalizedRepoKey) continue;
+    if (issueNumber && value.issueNumber !== issueNumber) continue;
+    if (action && value.action !== action) continue;
+    events.push(value);
+  }
+
+  return limit > 0 ? events.slice(-limit) : events;
+}
+
+/**
+ * 生成按写入时间排序的事件 ID。
+ * @returns {string} 事件 ID。
+ */
+function createEventId() {
+  eventSequence = (eventSequence + 1) % 1000000;
+  return `${formatEventTime(Date.now())}-${String(eventSequence).padStart(6, "0")}`;
+}
+
+function formatEventTime(timestamp) {
+  return String(timestamp).padStart(15, "0");
+}
+
+/**
+ * 注册进程退出时关闭数据库的钩子。
+ * 确保钩子只注册一次。
+ */
+function registerDbCloseHook() {
+  if (hasRegisteredCloseHook) {
+    return;
+  }
+  hasRegisteredCloseHook = true;
+
+  process.once("beforeExit", () => {
+    void closeAuditLogDb();
+  });
+}
+
+/**
+ * 关闭审计日志数据库连接。
+ * @returns {Promise<void>}
+ */
+async function closeAuditLogDb() {
+  if (!auditLogDb) {
+    return;
+  }
+
+  const db = auditLogDb;
+  auditLogDb = null;
+
+  try {
+    await db.close();
+    console.debug("Audit log DB closed");
+  } catch (error) {
+    console.error("Failed to close audit log DB:", error);
+  }
+}
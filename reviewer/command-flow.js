@@ -0,0 +1,340 @@
+import { recordIssueAuditEvent } from "./audit-log.js";
+import { postOrUpdateComment } from "./comments.js";
+import { formatCommandUsage, REVIEW_COMMANDS } from "./commands.js";
+import { MAINTAINER_PERMISSIONS } from "./constants.js";
+import { formatFindingLine, getFindingId } from "./findings.js";
+import { FRAMEWORK_RULES } from "./framework-rules.js";
+import { markIssueAsDuplicate, unlinkIssueForRepo } from "./issue-dedup.js";
+import {
+  getMaxReviewTriggersPerRepo,
+  getPluginRepoKeyFromIssue,
+  getReviewTriggerQuotaForIssue,
+  setReviewTriggersRemainingForRepo,
+} from "./quota.js";
+import {
+  buildIssueKey,
+  clearReviewSkip,
+  getPreviousReview,
+  markReviewSkipped,
+} from "./review-history.js";
+
+/**
+ * 处理评论中的命令。命令被识别后先在评论上添加表情回应（命令无效时为 confused，否则为 eyes），再执行命令并回复。
+ * 维护者命令会先通过协作者权限接口确认评论者的权限，无论执行与否都会写入审计日志。
+ * @param {import('probot').Context} context issue_comment 事件上下文。
+ * @param {ReturnType<typeof import('./commands.js').parseCommand>} command parseCommand 解析出的命令。
+ * @param {object} options 处理选项。
+ * @param {typeof import('./repo-config.js').DEFAULT_REPO_CONFIG} options.repoConfig 仓库配置。
+ * @param {ReturnType<typeof import('./review-queue.js').createReviewQueue>} options.reviewQueue 审核任务队列。
+ * @param {(context: object, options: {ref: string|null, files: string[]|null, force?: boolean}) => Promise<void>} options.enqueueReview 将审核请求加入队列。
+ */
+export async function handleCommand(context, command, { repoConfig, reviewQueue, enqueueReview }) {
+  const { issue, comment, repository } = context.payload;
+  const usage = formatCommandUsage(repoConfig.commandMention);
+
+  await acknowledgeCommand(context, comment.id, command.error ? "confused" : "eyes");
+  context.log.info({ issueNumber: issue.number, commentId: comment.id, command: command.name, error: command.error }, "Comment command received");
+
+  if (command.error) {
+    await replyToCommand(context, "command_error", { error: command.error, usage });
+    return;
+  }
+
+  const issueKey = buildIssueKey(repository?.full_name, issue.number);
+  if (REVIEW_COMMANDS.find((c) => c.name === command.name)?.maintainerOnly) {
+    await handleMaintainerCommand(context, command, { reviewQueue, enqueueReview, issueKey, usage });
+    return;
+  }
+
+  switch (command.name) {
+    case "help":
+      await replyToCommand(context, "command_help", { usage });
+      return;
+    case "status":
+      await replyToCommand(context, "command_status", {
+        status: reviewQueue.getStatus(issueKey),
+        lastReview: summarizeLastReview(loadLastReview(context, issueKey)),
+      });
+      return;
+    case "quota":
+      await replyToCommand(context, "command_quota", {
+        quota: getReviewTriggerQuotaForIssue(issue, {
+          installationId: context.payload.installation?.id ?? null,
+        }),
+      });
+      return;
+    case "review":
+      await enqueueReview(context, { ref: command.ref, files: command.files });
+      return;
+    case "explain":
+      await explainFinding(context, command.findingId, issueKey, usage);
+      return;
+    case "cancel":
+      await cancelReview(context, reviewQueue, issueKey, { usage, commandMention: repoConfig.commandMention });
+      return;
+    default:
+      context.log.error({ command: command.name }, "Unhandled comment command");
+  }
+}
+
+/**
+ * 确认评论者的维护者权限后执行维护者命令，回复执行结果并写入审计日志。
+ * @param {import('probot').Context} context 事件上下文。
+ * @param {object} command parseCommand 解析出的维护者命令。
+ * @param {object} options 处理选项。
+ * @param {ReturnType<typeof import('./review-queue.js').createReviewQueue>} options.reviewQueue 审核任务队列。
+ * @param {Function} options.enqueueReview 将审核请求加入队列。
+ * @param {string|null} options.issueKey Issue 的键。
+ * @param {string} options.usage 命令用法列表。
+ */
+async function handleMaintainerCommand(context, command, { reviewQueue, enqueueReview, issueKey, usage }) {
+  const { issue, comment } = context.payload;
+  const actor = comment.user?.login || null;
+  const audit = (outcome, details = {}) =>
+    recordIssueAuditEvent(context, { action: command.name, actor, outcome, details });
+
+  const permission = await getCommenterPermission(context, actor);
+  if (!MAINTAINER_PERMISSIONS.includes(permission)) {
+    context.log.warn({ issueNumber: issue.number, actor, permission, command: command.name }, "Maintainer command denied");
+    audit("denied", { permission });
+    await replyToCommand(context, "command_denied", { command: command.name });
+    return;
+  }
+
+  let result;
+  try {
+    result = await runMaintainerCommand(context, command, { reviewQueue, enqueueReview, issueKey, actor });
+  } catch (error) {
+    audit("failed", { error: error.message });
+    throw error;
+  }
+
+  context.log.info({ issueNumber: issue.number, actor, command: command.name, success: result.success }, "Maintainer command handled");
+  audit(result.success ? "success" : "failed", result.success ? result.details : { error: result.error });
+  if (!result.success) {
+    await replyToCommand(context, "command_error", {
+      error: result.error,
+      usage,
+    });
+  } else if (result.message) {
+    await replyToCommand(context, "maintainer_action", { message: result.message, actor });
+  }
+}
+
+/**
+ * 执行维护者命令。
+ * @param {import('probot').Context} context 事件上下文。
+ * @param {object} command 维护者命令。
+ * @param {object} options 处理选项，见 handleMaintainerCommand。
+ * @returns {Promise<{success: boolean, error?: string, message?: string, details?: object}>}
+ *   执行结果；message 为回复给维护者的说明，操作本身已在 Issue 中留下评论时为空；details 写入审计日志。
+ */
+async function runMaintainerCommand(context, command, { reviewQueue, enqueueReview, issueKey, actor }) {
+  const { issue } = context.payload;
+  const repoKey = getPluginRepoKeyFromIssue(issue);
+  const missingRepoKey = {
+    success: false,
+    error: "无法从 Issue 中解析插件仓库地址，无法执行该命令。",
+  };
+
+  switch (command.name) {
+    case "reset-quota":
+    case "set-quota": {
+      if (!repoKey) return missingRepoKey;
+
+      const max = getMaxReviewTriggersPerRepo();
+      const remaining = command.name === "reset-quota" ? max : command.remaining;
+      if (remaining > max) {
+        return { success: false, error: `剩余次数不能超过每个仓库的上限 ${max} 次。` };
+      }
+      const previous = getReviewTriggerQuotaForIssue(issue);
+      const quota = setReviewTriggersRemainingForRepo(repoKey, remaining);
+      return {
+        success: true,
+        message: `已将插件仓库 \`${repoKey}\` 的剩余审核触发次数设置为 **${quota.remaining}** / ${quota.max} 次。`,
+        details: { repoKey, previousRemaining: previous?.remaining ?? null, remaining: quota.remaining },
+      };
+    }
+    case "force-review": {
+      const skipCleared = clearReviewSkip(issueKey);
+      await enqueueReview(context, { ref: command.ref, files: command.files, force: true });
+      return { success: true, details: { repoKey, ref: command.ref, files: command.files, skipCleared } };
+    }
+    case "skip-review": {
+      const { running, queuedJob } = reviewQueue.cancel(issueKey);
+      markReviewSkipped(issueKey, { actor });
+      await postOrUpdateComment(
+        context,
+        "review_skipped",
+        { actor },
+        Boolean(queuedJob?.commentId),
+        queuedJob?.commentId ?? null
+      );
+      return { success: true, details: { repoKey, cancelledRunning: running, cancelledQueued: Boolean(queuedJob) } };
+    }
+    case "mark-duplicate": {
+      const result = await markIssueAsDuplicate(context, command.issueNumber);
+      if (!result.success) return result;
+      reviewQueue.cancel(issueKey);
+      return { success: true, details: { repoKey, duplicateOf: command.issueNumber } };
+    }
+    case "unlink-dedup": {
+      if (!repoKey) return missingRepoKey;
+
+      const unlinkedIssue = unlinkIssueForRepo(repoKey);
+      return {
+        success: true,
+        message: unlinkedIssue
+          ? `已解除插件仓库 \`${repoKey}\` 与 #${unlinkedIssue} 的去重关联。`
+          : `插件仓库 \`${repoKey}\` 当前没有去重关联，无需解除。`,
+        details: { repoKey, unlinkedIssue },
+      };
+    }
+    default:
+      throw new Error(`Unhandled maintainer command ${command.name}`);
+  }
+}
+
+/**
+ * 通过协作者权限接口查询评论者在 Issue 所在仓库的权限。
+ * 评论者不是协作者或查询失败时视为没有权限。
+ * @param {import('probot').Context} context 事件上下文。
+ * @param {string|null} username 评论者的用户名。
+ * @returns {Promise<string>} 权限名称（admin、maintain、write、read 或 none）。
+ */
+async function getCommenterPermission(context, username) {
+  if (!username) return "none";
+
+  try {
+    const { data } = await context.octokit.repos.getCollaboratorPermissionLevel(
+      context.repo({ username })
+    );
+    // permission 只会是 admin、write、read 或 none；组织自定义角色的 role_name 是角色本身的名称，
+    // 不能据此判断权限，只用它区分出 permission 同样为 write 的 maintain
+    return data.role_name === "maintain" ? "maintain" : data.permission || "none";
+  } catch (error) {
+    if (error?.status !== 404) {
+      context.log.error({ err: error, username }, "Failed to check collaborator permission");
+    }
+    return "none";
+  }
+}
+
+/**
+ * 在触发命令的评论上添加表情回应，表示机器人已收到命令。失败时只记录日志。
+ * @param {import('probot').Context} context 事件上下文。
+ * @param {number} commentId 评论 ID。
+ * @param {string} content 表情类型。
+ */
+async function acknowledgeCommand(context, commentId, content) {
+  try {
+    await context.octokit.reactions.createForIssueComment(
+      context.repo({ comment_id: commentId, content })
+    );
+  } catch (error) {
+    context.log.warn({ err: error, commentId }, "Failed to add reaction to command comment");
+  }
+}
+
+/**
+ * 以新评论回复命令。
+ * @param {import('probot').Context} context 事件上下文。
+ * @param {string} type 评论类型。
+ * @param {object} data 评论模板所需的数据。
+ * @returns {Promise<number|null>} 评论 ID。
+ */
+function replyToCommand(context, type, data) {
+  return postOrUpdateComment(context, type, data, false, null);
+}
+
+/**
+ * 回复上次审核中指定编号问题的详细说明。
+ * @param {import('probot').Context} context 事件上下文。
+ * @param {string} findingId 问题编号。
+ * @param {string|null} issueKey 审核历史的键。
+ * @param {string} usage 命令用法列表。
+ */
+async function explainFinding(context, findingId, issueKey, usage) {
+  const lastReview = loadLastReview(context, issueKey);
+  const finding = lastReview?.findings.find((f) => getFindingId(f) === findingId);
+  if (!finding) {
+    await replyToCommand(context, "command_error", {
+      error: `上次审核的结果中没有编号为 \`${findingId}\` 的问题。问题编号可能因重新审核而变化，请以最新的审核报告为准。`,
+      usage,
+    });
+    return;
+  }
+
+  const [owner, repo] = lastReview.repoKey.split("/");
+  const rule = FRAMEWORK_RULES.find((r) => r.id === finding.ruleId);
+  const lines = [
+    formatFindingLine(finding, { owner, repo, commitSha: lastReview.commitSha }),
+    "",
+    `**来源**：${finding.ruleId ? `静态检查（规则 \`${finding.ruleId}\`）` : "AI 审核"}`,
+  ];
+  if (rule) {
+    lines.push(`**规则说明**：${rule.description}`);
+  }
+  if (!finding.ruleId) {
+    lines.push("", "*该问题由 AI 给出，可能存在误报，请结合代码自行判断。*");
+  }
+  lines.push("", `*该问题来自提交 \`${lastReview.commitSha.slice(0, 7)}\` 的审核结果。*`);
+
+  await replyToCommand(context, "finding_explanation", {
+    findingId,
+    explanation: lines.join("\n"),
+  });
+}
+
+/**
+ * 取消当前 Issue 排队中的审核并中止正在进行的审核。
+ * 排队中的审核在其排队评论中说明已取消；正在进行的审核会在结束时自行更新进度评论。
+ * @param {import('probot').Context} context 事件上下文。
+ * @param {ReturnType<typeof import('./review-queue.js').createReviewQueue>} reviewQueue 审核任务队列。
+ * @param {string|null} issueKey Issue 的键。
+ * @param {{usage: string, commandMention: string}} options usage 为命令用法列表，commandMention 为仓库配置中的命令前缀。
+ */
+async function cancelReview(context, reviewQueue, issueKey, { usage, commandMention }) {
+  const { running, queuedJob } = reviewQueue.cancel(issueKey);
+
+  if (queuedJob) {
+    await postOrUpdateComment(
+      context,
+      "review_cancelled",
+      { commandMention },
+      Boolean(queuedJob.commentId),
+      queuedJob.commentId
+    );
+  }
+  if (!running && !queuedJob) {
+    await replyToCommand(context, "command_error", {
+      error: "当前没有排队中或正在进行的审核，无需取消。",
+      usage,
+    });
+  }
+}
+
+/**
+ * 读取 Issue 上一次成功审核的记录。读取失败时视为没有记录。
+ * @param {import('probot').Context} context 事件上下文。
+ * @param {string|null} issueKey 审核历史的键。
+ * @returns {object|null} 审核记录。
+ */
+function loadLastReview(context, issueKey) {
+  try {
+    return getPreviousReview(issueKey);
+  } catch (error) {
+    context.log.error({ err: error, issueKey }, "Failed to load review history");
+    return null;
+  }
+}
+
+function summarizeLastReview(record) {
+  if (!record) return null;
+  return {
+    repoKey: record.repoKey,
+    commitSha: record.commitSha,
+    reviewedAt: record.reviewedAt,
+    findingCount: record.findings.length,
+  };
+}
@@ -0,0 +1,252 @@
+import { REVIEW_COMMAND_MENTION } from "./constants.js";
+
+const MAX_REVIEW_FILE_ARGUMENTS = 20;
+const FINDING_ID_PATTERN = /^#?([0-9a-f]{6})$/i;
+const ISSUE_NUMBER_PATTERN = /^#?(\d+)$/;
+const LEGACY_ARGUMENT_PATTERN = /^(\w+)=(.+)$/;
+
+/**
+ * 评论命令列表。name 为命令名，aliases 为别名（与命令名一样不区分大小写），usage 与 description 用于帮助信息。
+ * maintainerOnly 为 true 的命令只有对 Issue 所在仓库拥有写入及以上权限的维护者才能执行。
+ */
+export const REVIEW_COMMANDS = [
+  {
+    name: "help",
+    aliases: ["h", "?", "帮助"],
+    usage: "help",
+    description: "显示可用的命令",
+  },
+  {
+    name: "status",
+    aliases: ["st", "状态"],
+    usage: "status",
+    description: "查看当前 Issue 的审核状态与上次审核结果",
+  },
+  {
+    name: "quota",
+    aliases: ["limit", "配额"],
+    usage: "quota",
+    description: "查看插件仓库剩余的审核触发次数",
+  },
+  {
+    name: "review",
+    aliases: ["rereview", "re-review", "审核"],
+    usage: "review [--files 路径...] [--ref 分支/标签/提交SHA]",
+    description: "重新审核插件；--files 只审核指定的文件或目录，--ref 审核指定的版本",
+  },
+  {
+    name: "explain",
+    aliases: ["why", "解释"],
+    usage: "explain <问题编号>",
+    description: "查看上次审核报告中某个问题的详细说明，问题编号为报告中每个问题前的 6 位编号",
+  },
+  {
+    name: "cancel",
+    aliases: ["stop", "取消"],
+    usage: "cancel",
+    description: "取消当前 Issue 排队中或正在进行的审核",
+  },
+  {
+    name: "reset-quota",
+    aliases: ["重置配额"],
+    usage: "reset-quota",
+    description: "恢复插件仓库的全部审核触发次数",
+    maintainerOnly: true,
+  },
+  {
+    name: "set-quota",
+    aliases: ["设置配额"],
+    usage: "set-quota <剩余次数>",
+    description: "将插件仓库的剩余审核触发次数设置为指定值",
+    maintainerOnly: true,
+  },
+  {
+    name: "force-review",
+    aliases: ["强制审核"],
+    usage: "force-review [--files 路径...] [--ref 分支/标签/提交SHA]",
+    description: "不受配额限制地审核插件，且不消耗配额；同时解除 skip-review",
+    maintainerOnly: true,
+  },
+  {
+    name: "skip-review",
+    aliases: ["跳过审核"],
+    usage: "skip-review",
+    description: "取消当前审核，并在执行 force-review 之前不再自动审核该 Issue",
+    maintainerOnly: true,
+  },
+  {
+    name: "mark-duplicate",
+    aliases: ["duplicate", "重复"],
+    usage: "mark-duplicate #<Issue编号>",
+    description: "将当前 Issue 作为指定 Issue 的重复关闭，插件仓库改为关联到指定 Issue",
+    maintainerOnly: true,
+  },
+  {
+    name: "unlink-dedup",
+    aliases: ["解除去重"],
+    usage: "unlink-dedup",
+    description: "解除插件仓库与 Issue 的去重关联，使该插件可以重新提交",
+    maintainerOnly: true,
+  },
+];
+
+/**
+ * 解析评论中的命令。命令必须位于某一行的开头，格式为 `<mention> <命令> [参数...]`，
+ * 例如 `@astrpluginreviewer review --files main.py --ref v1.2.0`。引用的内容（以 > 开头的行）会被忽略。
+ * @param {string} body 评论内容。
+ * @param {{mention?: string}} [options] mention 为命令前缀（仓库配置中的 command_mention），默认使用 REVIEW_COMMAND_MENTION。
+ * @returns {{name: string, ref?: string|null, files?: string[]|null, findingId?: string, remaining?: number, issueNumber?: number}|{name: string|null, error: string}|null}
+ *   解析出的命令；命令或参数无效时返回带 error 的对象；评论中不包含命令时返回 null。
+ */
+export function parseCommand(body, { mention = REVIEW_COMMAND_MENTION } = {}) {
+  const escapedMention = mention.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const pattern = new RegExp(`^[ \\t]*${escapedMention}(?=\\s|$)([^\\n]*)`, "im");
+  const match = (body || "").match(pattern);
+  if (!match) return null;
+
+  const [word, ...args] = tokenize(match[1]);
+  if (!word) {
+    return { name: null, error: "缺少命令。" };
+  }
+
+  const command = findCommand(word);
+  if (!command) {
+    return { name: null, error: `未知命令 \`${word}\`。` };
+  }
+
+  if (command.name === "review" || command.name === "force-review") {
+    return parseReviewArguments(command.name, args);
+  }
+  if (command.name === "explain") return parseExplainArguments(args);
+  if (command.name === "set-quota") return parseSetQuotaArguments(args);
+  if (command.name === "mark-duplicate") return parseMarkDuplicateArguments(args);
+  if (args.length > 0) {
+    return { name: command.name, error: `命令 \`${command.name}\` 不接受参数。` };
+  }
+  return { name: command.name };
+}
+
+/**
+ * 生成命令用法列表，用于帮助信息与命令错误回复。
+ * @param {string} [mention] 命令前缀。
+ * @returns {string} Markdown 列表。
+ */
+export function formatCommandUsage(mention = REVIEW_COMMAND_MENTION) {
+  return REVIEW_COMMANDS.map(
+    (command) =>
+      `- \`${mention} ${command.usage}\`：${command.description}（${
+        command.maintainerOnly ? "仅限维护者；" : ""
+      }别名：${command.aliases.map((alias) => `\`${alias}\``).join("、")}）`
+  ).join("\n");
+}
+
+function findCommand(word) {
+  const name = word.toLowerCase();
+  return REVIEW_COMMANDS.find(
+    (command) => command.name === name || command.aliases.includes(name)
+  );
+}
+
+function parseReviewArguments(name, args) {
+  const command = { name, ref: null, files: null };
+  const invalid = (error) => ({ name, error });
+
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+    const option = arg.toLowerCase();
+
+    if (option === "--ref") {
+      const value = args[index + 1];
+      if (!value || value.startsWith("--")) return invalid("`--ref` 需要指定分支、标签或提交SHA。");
+      if (command.ref) return invalid("`--ref` 只能指定一次。");
+      command.ref = value;
+      index += 1;
+      continue;
+    }
+
+    if (option === "--files") {
+      const paths = [];
+      while (index + 1 < args.length && !args[index + 1].startsWith("--")) {
+        paths.push(args[index + 1]);
+        index += 1;
+      }
+      if (paths.length === 0) return invalid("`--files` 需要至少指定一个文件或目录。");
+
+      const invalidPath = paths.find((filePath) => !isValidReviewPath(filePath));
+      if (invalidPath) return invalid(`\`${invalidPath}\` 不是有效的仓库内相对路径。`);
+      command.files = [...new Set([...(command.files || []), ...paths.map(normalizeReviewPath)])];
+      if (command.files.length > MAX_REVIEW_FILE_ARGUMENTS) {
+        return invalid(`\`--files\` 最多指定 ${MAX_REVIEW_FILE_ARGUMENTS} 个路径。`);
+      }
+      continue;
+    }
+
+    const legacy = arg.match(LEGACY_ARGUMENT_PATTERN);
+    if (legacy && legacy[1].toLowerCase() === "ref" && !command.ref) {
+      command.ref = legacy[2].replace(/^[`"']+/, "");
+      continue;
+    }
+
+    return invalid(`无法识别的参数 \`${arg}\`。`);
+  }
+
+  return command;
+}
+
+function parseExplainArguments(args) {
+  if (args.length !== 1) {
+    return { name: "explain", error: "`explain` 需要指定一个问题编号。" };
+  }
+
+  const match = args[0].match(FINDING_ID_PATTERN);
+  if (!match) {
+    return { name: "explain", error: `\`${args[0]}\` 不是有效的问题编号，问题编号为 6 位十六进制字符。` };
+  }
+  return { name: "explain", findingId: match[1].toLowerCase() };
+}
+
+function parseSetQuotaArguments(args) {
+  if (args.length !== 1) {
+    return { name: "set-quota", error: "`set-quota` 需要指定一个剩余次数。" };
+  }
+  if (!/^\d+$/.test(args[0])) {
+    return { name: "set-quota", error: `\`${args[0]}\` 不是有效的次数，次数应为非负整数。` };
+  }
+  return { name: "set-quota", remaining: Number.parseInt(args[0], 10) };
+}
+
+function parseMarkDuplicateArguments(args) {
+  if (args.length !== 1) {
+    return { name: "mark-duplicate", error: "`mark-duplicate` 需要指定一个 Issue 编号。" };
+  }
+
+  const match = args[0].match(ISSUE_NUMBER_PATTERN);
+  const issueNumber = match ? Number.parseInt(match[1], 10) : 0;
+  if (!issueNumber) {
+    return { name: "mark-duplicate", error: `\`${args[0]}\` 不是有效的 Issue 编号。` };
+  }
+  return { name: "mark-duplicate", issueNumber };
+}
+
+function tokenize(text) {
+  return text
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((token) => token.replace(/^[`"']+|[`"']+$/g, ""))
+    .filter(Boolean);
+}
+
+function isValidReviewPath(filePath) {
+  const normalized = normalizeReviewPath(filePath);
+  return (
+    normalized.length > 0 &&
+    !filePath.startsWith("/") &&
+    !normalized.split("/").includes("..") &&
+    !/[\\*?]/.test(normalized)
+  );
+}
+
+function normalizeReviewPath(filePath) {
+  return filePath.replace(/^\.\//, "").replace(/\/+$/, "");
+}
@@ -1,3 +1,5 @@
+import { REVIEW_COMMAND_MENTION } from "./constants.js";
+
 /**
  * 查找机器人发布的最后一条与审核相关的评论。
  * @param {import('probot').Context} context 事件上下文。
@@ -27,7 +29,7 @@ export async function findLastReviewComment(context) {
  * 在Issue上发布或更新评论，并处理Issue正文的更新。
  * @param {import('probot').Context} context 事件上下文。
  * @param {string} type 要发布的评论类型。
- * @param {object} data 评论模板所需的数据。
+ * @param {object} data 评论模板所需的数据；commandMention 为仓库配置中的命令前缀，页脚提示重新审核的命令时使用。
  * @param {boolean} isUpdate 是否要更新一个已有的评论。
  * @param {number|null} commentId 要更新的评论的 ID。
  * @returns {Promise<number|null>} 发布/更新后的评论ID。
@@ -39,10 +41,20 @@ export async function postOrUpdateComment(
   isUpdate,
   commentId,
 ) {
+  const reviewCommand = `${data.commandMention || REVIEW_COMMAND_MENTION} review`;
   const templates = {
     review_started: {
       title: "## ⏳ 正在审核中...",
-      body: "机器人正在努力审核您的插件代码，这可能需要几分钟时间。请稍候...",
+      body: `机器人正在努力审核您的插件代码，这可能需要几分钟时间。请稍候...${formatReviewProgress(
+        data.progress
+      )}`,
+      footer: "*此消息由系统自动生成*",
+    },
+    review_queued: {
+      title: "## ⏳ 正在审核中...",
+      body: `您的审核请求已进入审核队列，排在第 ${
+        data.position ?? "?"
+      } 位。前面的审核完成后将自动开始，期间重复触发的审核请求会被合并为一次。`,
       footer: "*此消息由系统自动生成*",
     },
     format_error: {
@@ -63,27 +75,96 @@ export async function postOrUpdateComment(
       footer:
         '*请根据上述问题进行修改。修改完成后，请在 **Issue 正文** 中勾选"重新提交审核"复选框以再次触发审核。*\n\n*此消息由系统自动生成*',
     },
+    review_service_unavailable: {
+      title: data.transient
+        ? "## ⏳ AI审核服务暂时不可用"
+        : "## ❌ AI审核服务调用失败",
+      body: `您好！本次审核因AI审核服务出现问题而未能完成，**这不是您插件的问题**，本次不计入仓库的审核触发次数。\n\n\`\`\`\n${
+        data.error || "未知错误"
+      }\n\`\`\``,
+      footer: `${
+        data.transient
+          ? "*请稍后"
+          : "*维护者会尽快排查该问题，之后请"
+      }评论 \`${reviewCommand}\`，或在 **Issue 正文** 中勾选"重新提交审核"复选框以再次触发审核，无需修改插件。*\n\n*此消息由系统自动生成*`,
+    },
     review_success: {
       title: `## 🤖 AI代码审核报告 for ${
         data.pluginData?.name || "Unknown Plugin"
       }`,
-      body: `您好！我已经对你提交的插件代码进行了初步自动化审核，作为初步参考:\n\n${
-        data.review || "无审核内容"
-      }`,
-      footer:
-        "*此报告由AI自动生成，旨在提供初步反馈和改进建议，不能完全替代人工审核。最终决策以社区维护者的人工审核为准。目前自动审核（[仓库地址](https://github.com/AstrBotDevs/astr-plugin-reviewer)）处于试验阶段，如遇问题请向维护者反馈。评论 `@astrpluginreviewer review` 来重新触发 review，**请不要重复提交插件发布 issue**。*",
+      body: `您好！我已经对你提交的插件代码进行了初步自动化审核，作为初步参考:\n\n${formatReviewedCommit(
+        data.reviewedCommit
+      )}${data.review || "无审核内容"}`,
+      footer: `*此报告由AI自动生成，旨在提供初步反馈和改进建议，不能完全替代人工审核。最终决策以社区维护者的人工审核为准。目前自动审核（[仓库地址](https://github.com/AstrBotDevs/astr-plugin-reviewer)）处于试验阶段，如遇问题请向维护者反馈。评论 \`${reviewCommand}\` 来重新触发 review，**请不要重复提交插件发布 issue**。*`,
     },
     review_limit_reached: {
-      title: "## ⚠️ 仓库触发次数已达上限",
-      body: `当前仓库 \`${data.quotaInfo?.repoKey || "未知仓库"}\` 的审核触发次数已达到上限（${
-        data.quotaInfo?.max ?? "未知"
-      } 次），本次请求已拒绝。`,
-      footer:
-        "*如需继续自动审核，请联系维护者调整上限配置。*\n\n*此消息由系统自动生成*",
+      title: formatQuotaLimitTitle(data.quotaInfo),
+      body: `${formatQuotaLimitSubject(data.quotaInfo)}的审核触发次数已达到上限（${
+        getExceededQuota(data.quotaInfo)?.max ?? "未知"
+      } 次），本次请求已拒绝。${formatNextAvailableAt(getExceededQuota(data.quotaInfo)?.nextAvailableAt)}`,
+      footer: getExceededQuota(data.quotaInfo)?.nextAvailableAt
+        ? `*届时可评论 \`${reviewCommand}\` 或重新勾选"重新提交审核"复选框再次触发审核；如需提前审核，请联系维护者。*\n\n*此消息由系统自动生成*`
+        : "*如需继续自动审核，请联系维护者调整上限配置。*\n\n*此消息由系统自动生成*",
+    },
+    review_deferred: {
+      title: "## ⏳ 审核已延后",
+      body: `今日的 AI 审核 Token 预算已用尽（已使用 ${data.tokenBudget?.used ?? "?"} / ${
+        data.tokenBudget?.budget ?? "?"
+      } Token），本次审核已保留在队列中，将在 **${formatUtcTime(data.tokenBudget?.resetsAt) || "预算重置"}** 后自动开始。\n\n**这不是您插件的问题**，延后期间不计入仓库的审核触发次数。`,
+      footer: "*无需重复触发审核，审核开始后此评论会自动更新。*\n\n*此消息由系统自动生成*",
+    },
+    review_cancelled: {
+      title: "## ⚠️ 审核已取消",
+      body: "本次审核已根据评论命令取消，不计入仓库的审核触发次数。",
+      footer: `*如需重新审核，请评论 \`${reviewCommand}\`，或在 **Issue 正文** 中勾选"重新提交审核"复选框。*\n\n*此消息由系统自动生成*`,
+    },
+    command_help: {
+      title: "## 💬 可用命令",
+      body: `在评论中以命令前缀开头的一行输入命令，命令与别名不区分大小写：\n\n${data.usage || ""}`,
+      footer: "*此消息由系统自动生成*",
+    },
+    command_error: {
+      title: "## ❓ 无法执行命令",
+      body: `${data.error || "命令无效。"}\n\n可用的命令：\n\n${data.usage || ""}`,
+      footer: "*此消息由系统自动生成*",
+    },
+    command_status: {
+      title: "## 📊 审核状态",
+      body: formatReviewStatus(data.status, data.lastReview),
+      footer: "*此消息由系统自动生成*",
+    },
+    command_quota: {
+      title: "## 📊 审核配额",
+      body: data.quota
+        ? `插件仓库 \`${data.quota.repoKey}\` ${formatQuotaWindow(data.quota.window)}已使用 **${data.quota.used}** / ${data.quota.max} 次审核，剩余 **${data.quota.remaining}** 次。${formatNextAvailableAt(data.quota.nextAvailableAt)}${formatAdditionalQuotas(data.quota)}`
+        : "无法从 Issue 中解析插件仓库地址，暂时无法查询审核配额。",
+      footer: "*只有成功完成的审核才会计入触发次数。*\n\n*此消息由系统自动生成*",
+    },
+    command_denied: {
+      title: "## 🚫 无权执行命令",
+      body: `命令 \`${data.command || "?"}\` 仅限对本仓库拥有写入及以上权限的维护者使用，本次请求已拒绝。`,
+      footer: "*此消息由系统自动生成*",
+    },
+    maintainer_action: {
+      title: "## 🛠️ 维护者操作",
+      body: `${data.message || ""}\n\n*操作人：@${data.actor || "未知用户"}*`,
+      footer: "*此操作已记录在审计日志中。*\n\n*此消息由系统自动生成*",
+    },
+    review_skipped: {
+      title: "## ⏭️ 已跳过 AI 审核",
+      body: `维护者${data.actor ? ` @${data.actor} ` : ""}已跳过本 Issue 的 AI 审核，后续不会再自动审核，请等待维护者人工审核。`,
+      footer: "*此消息由系统自动生成*",
+    },
+    finding_explanation: {
+      title: `## 🔍 问题说明 \`${data.findingId || "?"}\``,
+      body: data.explanation || "",
+      footer: "*此消息由系统自动生成*",
     },
     unsupported_repository: {
       title: "## ⚠️ 当前仓库不受支持",
-      body: `检测到本应用当前安装在 \`${data.repositoryFullName || "未知仓库"}\`。\n\n请尽快卸载此 GitHub App，避免继续触发无效审核。`,
+      body: `检测到本应用当前安装在 \`${data.repositoryFullName || "未知仓库"}\`。${formatAllowedRepositories(
+        data.allowedRepositories
+      )}\n\n请尽快卸载此 GitHub App，避免继续触发无效审核。`,
       footer: "*此消息由系统自动生成*",
     },
   };
@@ -161,7 +242,14 @@ async function updateIssueBodyForReviewOptions(context, reviewOutcome) {
     /\n*##\s*审核选项\s*(\n*-\s*\[[ xX]\]\s*重新提交审核\s*)?/g;
   const hasReReviewSection = reReviewSectionRegex.test(issueBody);
 
-  if (["format_error", "review_failure"].includes(reviewOutcome)) {
+  if (
+    [
+      "format_error",
+      "review_failure",
+      "review_service_unavailable",
+      "review_cancelled",
+    ].includes(reviewOutcome)
+  ) {
     if (!hasReReviewSection) {
       const newBody = `${issueBody.trim()}\n\n## 审核选项\n\n- [ ] 重新提交审核`;
       try {
@@ -173,7 +261,7 @@ async function updateIssueBodyForReviewOptions(context, reviewOutcome) {
         context.log.warn(error, "Failed to add re-review checkbox");
       }
     }
-  } else if (reviewOutcome === "review_success") {
+  } else if (["review_success", "review_skipped"].includes(reviewOutcome)) {
     if (hasReReviewSection) {
       const newBody = issueBody.replace(reReviewSectionRegex, "").trim();
       try {
@@ -188,6 +276,156 @@ async function updateIssueBodyForReviewOptions(context, reviewOutcome) {
   }
 }
 
+/**
+ * 生成审核报告开头的被审核提交说明。
+ * @param {{repoKey: string, commitSha?: string, ref?: string}|null|undefined} reviewedCommit 被审核的仓库与提交。
+ * @returns {string} Markdown 文本，缺少提交SHA时返回空字符串。
+ */
+function formatReviewedCommit(reviewedCommit) {
+  if (!reviewedCommit?.commitSha) return "";
+
+  const { repoKey, commitSha, ref } = reviewedCommit;
+  const refText = ref && ref !== commitSha ? `（\`${ref}\`）` : "";
+  return `> 本次审核的提交：[\`${commitSha.slice(0, 7)}\`](https://github.com/${repoKey}/tree/${commitSha})${refText}\n\n`;
+}
+
+/**
+ * 生成 status 命令回复中的审核状态说明。
+ * @param {{running: boolean, position: number|null}|null|undefined} status 当前 Issue 在审核队列中的状态。
+ * @param {{repoKey: string, commitSha: string, reviewedAt: string, findingCount: number}|null|undefined} lastReview 上次成功审核的记录。
+ * @returns {string} Markdown 文本。
+ */
+function formatReviewStatus(status, lastReview) {
+  const lines = [];
+  if (status?.running) lines.push("- 🔄 正在审核中");
+  if (status?.position) lines.push(`- ⏳ 有一次审核正在排队，排在第 ${status.position} 位`);
+  if (lines.length === 0) lines.push("- 当前没有排队中或正在进行的审核");
+
+  lines.push(
+    lastReview
+      ? `- 上次审核：提交 [\`${lastReview.commitSha.slice(0, 7)}\`](https://github.com/${lastReview.repoKey}/tree/${lastReview.commitSha})，完成于 ${lastReview.reviewedAt}，共记录 ${lastReview.findingCount} 个问题`
+      : "- 尚无成功完成的审核记录"
+  );
+  return lines.join("\n");
+}
+
+/**
+ * 描述允许使用本应用的仓库，即仓库配置中的 allowed_repositories。
+ * @param {string[]|null|undefined} allowedRepositories 允许的仓库，以 / 结尾的条目表示该前缀下的所有仓库。
+ * @returns {string} 说明文本，没有配置时返回空字符串。
+ */
+function formatAllowedRepositories(allowedRepositories) {
+  if (!allowedRepositories?.length) return "";
+  const entries = allowedRepositories.map((entry) =>
+    entry.endsWith("/") ? `\`${entry}\` 开头的仓库` : `\`${entry}\``
+  );
+  return `本应用仅支持在 ${entries.join("、")} 中使用。`;
+}
+
+/**
+ * 描述审核触发配额的统计窗口，用于拼接在“的审核触发次数”等文字之前。
+ * @param {{mode: string, days: number}|null|undefined} window 统计窗口。
+ * @returns {string} 窗口说明，累计计数或未知时返回空字符串。
+ */
+function formatQuotaWindow(window) {
+  if (!window?.days) return "";
+  if (window.mode === "calendar") {
+    if (window.days === 1) return "今天（UTC）";
+    if (window.days === 7) return "本周（UTC，周一起算）";
+    return `当前 ${window.days} 天周期（UTC）内`;
+  }
+  return `最近 ${window.days} 天内`;
+}
+
+/**
+ * 生成配额用尽时下一次可触发审核的时间说明。
+ * @param {string|null|undefined} nextAvailableAt ISO 8601 时间。
+ * @returns {string} Markdown 文本，没有时间时返回空字符串。
+ */
+function formatNextAvailableAt(nextAvailableAt) {
+  const time = formatUtcTime(nextAvailableAt);
+  return time ? `\n\n下一次可触发审核的时间：**${time}**` : "";
+}
+
+/**
+ * 将 ISO 8601 时间格式化为精确到分钟的 UTC 时间。
+ * @param {string|null|undefined} value ISO 8601 时间。
+ * @returns {string} 形如 "2026-10-26 08:30 UTC" 的文本，无效时返回空字符串。
+ */
+function formatUtcTime(value) {
+  if (!value) return "";
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) return "";
+  return `${time.toISOString().slice(0, 16).replace("T", " ")} UTC`;
+}
+
+/**
+ * 获取已用尽的配额维度的配额信息。
+ * @param {object|null|undefined} quotaInfo getReviewTriggerQuotaForIssue 返回的配额信息。
+ * @returns {object|null|undefined} 作者或安装的配额信息，插件仓库配额用尽或未指明时返回 quotaInfo 本身。
+ */
+function getExceededQuota(quotaInfo) {
+  if (quotaInfo?.exceeded === "author") return quotaInfo.author;
+  if (quotaInfo?.exceeded === "installation") return quotaInfo.installation;
+  return quotaInfo;
+}
+
+/**
+ * 根据已用尽的配额维度选择提示标题。
+ * @param {object|null|undefined} quotaInfo getReviewTriggerQuotaForIssue 返回的配额信息。
+ * @returns {string} Markdown 标题。
+ */
+function formatQuotaLimitTitle(quotaInfo) {
+  if (quotaInfo?.exceeded === "author") return "## ⚠️ 提交者触发次数已达上限";
+  if (quotaInfo?.exceeded === "installation") return "## ⚠️ 今日审核次数已达上限";
+  return "## ⚠️ 仓库触发次数已达上限";
+}
+
+/**
+ * 描述已用尽的配额属于谁，用于拼接在“的审核触发次数已达到上限”之前。
+ * @param {object|null|undefined} quotaInfo getReviewTriggerQuotaForIssue 返回的配额信息。
+ * @returns {string} 配额主体与统计窗口的说明。
+ */
+function formatQuotaLimitSubject(quotaInfo) {
+  const quota = getExceededQuota(quotaInfo);
+  if (quotaInfo?.exceeded === "author") {
+    return `提交者 @${quota?.login || "未知用户"} ${formatQuotaWindow(quota?.window)}`;
+  }
+  if (quotaInfo?.exceeded === "installation") {
+    return `本应用安装${formatQuotaWindow(quota?.window)}`;
+  }
+  return `当前仓库 \`${quotaInfo?.repoKey || "未知仓库"}\` ${formatQuotaWindow(quotaInfo?.window)}`;
+}
+
+/**
+ * 生成插件仓库以外的配额说明：Issue 作者、应用安装每日配额与全局每日 Token 预算，仅包含已启用的项。
+ * @param {object|null|undefined} quotaInfo getReviewTriggerQuotaForIssue 返回的配额信息。
+ * @returns {string[]} 每项一行的说明文本。
+ */
+function formatAdditionalQuotaLines(quotaInfo) {
+  const lines = [];
+  if (quotaInfo?.author) {
+    lines.push(`提交者 @${quotaInfo.author.login} 剩余触发次数：**${quotaInfo.author.remaining}**`);
+  }
+  if (quotaInfo?.installation) {
+    lines.push(`本应用安装今日剩余审核次数：**${quotaInfo.installation.remaining}**`);
+  }
+  if (quotaInfo?.tokenBudget) {
+    lines.push(`今日 AI Token 预算剩余：**${quotaInfo.tokenBudget.remaining}** / ${quotaInfo.tokenBudget.budget}`);
+  }
+  return lines;
+}
+
+/**
+ * 将额外的配额说明格式化为列表，用于配额查询回复。
+ * @param {object|null|undefined} quotaInfo getReviewTriggerQuotaForIssue 返回的配额信息。
+ * @returns {string} Markdown 列表，没有已启用的额外配额时返回空字符串。
+ */
+function formatAdditionalQuotas(quotaInfo) {
+  const lines = formatAdditionalQuotaLines(quotaInfo);
+  return lines.length > 0 ? `\n\n${lines.map((line) => `- ${line}`).join("\n")}` : "";
+}
+
 /**
  * 在评论页脚追加配额提示信息。
  * @param {string} footer 原始页脚文本。
@@ -199,5 +437,26 @@ function appendQuotaHintToFooter(footer, quotaInfo) {
     return footer;
   }
 
-  return `${footer}\n\n当前仓库：\`${quotaInfo.repoKey}\`\n剩余触发次数：**${quotaInfo.remaining}**`;
+  return [
+    `${footer}\n\n当前仓库：\`${quotaInfo.repoKey}\``,
+    `剩余触发次数：**${quotaInfo.remaining}**`,
+    ...formatAdditionalQuotaLines(quotaInfo),
+  ].join("\n");
+}
+
+/**
+ * 生成“正在审核中”评论中的阶段进度列表。
+ * @param {{steps: Array<{text: string, done: boolean}>, elapsedSeconds: number}|null|undefined} progress 审核进度。
+ * @returns {string} Markdown 文本，没有进度时返回空字符串。
+ */
+function formatReviewProgress(progress) {
+  if (!progress?.steps?.length) return "";
+
+  const lines = progress.steps.map(
+    (step) => `- ${step.done ? "✅" : "🔄"} ${step.text}`
+  );
+  const minutes = Math.floor(progress.elapsedSeconds / 60);
+  const seconds = progress.elapsedSeconds % 60;
+  const elapsed = minutes > 0 ? `${minutes} 分 ${seconds} 秒` : `${seconds} 秒`;
+  return `\n\n**审核进度**（已用时 ${elapsed}）\n\n${lines.join("\n")}`;
 }
@@ -0,0 +1,344 @@
+import { formatFindingLine, sortFindings } from "./findings.js";
+import { scanPythonLines } from "./python-source.js";
+
+/**
+ * 插件配置 Schema 文件的路径（仓库根目录）。
+ */
+export const CONF_SCHEMA_PATH = "_conf_schema.json";
+
+const FIELD_TYPES = ["string", "text", "int", "float", "bool", "object", "list"];
+const KNOWN_FIELD_KEYS = [
+  "description",
+  "type",
+  "hint",
+  "obvious_hint",
+  "default",
+  "items",
+  "options",
+  "labels",
+  "invisible",
+  "editor_mode",
+  "editor_language",
+  "editor_theme",
+  "slider",
+  "condition",
+  "collapsed",
+  "render_type",
+  "special",
+  "_special",
+  "template_schema",
+];
+const OPTION_TYPES = ["string", "text", "int", "float", "list"];
+
+const CONFIG_ACCESS_PATTERN = /\bself\.config((?:\s*\[\s*["'][^"'\]]+["']\s*\]|\s*\.get\(\s*["'][^"']+["'][^)]*\))+)/g;
+const CONFIG_KEY_PATTERN = /\[\s*["']([^"'\]]+)["']\s*\]|\.get\(\s*["']([^"']+)["']/g;
+const CONFIG_REASSIGN_PATTERN = /\bself\.config\s*=(?!=)\s*(?!config\b)\S/;
+
+/**
+ * 校验 _conf_schema.json 的结构，并核对代码中通过 self.config 读取的配置键是否均已声明。
+ * @param {string} source _conf_schema.json 的文本内容。
+ * @param {Array<{path: string, source: string}>} pythonFiles 插件的 Python 源码。
+ * @returns {{findings: Array<object>, fieldCount: number}} 发现的问题（附带 ruleId）与顶层配置项数量。
+ */
+export function validateConfSchema(source, pythonFiles) {
+  const lines = source.split(/\r?\n/);
+
+  let schema;
+  try {
+    schema = JSON.parse(source);
+  } catch (error) {
+    const position = Number(error.message.match(/position (\d+)/)?.[1]);
+    const lineNumber = Number.isInteger(position)
+      ? source.slice(0, position).split("\n").length
+      : null;
+    return {
+      findings: [
+        createFinding("invalid-json", CONF_SCHEMA_PATH, lineNumber, {
+          category: "correctness",
+          severity: "critical",
+          message: `_conf_schema.json 不是合法的 JSON：${error.message}。AstrBot 将无法加载插件配置。`,
+          suggestion: "使用 JSON 校验工具修正语法错误（注意不能包含注释和尾随逗号）。",
+        }),
+      ],
+      fieldCount: 0,
+    };
+  }
+
+  if (!isPlainObject(schema)) {
+    return {
+      findings: [
+        createFinding("invalid-root", CONF_SCHEMA_PATH, 1, {
+          category: "correctness",
+          severity: "critical",
+          message: "_conf_schema.json 的顶层必须是以配置项名称为键的对象。",
+          suggestion: '改为 {"配置项名": {"type": "string", "description": "..."}} 的形式。',
+        }),
+      ],
+      fieldCount: 0,
+    };
+  }
+
+  const findings = validateFields(schema, [], [], lines);
+  findings.push(...checkConfigAccess(schema, pythonFiles));
+  return { findings, fieldCount: Object.keys(schema).length };
+}
+
+/**
+ * 渲染“配置 Schema 检查”报告章节。
+ * @param {{findings: Array<object>, fieldCount: number}|null} result validateConfSchema 的结果；未提供 Schema 文件时为 null。
+ * @param {{owner: string, repo: string, commitSha: string}} linkOptions 生成行链接所需的仓库信息。
+ * @returns {string} Markdown 文本。
+ */
+export function renderConfSchemaSection(result, linkOptions) {
+  let section = "### ⚙️ 配置 Schema 检查\n\n";
+  if (!result) {
+    return `${section}仓库中未提供 \`_conf_schema.json\`，已跳过检查。\n`;
+  }
+  if (result.findings.length === 0) {
+    return `${section}✅ \`_conf_schema.json\` 结构有效，共定义 ${result.fieldCount} 个配置项，代码中读取的配置键均已声明。\n`;
+  }
+  return `${section}${sortFindings(result.findings)
+    .map((finding) => formatFindingLine(finding, linkOptions))
+    .join("\n")}\n`;
+}
+
+function validateFields(fields, jsonPath, namePath, lines) {
+  const findings = [];
+
+  for (const [key, field] of Object.entries(fields)) {
+    const keyPath = [...jsonPath, key];
+    const name = [...namePath, key].join(".");
+    const lineNumber = locateKeyLine(lines, keyPath);
+    const add = (ruleId, severity, category, message, suggestion) =>
+      findings.push(
+        createFinding(ruleId, CONF_SCHEMA_PATH, lineNumber, {
+          category,
+          severity,
+          message,
+          suggestion,
+        })
+      );
+
+    if (!isPlainObject(field)) {
+      add(
+        "invalid-field",
+        "high",
+        "correctness",
+        `配置项 ${name} 必须是对象。`,
+        '改为 {"type": "...", "description": "..."} 的形式。'
+      );
+      continue;
+    }
+
+    if (!("type" in field)) {
+      add(
+        "missing-type",
+        "high",
+        "correctness",
+        `配置项 ${name} 缺少 type 字段。`,
+        `type 应为 ${FIELD_TYPES.join(" / ")} 之一。`
+      );
+    } else if (!FIELD_TYPES.includes(field.type)) {
+      add(
+        "unknown-type",
+        "high",
+        "correctness",
+        `配置项 ${name} 的 type "${field.type}" 不受支持。`,
+        `type 应为 ${FIELD_TYPES.join(" / ")} 之一。`
+      );
+    }
+
+    if (typeof field.description !== "string" || !field.description.trim()) {
+      add(
+        "missing-description",
+        "low",
+        "style",
+        `配置项 ${name} 缺少 description，WebUI 中将无法显示其用途。`,
+        "补充简短的中文说明。"
+      );
+    }
+
+    const unknownKeys = Object.keys(field).filter((k) => !KNOWN_FIELD_KEYS.includes(k));
+    if (unknownKeys.length > 0) {
+      add(
+        "unknown-key",
+        "info",
+        "maintainability",
+        `配置项 ${name} 包含未知字段：${unknownKeys.join("、")}，AstrBot 会忽略这些字段。`,
+        "检查字段名拼写。"
+      );
+    }
+
+    if (!FIELD_TYPES.includes(field.type)) continue;
+
+    if ("default" in field && !matchesType(field.default, field.type)) {
+      add(
+        "default-type-mismatch",
+        "high",
+        "correctness",
+        `配置项 ${name} 的 default 值 ${JSON.stringify(field.default)} 与 type "${field.type}" 不匹配。`,
+        `将 default 改为 ${describeType(field.type)}。`
+      );
+    }
+
+    if ("options" in field) {
+      if (!Array.isArray(field.options) || field.options.length === 0) {
+        add(
+          "invalid-options",
+          "medium",
+          "correctness",
+          `配置项 ${name} 的 options 必须是非空数组。`,
+          "将 options 改为可选值数组。"
+        );
+      } else if (!OPTION_TYPES.includes(field.type)) {
+        add(
+          "invalid-options",
+          "medium",
+          "correctness",
+          `类型为 ${field.type} 的配置项 ${name} 不支持 options。`,
+          "移除 options，或将 type 改为 string。"
+        );
+      } else if (
+        "default" in field &&
+        field.type !== "list" &&
+        !field.options.includes(field.default)
+      ) {
+        add(
+          "default-not-in-options",
+          "medium",
+          "correctness",
+          `配置项 ${name} 的 default 值 ${JSON.stringify(field.default)} 不在 options 中。`,
+          "将 default 设为 options 中的某一项。"
+        );
+      }
+    }
+
+    if (field.type === "object") {
+      if (!isPlainObject(field.items)) {
+        add(
+          "invalid-items",
+          "high",
+          "correctness",
+          `object 类型的配置项 ${name} 必须通过 items 定义其子配置项。`,
+          '添加 "items": {"子配置项": {"type": "...", "description": "..."}}。'
+        );
+      } else {
+        findings.push(
+          ...validateFields(field.items, [...keyPath, "items"], [...namePath, key], lines)
+        );
+      }
+    }
+  }
+
+  return findings;
+}
+
+function checkConfigAccess(schema, pythonFiles) {
+  const findings = [];
+  const reported = new Set();
+
+  for (const file of pythonFiles) {
+    const lines = scanPythonLines(file.source);
+    if (lines.some((line) => CONFIG_REASSIGN_PATTERN.test(line.code))) continue;
+
+    for (const { code, lineNumber } of lines) {
+      for (const [, accessChain] of code.matchAll(CONFIG_ACCESS_PATTERN)) {
+        const missing = findMissingKey(schema, accessChain);
+        if (!missing) continue;
+
+        const reportKey = `${file.path}:${missing.path}`;
+        if (reported.has(reportKey)) continue;
+        reported.add(reportKey);
+
+        findings.push(
+          createFinding("undeclared-config-key", file.path, lineNumber, {
+            category: "correctness",
+            severity: missing.viaGet ? "medium" : "high",
+            message: missing.viaGet
+              ? `读取的配置键 ${missing.path} 未在 _conf_schema.json 中声明，get() 将始终返回默认值。`
+              : `读取的配置键 ${missing.path} 未在 _conf_schema.json 中声明，运行时将抛出 KeyError。`,
+            suggestion: `在 _conf_schema.json 中声明 ${missing.path}，或修正键名拼写。`,
+          })
+        );
+      }
+    }
+  }
+
+  return findings;
+}
+
+function findMissingKey(schema, accessChain) {
+  let fields = schema;
+  const visited = [];
+
+  for (const [token, bracketKey, getKey] of accessChain.matchAll(CONFIG_KEY_PATTERN)) {
+    const key = bracketKey ?? getKey;
+    visited.push(key);
+    if (!isPlainObject(fields) || !(key in fields)) {
+      return { path: visited.join("."), viaGet: token.startsWith(".get") };
+    }
+
+    const field = fields[key];
+    if (field?.type !== "object") return null;
+    fields = field.items;
+  }
+  return null;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "string":
+    case "text":
+      return typeof value === "string";
+    case "int":
+      return Number.isInteger(value);
+    case "float":
+      return typeof value === "number";
+    case "bool":
+      return typeof value === "boolean";
+    case "list":
+      return Array.isArray(value);
+    case "object":
+      return isPlainObject(value);
+    default:
+      return true;
+  }
+}
+
+function describeType(type) {
+  return {
+    string: "字符串",
+    text: "字符串",
+    int: "整数",
+    float: "数字",
+    bool: "true 或 false",
+    list: "数组",
+    object: "对象",
+  }[type];
+}
+
+function locateKeyLine(lines, keyPath) {
+  let start = 0;
+  for (const key of keyPath) {
+    const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const pattern = new RegExp(`"${escaped}"\\s*:`);
+    const index = lines.findIndex((line, i) => i >= start && pattern.test(line));
+    if (index === -1) return null;
+    start = index;
+  }
+  return start + 1;
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function createFinding(ruleId, filePath, lineNumber, details) {
+  return {
+    ruleId,
+    file: filePath,
+    lineStart: lineNumber,
+    lineEnd: lineNumber,
+    ...details,
+  };
+}
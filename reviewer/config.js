@@ -1,10 +1,28 @@
-import { REQUIRED_ENV_VARS } from "./constants.js";
+import {
+  DEFAULT_LLM_MAX_RETRIES,
+  DEFAULT_LLM_PROVIDER,
+  DEFAULT_LLM_RETRY_BASE_DELAY_MS,
+  REQUIRED_ENV_VARS,
+} from "./constants.js";
+import { LLM_PROVIDER_NAMES, providerRequiresApiKey } from "./llm-provider.js";
 
 /**
- * 验证所有必需的环境变量是否都已设置。
+ * 验证所有必需的环境变量是否都已设置，以及 LLM_PROVIDER 是否受支持。
+ * 不需要 API Key 的提供方（如 Ollama）可以不设置 OPENAI_API_KEY。
  */
 export function validateEnvironment() {
-  const missing = REQUIRED_ENV_VARS.filter((key) => !process.env[key]);
+  const provider = getProviderName();
+  if (!LLM_PROVIDER_NAMES.includes(provider)) {
+    throw new Error(
+      `Unsupported LLM_PROVIDER "${provider}", expected one of: ${LLM_PROVIDER_NAMES.join(", ")}`
+    );
+  }
+
+  const missing = REQUIRED_ENV_VARS.filter(
+    (key) =>
+      !process.env[key] &&
+      (key !== "OPENAI_API_KEY" || providerRequiresApiKey(provider))
+  );
   if (missing.length > 0) {
     throw new Error(
       `Missing required environment variables: ${missing.join(", ")}`
@@ -17,10 +35,59 @@ export function validateEnvironment() {
  * @returns {object} 配置对象。
  */
 export function getConfig() {
+  const maxInputTokens =
+    parseInt(process.env.OPENAI_MAX_INPUT_TOKENS, 10) || 4000;
   return {
+    provider: getProviderName(),
     apiKey: process.env.OPENAI_API_KEY,
     baseURL: process.env.OPENAI_BASE_URL || null,
     model: process.env.OPENAI_MODEL,
-    maxInputTokens: parseInt(process.env.OPENAI_MAX_INPUT_TOKENS, 10) || 4000,
+    maxInputTokens,
+    tokenizer: process.env.OPENAI_TOKENIZER || "auto",
+    reviewOutputMode:
+      process.env.REVIEW_OUTPUT_MODE === "markdown" ? "markdown" : "json",
+    maxRetries: parseNonNegativeInt(
+      process.env.LLM_MAX_RETRIES,
+      DEFAULT_LLM_MAX_RETRIES
+    ),
+    retryBaseDelayMs: parseNonNegativeInt(
+      process.env.LLM_RETRY_BASE_DELAY_MS,
+      DEFAULT_LLM_RETRY_BASE_DELAY_MS
+    ),
+    fallbackModels: parseFallbackModels(
+      process.env.LLM_FALLBACK_MODELS,
+      maxInputTokens
+    ),
   };
 }
+
+function getProviderName() {
+  return (process.env.LLM_PROVIDER || DEFAULT_LLM_PROVIDER).trim().toLowerCase();
+}
+
+function parseNonNegativeInt(value, defaultValue) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : defaultValue;
+}
+
+/**
+ * 解析备用模型列表，格式为以逗号分隔的 `模型名` 或 `模型名@最大输入Token`，
+ * 例如 `gpt-4o-mini@16000,qwen-turbo`。未指定最大输入Token时沿用主模型的配置。
+ * @param {string|undefined} value LLM_FALLBACK_MODELS 的值。
+ * @param {number} defaultMaxInputTokens 主模型的最大输入Token。
+ * @returns {Array<{model: string, maxInputTokens: number}>} 按顺序排列的备用模型。
+ */
+function parseFallbackModels(value, defaultMaxInputTokens) {
+  return (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separatorIndex = entry.lastIndexOf("@");
+      const maxInputTokens =
+        separatorIndex > 0 ? parseInt(entry.slice(separatorIndex + 1), 10) : NaN;
+      return maxInputTokens > 0
+        ? { model: entry.slice(0, separatorIndex).trim(), maxInputTokens }
+        : { model: entry, maxInputTokens: defaultMaxInputTokens };
+    });
+}
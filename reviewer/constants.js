@@ -1,7 +1,48 @@
-export const MAX_FILES_TO_REVIEW = 15;
+export const MAX_FILES_TO_REVIEW = 60;
+export const MAX_FILES_PER_BATCH = 15;
+export const MAX_SECRET_SCAN_BLOBS = 300;
+export const MAX_SECRET_SCAN_BLOB_SIZE = 256 * 1024;
 export const TOKEN_ESTIMATION_RATIO = 0.25;
+export const DEFAULT_TOKENIZER_ENCODING = "o200k_base";
+export const TOKENIZER_ENCODING_BY_MODEL_PREFIX = [
+  ["gpt-4o", "o200k_base"],
+  ["gpt-4.1", "o200k_base"],
+  ["gpt-4.5", "o200k_base"],
+  ["gpt-5", "o200k_base"],
+  ["o1", "o200k_base"],
+  ["o3", "o200k_base"],
+  ["o4", "o200k_base"],
+  ["gpt-4", "cl100k_base"],
+  ["gpt-3.5", "cl100k_base"],
+];
+export const DEFAULT_LLM_PROVIDER = "openai-chat";
+export const LLM_REQUEST_TIMEOUT_MS = 8 * 60 * 1000;
+export const DEFAULT_MAX_OUTPUT_TOKENS = 8192;
+export const DEFAULT_LLM_MAX_RETRIES = 3;
+export const DEFAULT_LLM_RETRY_BASE_DELAY_MS = 2000;
+export const MAX_LLM_RETRY_DELAY_MS = 60 * 1000;
+export const PROGRESS_UPDATE_INTERVAL_MS = 15 * 1000;
 export const DEFAULT_MAX_REVIEW_TRIGGERS_PER_REPO = 5;
+export const DEFAULT_REVIEW_QUOTA_WINDOW_DAYS = 7;
+export const DEFAULT_MAX_REVIEW_TRIGGERS_PER_AUTHOR = 0;
+export const DEFAULT_MAX_REVIEWS_PER_INSTALLATION_PER_DAY = 0;
+export const DEFAULT_DAILY_TOKEN_BUDGET = 0;
+export const REVIEW_QUOTA_WINDOW_MODES = ["sliding", "calendar"];
+export const DEFAULT_REVIEW_CONCURRENCY = 2;
+export const MAX_REVIEW_JOB_ATTEMPTS = 3;
+export const ISSUE_LOCK_TTL_MS = 5 * 60 * 1000;
+export const ISSUE_LOCK_RETRY_INTERVAL_MS = 30 * 1000;
+export const WEBHOOK_DELIVERY_TTL_MS = 3 * 24 * 60 * 60 * 1000;
 export const SUPPORTED_REPOSITORY_PREFIX = "AstrBotDevs/";
+export const PLUGIN_PUBLISH_LABEL = "plugin-publish";
+export const SECURITY_REVIEW_LABEL = "security-review-needed";
+export const REVIEW_COMMAND_MENTION = "@astrpluginreviewer";
+export const MAINTAINER_PERMISSIONS = ["admin", "maintain", "write"];
+export const REQUIRED_ISSUE_CHECKS = [
+  "我的插件经过完整的测试",
+  "我的插件不包含恶意代码",
+  "我已阅读并同意遵守该项目的 [行为准则](https://docs.github.com/zh/site-policy/github-terms/github-community-code-of-conduct)。",
+];
 
 export const REQUIRED_ENV_VARS = [
   "OPENAI_API_KEY",
@@ -0,0 +1,189 @@
+/**
+ * 依赖检查使用的本地策略列表。
+ * 包名均为 PEP 503 规范化形式（小写，连续的 -_. 替换为 -）。
+ */
+
+/**
+ * AstrBot 自身的运行时依赖，需与 AstrBot 主仓库的 requirements.txt 保持同步。
+ * 插件可直接导入这些库而无需声明；若声明了，则不应锁定或限制上限版本，以免覆盖 AstrBot 所需的版本。
+ */
+export const ASTRBOT_CORE_DEPENDENCIES = [
+  "aiocqhttp",
+  "aiodocker",
+  "aiohttp",
+  "aiosqlite",
+  "anthropic",
+  "apscheduler",
+  "beautifulsoup4",
+  "certifi",
+  "chardet",
+  "colorlog",
+  "cryptography",
+  "dashscope",
+  "defusedxml",
+  "deprecated",
+  "dingtalk-stream",
+  "docstring-parser",
+  "faiss-cpu",
+  "filelock",
+  "google-genai",
+  "httpx",
+  "jieba",
+  "lark-oapi",
+  "mcp",
+  "openai",
+  "ormsgpack",
+  "pillow",
+  "pip",
+  "psutil",
+  "py-cord",
+  "pydantic",
+  "pydub",
+  "pyjwt",
+  "python-telegram-bot",
+  "qq-botpy",
+  "quart",
+  "rank-bm25",
+  "readability-lxml",
+  "silk-python",
+  "slack-sdk",
+  "sqlalchemy",
+  "sqlmodel",
+  "telegramify-markdown",
+  "watchfiles",
+  "websockets",
+  "wechatpy",
+];
+
+/**
+ * 禁止在插件中声明的依赖。
+ */
+export const BANNED_PACKAGES = {
+  loguru: {
+    severity: "high",
+    category: "framework",
+    reason: "插件必须使用 astrbot.api 提供的 logger，禁止引入第三方日志库",
+    suggestion: "移除 loguru，改为 from astrbot.api import logger。",
+  },
+  logging: {
+    severity: "high",
+    category: "correctness",
+    reason: "PyPI 上的 logging 包是早已废弃的 Python 2 版本，安装后会覆盖标准库",
+    suggestion: "从依赖声明中移除 logging。",
+  },
+  asyncio: {
+    severity: "high",
+    category: "correctness",
+    reason: "PyPI 上的 asyncio 包是早已废弃的旧版本，安装后可能覆盖标准库",
+    suggestion: "从依赖声明中移除 asyncio。",
+  },
+  pycrypto: {
+    severity: "high",
+    category: "security",
+    reason: "pycrypto 已停止维护且存在已知安全漏洞",
+    suggestion: "改用 pycryptodome。",
+  },
+  astrbot: {
+    severity: "medium",
+    category: "correctness",
+    reason: "插件运行在 AstrBot 环境中，声明 astrbot 依赖可能导致重复安装或覆盖当前版本",
+    suggestion: "从依赖声明中移除 astrbot。",
+  },
+};
+
+/**
+ * 已知的仿冒（typosquatting）包名及其对应的正确包名。
+ */
+export const TYPOSQUAT_PACKAGES = {
+  reqeusts: "requests",
+  requets: "requests",
+  requesst: "requests",
+  rquests: "requests",
+  request: "requests",
+  urlib3: "urllib3",
+  colourama: "colorama",
+  "python3-dateutil": "python-dateutil",
+  jeilyfish: "jellyfish",
+  pilow: "pillow",
+  pillo: "pillow",
+  aiohtttp: "aiohttp",
+  aoihttp: "aiohttp",
+  httpxx: "httpx",
+  pyyml: "pyyaml",
+  openia: "openai",
+  opneai: "openai",
+  numpyy: "numpy",
+  numppy: "numpy",
+  pandsa: "pandas",
+  "setup-tools": "setuptools",
+  "nmap-python": "python-nmap",
+  beautifulsoup: "beautifulsoup4",
+};
+
+/**
+ * 包名与导入名不一致的常见库。未列出的包按“包名中的 - 替换为 _”推断导入名。
+ */
+export const PACKAGE_IMPORT_NAMES = {
+  pillow: ["PIL"],
+  beautifulsoup4: ["bs4"],
+  pyyaml: ["yaml"],
+  "opencv-python": ["cv2"],
+  "opencv-python-headless": ["cv2"],
+  "scikit-learn": ["sklearn"],
+  "scikit-image": ["skimage"],
+  "python-dateutil": ["dateutil"],
+  "python-dotenv": ["dotenv"],
+  pyjwt: ["jwt"],
+  pycryptodome: ["Crypto"],
+  pycryptodomex: ["Cryptodome"],
+  protobuf: ["google"],
+  "google-genai": ["google"],
+  "google-generativeai": ["google"],
+  "python-telegram-bot": ["telegram"],
+  "qq-botpy": ["botpy"],
+  pymupdf: ["fitz"],
+  "python-docx": ["docx"],
+  "python-pptx": ["pptx"],
+  attrs: ["attr"],
+  pyopenssl: ["OpenSSL"],
+  "faiss-cpu": ["faiss"],
+  "faiss-gpu": ["faiss"],
+  "py-cord": ["discord"],
+  "discord-py": ["discord"],
+  "silk-python": ["pysilk"],
+  "readability-lxml": ["readability"],
+  "psycopg2-binary": ["psycopg2"],
+  "mysql-connector-python": ["mysql"],
+  "websocket-client": ["websocket"],
+  "python-socketio": ["socketio"],
+  pyzmq: ["zmq"],
+  pywin32: ["win32api", "win32con", "win32gui"],
+  "typing-extensions": ["typing_extensions"],
+  "docstring-parser": ["docstring_parser"],
+  "rank-bm25": ["rank_bm25"],
+  "slack-sdk": ["slack_sdk"],
+  "python-multipart": ["multipart"],
+  "msgpack-python": ["msgpack"],
+  "ruamel-yaml": ["ruamel"],
+};
+
+/**
+ * Python 标准库的顶层模块（基于 Python 3.11 的 sys.stdlib_module_names，已去除私有模块）。
+ */
+export const PYTHON_STDLIB_MODULES = new Set(
+  `__future__ abc aifc argparse array ast asynchat asyncio asyncore atexit audioop base64 bdb binascii bisect builtins
+  bz2 cProfile calendar cgi cgitb chunk cmath cmd code codecs codeop collections colorsys compileall concurrent
+  configparser contextlib contextvars copy copyreg crypt csv ctypes curses dataclasses datetime dbm decimal difflib dis
+  distutils doctest email encodings ensurepip enum errno faulthandler fcntl filecmp fileinput fnmatch fractions ftplib
+  functools gc genericpath getopt getpass gettext glob graphlib grp gzip hashlib heapq hmac html http idlelib imaplib
+  imghdr imp importlib inspect io ipaddress itertools json keyword lib2to3 linecache locale logging lzma mailbox mailcap
+  marshal math mimetypes mmap modulefinder msilib msvcrt multiprocessing netrc nis nntplib nt ntpath nturl2path numbers
+  opcode operator optparse os ossaudiodev pathlib pdb pickle pickletools pipes pkgutil platform plistlib poplib posix
+  posixpath pprint profile pstats pty pwd py_compile pyclbr pydoc pydoc_data pyexpat queue quopri random re readline
+  reprlib resource rlcompleter runpy sched secrets select selectors shelve shlex shutil signal site smtpd smtplib sndhdr
+  socket socketserver spwd sqlite3 sre_compile sre_constants sre_parse ssl stat statistics string stringprep struct
+  subprocess sunau symtable sys sysconfig syslog tabnanny tarfile telnetlib tempfile termios textwrap threading time
+  timeit tkinter token tokenize tomllib trace traceback tracemalloc tty turtle turtledemo types typing unicodedata
+  unittest urllib uu uuid venv warnings wave weakref webbrowser winreg winsound wsgiref xdrlib xml xmlrpc zipapp zipfile
+  zipimport zlib zoneinfo`.split(/\s+/)
+);
@@ -0,0 +1,349 @@
+import {
+  ASTRBOT_CORE_DEPENDENCIES,
+  BANNED_PACKAGES,
+  PACKAGE_IMPORT_NAMES,
+  PYTHON_STDLIB_MODULES,
+  TYPOSQUAT_PACKAGES,
+} from "./dependency-policy.js";
+import { formatFindingLine, sortFindings } from "./findings.js";
+import { findImports, scanPythonLines } from "./python-source.js";
+
+/**
+ * 会被解析的依赖声明文件（仅限仓库根目录）。
+ */
+export const DEPENDENCY_MANIFESTS = ["requirements.txt", "pyproject.toml", "setup.py"];
+
+const REQUIREMENT_PATTERN = /^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*(.*)$/;
+const UPPER_BOUND_PATTERN = /==|<|~=/;
+
+/**
+ * 从依赖声明文件中解析依赖列表。
+ * @param {Array<{path: string, source: string}>} manifests 根目录下的依赖声明文件。
+ * @returns {Array<{name: string, rawName: string, spec: string, file: string, lineNumber: number}>} 依赖声明。
+ */
+export function parseDependencyManifests(manifests) {
+  return manifests.flatMap((manifest) => {
+    if (manifest.path === "requirements.txt") {
+      return parseRequirementsTxt(manifest.source, manifest.path);
+    }
+    if (manifest.path === "pyproject.toml") {
+      return parsePyprojectToml(manifest.source, manifest.path);
+    }
+    if (manifest.path === "setup.py") {
+      return parseSetupPy(manifest.source, manifest.path);
+    }
+    return [];
+  });
+}
+
+/**
+ * 根据本地策略检查依赖声明，并核对代码中导入的第三方库是否均已声明。
+ * @param {object} input 检查输入。
+ * @param {Array<{name: string, rawName: string, spec: string, file: string, lineNumber: number}>} input.dependencies parseDependencyManifests 的结果。
+ * @param {Array<{path: string, source: string}>} input.pythonFiles 插件的 Python 源码。
+ * @param {string[]} input.repositoryPaths 仓库中全部文件的路径，用于识别插件自身的模块。
+ * @returns {Array<object>} 依赖问题，结构与其他审核发现一致，并附带 ruleId。
+ */
+export function reviewDependencies({ dependencies, pythonFiles, repositoryPaths }) {
+  const findings = [];
+
+  for (const dep of dependencies) {
+    findings.push(...checkDeclaredDependency(dep));
+  }
+  findings.push(...checkConflictingVersions(dependencies));
+  findings.push(
+    ...checkUndeclaredImports(dependencies, pythonFiles, repositoryPaths)
+  );
+
+  return findings;
+}
+
+/**
+ * 渲染“依赖检查”报告章节。
+ * @param {Array<object>} findings reviewDependencies 的结果。
+ * @param {{owner: string, repo: string, commitSha: string}} linkOptions 生成行链接所需的仓库信息。
+ * @param {{manifestPaths: string[], dependencyCount: number}} summary 已解析的依赖声明文件概况。
+ * @returns {string} Markdown 文本。
+ */
+export function renderDependencySection(findings, linkOptions, { manifestPaths, dependencyCount }) {
+  let section = "### 📦 依赖检查\n\n";
+  section +=
+    manifestPaths.length > 0
+      ? `已解析 ${manifestPaths.map((p) => `\`${p}\``).join("、")}，共声明 ${dependencyCount} 个依赖。\n\n`
+      : "未找到 `requirements.txt`、`pyproject.toml` 或 `setup.py`，插件使用的第三方库将无法被自动安装。\n\n";
+
+  if (findings.length === 0) {
+    return `${section}✅ 未发现依赖问题。\n`;
+  }
+  return `${section}${sortFindings(findings)
+    .map((finding) => formatFindingLine(finding, linkOptions))
+    .join("\n")}\n`;
+}
+
+/**
+ * 按 PEP 503 规范化包名。
+ * @param {string} name 包名。
+ * @returns {string} 规范化后的包名。
+ */
+export function normalizePackageName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, "-");
+}
+
+function checkDeclaredDependency(dep) {
+  const findings = [];
+
+  const intended = TYPOSQUAT_PACKAGES[dep.name];
+  if (intended) {
+    findings.push(
+      createFinding("typosquat", dep, {
+        category: "security",
+        severity: "critical",
+        message: `${dep.rawName} 是已知的仿冒包名，正确的包名可能是 ${intended}。`,
+        suggestion: `确认后改为 ${intended}。`,
+      })
+    );
+    return findings;
+  }
+
+  const banned = BANNED_PACKAGES[dep.name];
+  if (banned) {
+    findings.push(
+      createFinding("banned-package", dep, {
+        category: banned.category,
+        severity: banned.severity,
+        message: `禁止声明依赖 ${dep.rawName}：${banned.reason}。`,
+        suggestion: banned.suggestion,
+      })
+    );
+    return findings;
+  }
+
+  if (ASTRBOT_CORE_DEPENDENCIES.includes(dep.name) && UPPER_BOUND_PATTERN.test(dep.spec)) {
+    findings.push(
+      createFinding("core-dependency-clash", dep, {
+        category: "correctness",
+        severity: "medium",
+        message: `${dep.rawName} 是 AstrBot 自身的依赖，当前声明 \`${dep.spec}\` 锁定或限制了版本上限，可能与 AstrBot 所需版本冲突。`,
+        suggestion: `改为仅声明最低版本（如 ${dep.rawName}>=x.y），或直接移除该声明。`,
+      })
+    );
+  } else if (!dep.spec) {
+    findings.push(
+      createFinding("unpinned-version", dep, {
+        category: "maintainability",
+        severity: "low",
+        message: `${dep.rawName} 未指定版本。`,
+        suggestion: `至少声明最低兼容版本，如 ${dep.rawName}>=x.y。`,
+      })
+    );
+  }
+
+  return findings;
+}
+
+function checkConflictingVersions(dependencies) {
+  const findings = [];
+  const byName = new Map();
+  for (const dep of dependencies) {
+    if (!byName.has(dep.name)) byName.set(dep.name, []);
+    byName.get(dep.name).push(dep);
+  }
+
+  for (const declarations of byName.values()) {
+    const specs = new Set(declarations.map((d) => normalizeSpec(d.spec)));
+    if (specs.size < 2) continue;
+
+    const [first, ...others] = declarations;
+    findings.push(
+      createFinding("conflicting-versions", others[0], {
+        category: "correctness",
+        severity: "medium",
+        message: `${first.rawName} 的版本声明不一致：${declarations
+          .map((d) => `\`${d.file}\` 中为 \`${d.spec || "未指定"}\``)
+          .join("，")}。`,
+        suggestion: "保留一处声明，或使各处版本要求保持一致。",
+      })
+    );
+  }
+
+  return findings;
+}
+
+function checkUndeclaredImports(dependencies, pythonFiles, repositoryPaths) {
+  const findings = [];
+  const providedImports = new Set();
+  for (const name of [
+    ...dependencies.map((d) => d.name),
+    ...ASTRBOT_CORE_DEPENDENCIES,
+  ]) {
+    for (const importName of getImportNames(name)) {
+      providedImports.add(importName.toLowerCase());
+    }
+  }
+  const localModules = collectLocalModuleNames(repositoryPaths);
+  const reported = new Set();
+
+  for (const file of pythonFiles) {
+    for (const entry of findImports(scanPythonLines(file.source))) {
+      if (entry.module.startsWith(".")) continue;
+
+      const rootModule = entry.module.split(".")[0];
+      const key = rootModule.toLowerCase();
+      if (
+        reported.has(key) ||
+        rootModule === "astrbot" ||
+        PYTHON_STDLIB_MODULES.has(rootModule) ||
+        localModules.has(rootModule) ||
+        providedImports.has(key)
+      ) {
+        continue;
+      }
+
+      reported.add(key);
+      findings.push({
+        ruleId: "undeclared-import",
+        file: file.path,
+        lineStart: entry.lineNumber,
+        lineEnd: entry.lineNumber,
+        category: "correctness",
+        severity: "medium",
+        message: `导入了第三方库 ${rootModule}，但未在依赖声明文件中声明。`,
+        suggestion: `在 requirements.txt 中添加 ${rootModule} 对应的包（注意包名可能与导入名不同）。`,
+      });
+    }
+  }
+
+  return findings;
+}
+
+function getImportNames(packageName) {
+  return PACKAGE_IMPORT_NAMES[packageName] || [packageName.replace(/-/g, "_")];
+}
+
+function collectLocalModuleNames(repositoryPaths) {
+  const names = new Set(["data"]);
+  for (const filePath of repositoryPaths) {
+    const segments = filePath.split("/");
+    segments.slice(0, -1).forEach((dir) => names.add(dir));
+    const fileName = segments[segments.length - 1];
+    if (fileName.endsWith(".py")) names.add(fileName.slice(0, -3));
+  }
+  return names;
+}
+
+function normalizeSpec(spec) {
+  return spec.replace(/\s+/g, "").split(",").sort().join(",");
+}
+
+function parseRequirementLine(text, file, lineNumber) {
+  const withoutMarker = text.split(";")[0].trim();
+  const match = withoutMarker.match(REQUIREMENT_PATTERN);
+  if (!match) return null;
+
+  return {
+    name: normalizePackageName(match[1]),
+    rawName: match[1],
+    spec: match[2].trim(),
+    file,
+    lineNumber,
+  };
+}
+
+function parseRequirementsTxt(source, file) {
+  const dependencies = [];
+  source.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.replace(/(^|\s)#.*$/, "").trim();
+    if (!line || line.startsWith("-")) return;
+    if (/^[a-z+]+:\/\//i.test(line)) return;
+
+    const dep = parseRequirementLine(line, file, index + 1);
+    if (dep) dependencies.push(dep);
+  });
+  return dependencies;
+}
+
+function parsePyprojectToml(source, file) {
+  const dependencies = [];
+  let section = "";
+  let inDependencyArray = false;
+
+  source.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.replace(/\s#.*$/, "").trim();
+    const lineNumber = index + 1;
+
+    const sectionMatch = line.match(/^\[([^\]]+)\]$/);
+    if (sectionMatch) {
+      section = sectionMatch[1].trim();
+      inDependencyArray = false;
+      return;
+    }
+
+    if (section === "project") {
+      if (!inDependencyArray && /^dependencies\s*=\s*\[/.test(line)) {
+        inDependencyArray = true;
+      }
+      if (inDependencyArray) {
+        for (const [, value] of line.matchAll(/["']([^"']+)["']/g)) {
+          const dep = parseRequirementLine(value, file, lineNumber);
+          if (dep) dependencies.push(dep);
+        }
+        if (line.includes("]")) inDependencyArray = false;
+      }
+      return;
+    }
+
+    if (section === "tool.poetry.dependencies") {
+      const match = line.match(/^["']?([A-Za-z0-9][A-Za-z0-9._-]*)["']?\s*=\s*(.+)$/);
+      if (!match || match[1].toLowerCase() === "python") return;
+
+      const versionMatch =
+        match[2].match(/^["']([^"']*)["']/) ||
+        match[2].match(/version\s*=\s*["']([^"']*)["']/);
+      const spec = versionMatch ? versionMatch[1].trim() : "";
+      dependencies.push({
+        name: normalizePackageName(match[1]),
+        rawName: match[1],
+        spec: spec === "*" ? "" : spec,
+        file,
+        lineNumber,
+      });
+    }
+  });
+
+  return dependencies;
+}
+
+function parseSetupPy(source, file) {
+  const dependencies = [];
+  let inInstallRequires = false;
+
+  scanPythonLines(source).forEach(({ code, lineNumber }) => {
+    let text = code;
+    if (!inInstallRequires) {
+      const start = text.search(/install_requires\s*=\s*\[/);
+      if (start === -1) return;
+      inInstallRequires = true;
+      text = text.slice(text.indexOf("[", start) + 1);
+    }
+
+    const end = text.indexOf("]");
+    const content = end === -1 ? text : text.slice(0, end);
+    for (const [, value] of content.matchAll(/["']([^"']+)["']/g)) {
+      const dep = parseRequirementLine(value, file, lineNumber);
+      if (dep) dependencies.push(dep);
+    }
+    if (end !== -1) inInstallRequires = false;
+  });
+
+  return dependencies;
+}
+
+function createFinding(ruleId, dep, details) {
+  return {
+    ruleId,
+    file: dep.file,
+    lineStart: dep.lineNumber,
+    lineEnd: dep.lineNumber,
+    ...details,
+  };
+}
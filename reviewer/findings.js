@@ -0,0 +1,300 @@
+import { createHash } from "node:crypto";
+
+export const FINDING_SEVERITIES = ["critical", "high", "medium", "low", "info"];
+export const FINDING_CATEGORIES = [
+  "framework",
+  "security",
+  "correctness",
+  "async",
+  "performance",
+  "maintainability",
+  "style",
+  "other",
+];
+
+const SEVERITY_LABELS = {
+  critical: "🔴 严重",
+  high: "🟠 高",
+  medium: "🟡 中",
+  low: "🔵 低",
+  info: "⚪ 提示",
+};
+
+const CATEGORY_LABELS = {
+  framework: "框架规范",
+  security: "安全",
+  correctness: "逻辑正确性",
+  async: "异步与并发",
+  performance: "性能",
+  maintainability: "可维护性",
+  style: "代码风格",
+  other: "其他",
+};
+
+const SEVERITY_ALIASES = {
+  blocker: "critical",
+  fatal: "critical",
+  error: "high",
+  major: "high",
+  warning: "medium",
+  warn: "medium",
+  moderate: "medium",
+  minor: "low",
+  suggestion: "low",
+  note: "info",
+  严重: "critical",
+  高: "high",
+  中: "medium",
+  低: "low",
+  提示: "info",
+};
+
+/**
+ * 解析模型返回的结构化审核结果，并在可能时修复常见的格式问题。
+ * 支持代码块包裹、前后多余文字、尾随逗号，以及顶层直接为数组的情况。
+ * @param {string} text 模型返回的原始文本。
+ * @param {string[]} reviewedPaths 本批次审核的文件路径，用于校验 file 字段。
+ * @returns {{success: boolean, findings: Array<object>, droppedCount: number, error?: string}}
+ */
+export function parseFindingsResponse(text, reviewedPaths) {
+  const parsed = parseJsonLoosely(text);
+  if (parsed === undefined) {
+    return {
+      success: false,
+      findings: [],
+      droppedCount: 0,
+      error: "无法解析JSON",
+    };
+  }
+
+  const rawFindings = Array.isArray(parsed) ? parsed : parsed?.findings;
+  if (!Array.isArray(rawFindings)) {
+    return {
+      success: false,
+      findings: [],
+      droppedCount: 0,
+      error: "缺少findings数组",
+    };
+  }
+
+  const findings = [];
+  for (const raw of rawFindings) {
+    const finding = normalizeFinding(raw, reviewedPaths);
+    if (finding) findings.push(finding);
+  }
+
+  return {
+    success: true,
+    findings,
+    droppedCount: rawFindings.length - findings.length,
+  };
+}
+
+/**
+ * 根据结构化审核结果计算整体结论。
+ * @param {Array<{severity: string}>} findings 审核发现。
+ * @returns {{level: "changes_requested"|"needs_attention"|"passed", label: string, counts: Record<string, number>}}
+ */
+export function computeVerdict(findings) {
+  const counts = Object.fromEntries(FINDING_SEVERITIES.map((s) => [s, 0]));
+  for (const finding of findings) {
+    counts[finding.severity] += 1;
+  }
+
+  if (counts.critical > 0) {
+    return { level: "changes_requested", label: "❌ 需要修改", counts };
+  }
+  if (counts.high > 0) {
+    return { level: "needs_attention", label: "⚠️ 建议修改", counts };
+  }
+  return { level: "passed", label: "✅ 初审通过", counts };
+}
+
+/**
+ * 将审核结论与各严重程度的问题数量渲染为 Markdown。
+ * @param {{label: string, counts: Record<string, number>}} verdict computeVerdict 的结果。
+ * @returns {string} Markdown 文本。
+ */
+export function renderVerdict(verdict) {
+  const countText = FINDING_SEVERITIES.filter((s) => verdict.counts[s] > 0)
+    .map((s) => `${SEVERITY_LABELS[s]} ${verdict.counts[s]}`)
+    .join(" · ");
+
+  return `**审核结论**: ${verdict.label}\n\n**问题统计**: ${
+    countText || "未发现问题"
+  }\n`;
+}
+
+/**
+ * 将结构化审核结果渲染为按文件分节的 Markdown 报告。
+ * 每条发现都链接到被审核提交中的具体行。
+ * @param {Array<object>} findings 审核发现。
+ * @param {{owner: string, repo: string, commitSha: string, reviewedPaths: string[]}} options 渲染选项。
+ * @returns {string} Markdown 文本。
+ */
+export function renderFindingsReport(
+  findings,
+  { owner, repo, commitSha, reviewedPaths }
+) {
+  const findingsByFile = new Map(reviewedPaths.map((p) => [p, []]));
+  for (const finding of sortFindings(findings)) {
+    if (!findingsByFile.has(finding.file)) findingsByFile.set(finding.file, []);
+    findingsByFile.get(finding.file).push(finding);
+  }
+
+  const sections = [];
+  for (const [filePath, fileFindings] of findingsByFile) {
+    const lines =
+      fileFindings.length === 0
+        ? ["✅ 未发现问题"]
+        : fileFindings.map((finding) =>
+            formatFindingLine(finding, { owner, repo, commitSha })
+          );
+    sections.push(`### ${filePath}\n\n${lines.join("\n")}\n`);
+  }
+
+  return sections.join("\n");
+}
+
+/**
+ * 生成审核发现的编号，供 `explain` 命令引用。编号由文件、行号、规则（或类别）与信息决定，同一发现在重新渲染时保持不变。
+ * @param {{file: string, lineStart?: number|null, ruleId?: string, category: string, message: string}} finding 审核发现。
+ * @returns {string} 6 位十六进制编号。
+ */
+export function getFindingId(finding) {
+  return createHash("sha1")
+    .update(
+      [
+        finding.file,
+        finding.lineStart ?? "",
+        finding.ruleId || finding.category,
+        finding.message,
+      ].join("\u0000")
+    )
+    .digest("hex")
+    .slice(0, 6);
+}
+
+/**
+ * 将单条审核发现渲染为一条 Markdown 列表项，包含编号、严重程度、类别、位置链接和建议。
+ * @param {object} finding 审核发现。
+ * @param {{owner: string, repo: string, commitSha: string}} linkOptions 生成行链接所需的仓库信息。
+ * @returns {string} Markdown 文本（可能包含建议子项）。
+ */
+export function formatFindingLine(finding, linkOptions) {
+  const severity = SEVERITY_LABELS[finding.severity];
+  const category = CATEGORY_LABELS[finding.category];
+  const location = formatLocation(finding, linkOptions);
+
+  let line = `- \`${getFindingId(finding)}\` ${severity} · ${category} · ${location}：${finding.message}`;
+  if (finding.suggestion) {
+    line += `\n  - 建议：${finding.suggestion}`;
+  }
+  return line;
+}
+
+/**
+ * 按严重程度、文件和行号对审核发现排序。
+ * @param {Array<object>} findings 审核发现。
+ * @returns {Array<object>} 排序后的新数组。
+ */
+export function sortFindings(findings) {
+  return [...findings].sort((a, b) => {
+    const severityDiff =
+      FINDING_SEVERITIES.indexOf(a.severity) -
+      FINDING_SEVERITIES.indexOf(b.severity);
+    if (severityDiff !== 0) return severityDiff;
+    if (a.file !== b.file) return a.file.localeCompare(b.file);
+    return (a.lineStart ?? 0) - (b.lineStart ?? 0);
+  });
+}
+
+function parseJsonLoosely(text) {
+  if (typeof text !== "string") return undefined;
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+  const candidates = [text.trim()];
+  if (fenced?.[1]) candidates.push(fenced[1].trim());
+
+  const firstBrace = text.search(/[[{]/);
+  const lastBrace = Math.max(text.lastIndexOf("}"), text.lastIndexOf("]"));
+  if (firstBrace !== -1 && lastBrace > firstBrace) {
+    candidates.push(text.slice(firstBrace, lastBrace + 1));
+  }
+
+  for (const candidate of candidates) {
+    const withoutTrailingCommas = candidate.replace(/,(\s*[}\]])/g, "$1");
+    for (const attempt of [candidate, withoutTrailingCommas]) {
+      try {
+        return JSON.parse(attempt);
+      } catch {
+        continue;
+      }
+    }
+  }
+  return undefined;
+}
+
+function normalizeFinding(raw, reviewedPaths) {
+  if (!raw || typeof raw !== "object") return null;
+
+  const message = typeof raw.message === "string" ? raw.message.trim() : "";
+  if (!message) return null;
+
+  const file = resolveFindingPath(raw.file, reviewedPaths);
+  if (!file) return null;
+
+  const lineStart = toPositiveInteger(raw.line_start ?? raw.line);
+  let lineEnd = toPositiveInteger(raw.line_end) ?? lineStart;
+  if (lineStart && lineEnd < lineStart) lineEnd = lineStart;
+
+  return {
+    file,
+    lineStart,
+    lineEnd: lineStart ? lineEnd : null,
+    category: normalizeEnum(raw.category, FINDING_CATEGORIES, {}, "other"),
+    severity: normalizeEnum(
+      raw.severity,
+      FINDING_SEVERITIES,
+      SEVERITY_ALIASES,
+      "medium"
+    ),
+    message,
+    suggestion:
+      typeof raw.suggestion === "string" ? raw.suggestion.trim() : "",
+  };
+}
+
+function resolveFindingPath(file, reviewedPaths) {
+  if (typeof file !== "string") return null;
+  const normalized = file.trim().replace(/^\.?\/+/, "");
+  if (reviewedPaths.includes(normalized)) return normalized;
+  return (
+    reviewedPaths.find(
+      (p) => p.endsWith(`/${normalized}`) || normalized.endsWith(`/${p}`)
+    ) || null
+  );
+}
+
+function toPositiveInteger(value) {
+  const number = Number.parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+function normalizeEnum(value, allowed, aliases, fallback) {
+  if (typeof value !== "string") return fallback;
+  const key = value.trim().toLowerCase();
+  if (allowed.includes(key)) return key;
+  return aliases[key] || aliases[value.trim()] || fallback;
+}
+
+function formatLocation(finding, { owner, repo, commitSha }) {
+  if (!finding.lineStart) return `\`${finding.file}\``;
+
+  const range =
+    finding.lineEnd && finding.lineEnd !== finding.lineStart
+      ? `L${finding.lineStart}-L${finding.lineEnd}`
+      : `L${finding.lineStart}`;
+  const url = `https://github.com/${owner}/${repo}/blob/${commitSha}/${encodeURI(finding.file)}#${range}`;
+  return `[\`${finding.file}#${range}\`](${url})`;
+}
@@ -0,0 +1,292 @@
+import { formatFindingLine, sortFindings } from "./findings.js";
+import {
+  findClassDefinitions,
+  findFunctionDefinitions,
+  findImports,
+  scanPythonLines,
+} from "./python-source.js";
+
+const LLM_HOOK_DECORATORS = ["filter.on_llm_request", "filter.on_llm_response"];
+const NO_YIELD_HOOK_DECORATORS = [
+  ...LLM_HOOK_DECORATORS,
+  "filter.on_decorating_result",
+  "filter.after_message_sent",
+];
+const FORBIDDEN_LOGGING_MODULES = ["logging", "loguru"];
+
+/**
+ * 可由静态检查器确定性验证的 AstrBot 框架规则。wholePlugin 表示该规则需要插件的全部文件才能判断。
+ */
+export const FRAMEWORK_RULES = [
+  {
+    id: "logger-source",
+    description:
+      "日志记录器 logger 必须从 astrbot.api 导入，禁止使用 logging 模块或 loguru 等第三方日志库",
+  },
+  {
+    id: "filter-import",
+    description:
+      "使用 @filter 装饰器时，filter 必须从 astrbot.api.event 导入（from astrbot.api.event import filter）",
+  },
+  {
+    id: "llm-hook-signature",
+    description:
+      "on_llm_request / on_llm_response 钩子必须是 async def，且恰好接收三个参数",
+  },
+  {
+    id: "no-yield-in-special-hooks",
+    description:
+      "on_llm_request、on_llm_response、on_decorating_result、after_message_sent 钩子内禁止使用 yield",
+  },
+  {
+    id: "llm-tool-permission",
+    description: "@filter.permission_type 不能用于 @filter.llm_tool 装饰的方法",
+  },
+  {
+    id: "star-subclass",
+    description: "插件中必须存在继承自 Star 的插件主类",
+    wholePlugin: true,
+  },
+];
+
+/**
+ * 对插件的 Python 文件执行框架规则检查。
+ * @param {Array<{path: string, source: string}>} files 文件路径与原始源码。
+ * @param {{partial?: boolean}} [options] partial 表示 files 只是插件的部分文件（指定了审核范围、超出文件数上限或获取失败），
+ *   此时跳过需要全部文件才能判断的规则，以免误报。
+ * @returns {Array<object>} 违反规则的审核发现，结构与 AI 结构化结果一致，并附带 ruleId。
+ */
+export function checkFrameworkRules(files, { partial = false } = {}) {
+  const findings = [];
+  let hasStarSubclass = false;
+
+  for (const file of files) {
+    const lines = scanPythonLines(file.source);
+    const imports = findImports(lines);
+    const functions = findFunctionDefinitions(lines);
+
+    findings.push(...checkLoggerSource(file.path, lines, imports));
+    findings.push(...checkFilterImport(file.path, imports, functions));
+    findings.push(...checkLlmHookSignatures(file.path, functions));
+    findings.push(...checkYieldInSpecialHooks(file.path, lines, functions));
+    findings.push(...checkLlmToolPermission(file.path, functions));
+
+    hasStarSubclass ||= findClassDefinitions(lines).some((cls) =>
+      cls.bases.some((base) => /(^|\.)Star$/.test(base))
+    );
+  }
+
+  if (files.length > 0 && !hasStarSubclass && !partial) {
+    const mainFile =
+      files.find((f) => f.path === "main.py") ||
+      files.find((f) => f.path.endsWith("main.py")) ||
+      files[0];
+    findings.push(
+      createFinding("star-subclass", mainFile.path, null, {
+        severity: "critical",
+        message: "未找到继承自 Star 的插件主类，插件将无法被 AstrBot 加载。",
+        suggestion:
+          "在 main.py 中定义 class MyPlugin(Star)，并在 __init__ 中调用 super().__init__(context)。",
+      })
+    );
+  }
+
+  return findings;
+}
+
+/**
+ * 渲染“框架规范检查”报告章节。
+ * @param {Array<object>} findings checkFrameworkRules 的结果。
+ * @param {{owner: string, repo: string, commitSha: string}} linkOptions 生成行链接所需的仓库信息。
+ * @param {{partial?: boolean}} [options] partial 与 checkFrameworkRules 相同，为 true 时需要全部文件才能判断的规则标记为未检查。
+ * @returns {string} Markdown 文本。
+ */
+export function renderFrameworkComplianceSection(findings, linkOptions, { partial = false } = {}) {
+  const violatedRuleIds = new Set(findings.map((f) => f.ruleId));
+  const ruleLines = FRAMEWORK_RULES.map((rule) => {
+    if (partial && rule.wholePlugin) {
+      return `- ➖ ${rule.description}（本次只审核了部分文件，未检查）`;
+    }
+    return `- ${violatedRuleIds.has(rule.id) ? "❌" : "✅"} ${rule.description}`;
+  });
+
+  let section = `### 🧩 框架规范检查\n\n以下规则已由静态检查器逐文件验证：\n\n${ruleLines.join("\n")}\n`;
+  if (findings.length > 0) {
+    section += `\n**发现的问题**\n\n${sortFindings(findings)
+      .map((finding) => formatFindingLine(finding, linkOptions))
+      .join("\n")}\n`;
+  }
+  return section;
+}
+
+/**
+ * 列出已由静态检查器验证的规则，附加到 AI Prompt 中以避免重复报告。
+ * @returns {string} 规则列表文本。
+ */
+export function describeVerifiedRules() {
+  return FRAMEWORK_RULES.map((rule) => `- ${rule.description}`).join("\n");
+}
+
+function checkLoggerSource(filePath, lines, imports) {
+  const findings = [];
+  const flaggedLines = new Set();
+
+  for (const entry of imports) {
+    const rootModule = entry.module.split(".")[0];
+    if (!FORBIDDEN_LOGGING_MODULES.includes(rootModule)) continue;
+
+    flaggedLines.add(entry.lineNumber);
+    findings.push(
+      createFinding("logger-source", filePath, entry.lineNumber, {
+        severity: "high",
+        message: `导入了 ${rootModule}，日志记录器必须且只能从 astrbot.api 导入。`,
+        suggestion: "改为 from astrbot.api import logger。",
+      })
+    );
+  }
+
+  for (const line of lines) {
+    if (flaggedLines.has(line.lineNumber)) continue;
+    if (/\blogging\.getLogger\s*\(/.test(line.code)) {
+      findings.push(
+        createFinding("logger-source", filePath, line.lineNumber, {
+          severity: "high",
+          message: "使用了 logging.getLogger 创建日志记录器。",
+          suggestion: "改为 from astrbot.api import logger。",
+        })
+      );
+    }
+  }
+
+  return findings;
+}
+
+function checkFilterImport(filePath, imports, functions) {
+  const firstFilterDecorator = functions
+    .flatMap((fn) => fn.decorators)
+    .filter((decorator) => decorator.name.startsWith("filter."))
+    .sort((a, b) => a.lineNumber - b.lineNumber)[0];
+  if (!firstFilterDecorator) return [];
+
+  const importsFilter = imports.some(
+    (entry) =>
+      entry.isFrom &&
+      entry.module === "astrbot.api.event" &&
+      entry.names.some(
+        (n) =>
+          n.name === "*" ||
+          (n.name === "filter" && (!n.alias || n.alias === "filter"))
+      )
+  );
+  if (importsFilter) return [];
+
+  return [
+    createFinding("filter-import", filePath, firstFilterDecorator.lineNumber, {
+      severity: "critical",
+      message:
+        "使用了 @filter 装饰器，但 filter 未从 astrbot.api.event 导入，可能与内置 filter 函数冲突。",
+      suggestion: "添加 from astrbot.api.event import filter。",
+    }),
+  ];
+}
+
+function checkLlmHookSignatures(filePath, functions) {
+  const findings = [];
+
+  for (const fn of functions) {
+    const hook = fn.decorators.find((d) => LLM_HOOK_DECORATORS.includes(d.name));
+    if (!hook) continue;
+
+    if (!fn.isAsync) {
+      findings.push(
+        createFinding("llm-hook-signature", filePath, fn.lineNumber, {
+          severity: "critical",
+          message: `${hook.name} 钩子 ${fn.name} 必须使用 async def 定义。`,
+          suggestion: `将 def ${fn.name} 改为 async def ${fn.name}。`,
+        })
+      );
+    }
+    if (fn.params.length !== 3) {
+      findings.push(
+        createFinding("llm-hook-signature", filePath, fn.lineNumber, {
+          severity: "critical",
+          message: `${hook.name} 钩子 ${fn.name} 接收了 ${fn.params.length} 个参数，必须恰好接收三个参数。`,
+          suggestion:
+            "签名应为 (self, event: AstrMessageEvent, req: ProviderRequest) 或 (self, event: AstrMessageEvent, resp: LLMResponse)。",
+        })
+      );
+    }
+  }
+
+  return findings;
+}
+
+function checkYieldInSpecialHooks(filePath, lines, functions) {
+  const findings = [];
+
+  for (const fn of functions) {
+    const hook = fn.decorators.find((d) =>
+      NO_YIELD_HOOK_DECORATORS.includes(d.name)
+    );
+    if (!hook) continue;
+
+    const nestedRanges = functions
+      .filter(
+        (other) =>
+          other !== fn &&
+          other.bodyStart > fn.bodyStart &&
+          other.bodyEnd <= fn.bodyEnd
+      )
+      .map((other) => [other.bodyStart - 1, other.bodyEnd]);
+
+    for (let i = fn.bodyStart; i < fn.bodyEnd; i++) {
+      if (nestedRanges.some(([start, end]) => i >= start && i < end)) continue;
+      if (!/(^|[^\w.])yield\b/.test(lines[i].code)) continue;
+
+      findings.push(
+        createFinding("no-yield-in-special-hooks", filePath, lines[i].lineNumber, {
+          severity: "high",
+          message: `${hook.name} 钩子 ${fn.name} 中使用了 yield 发送消息。`,
+          suggestion: "在该钩子中改为直接调用 await event.send(...)。",
+        })
+      );
+    }
+  }
+
+  return findings;
+}
+
+function checkLlmToolPermission(filePath, functions) {
+  const findings = [];
+
+  for (const fn of functions) {
+    const names = fn.decorators.map((d) => d.name);
+    if (!names.includes("filter.llm_tool")) continue;
+
+    const permission = fn.decorators.find(
+      (d) => d.name === "filter.permission_type"
+    );
+    if (!permission) continue;
+
+    findings.push(
+      createFinding("llm-tool-permission", filePath, permission.lineNumber, {
+        severity: "high",
+        message: `@filter.permission_type 用于 @filter.llm_tool 方法 ${fn.name}，该权限控制组合无效。`,
+        suggestion: "移除 @filter.permission_type，并在工具函数内部自行校验权限。",
+      })
+    );
+  }
+
+  return findings;
+}
+
+function createFinding(ruleId, filePath, lineNumber, details) {
+  return {
+    ruleId,
+    file: filePath,
+    lineStart: lineNumber,
+    lineEnd: lineNumber,
+    category: "framework",
+    ...details,
+  };
+}
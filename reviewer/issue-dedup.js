@@ -1,6 +1,7 @@
 import fs from "node:fs";
 import path from "node:path";
 import { open } from "lmdb";
+import { recordIssueAuditEvent } from "./audit-log.js";
 import { getPluginRepoKeyFromIssue } from "./quota.js";
 
 const IMDB_PATH = path.join(process.cwd(), "data", "plugin-publish-imdb.lmdb");
@@ -77,7 +78,26 @@ export function removeIssueForRepoIfMatch(repoKey, issueId) {
 }
 
 /**
- * 检查 opened issue 是否为重复提交。
+ * 移除仓库的 issue 映射，无论其指向哪个 issue（维护者命令 unlink-dedup）。
+ * @param {string|null|undefined} repoKey 标准化仓库标识，格式 owner/repo。
+ * @returns {number|null} 被移除的 issueId，没有映射时返回 null。
+ */
+export function unlinkIssueForRepo(repoKey) {
+  if (!repoKey) return null;
+
+  initializeImdb();
+  return imdb.transactionSync(() => {
+    const currentIssueId = imdb.get(repoKey);
+    if (currentIssueId === undefined) {
+      return null;
+    }
+    imdb.removeSync(repoKey);
+    return currentIssueId;
+  });
+}
+
+/**
+ * 检查 opened issue 是否为重复提交。每次检查的结论都会写入审计日志。
  * @param {import('probot').Context} context 事件上下文。
  * @param {object} log 日志对象。
  * @returns {Promise<boolean>} true 表示继续流程；false 表示已按重复关闭。
@@ -85,17 +105,22 @@ export function removeIssueForRepoIfMatch(repoKey, issueId) {
 export async function shouldContinueAfterDedupCheck(context, log) {
   const { issue } = context.payload;
   const repoKey = getPluginRepoKeyFromIssue(issue);
+  const audit = (outcome, details = {}) =>
+    recordIssueAuditEvent(context, { action: "dedup_check", repoKey, outcome, details });
   if (!repoKey) {
+    audit("no_repo_key");
     return true;
   }
 
   const existedIssueId = getIssueIdForRepo(repoKey);
   if (!existedIssueId) {
     markIssueForRepo(repoKey, issue.number);
+    audit("first_submission");
     return true;
   }
 
   if (existedIssueId === issue.number) {
+    audit("same_issue");
     return true;
   }
 
@@ -111,6 +136,7 @@ export async function shouldContinueAfterDedupCheck(context, log) {
         { issueNumber: issue.number, repoKey, existedIssueId },
         "Removed stale duplicate mapping from closed issue"
       );
+      audit("replaced_stale_mapping", { previousIssueId: existedIssueId, reason: "closed" });
       return true;
     }
   } catch (error) {
@@ -121,6 +147,7 @@ export async function shouldContinueAfterDedupCheck(context, log) {
         { issueNumber: issue.number, repoKey, existedIssueId },
         "Removed stale duplicate mapping from missing issue"
       );
+      audit("replaced_stale_mapping", { previousIssueId: existedIssueId, reason: "missing" });
       return true;
     }
 
@@ -128,6 +155,7 @@ export async function shouldContinueAfterDedupCheck(context, log) {
       { err: error, issueNumber: issue.number, repoKey, existedIssueId },
       "Failed to verify existing issue mapping, continuing with review"
     );
+    audit("lookup_failed", { previousIssueId: existedIssueId, error: error?.message ?? String(error) });
     return true;
   }
 
@@ -136,9 +164,39 @@ export async function shouldContinueAfterDedupCheck(context, log) {
     { issueNumber: issue.number, repoKey, duplicateOfIssueId: existedIssueId },
     "Closed duplicate plugin-publish issue"
   );
+  audit("closed_duplicate", { duplicateOf: existedIssueId });
   return false;
 }
 
+/**
+ * 将当前 issue 作为指定 issue 的重复关闭，并把插件仓库的映射指向该 issue（维护者命令 mark-duplicate）。
+ * @param {import('probot').Context} context 事件上下文。
+ * @param {number} duplicateOfIssueId 原 issue 的 Number。
+ * @returns {Promise<{success: boolean, error?: string, repoKey?: string|null}>} 操作结果。
+ */
+export async function markIssueAsDuplicate(context, duplicateOfIssueId) {
+  const { issue } = context.payload;
+  if (duplicateOfIssueId === issue.number) {
+    return { success: false, error: "不能将 Issue 标记为其自身的重复。" };
+  }
+
+  try {
+    await context.octokit.issues.get(context.issue({ issue_number: duplicateOfIssueId }));
+  } catch (error) {
+    if (error?.status === 404) {
+      return { success: false, error: `找不到 Issue #${duplicateOfIssueId}。` };
+    }
+    throw error;
+  }
+
+  const repoKey = getPluginRepoKeyFromIssue(issue);
+  if (repoKey) {
+    markIssueForRepo(repoKey, duplicateOfIssueId);
+  }
+  await closeAsDuplicate(context, duplicateOfIssueId);
+  return { success: true, repoKey };
+}
+
 /**
  * 在 issue 关闭后清理去重映射。
  * @param {object} issue GitHub Issue 对象。
@@ -0,0 +1,129 @@
+import { randomUUID } from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { open } from "lmdb";
+import { ISSUE_LOCK_TTL_MS } from "./constants.js";
+
+const ISSUE_LOCK_DB_PATH = path.join(
+  process.cwd(),
+  "data",
+  "issue-locks.lmdb"
+);
+
+/**
+ * 当前进程的锁持有者标识。进程崩溃后该标识不再续期，其持有的锁会在过期后自动失效。
+ */
+export const LOCK_OWNER = `${process.pid}-${randomUUID()}`;
+
+let issueLockDb = null;
+let hasRegisteredCloseHook = false;
+
+/**
+ * 初始化 Issue 审核锁的 LMDB 数据库（issueKey -> 锁记录）。
+ * 如果数据库已初始化，则直接返回。
+ */
+export function initializeIssueLockDb() {
+  if (issueLockDb) return;
+
+  fs.mkdirSync(path.dirname(ISSUE_LOCK_DB_PATH), { recursive: true });
+  issueLockDb = open({
+    path: ISSUE_LOCK_DB_PATH,
+  });
+  registerDbCloseHook();
+  console.debug("Issue lock DB initialized at %s", ISSUE_LOCK_DB_PATH);
+}
+
+/**
+ * 尝试获取某个 Issue 的审核锁，保证同一 Issue 同一时间只运行一个审核流程。
+ * 锁不存在、已过期或已由当前进程持有时获取成功；获取成功后锁的有效期从当前时间重新计算。
+ * @param {string|null} issueKey buildIssueKey 生成的键，为空时视为无需加锁。
+ * @param {{ttlMs?: number, now?: number}} [options] 锁有效期与当前时间（毫秒）。
+ * @returns {boolean} 获取成功时返回 true。
+ */
+export function acquireIssueLock(issueKey, { ttlMs = ISSUE_LOCK_TTL_MS, now = Date.now() } = {}) {
+  if (!issueKey) return true;
+
+  initializeIssueLockDb();
+  return issueLockDb.transactionSync(() => {
+    const lock = issueLockDb.get(issueKey);
+    if (lock && lock.owner !== LOCK_OWNER && lock.expiresAt > now) {
+      return false;
+    }
+
+    issueLockDb.putSync(issueKey, {
+      owner: LOCK_OWNER,
+      acquiredAt: lock?.owner === LOCK_OWNER ? lock.acquiredAt : now,
+      expiresAt: now + ttlMs,
+    });
+    return true;
+  });
+}
+
+/**
+ * 为当前进程持有的审核锁续期。审核运行期间需要定期调用，否则锁会在过期后被其他进程获取。
+ * @param {string|null} issueKey buildIssueKey 生成的键。
+ * @param {{ttlMs?: number, now?: number}} [options] 锁有效期与当前时间（毫秒）。
+ * @returns {boolean} 续期成功时返回 true；锁已不属于当前进程时返回 false。
+ */
+export function renewIssueLock(issueKey, { ttlMs = ISSUE_LOCK_TTL_MS, now = Date.now() } = {}) {
+  if (!issueKey) return false;
+
+  initializeIssueLockDb();
+  return issueLockDb.transactionSync(() => {
+    const lock = issueLockDb.get(issueKey);
+    if (lock?.owner !== LOCK_OWNER) return false;
+
+    issueLockDb.putSync(issueKey, { ...lock, expiresAt: now + ttlMs });
+    return true;
+  });
+}
+
+/**
+ * 释放当前进程持有的审核锁。锁已过期并被其他进程获取时不做任何操作。
+ * @param {string|null} issueKey buildIssueKey 生成的键。
+ */
+export function releaseIssueLock(issueKey) {
+  if (!issueKey) return;
+
+  initializeIssueLockDb();
+  issueLockDb.transactionSync(() => {
+    if (issueLockDb.get(issueKey)?.owner === LOCK_OWNER) {
+      issueLockDb.removeSync(issueKey);
+    }
+  });
+}
+
+/**
+ * 注册进程退出时关闭数据库的钩子。
+ * 确保钩子只注册一次。
+ */
+function registerDbCloseHook() {
+  if (hasRegisteredCloseHook) {
+    return;
+  }
+  hasRegisteredCloseHook = true;
+
+  process.once("beforeExit", () => {
+    void closeIssueLockDb();
+  });
+}
+
+/**
+ * 关闭 Issue 审核锁数据库连接。
+ * @returns {Promise<void>}
+ */
+async function closeIssueLockDb() {
+  if (!issueLockDb) {
+    return;
+  }
+
+  const db = issueLockDb;
+  issueLockDb = null;
+
+  try {
+    await db.close();
+    console.debug("Issue lock DB closed");
+  } catch (error) {
+    console.error("Failed to close issue lock DB:", error);
+  }
+}
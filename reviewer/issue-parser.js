@@ -0,0 +1,147 @@
+/**
+ * 插件提交 Issue 的正文格式。
+ */
+export const ISSUE_FORMATS = {
+  JSON: "json",
+  ISSUE_FORM: "issue-form",
+};
+
+/**
+ * Issue 表单中的标题与 pluginData 字段的对应关系。labels 中的任意一个标题都会被识别。
+ */
+export const ISSUE_FORM_FIELDS = [
+  { key: "name", labels: ["插件名", "插件名称"] },
+  { key: "desc", labels: ["插件介绍", "插件描述", "插件简介"] },
+  { key: "author", labels: ["作者", "作者名", "插件作者"] },
+  { key: "repo", labels: ["仓库地址", "插件仓库地址", "仓库链接"] },
+  { key: "tags", labels: ["标签", "插件标签"], list: true },
+  { key: "social_link", labels: ["社交链接", "作者主页"] },
+  { key: "ref", labels: ["审核版本", "指定审核版本"] },
+];
+
+const JSON_BLOCK_PATTERN = /```json\s*([\s\S]*?)\s*```/i;
+const CHECKED_ITEM_PATTERN = /^\s*[-*]\s*\[[xX]\]\s+(.+?)\s*$/gm;
+const HEADING_PATTERN = /^(#{2,3})\s+(.+?)\s*#*\s*$/;
+const NO_RESPONSE = "_No response_";
+
+/**
+ * 解析插件提交 Issue 的正文，同时支持旧版 JSON 代码块模板与 GitHub Issue 表单渲染出的正文。
+ * 两种格式都会产出相同结构的 pluginData；正文中同时存在 JSON 代码块时优先使用 JSON。
+ * @param {string} body Issue 正文。
+ * @returns {{format: string|null, pluginData: object|null, source: string|null, error: Error|null, checkedItems: string[]}}
+ *   format 为识别出的格式（ISSUE_FORMATS 之一，无法识别时为 null）；
+ *   source 为 JSON 格式下代码块的原文；error 为 JSON 解析失败时的异常；checkedItems 为所有已勾选复选框的文本。
+ */
+export function parseIssueBody(body) {
+  const text = body || "";
+  const checkedItems = [...text.matchAll(CHECKED_ITEM_PATTERN)].map((m) => m[1]);
+
+  const jsonMatch = text.match(JSON_BLOCK_PATTERN);
+  if (jsonMatch?.[1]) {
+    const source = jsonMatch[1];
+    try {
+      return {
+        format: ISSUE_FORMATS.JSON,
+        pluginData: JSON.parse(source),
+        source,
+        error: null,
+        checkedItems,
+      };
+    } catch (error) {
+      return { format: ISSUE_FORMATS.JSON, pluginData: null, source, error, checkedItems };
+    }
+  }
+
+  const pluginData = parseIssueFormSections(text);
+  if (pluginData) {
+    return {
+      format: ISSUE_FORMATS.ISSUE_FORM,
+      pluginData,
+      source: null,
+      error: null,
+      checkedItems,
+    };
+  }
+
+  return { format: null, pluginData: null, source: null, error: null, checkedItems };
+}
+
+/**
+ * 判断某个复选框是否已被勾选。比较时忽略 Markdown 链接语法、空白与结尾标点，
+ * 以兼容 Issue 表单对复选框文本的渲染差异。
+ * @param {string[]} checkedItems parseIssueBody 返回的已勾选复选框文本。
+ * @param {string} label 复选框文本。
+ * @returns {boolean} 已勾选时返回 true。
+ */
+export function isChecklistItemChecked(checkedItems, label) {
+  const expected = normalizeChecklistText(label);
+  return checkedItems.some((item) => normalizeChecklistText(item).includes(expected));
+}
+
+/**
+ * 获取 Issue 表单中某个字段的显示标题，用于错误提示。
+ * @param {string} key pluginData 字段名。
+ * @returns {string} 字段标题，未知字段时返回字段名本身。
+ */
+export function getIssueFormLabel(key) {
+  return ISSUE_FORM_FIELDS.find((field) => field.key === key)?.labels[0] || key;
+}
+
+function parseIssueFormSections(text) {
+  const sections = [];
+  let current = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      current = heading[1] === "###" ? { label: heading[2], lines: [] } : null;
+      if (current) sections.push(current);
+      continue;
+    }
+    current?.lines.push(line);
+  }
+
+  const pluginData = {};
+  let matched = false;
+  for (const section of sections) {
+    const field = findFormField(section.label);
+    if (!field || field.key in pluginData) continue;
+
+    matched = true;
+    const value = cleanSectionValue(section.lines);
+    pluginData[field.key] = field.list ? splitListValue(value) : value;
+  }
+
+  return matched ? pluginData : null;
+}
+
+function findFormField(label) {
+  const normalized = label
+    .replace(/[（(][^）)]*[）)]/g, "")
+    .replace(/[:：*]+$/, "")
+    .trim();
+  return ISSUE_FORM_FIELDS.find((field) => field.labels.includes(normalized));
+}
+
+function cleanSectionValue(lines) {
+  const value = lines
+    .join("\n")
+    .trim()
+    .replace(/^```[\w-]*\n?([\s\S]*?)\n?```$/, "$1")
+    .trim();
+  return value === NO_RESPONSE ? "" : value;
+}
+
+function splitListValue(value) {
+  return value
+    .split(/[\n,，、]/)
+    .map((item) => item.replace(/^[-*]\s+/, "").trim())
+    .filter(Boolean);
+}
+
+function normalizeChecklistText(text) {
+  return text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\s+/g, "")
+    .replace(/[。.！!]+$/, "");
+}
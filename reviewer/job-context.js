@@ -0,0 +1,49 @@
+import path from "node:path";
+
+/**
+ * 为没有 Webhook 事件上下文的审核任务（进程重启后恢复的任务）重建最小化的 Probot 上下文。
+ * 仅提供审核流程用到的 payload.issue、payload.repository、octokit、log、issue()、repo() 与 config()。
+ * @param {import('probot').Probot} app Probot 应用实例。
+ * @param {{id: string, installationId: number, repositoryFullName: string, issueNumber: number}} job 审核任务。
+ * @returns {Promise<object>} 与 Probot Context 接口兼容的上下文对象。
+ */
+export async function createJobContext(app, job) {
+  const [owner, repo] = job.repositoryFullName.split("/");
+  const octokit = await app.auth(job.installationId);
+  const { data: issue } = await octokit.issues.get({
+    owner,
+    repo,
+    issue_number: job.issueNumber,
+  });
+
+  return {
+    name: "issues",
+    payload: {
+      action: "resumed",
+      issue,
+      repository: {
+        full_name: job.repositoryFullName,
+        name: repo,
+        owner: { login: owner },
+      },
+      installation: { id: job.installationId },
+    },
+    octokit,
+    log: app.log.child?.({ jobId: job.id }) || app.log,
+    issue: (params = {}) => ({ owner, repo, issue_number: job.issueNumber, ...params }),
+    repo: (params = {}) => ({ owner, repo, ...params }),
+    // 与 Probot Context#config 一致：未提供默认值且找不到配置文件时返回 null
+    config: async (fileName, defaultConfig) => {
+      const { config, files } = await octokit.config.get({
+        owner,
+        repo,
+        path: path.posix.join(".github", fileName),
+        defaults: (configs) => Object.assign({}, defaultConfig, ...configs),
+      });
+      if (!defaultConfig && !files.some((file) => file.config !== null)) {
+        return null;
+      }
+      return config;
+    },
+  };
+}
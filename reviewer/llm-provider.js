@@ -0,0 +1,501 @@
+import OpenAI from "openai";
+import {
+  DEFAULT_LLM_MAX_RETRIES,
+  DEFAULT_LLM_PROVIDER,
+  DEFAULT_LLM_RETRY_BASE_DELAY_MS,
+  DEFAULT_MAX_OUTPUT_TOKENS,
+  LLM_REQUEST_TIMEOUT_MS,
+  MAX_LLM_RETRY_DELAY_MS,
+} from "./constants.js";
+
+const OPENAI_CONTEXT_WINDOWS = [
+  ["gpt-4o", 128000],
+  ["gpt-4.1", 1047576],
+  ["gpt-4.5", 128000],
+  ["gpt-4-turbo", 128000],
+  ["gpt-5", 400000],
+  ["o1", 200000],
+  ["o3", 200000],
+  ["o4", 200000],
+  ["gpt-4", 8192],
+  ["gpt-3.5", 16385],
+];
+
+const ANTHROPIC_CONTEXT_WINDOWS = [["claude-", 200000]];
+
+const TRANSIENT_HTTP_STATUSES = [408, 409, 429];
+const TRANSIENT_ERROR_NAMES = [
+  "AbortError",
+  "TimeoutError",
+  "APIConnectionError",
+  "APIConnectionTimeoutError",
+];
+const TRANSIENT_ERROR_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_HEADERS_TIMEOUT",
+];
+const JSON_MODE_ERROR_PATTERN = /response_format|json/i;
+
+/**
+ * 模型在特定提供方下的已知怪癖，按模型名匹配后覆盖提供方的默认能力声明。
+ * - supportsJsonMode: 是否支持原生 JSON 输出模式。
+ * - explicitTextFormat: 非 JSON 请求时是否必须显式声明 text 输出格式。
+ */
+const MODEL_QUIRKS = [
+  {
+    pattern: /qwen3-235b-a22b-fp8/i,
+    providers: ["openai-chat"],
+    supportsJsonMode: false,
+    explicitTextFormat: true,
+  },
+];
+
+/**
+ * 支持的 LLM 提供方。
+ * - openai-chat: OpenAI Chat Completions 及兼容接口（包括 llama.cpp server 等本地 OpenAI 兼容服务）。
+ * - openai-responses: OpenAI Responses API。
+ * - anthropic: Anthropic Messages API。
+ * - ollama: Ollama 原生 /api/chat 接口。
+ */
+const LLM_PROVIDERS = {
+  "openai-chat": {
+    requiresApiKey: true,
+    supportsJsonMode: true,
+    contextWindows: OPENAI_CONTEXT_WINDOWS,
+    createClient: createOpenAIChatClient,
+  },
+  "openai-responses": {
+    requiresApiKey: true,
+    supportsJsonMode: true,
+    contextWindows: OPENAI_CONTEXT_WINDOWS,
+    createClient: createOpenAIResponsesClient,
+  },
+  anthropic: {
+    requiresApiKey: true,
+    supportsJsonMode: false,
+    contextWindows: ANTHROPIC_CONTEXT_WINDOWS,
+    createClient: createAnthropicClient,
+  },
+  ollama: {
+    requiresApiKey: false,
+    supportsJsonMode: true,
+    contextWindows: [],
+    createClient: createOllamaClient,
+  },
+};
+
+export const LLM_PROVIDER_NAMES = Object.keys(LLM_PROVIDERS);
+
+/**
+ * 判断提供方是否需要 API Key。
+ * @param {string} providerName 提供方名称。
+ * @returns {boolean} 未知提供方按需要处理。
+ */
+export function providerRequiresApiKey(providerName) {
+  return LLM_PROVIDERS[providerName]?.requiresApiKey ?? true;
+}
+
+/**
+ * 判断 AI 调用的错误是否为暂时性故障（限流、服务端错误、超时或连接中断），此类错误值得重试。
+ * @param {unknown} error 调用抛出的错误。
+ * @returns {boolean}
+ */
+export function isTransientLlmError(error) {
+  if (!error) return false;
+  const { status } = error;
+  if (Number.isInteger(status)) {
+    return TRANSIENT_HTTP_STATUSES.includes(status) || status >= 500;
+  }
+  return (
+    TRANSIENT_ERROR_NAMES.includes(error.name) ||
+    TRANSIENT_ERROR_CODES.includes(error.code) ||
+    TRANSIENT_ERROR_CODES.includes(error.cause?.code)
+  );
+}
+
+/**
+ * 判断 AI 调用的错误是否为模型或服务不支持 JSON 模式（response_format）。
+ * 只看状态码会把上下文超长等其他 400 错误也当作不支持 JSON 模式，因此同时检查错误信息。
+ * @param {unknown} error 调用抛出的错误。
+ * @returns {boolean}
+ */
+export function isJsonModeUnsupportedError(error) {
+  if (error?.status !== 400) return false;
+  return [error.message, error.error?.message].some(
+    (message) => typeof message === "string" && JSON_MODE_ERROR_PATTERN.test(message)
+  );
+}
+
+/**
+ * 根据配置创建 LLM 提供方。
+ * 各提供方声明自身的上下文窗口、JSON 模式支持与模型怪癖，调用方只需使用统一的 complete 接口。
+ * complete 遇到暂时性故障时按指数退避重试（优先遵循响应的 Retry-After），重试耗尽后抛出最后一次的错误，
+ * 错误的 attempts 字段记录总尝试次数。
+ * @param {{provider?: string, apiKey?: string, baseURL?: string|null, model: string, maxInputTokens?: number,
+ *   maxRetries?: number, retryBaseDelayMs?: number}} config 应用配置。
+ * @returns {{name: string, model: string, contextWindow: number|null, supportsJsonMode: boolean,
+ *   complete: (prompt: string, options?: {json?: boolean, onProgress?: (progress: {receivedChars: number}) => void}) => Promise<{content: string, usage: object|null}>}}
+ *   contextWindow 为模型的上下文窗口，未知时为 null；complete 返回的 usage 统一为 prompt_tokens/completion_tokens/total_tokens 形式；
+ *   传入 onProgress 时以流式方式请求，每收到一段输出即回调本次尝试已接收的字符数。
+ */
+export function createLlmProvider(config) {
+  const name = config.provider || DEFAULT_LLM_PROVIDER;
+  const definition = LLM_PROVIDERS[name];
+  if (!definition) {
+    throw new Error(
+      `Unsupported LLM provider "${name}", expected one of: ${LLM_PROVIDER_NAMES.join(", ")}`
+    );
+  }
+
+  const quirks = resolveModelQuirks(name, config.model);
+  const capabilities = {
+    supportsJsonMode: quirks.supportsJsonMode ?? definition.supportsJsonMode,
+    explicitTextFormat: quirks.explicitTextFormat ?? false,
+  };
+  const client = definition.createClient(config, capabilities);
+
+  return {
+    name,
+    model: config.model,
+    contextWindow: resolveContextWindow(definition.contextWindows, config.model),
+    supportsJsonMode: capabilities.supportsJsonMode,
+    complete: (prompt, { json = false, onProgress = null } = {}) =>
+      withRetry(
+        () =>
+          client.complete(prompt, {
+            json: json && capabilities.supportsJsonMode,
+            onProgress,
+          }),
+        {
+          maxRetries: config.maxRetries ?? DEFAULT_LLM_MAX_RETRIES,
+          baseDelayMs: config.retryBaseDelayMs ?? DEFAULT_LLM_RETRY_BASE_DELAY_MS,
+        }
+      ),
+  };
+}
+
+async function withRetry(request, { maxRetries, baseDelayMs }) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= maxRetries || !isTransientLlmError(error)) {
+        if (error && typeof error === "object") error.attempts = attempt + 1;
+        throw error;
+      }
+      await sleep(getRetryDelayMs(error, attempt, baseDelayMs));
+    }
+  }
+}
+
+function getRetryDelayMs(error, attempt, baseDelayMs) {
+  const retryAfter = error.headers?.get?.("retry-after");
+  const retryAfterSeconds = Number(retryAfter);
+  if (retryAfter && Number.isFinite(retryAfterSeconds)) {
+    return Math.min(retryAfterSeconds * 1000, MAX_LLM_RETRY_DELAY_MS);
+  }
+  const exponential = baseDelayMs * 2 ** attempt;
+  return Math.min(exponential * (0.5 + Math.random() / 2), MAX_LLM_RETRY_DELAY_MS);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function resolveModelQuirks(providerName, model) {
+  return (
+    MODEL_QUIRKS.find(
+      (quirk) =>
+        quirk.providers.includes(providerName) && quirk.pattern.test(model || "")
+    ) || {}
+  );
+}
+
+function resolveContextWindow(contextWindows, model) {
+  const normalizedModel = (model || "").toLowerCase().split("/").pop();
+  const matched = contextWindows.find(([prefix]) =>
+    normalizedModel.startsWith(prefix)
+  );
+  return matched ? matched[1] : null;
+}
+
+function createOpenAIClient(config) {
+  return new OpenAI({
+    apiKey: config.apiKey,
+    timeout: LLM_REQUEST_TIMEOUT_MS,
+    maxRetries: 0,
+    ...(config.baseURL && { baseURL: config.baseURL }),
+  });
+}
+
+function createOpenAIChatClient(config, capabilities) {
+  const openai = createOpenAIClient(config);
+  return {
+    async complete(prompt, { json, onProgress }) {
+      const completionParams = {
+        model: config.model,
+        messages: [{ role: "user", content: prompt }],
+      };
+      if (json) {
+        completionParams.response_format = { type: "json_object" };
+      } else if (capabilities.explicitTextFormat) {
+        completionParams.response_format = { type: "text" };
+      }
+
+      if (!onProgress) {
+        const completion = await openai.chat.completions.create(completionParams);
+        return {
+          content: completion.choices[0].message.content || "",
+          usage: completion.usage || null,
+        };
+      }
+
+      const stream = await openai.chat.completions.create({
+        ...completionParams,
+        stream: true,
+        stream_options: { include_usage: true },
+      });
+      const output = createStreamAccumulator(onProgress);
+      let usage = null;
+      for await (const chunk of stream) {
+        output.append(chunk.choices?.[0]?.delta?.content);
+        if (chunk.usage) usage = chunk.usage;
+      }
+      return { content: output.text(), usage };
+    },
+  };
+}
+
+function createOpenAIResponsesClient(config) {
+  const openai = createOpenAIClient(config);
+  return {
+    async complete(prompt, { json, onProgress }) {
+      const requestParams = {
+        model: config.model,
+        input: prompt,
+        ...(json && { text: { format: { type: "json_object" } } }),
+      };
+
+      let response;
+      let content;
+      if (!onProgress) {
+        response = await openai.responses.create(requestParams);
+        content = response.output_text || "";
+      } else {
+        const stream = await openai.responses.create({ ...requestParams, stream: true });
+        const output = createStreamAccumulator(onProgress);
+        for await (const event of stream) {
+          if (event.type === "response.output_text.delta") {
+            output.append(event.delta);
+          } else if (event.type === "response.completed") {
+            response = event.response;
+          }
+        }
+        content = output.text();
+      }
+
+      return {
+        content,
+        usage: normalizeUsage(
+          response?.usage?.input_tokens,
+          response?.usage?.output_tokens,
+          response?.usage?.total_tokens
+        ),
+      };
+    },
+  };
+}
+
+function createAnthropicClient(config) {
+  const url = `${trimTrailingSlash(config.baseURL || "https://api.anthropic.com")}/v1/messages`;
+  const headers = {
+    "x-api-key": config.apiKey,
+    "anthropic-version": "2023-06-01",
+  };
+  const body = (prompt) => ({
+    model: config.model,
+    max_tokens: DEFAULT_MAX_OUTPUT_TOKENS,
+    messages: [{ role: "user", content: prompt }],
+  });
+
+  return {
+    async complete(prompt, { onProgress }) {
+      if (!onProgress) {
+        const message = await postJson(url, body(prompt), headers);
+        return {
+          content: (message.content || [])
+            .filter((block) => block.type === "text")
+            .map((block) => block.text)
+            .join(""),
+          usage: normalizeUsage(
+            message.usage?.input_tokens,
+            message.usage?.output_tokens
+          ),
+        };
+      }
+
+      const response = await postRequest(url, { ...body(prompt), stream: true }, headers);
+      const output = createStreamAccumulator(onProgress);
+      let inputTokens;
+      let outputTokens;
+      for await (const event of readServerSentEvents(response)) {
+        if (event.type === "message_start") {
+          inputTokens = event.message?.usage?.input_tokens;
+        } else if (event.type === "content_block_delta" && event.delta?.type === "text_delta") {
+          output.append(event.delta.text);
+        } else if (event.type === "message_delta") {
+          outputTokens = event.usage?.output_tokens;
+        } else if (event.type === "error") {
+          throw createStreamError(event.error);
+        }
+      }
+      return { content: output.text(), usage: normalizeUsage(inputTokens, outputTokens) };
+    },
+  };
+}
+
+function createOllamaClient(config) {
+  const url = `${trimTrailingSlash(config.baseURL || "http://localhost:11434")}/api/chat`;
+  const headers = config.apiKey ? { authorization: `Bearer ${config.apiKey}` } : {};
+  const body = (prompt, json, stream) => ({
+    model: config.model,
+    messages: [{ role: "user", content: prompt }],
+    stream,
+    ...(json && { format: "json" }),
+    ...(config.maxInputTokens && {
+      options: { num_ctx: config.maxInputTokens },
+    }),
+  });
+
+  return {
+    async complete(prompt, { json, onProgress }) {
+      if (!onProgress) {
+        const response = await postJson(url, body(prompt, json, false), headers);
+        return {
+          content: response.message?.content || "",
+          usage: normalizeUsage(response.prompt_eval_count, response.eval_count),
+        };
+      }
+
+      const response = await postRequest(url, body(prompt, json, true), headers);
+      const output = createStreamAccumulator(onProgress);
+      let usage = null;
+      for await (const line of readLines(response)) {
+        const chunk = JSON.parse(line);
+        if (chunk.error) throw createStreamError(chunk.error);
+        output.append(chunk.message?.content);
+        if (chunk.done) usage = normalizeUsage(chunk.prompt_eval_count, chunk.eval_count);
+      }
+      return { content: output.text(), usage };
+    },
+  };
+}
+
+/**
+ * 累积流式输出的文本片段，并在每次收到新内容时报告已接收的字符数。
+ * @param {(progress: {receivedChars: number}) => void} onProgress 进度回调。
+ * @returns {{append: (delta: string|undefined) => void, text: () => string}}
+ */
+function createStreamAccumulator(onProgress) {
+  const parts = [];
+  let receivedChars = 0;
+  return {
+    append(delta) {
+      if (!delta) return;
+      parts.push(delta);
+      receivedChars += delta.length;
+      onProgress({ receivedChars });
+    },
+    text: () => parts.join(""),
+  };
+}
+
+/**
+ * 流式响应中途返回的错误事件。带上 status 以便沿用按状态码的重试判断。
+ * @param {object|string} error 错误事件内容。
+ * @returns {Error}
+ */
+function createStreamError(error) {
+  const streamError = new Error(
+    `LLM stream failed: ${typeof error === "string" ? error : JSON.stringify(error)}`
+  );
+  if (error?.type === "overloaded_error" || error?.type === "api_error") {
+    streamError.status = 503;
+  }
+  return streamError;
+}
+
+async function* readLines(response) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, newlineIndex).trim();
+      buffer = buffer.slice(newlineIndex + 1);
+      if (line) yield line;
+    }
+  }
+  buffer += decoder.decode();
+  if (buffer.trim()) yield buffer.trim();
+}
+
+async function* readServerSentEvents(response) {
+  for await (const line of readLines(response)) {
+    if (!line.startsWith("data:")) continue;
+    const data = line.slice(5).trim();
+    if (data && data !== "[DONE]") yield JSON.parse(data);
+  }
+}
+
+/**
+ * 发送 JSON POST 请求并返回原始响应。非 2xx 响应会抛出带 status 与 headers 的错误，与 OpenAI SDK 的错误保持一致，
+ * 以便调用方按状态码区分处理（例如 400 表示模型不接受 JSON 模式）。
+ * @param {string} url 请求地址。
+ * @param {object} body 请求体。
+ * @param {Record<string, string>} headers 额外请求头。
+ * @returns {Promise<Response>} 响应对象。
+ */
+async function postRequest(url, body, headers) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(LLM_REQUEST_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    const text = await response.text();
+    const error = new Error(
+      `LLM request failed with status ${response.status}: ${text.slice(0, 200)}`
+    );
+    error.status = response.status;
+    error.headers = response.headers;
+    throw error;
+  }
+  return response;
+}
+
+async function postJson(url, body, headers) {
+  const response = await postRequest(url, body, headers);
+  return JSON.parse(await response.text());
+}
+
+function normalizeUsage(promptTokens, completionTokens, totalTokens) {
+  if (promptTokens == null && completionTokens == null) return null;
+  return {
+    prompt_tokens: promptTokens || 0,
+    completion_tokens: completionTokens || 0,
+    total_tokens: totalTokens || (promptTokens || 0) + (completionTokens || 0),
+  };
+}
+
+function trimTrailingSlash(url) {
+  return url.replace(/\/+$/, "");
+}
@@ -0,0 +1,203 @@
+/**
+ * metadata.yaml 的声明式 Schema（JSON Schema 的一个子集）。
+ * 支持的关键字：type、required、properties、additionalProperties、minLength、maxLength、
+ * format、items、maxItems、uniqueItems。additionalProperties 为 "warn" 时未知字段只产生警告。
+ */
+export const METADATA_SCHEMA = {
+  type: "object",
+  required: ["name", "author", "version", "repo"],
+  additionalProperties: "warn",
+  properties: {
+    name: { type: "string", minLength: 1, maxLength: 64 },
+    display_name: { type: "string", minLength: 1, maxLength: 32 },
+    desc: { type: "string", minLength: 1, maxLength: 500 },
+    description: { type: "string", minLength: 1, maxLength: 500 },
+    version: { type: "string", format: "semver" },
+    author: { type: "string", minLength: 1, maxLength: 64 },
+    repo: { type: "string", format: "github-repo-url" },
+    tags: {
+      type: "array",
+      maxItems: 10,
+      uniqueItems: true,
+      items: { type: "string", minLength: 1, maxLength: 20 },
+    },
+    social_link: { type: "string", format: "url" },
+    logo: { type: "string", format: "image-path" },
+    astrbot_version: { type: "string", format: "version-range" },
+    support_platforms: {
+      type: "array",
+      uniqueItems: true,
+      items: { type: "string", minLength: 1 },
+    },
+  },
+};
+
+const VERSION_CORE = String.raw`(?:0|[1-9]\d*)\.(?:0|[1-9]\d*)\.(?:0|[1-9]\d*)`;
+const PRERELEASE = String.raw`(?:-[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?`;
+const SEMVER_PATTERN = new RegExp(`^v?${VERSION_CORE}${PRERELEASE}$`);
+const RANGE_CLAUSE_PATTERN = /^(?:>=|<=|==|!=|~=|>|<|\^|~)?\s*v?\d+(?:\.\d+){0,2}(?:\.\*)?$/;
+
+const FORMAT_CHECKERS = {
+  semver: {
+    test: (value) => SEMVER_PATTERN.test(value),
+    message: "不是有效的语义化版本号（如 1.0.0 或 v1.0.0）",
+  },
+  "github-repo-url": {
+    test: (value) => /^https:\/\/github\.com\/[\w.-]+\/[\w.-]+\/?$/.test(value),
+    message: "应为 https://github.com/所有者/仓库名 形式的仓库地址",
+  },
+  url: {
+    test: (value) => {
+      try {
+        return ["http:", "https:"].includes(new URL(value).protocol);
+      } catch {
+        return false;
+      }
+    },
+    message: "不是有效的 http(s) 链接",
+  },
+  "image-path": {
+    test: (value) =>
+      !/^[a-z]+:\/\//i.test(value) &&
+      !value.startsWith("/") &&
+      !value.split("/").includes("..") &&
+      /\.(?:png|jpe?g|webp|gif|svg)$/i.test(value),
+    message: "应为仓库内的相对图片路径（如 logo.png）",
+  },
+  "version-range": {
+    test: (value) =>
+      value
+        .split(",")
+        .every((clause) => RANGE_CLAUSE_PATTERN.test(clause.trim())),
+    message: "不是有效的版本范围（如 >=3.5.0 或 >=3.5.0,<4.0.0）",
+  },
+};
+
+/**
+ * 按 METADATA_SCHEMA 校验解析后的 metadata.yaml 内容。
+ * @param {object} data yaml.load 解析后的对象。
+ * @param {string} content metadata.yaml 原文，用于定位字段所在行号。
+ * @returns {{errors: string[], warnings: string[]}} 错误与警告信息。
+ */
+export function validateMetadataSchema(data, content) {
+  const errors = [];
+  const warnings = [];
+  const schema = METADATA_SCHEMA;
+
+  for (const key of schema.required) {
+    if (!(key in data) || data[key] === null || data[key] === "") {
+      errors.push(`metadata.yaml中缺少必需的${key}字段`);
+    }
+  }
+
+  for (const [key, value] of Object.entries(data)) {
+    const propertySchema = schema.properties[key];
+    if (!propertySchema) {
+      if (schema.additionalProperties === "warn") {
+        warnings.push(`${describeKeyLocation(key, content)}不是已知的字段，AstrBot 会忽略它，请检查拼写`);
+      }
+      continue;
+    }
+    if (value === null || value === undefined) continue;
+
+    for (const problem of validateValue(value, propertySchema)) {
+      errors.push(`${describeKeyLocation(key, content)}${problem}`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * 生成“metadata.yaml第N行的key字段”形式的位置描述，找不到行号时省略行号。
+ * @param {string} key 顶层字段名。
+ * @param {string} content metadata.yaml 原文。
+ * @returns {string} 位置描述。
+ */
+export function describeKeyLocation(key, content) {
+  const lineNumber = findKeyLineNumber(key, content);
+  return lineNumber
+    ? `metadata.yaml第${lineNumber}行的${key}字段`
+    : `metadata.yaml中的${key}字段`;
+}
+
+/**
+ * 渲染“metadata.yaml 提示”报告章节，列出不影响通过审核的警告。
+ * @param {string[]} warnings validateMetadataSchema 返回的警告。
+ * @returns {string} Markdown 文本。
+ */
+export function renderMetadataWarningSection(warnings) {
+  return `### 📝 metadata.yaml 提示\n\n${warnings.map((w) => `- ${w}`).join("\n")}\n`;
+}
+
+function validateValue(value, schema) {
+  const problems = [];
+
+  if (!matchesType(value, schema.type)) {
+    const hint =
+      schema.type === "string" && typeof value !== "object"
+        ? "，请用引号包裹该值"
+        : "";
+    return [`应为${describeType(schema.type)}，实际为${describeValueType(value)}${hint}`];
+  }
+
+  if (schema.type === "string") {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      problems.push("不能为空");
+    }
+    if (schema.maxLength && value.length > schema.maxLength) {
+      problems.push(`长度不能超过 ${schema.maxLength} 个字符`);
+    }
+    const format = FORMAT_CHECKERS[schema.format];
+    if (format && value.trim() && !format.test(value)) {
+      problems.push(`"${value}" ${format.message}`);
+    }
+  }
+
+  if (schema.type === "array") {
+    if (schema.maxItems && value.length > schema.maxItems) {
+      problems.push(`最多包含 ${schema.maxItems} 项`);
+    }
+    if (schema.uniqueItems && new Set(value).size !== value.length) {
+      problems.push("包含重复项");
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        for (const problem of validateValue(item, schema.items)) {
+          problems.push(`第 ${index + 1} 项${problem}`);
+        }
+      });
+    }
+  }
+
+  return problems;
+}
+
+function matchesType(value, type) {
+  if (type === "array") return Array.isArray(value);
+  if (type === "object") {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+  }
+  return typeof value === type;
+}
+
+function describeType(type) {
+  return { string: "字符串", array: "列表", object: "键值对" }[type] || type;
+}
+
+function describeValueType(value) {
+  if (Array.isArray(value)) return "列表";
+  if (value instanceof Date) return "日期";
+  return (
+    { number: "数字", boolean: "布尔值", object: "键值对", string: "字符串" }[
+      typeof value
+    ] || typeof value
+  );
+}
+
+function findKeyLineNumber(key, content) {
+  const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const pattern = new RegExp(`^["']?${escaped}["']?\\s*:`);
+  const index = content.split(/\r?\n/).findIndex((line) => pattern.test(line));
+  return index === -1 ? null : index + 1;
+}
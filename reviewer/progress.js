@@ -0,0 +1,76 @@
+import { postOrUpdateComment } from "./comments.js";
+import { PROGRESS_UPDATE_INTERVAL_MS } from "./constants.js";
+
+/**
+ * 创建审核进度报告器，将各阶段进度节流写入“正在审核中”评论。
+ * 两次评论更新至少间隔 minIntervalMs；间隔内的多次报告只保留最新状态，在间隔结束时合并写入。
+ * @param {import('probot').Context} context 事件上下文。
+ * @param {number|null} commentId “正在审核中”评论的 ID，为空时报告器不做任何事。
+ * @param {object} [options] 附加选项。
+ * @param {object|null} [options.quotaInfo] 评论页脚展示的配额信息。
+ * @param {number} [options.minIntervalMs] 两次评论更新的最小间隔。
+ * @returns {{report: (key: string, text: string, options?: {done?: boolean}) => void, stop: () => Promise<void>}}
+ *   report 以 key 标识阶段，重复报告同一阶段时原位更新；stop 取消尚未写入的更新并等待进行中的更新完成，
+ *   必须在发布最终审核结果之前调用，以免进度覆盖结果。
+ */
+export function createProgressReporter(
+  context,
+  commentId,
+  { quotaInfo = null, minIntervalMs = PROGRESS_UPDATE_INTERVAL_MS } = {}
+) {
+  const steps = new Map();
+  const startedAt = Date.now();
+  let lastUpdateAt = startedAt;
+  let timer = null;
+  let inFlight = Promise.resolve();
+  let stopped = !commentId;
+
+  function publish() {
+    timer = null;
+    if (stopped) return;
+
+    lastUpdateAt = Date.now();
+    const progress = {
+      steps: [...steps.values()],
+      elapsedSeconds: Math.round((lastUpdateAt - startedAt) / 1000),
+    };
+    inFlight = inFlight
+      .then(() =>
+        postOrUpdateComment(
+          context,
+          "review_started",
+          { quotaInfo, progress },
+          true,
+          commentId
+        )
+      )
+      .catch((error) => {
+        context.log.warn({ err: error, commentId }, "Failed to update review progress comment");
+      });
+  }
+
+  function schedule() {
+    if (stopped || timer) return;
+    const wait = lastUpdateAt + minIntervalMs - Date.now();
+    if (wait <= 0) {
+      publish();
+      return;
+    }
+    timer = setTimeout(publish, wait);
+    timer.unref?.();
+  }
+
+  return {
+    report(key, text, { done = false } = {}) {
+      if (stopped) return;
+      steps.set(key, { text, done });
+      schedule();
+    },
+    async stop() {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+      timer = null;
+      await inFlight;
+    },
+  };
+}
@@ -0,0 +1,182 @@
+import { readdirSync, readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import yaml from "js-yaml";
+
+/**
+ * Prompt 模板目录。每个 .md 文件是一个 Prompt 段落，文件开头的 YAML front matter 描述段落元数据：
+ * id、title、version（段落内容变化时递增）、order（拼接顺序）、prompts（所属的 Prompt：main、regular、summary）、
+ * heading（标题样式：none 无标题、numbered 编号的审查要求、section 二级标题、subsection 三级标题）
+ * 以及 toggleable（是否允许通过仓库配置关闭）。正文中的 {{name}} 会被替换为 Prompt 变量。
+ */
+export const PROMPT_TEMPLATE_DIR = fileURLToPath(
+  new URL("../prompt-templates/", import.meta.url)
+);
+
+/**
+ * Prompt 变量的默认值。
+ */
+export const DEFAULT_PROMPT_VARIABLES = Object.freeze({
+  pythonVersion: "3.10",
+  apiModule: "astrbot.api",
+  eventModule: "astrbot.api.event",
+  starModule: "astrbot.api.star",
+  dataDirMethod: "StarTools.get_data_dir()",
+});
+
+const PROMPT_KINDS = ["main", "regular", "summary"];
+const HEADING_STYLES = ["none", "numbered", "section", "subsection"];
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/;
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * 按 order 排序的全部 Prompt 段落。
+ */
+export const PROMPT_SECTIONS = loadPromptSections(PROMPT_TEMPLATE_DIR);
+
+/**
+ * 可以通过仓库配置关闭的段落 id。
+ */
+export const TOGGLEABLE_PROMPT_SECTION_IDS = PROMPT_SECTIONS.filter(
+  (section) => section.toggleable
+).map((section) => section.id);
+
+/**
+ * 按仓库配置组合本次审核使用的 Prompt。
+ * @param {object} [options] 组合选项。
+ * @param {string[]} [options.disabledSections] 关闭的段落 id，只对 toggleable 段落生效。
+ * @param {Partial<typeof DEFAULT_PROMPT_VARIABLES>} [options.variables] 覆盖默认值的 Prompt 变量。
+ * @param {string} [options.reviewInstructions] 仓库维护者的附加审核要求。
+ * @returns {{mainFile: string, regularFile: string, summary: string, reviewInstructions: string, sectionVersions: string[]}}
+ *   sectionVersions 为本次启用的段落及其版本（id@version），记录在审核报告中。
+ */
+export function buildPromptSet({
+  disabledSections = [],
+  variables = {},
+  reviewInstructions = "",
+} = {}) {
+  const disabled = new Set(disabledSections);
+  const sections = PROMPT_SECTIONS.filter(
+    (section) => !(section.toggleable && disabled.has(section.id))
+  );
+  const values = { ...DEFAULT_PROMPT_VARIABLES, ...variables };
+
+  return {
+    mainFile: composePrompt(sections, "main", { ...values, reviewTarget: " main.py " }),
+    regularFile: composePrompt(sections, "regular", { ...values, reviewTarget: "" }),
+    summary: composePrompt(sections, "summary", values),
+    reviewInstructions,
+    sectionVersions: sections.map((section) => `${section.id}@${section.version}`),
+  };
+}
+
+/**
+ * 将属于指定 Prompt 的段落依次渲染并拼接。编号的审查要求按出现顺序重新编号，
+ * 并统一放在“核心审查要求”标题下。
+ * @param {Array<object>} sections 启用的段落。
+ * @param {string} kind Prompt 类型。
+ * @param {Record<string, string>} values Prompt 变量。
+ * @returns {string} Prompt 文本。
+ */
+function composePrompt(sections, kind, values) {
+  const parts = [];
+  let requirementCount = 0;
+
+  for (const section of sections) {
+    if (!section.prompts.includes(kind)) continue;
+
+    const body = renderTemplate(section, values);
+    if (section.heading === "none") {
+      parts.push(body);
+    } else if (section.heading === "numbered") {
+      if (requirementCount === 0) parts.push("## 核心审查要求");
+      requirementCount += 1;
+      parts.push(`### ${requirementCount}. ${section.title}\n\n${body}`);
+    } else {
+      const marker = section.heading === "section" ? "##" : "###";
+      parts.push(`${marker} ${section.title}\n\n${body}`);
+    }
+  }
+
+  return `\n\n${parts.join("\n\n")}`;
+}
+
+/**
+ * 替换段落正文中的 {{name}} 变量。
+ * @param {{id: string, body: string}} section 段落。
+ * @param {Record<string, string>} values Prompt 变量。
+ * @returns {string} 渲染后的正文。
+ */
+function renderTemplate(section, values) {
+  return section.body.replace(VARIABLE_PATTERN, (match, name) => {
+    if (values[name] === undefined) {
+      throw new Error(`Prompt section "${section.id}" uses unknown variable "${name}"`);
+    }
+    return values[name];
+  });
+}
+
+/**
+ * 读取并校验模板目录中的全部段落。模板是随应用发布的文件，格式错误时直接抛出异常使启动失败。
+ * @param {string} directory 模板目录。
+ * @returns {Array<{id: string, title: string, version: number, order: number, prompts: string[], heading: string, toggleable: boolean, body: string}>}
+ */
+function loadPromptSections(directory) {
+  const sections = readdirSync(directory)
+    .filter((fileName) => fileName.endsWith(".md"))
+    .map((fileName) =>
+      parsePromptSection(fileName, readFileSync(path.join(directory, fileName), "utf8"))
+    );
+
+  const ids = new Set();
+  for (const section of sections) {
+    if (ids.has(section.id)) {
+      throw new Error(`Duplicate prompt section id "${section.id}"`);
+    }
+    ids.add(section.id);
+  }
+  return sections.sort((a, b) => a.order - b.order);
+}
+
+/**
+ * 解析单个模板文件。
+ * @param {string} fileName 文件名，用于错误信息。
+ * @param {string} text 文件内容。
+ * @returns {object} 段落。
+ */
+function parsePromptSection(fileName, text) {
+  const match = FRONT_MATTER_PATTERN.exec(text);
+  if (!match) {
+    throw new Error(`Prompt template ${fileName} is missing its front matter`);
+  }
+
+  const meta = yaml.load(match[1]) || {};
+  const problems = [];
+  if (typeof meta.id !== "string" || !/^[a-z][a-z0-9-]*$/.test(meta.id)) problems.push("id");
+  if (typeof meta.title !== "string" || !meta.title.trim()) problems.push("title");
+  if (!Number.isInteger(meta.version) || meta.version < 1) problems.push("version");
+  if (!Number.isInteger(meta.order)) problems.push("order");
+  if (
+    !Array.isArray(meta.prompts) ||
+    meta.prompts.length === 0 ||
+    !meta.prompts.every((kind) => PROMPT_KINDS.includes(kind))
+  ) {
+    problems.push("prompts");
+  }
+  if (!HEADING_STYLES.includes(meta.heading)) problems.push("heading");
+  if (typeof meta.toggleable !== "boolean") problems.push("toggleable");
+  if (problems.length > 0) {
+    throw new Error(`Prompt template ${fileName} has invalid fields: ${problems.join(", ")}`);
+  }
+
+  return {
+    id: meta.id,
+    title: meta.title.trim(),
+    version: meta.version,
+    order: meta.order,
+    prompts: meta.prompts,
+    heading: meta.heading,
+    toggleable: meta.toggleable,
+    body: match[2].trim(),
+  };
+}
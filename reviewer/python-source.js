@@ -0,0 +1,306 @@
+/**
+ * 从Python代码中移除注释。
+ * @param {string} line - 一行代码。
+ * @returns {string} - 移除了注释的代码。
+ */
+export function removeCommentsFromLine(line) {
+  let inSingleQuote = false;
+  let inDoubleQuote = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === "'" && !inDoubleQuote) {
+      if (i === 0 || line[i - 1] !== "\\") {
+        inSingleQuote = !inSingleQuote;
+      }
+    } else if (char === '"' && !inSingleQuote) {
+      if (i === 0 || line[i - 1] !== "\\") {
+        inDoubleQuote = !inDoubleQuote;
+      }
+    }
+
+    if (char === "#" && !inSingleQuote && !inDoubleQuote) {
+      return line.substring(0, i).trimEnd();
+    }
+  }
+
+  return line;
+}
+
+/**
+ * 将Python源码拆分为有效代码行，移除注释、空行以及三引号字符串（如 docstring）的内容。
+ * 单行字符串字面量会原样保留。
+ * @param {string} source Python 源码。
+ * @returns {Array<{lineNumber: number, code: string, indent: number}>} 有效代码行。
+ */
+export function scanPythonLines(source) {
+  const result = [];
+  let openTripleQuote = null;
+
+  source.split(/\r?\n/).forEach((rawLine, index) => {
+    let code = "";
+    let i = 0;
+
+    while (i < rawLine.length) {
+      if (openTripleQuote) {
+        const closeIndex = rawLine.indexOf(openTripleQuote, i);
+        if (closeIndex === -1) {
+          i = rawLine.length;
+          break;
+        }
+        i = closeIndex + 3;
+        openTripleQuote = null;
+        continue;
+      }
+
+      const char = rawLine[i];
+      const triple = rawLine.slice(i, i + 3);
+      if (triple === '"""' || triple === "'''") {
+        code += '""';
+        openTripleQuote = triple;
+        i += 3;
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        const end = findClosingQuote(rawLine, i);
+        code += rawLine.slice(i, end + 1);
+        i = end + 1;
+        continue;
+      }
+
+      if (char === "#") break;
+
+      code += char;
+      i += 1;
+    }
+
+    code = code.trimEnd();
+    if (code.trim() === "") return;
+
+    result.push({
+      lineNumber: index + 1,
+      code,
+      indent: code.length - code.trimStart().length,
+    });
+  });
+
+  return result;
+}
+
+/**
+ * 从扫描后的代码行中提取函数定义及其装饰器、参数和函数体范围。
+ * @param {Array<{lineNumber: number, code: string, indent: number}>} lines scanPythonLines 的结果。
+ * @returns {Array<{name: string, isAsync: boolean, params: string[], decorators: Array<{name: string, lineNumber: number}>, lineNumber: number, indent: number, bodyStart: number, bodyEnd: number}>}
+ * 其中 bodyStart / bodyEnd 为函数体在 lines 中的索引区间（左闭右开）。
+ */
+export function findFunctionDefinitions(lines) {
+  const functions = [];
+  let pendingDecorators = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const text = lines[i].code.trim();
+
+    if (text.startsWith("@")) {
+      const { endIndex } = joinBracketedLines(lines, i);
+      pendingDecorators.push({
+        name: text.slice(1).split("(")[0].trim(),
+        lineNumber: lines[i].lineNumber,
+      });
+      i = endIndex;
+      continue;
+    }
+
+    const defMatch = text.match(/^(async\s+)?def\s+(\w+)\s*\(/);
+    if (!defMatch) {
+      pendingDecorators = [];
+      continue;
+    }
+
+    const { text: header, endIndex } = joinBracketedLines(lines, i);
+    const indent = lines[i].indent;
+    let bodyEnd = endIndex + 1;
+    while (bodyEnd < lines.length && lines[bodyEnd].indent > indent) {
+      bodyEnd += 1;
+    }
+
+    functions.push({
+      name: defMatch[2],
+      isAsync: Boolean(defMatch[1]),
+      params: splitParameters(extractBracketContent(header)),
+      decorators: pendingDecorators,
+      lineNumber: lines[i].lineNumber,
+      indent,
+      bodyStart: endIndex + 1,
+      bodyEnd,
+    });
+    pendingDecorators = [];
+    i = endIndex;
+  }
+
+  return functions;
+}
+
+/**
+ * 从扫描后的代码行中提取类定义及其基类。
+ * @param {Array<{lineNumber: number, code: string, indent: number}>} lines scanPythonLines 的结果。
+ * @returns {Array<{name: string, bases: string[], lineNumber: number}>}
+ */
+export function findClassDefinitions(lines) {
+  const classes = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const text = lines[i].code.trim();
+    const classMatch = text.match(/^class\s+(\w+)\s*(\()?/);
+    if (!classMatch) continue;
+
+    const lineNumber = lines[i].lineNumber;
+    let bases = [];
+    if (classMatch[2]) {
+      const { text: header, endIndex } = joinBracketedLines(lines, i);
+      bases = splitParameters(extractBracketContent(header));
+      i = endIndex;
+    }
+    classes.push({ name: classMatch[1], bases, lineNumber });
+  }
+
+  return classes;
+}
+
+/**
+ * 提取 import 语句，支持括号包裹的多行导入。
+ * @param {Array<{lineNumber: number, code: string, indent: number}>} lines scanPythonLines 的结果。
+ * @returns {Array<{module: string, names: Array<{name: string, alias: string|null}>, isFrom: boolean, lineNumber: number}>}
+ */
+export function findImports(lines) {
+  const imports = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const text = lines[i].code.trim();
+    const lineNumber = lines[i].lineNumber;
+
+    const fromMatch = text.match(/^from\s+([\w.]+)\s+import\s+(.*)$/);
+    if (fromMatch) {
+      let importList = fromMatch[2];
+      if (importList.startsWith("(")) {
+        const joined = joinBracketedLines(lines, i);
+        importList = extractBracketContent(joined.text);
+        i = joined.endIndex;
+      }
+      imports.push({
+        module: fromMatch[1],
+        names: parseImportNames(importList),
+        isFrom: true,
+        lineNumber,
+      });
+      continue;
+    }
+
+    const importMatch = text.match(/^import\s+(.+)$/);
+    if (importMatch) {
+      for (const entry of parseImportNames(importMatch[1])) {
+        imports.push({
+          module: entry.name,
+          names: [entry],
+          isFrom: false,
+          lineNumber,
+        });
+      }
+    }
+  }
+
+  return imports;
+}
+
+function findClosingQuote(line, start) {
+  const quote = line[start];
+  for (let i = start + 1; i < line.length; i++) {
+    if (line[i] === "\\") {
+      i += 1;
+      continue;
+    }
+    if (line[i] === quote) return i;
+  }
+  return line.length - 1;
+}
+
+function joinBracketedLines(lines, startIndex) {
+  let text = lines[startIndex].code.trim();
+  let depth = countBracketDepth(text);
+  let endIndex = startIndex;
+
+  while (depth > 0 && endIndex + 1 < lines.length) {
+    endIndex += 1;
+    const next = lines[endIndex].code.trim();
+    text += ` ${next}`;
+    depth += countBracketDepth(next);
+  }
+
+  return { text, endIndex };
+}
+
+function countBracketDepth(text) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === "\\") i += 1;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'") quote = char;
+    else if ("([{".includes(char)) depth += 1;
+    else if (")]}".includes(char)) depth -= 1;
+  }
+  return depth;
+}
+
+function extractBracketContent(text) {
+  const start = text.indexOf("(");
+  if (start === -1) return "";
+
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if ("([{".includes(text[i])) depth += 1;
+    else if (")]}".includes(text[i])) {
+      depth -= 1;
+      if (depth === 0) return text.slice(start + 1, i);
+    }
+  }
+  return text.slice(start + 1);
+}
+
+function splitParameters(text) {
+  const params = [];
+  let depth = 0;
+  let current = "";
+
+  for (const char of text) {
+    if ("([{".includes(char)) depth += 1;
+    else if (")]}".includes(char)) depth -= 1;
+
+    if (char === "," && depth === 0) {
+      params.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  params.push(current.trim());
+
+  return params.filter((param) => param && param !== "*" && param !== "/");
+}
+
+function parseImportNames(text) {
+  return text
+    .replace(/[()]/g, "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, alias] = entry.split(/\s+as\s+/);
+      return { name: name.trim(), alias: alias?.trim() || null };
+    });
+}
@@ -1,7 +1,15 @@
 import fs from "node:fs";
 import path from "node:path";
 import { open } from "lmdb";
-import { DEFAULT_MAX_REVIEW_TRIGGERS_PER_REPO } from "./constants.js";
+import {
+  DEFAULT_DAILY_TOKEN_BUDGET,
+  DEFAULT_MAX_REVIEW_TRIGGERS_PER_AUTHOR,
+  DEFAULT_MAX_REVIEW_TRIGGERS_PER_REPO,
+  DEFAULT_MAX_REVIEWS_PER_INSTALLATION_PER_DAY,
+  DEFAULT_REVIEW_QUOTA_WINDOW_DAYS,
+  REVIEW_QUOTA_WINDOW_MODES,
+} from "./constants.js";
+import { ISSUE_FORMATS, parseIssueBody } from "./issue-parser.js";
 
 const TRIGGER_COUNT_DB_PATH = path.join(
   process.cwd(),
@@ -9,12 +17,18 @@ const TRIGGER_COUNT_DB_PATH = path.join(
   "repo-trigger-counts.lmdb"
 );
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 自然周期以 1970-01-05（周一）UTC 零点为起点，7 天窗口即为周一开始的自然周
+const CALENDAR_WINDOW_ANCHOR_MS = 4 * DAY_MS;
+const DAILY_WINDOW = { mode: "calendar", days: 1 };
+
 let triggerCountDb = null;
 let hasRegisteredCloseHook = false;
 
 /**
- * 初始化审核触发计数的 LMDB 数据库。
- * 如果数据库已初始化，则直接返回。
+ * 初始化审核触发记录的 LMDB 数据库。插件仓库以 repoKey 为键，Issue 作者与安装分别以 "author:"、"installation:" 加标识为键，
+ * 值均为成功审核的时间戳列表；每日 Token 用量以 "tokens:" 加 UTC 日期为键。
+ * 首次打开时会迁移旧版本的累计计数。如果数据库已初始化，则直接返回。
  */
 export function initializeTriggerCountDb() {
   if (triggerCountDb) return;
@@ -25,14 +39,19 @@ export function initializeTriggerCountDb() {
   });
   registerDbCloseHook();
   console.debug("Trigger count DB initialized at %s", TRIGGER_COUNT_DB_PATH);
+  migrateLegacyTriggerCounts();
 }
 
 /**
- * 根据 Issue 内容获取对应仓库的审核触发配额信息。
+ * 根据 Issue 内容获取本次审核适用的全部配额信息。
+ * 顶层字段为插件仓库的配额；启用了对应上限时还包括 Issue 作者（author）、应用安装每日（installation）的配额，
+ * 以及全局每日 Token 预算（tokenBudget）。allowed 仅在所有审核触发配额都有剩余时为 true，
+ * exceeded 为第一个用尽的配额（repo、author 或 installation）。Token 预算用尽时审核会被延后，不影响 allowed。
  * @param {object} issue GitHub Issue 对象。
+ * @param {{installationId?: number|null}} [options] installationId 为触发事件的应用安装 ID。
  * @returns {object|null} 配额信息对象，若无法解析仓库地址则返回 null。
  */
-export function getReviewTriggerQuotaForIssue(issue) {
+export function getReviewTriggerQuotaForIssue(issue, { installationId = null } = {}) {
   const repoKey = getPluginRepoKeyFromIssue(issue);
 
   if (!repoKey) {
@@ -40,8 +59,22 @@ export function getReviewTriggerQuotaForIssue(issue) {
   }
 
   const quota = getReviewTriggerQuotaForRepo(repoKey);
-  console.debug("Quota check for %s: used=%d, remaining=%d, allowed=%s", repoKey, quota.used, quota.remaining, quota.allowed);
-  return quota;
+  const author = getReviewTriggerQuotaForAuthor(issue?.user?.login);
+  const installation = getReviewQuotaForInstallation(installationId);
+  let exceeded = null;
+  if (!quota.allowed) exceeded = "repo";
+  else if (author && !author.allowed) exceeded = "author";
+  else if (installation && !installation.allowed) exceeded = "installation";
+
+  console.debug("Quota check for %s: used=%d, remaining=%d, exceeded=%s", repoKey, quota.used, quota.remaining, exceeded);
+  return {
+    ...quota,
+    allowed: exceeded === null,
+    exceeded,
+    author,
+    installation,
+    tokenBudget: getDailyTokenBudget(),
+  };
 }
 
 /**
@@ -55,7 +88,7 @@ export function getPluginRepoKeyFromIssue(issue) {
 }
 
 /**
- * 将指定仓库的审核触发计数加一并返回更新后的配额信息。
+ * 为指定仓库记录一次成功审核并返回更新后的配额信息。窗口外的旧记录会在写入时一并清理。
  * @param {string} repoKey 标准化的仓库标识（格式为 "owner/repo"）。
  * @returns {object|null} 更新后的配额信息对象，若 repoKey 无效则返回 null。
  */
@@ -64,56 +97,198 @@ export function markReviewTriggerSuccessForRepo(repoKey) {
     return null;
   }
 
+  return {
+    repoKey,
+    ...recordTriggerEvent(repoKey, getMaxReviewTriggersPerRepo(), getReviewQuotaWindow()),
+  };
+}
+
+/**
+ * 为 Issue 作者记录一次成功审核。未设置作者上限时不记录。
+ * @param {string|null|undefined} login Issue 作者的 GitHub 用户名。
+ * @returns {object|null} 更新后的作者配额信息，未启用或 login 无效时返回 null。
+ */
+export function markReviewTriggerSuccessForAuthor(login) {
+  const maxTriggers = getLimitFromEnv("MAX_REVIEW_TRIGGERS_PER_AUTHOR", DEFAULT_MAX_REVIEW_TRIGGERS_PER_AUTHOR);
+  if (!login || maxTriggers === 0) {
+    return null;
+  }
+
+  return {
+    login,
+    ...recordTriggerEvent(buildAuthorKey(login), maxTriggers, getReviewQuotaWindow()),
+  };
+}
+
+/**
+ * 为应用安装记录一次成功审核。未设置安装每日上限时不记录。
+ * @param {number|null|undefined} installationId 应用安装 ID。
+ * @returns {object|null} 更新后的安装配额信息，未启用或 installationId 无效时返回 null。
+ */
+export function markReviewTriggerSuccessForInstallation(installationId) {
+  const maxReviews = getLimitFromEnv(
+    "MAX_REVIEWS_PER_INSTALLATION_PER_DAY",
+    DEFAULT_MAX_REVIEWS_PER_INSTALLATION_PER_DAY
+  );
+  if (!installationId || maxReviews === 0) {
+    return null;
+  }
+
+  return {
+    installationId,
+    ...recordTriggerEvent(buildInstallationKey(installationId), maxReviews, DAILY_WINDOW),
+  };
+}
+
+/**
+ * 获取全局每日 Token 预算（按 UTC 自然日统计，所有审核共享）。
+ * 预算由环境变量 DAILY_TOKEN_BUDGET 设置，默认不限制。
+ * @returns {{allowed: boolean, budget: number, used: number, remaining: number, resetsAt: string}|null}
+ *   预算信息，resetsAt 为下一次重置的时间；未设置预算时返回 null。
+ */
+export function getDailyTokenBudget() {
+  const budget = getLimitFromEnv("DAILY_TOKEN_BUDGET", DEFAULT_DAILY_TOKEN_BUDGET);
+  if (budget === 0) {
+    return null;
+  }
+
   initializeTriggerCountDb();
-  const maxTriggers = getMaxReviewTriggersPerRepo();
+  const now = Date.now();
+  const used = getTokensUsedOn(now);
+  return {
+    allowed: used < budget,
+    budget,
+    used,
+    remaining: Math.max(0, budget - used),
+    resetsAt: new Date(getCalendarWindowStart(DAILY_WINDOW, now) + DAY_MS).toISOString(),
+  };
+}
+
+/**
+ * 将一次审核消耗的 Token 计入当天的全局用量。无论是否设置了预算都会记录，以便随时启用预算。
+ * @param {number} tokens 消耗的 Token 数，优先使用 API 返回的 usage。
+ * @returns {number|null} 当天累计用量，tokens 无效时返回 null。
+ */
+export function recordTokenUsage(tokens) {
+  if (!Number.isFinite(tokens) || tokens <= 0) {
+    return null;
+  }
 
+  initializeTriggerCountDb();
+  const now = Date.now();
+  const key = buildTokenUsageKey(now);
   return triggerCountDb.transactionSync(() => {
-    const currentCount = getCurrentTriggerCount(repoKey);
+    const total = getTokensUsedOn(now) + Math.round(tokens);
+    triggerCountDb.putSync(key, { tokens: total });
+    console.debug("Token usage recorded for %s: %d", key, total);
+    return total;
+  });
+}
 
-    if (currentCount >= maxTriggers) {
-      console.debug("Quota already at max for %s (%d/%d), not incrementing", repoKey, currentCount, maxTriggers);
-      return {
-        incremented: false,
-        allowed: false,
-        repoKey,
-        max: maxTriggers,
-        used: currentCount,
-        remaining: 0,
-      };
-    }
+/**
+ * 将指定仓库在当前窗口内的剩余审核触发次数设置为给定值（维护者命令 reset-quota / set-quota）。
+ * 保留窗口内最近的审核记录；记录不足时以当前时间补足，补足的次数在一个完整窗口后恢复。
+ * @param {string} repoKey 标准化的仓库标识（格式为 "owner/repo"）。
+ * @param {number} remaining 剩余次数，取值范围为 0 到最大触发次数。
+ * @returns {object|null} 更新后的配额信息对象，若 repoKey 或 remaining 无效则返回 null。
+ */
+export function setReviewTriggersRemainingForRepo(repoKey, remaining) {
+  const maxTriggers = getMaxReviewTriggersPerRepo();
+  if (!repoKey || !Number.isInteger(remaining) || remaining < 0 || remaining > maxTriggers) {
+    return null;
+  }
 
-    const nextCount = currentCount + 1;
-    triggerCountDb.putSync(repoKey, nextCount);
+  initializeTriggerCountDb();
+  const window = getReviewQuotaWindow();
+  const now = Date.now();
+  const used = maxTriggers - remaining;
+
+  const events = triggerCountDb.transactionSync(() => {
+    if (used === 0) {
+      triggerCountDb.removeSync(repoKey);
+      return [];
+    }
 
-    console.debug("Trigger count incremented for %s: %d/%d", repoKey, nextCount, maxTriggers);
-    return {
-      incremented: true,
-      allowed: nextCount < maxTriggers,
-      repoKey,
-      max: maxTriggers,
-      used: nextCount,
-      remaining: Math.max(0, maxTriggers - nextCount),
-    };
+    const nextEvents = getActiveTriggerEvents(repoKey, window, now).slice(-used);
+    while (nextEvents.length < used) {
+      nextEvents.push(now);
+    }
+    triggerCountDb.putSync(repoKey, { events: nextEvents });
+    return nextEvents;
   });
+
+  console.debug("Trigger count set for %s: %d/%d", repoKey, used, maxTriggers);
+  return { repoKey, ...buildQuota(events, maxTriggers, window, now) };
+}
+
+/**
+ * 获取每个仓库允许的最大审核触发次数。
+ * 优先使用环境变量 MAX_REVIEW_TRIGGERS_PER_REPO 的值，否则使用默认值。
+ * @returns {number} 最大审核触发次数。
+ */
+export function getMaxReviewTriggersPerRepo() {
+  const parsed = Number.parseInt(
+    process.env.MAX_REVIEW_TRIGGERS_PER_REPO || "",
+    10
+  );
+
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    return DEFAULT_MAX_REVIEW_TRIGGERS_PER_REPO;
+  }
+
+  return parsed;
+}
+
+/**
+ * 从环境变量读取非负整数上限，0 表示不限制。
+ * @param {string} name 环境变量名。
+ * @param {number} defaultValue 未设置或无效时的默认值。
+ * @returns {number} 上限。
+ */
+function getLimitFromEnv(name, defaultValue) {
+  const parsed = Number.parseInt(process.env[name] ?? "", 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : defaultValue;
+}
+
+/**
+ * 获取审核触发配额的统计窗口。
+ * 环境变量 REVIEW_QUOTA_WINDOW_DAYS 为窗口天数（默认 7 天，设为 0 表示不限时间、累计计数）；
+ * REVIEW_QUOTA_WINDOW_MODE 为 sliding（最近 N 天，默认）或 calendar（按 UTC 自然周期，7 天窗口从周一开始）。
+ * @returns {{mode: "sliding"|"calendar"|"lifetime", days: number}} 统计窗口。
+ */
+export function getReviewQuotaWindow() {
+  const parsedDays = Number.parseInt(process.env.REVIEW_QUOTA_WINDOW_DAYS ?? "", 10);
+  const days = Number.isInteger(parsedDays) && parsedDays >= 0 ? parsedDays : DEFAULT_REVIEW_QUOTA_WINDOW_DAYS;
+  if (days === 0) {
+    return { mode: "lifetime", days: 0 };
+  }
+
+  const mode = (process.env.REVIEW_QUOTA_WINDOW_MODE || "").trim().toLowerCase();
+  return {
+    mode: REVIEW_QUOTA_WINDOW_MODES.includes(mode) ? mode : REVIEW_QUOTA_WINDOW_MODES[0],
+    days,
+  };
 }
 
 /**
  * 从 Issue 正文中提取插件仓库 URL。
- * 解析 Issue 正文中的 JSON 代码块并提取 repo 字段。
+ * 与格式校验共用 parseIssueBody，同时支持 JSON 代码块与 Issue 表单两种正文格式。
  * @param {string} body Issue 正文内容。
  * @returns {string|null} 仓库 URL 字符串，若无法提取则返回 null。
  */
 function extractRepoUrlFromIssueBody(body) {
-  const jsonMatch = body.match(/```json\s*([\s\S]*?)\s*```/i);
-  if (!jsonMatch?.[1]) return null;
+  const { format, pluginData, source } = parseIssueBody(body);
+  if (pluginData) {
+    return typeof pluginData.repo === "string" && pluginData.repo
+      ? pluginData.repo
+      : null;
+  }
 
-  try {
-    const parsed = JSON.parse(jsonMatch[1]);
-    return typeof parsed.repo === "string" ? parsed.repo : null;
-  } catch {
-    const repoMatch = jsonMatch[1].match(/"repo"\s*:\s*"([^"]+)"/i);
+  if (format === ISSUE_FORMATS.JSON) {
+    const repoMatch = source.match(/"repo"\s*:\s*"([^"]+)"/i);
     return repoMatch?.[1] || null;
   }
+  return null;
 }
 
 /**
@@ -166,30 +341,197 @@ function normalizePluginRepoKey(repoUrl) {
 /**
  * 获取指定仓库的审核触发配额信息。
  * @param {string} repoKey 标准化的仓库标识（格式为 "owner/repo"）。
- * @returns {{allowed: boolean, repoKey: string, max: number, used: number, remaining: number}} 配额信息对象。
+ * @returns {object} 配额信息对象，字段见 buildQuota，另含 repoKey。
  */
 function getReviewTriggerQuotaForRepo(repoKey) {
+  return {
+    repoKey,
+    ...getTriggerQuota(repoKey, getMaxReviewTriggersPerRepo(), getReviewQuotaWindow()),
+  };
+}
+
+/**
+ * 获取 Issue 作者的审核触发配额信息，统计窗口与插件仓库相同。
+ * @param {string|null|undefined} login Issue 作者的 GitHub 用户名。
+ * @returns {object|null} 配额信息对象，另含 login；未设置 MAX_REVIEW_TRIGGERS_PER_AUTHOR 或 login 无效时返回 null。
+ */
+function getReviewTriggerQuotaForAuthor(login) {
+  const maxTriggers = getLimitFromEnv("MAX_REVIEW_TRIGGERS_PER_AUTHOR", DEFAULT_MAX_REVIEW_TRIGGERS_PER_AUTHOR);
+  if (!login || maxTriggers === 0) {
+    return null;
+  }
+  return { login, ...getTriggerQuota(buildAuthorKey(login), maxTriggers, getReviewQuotaWindow()) };
+}
+
+/**
+ * 获取应用安装当天（UTC）的审核配额信息。
+ * @param {number|null|undefined} installationId 应用安装 ID。
+ * @returns {object|null} 配额信息对象，另含 installationId；未设置 MAX_REVIEWS_PER_INSTALLATION_PER_DAY 或 ID 无效时返回 null。
+ */
+function getReviewQuotaForInstallation(installationId) {
+  const maxReviews = getLimitFromEnv(
+    "MAX_REVIEWS_PER_INSTALLATION_PER_DAY",
+    DEFAULT_MAX_REVIEWS_PER_INSTALLATION_PER_DAY
+  );
+  if (!installationId || maxReviews === 0) {
+    return null;
+  }
+  return { installationId, ...getTriggerQuota(buildInstallationKey(installationId), maxReviews, DAILY_WINDOW) };
+}
+
+function getTriggerQuota(key, maxTriggers, window) {
   initializeTriggerCountDb();
-  const maxTriggers = getMaxReviewTriggersPerRepo();
-  const currentCount = getCurrentTriggerCount(repoKey);
+  const now = Date.now();
+  return buildQuota(getActiveTriggerEvents(key, window, now), maxTriggers, window, now);
+}
 
+/**
+ * 在窗口内记录一次成功审核，窗口外的旧记录会在写入时一并清理。已达上限时不记录。
+ * @param {string} key 数据库键。
+ * @param {number} maxTriggers 窗口内允许的最大审核次数。
+ * @param {{mode: string, days: number}} window 统计窗口。
+ * @returns {object} 配额信息对象，另含 incremented 表示是否已记录。
+ */
+function recordTriggerEvent(key, maxTriggers, window) {
+  initializeTriggerCountDb();
+  const now = Date.now();
+
+  return triggerCountDb.transactionSync(() => {
+    const events = getActiveTriggerEvents(key, window, now);
+
+    if (events.length >= maxTriggers) {
+      console.debug("Quota already at max for %s (%d/%d), not incrementing", key, events.length, maxTriggers);
+      return {
+        incremented: false,
+        ...buildQuota(events, maxTriggers, window, now),
+      };
+    }
+
+    const nextEvents = [...events, now];
+    triggerCountDb.putSync(key, { events: nextEvents });
+
+    console.debug("Trigger count incremented for %s: %d/%d", key, nextEvents.length, maxTriggers);
+    return {
+      incremented: true,
+      ...buildQuota(nextEvents, maxTriggers, window, now),
+    };
+  });
+}
+
+/**
+ * 根据窗口内的审核记录生成配额信息。
+ * @param {number[]} events 窗口内成功审核的时间戳（毫秒），按时间先后排序。
+ * @param {number} maxTriggers 窗口内允许的最大审核次数。
+ * @param {{mode: string, days: number}} window 统计窗口。
+ * @param {number} now 当前时间戳（毫秒）。
+ * @returns {{allowed: boolean, max: number, used: number, remaining: number,
+ *   window: {mode: string, days: number}, nextAvailableAt: string|null}}
+ *   配额信息对象。nextAvailableAt 为配额用尽时下一次可以触发审核的时间，累计计数或仍有剩余时为 null。
+ */
+function buildQuota(events, maxTriggers, window, now) {
+  const used = events.length;
+  const remaining = Math.max(0, maxTriggers - used);
   return {
-    allowed: currentCount < maxTriggers,
-    repoKey,
+    allowed: used < maxTriggers,
     max: maxTriggers,
-    used: currentCount,
-    remaining: Math.max(0, maxTriggers - currentCount),
+    used,
+    remaining,
+    window,
+    nextAvailableAt: remaining === 0 ? getNextAvailableAt(events, maxTriggers, window, now) : null,
   };
 }
 
 /**
- * 从数据库中获取指定仓库当前的触发计数。
- * @param {string} repoKey 标准化的仓库标识。
- * @returns {number} 当前触发次数，若无记录则返回 0。
+ * 计算配额用尽后下一次可以触发审核的时间。
+ * 滑动窗口下为足够多的旧记录移出窗口的时间，自然周期下为当前周期结束的时间。
+ * @param {number[]} events 窗口内成功审核的时间戳（毫秒），按时间先后排序。
+ * @param {number} maxTriggers 窗口内允许的最大审核次数。
+ * @param {{mode: string, days: number}} window 统计窗口。
+ * @param {number} now 当前时间戳（毫秒）。
+ * @returns {string|null} ISO 8601 时间，累计计数时返回 null。
+ */
+function getNextAvailableAt(events, maxTriggers, window, now) {
+  if (window.mode === "lifetime") {
+    return null;
+  }
+  if (window.mode === "calendar") {
+    return new Date(getCalendarWindowStart(window, now) + window.days * DAY_MS).toISOString();
+  }
+  const expiringEvent = events[events.length - maxTriggers] ?? now;
+  return new Date(expiringEvent + window.days * DAY_MS).toISOString();
+}
+
+/**
+ * 读取指定键在当前窗口内的成功审核时间戳。
+ * @param {string} key 数据库键。
+ * @param {{mode: string, days: number}} window 统计窗口。
+ * @param {number} now 当前时间戳（毫秒）。
+ * @returns {number[]} 按时间先后排序的时间戳，若无记录则返回空数组。
  */
-function getCurrentTriggerCount(repoKey) {
-  const currentCount = triggerCountDb.get(repoKey);
-  return Number.isFinite(currentCount) ? Number(currentCount) : 0;
+function getActiveTriggerEvents(key, window, now) {
+  const record = triggerCountDb.get(key);
+  const events = Array.isArray(record?.events) ? record.events.filter(Number.isFinite) : [];
+
+  let isActive = () => true;
+  if (window.mode === "sliding") {
+    const windowMs = window.days * DAY_MS;
+    isActive = (timestamp) => now - timestamp < windowMs;
+  } else if (window.mode === "calendar") {
+    const windowStart = getCalendarWindowStart(window, now);
+    isActive = (timestamp) => timestamp >= windowStart;
+  }
+
+  return events.filter(isActive).sort((a, b) => a - b);
+}
+
+function getTokensUsedOn(now) {
+  const tokens = triggerCountDb.get(buildTokenUsageKey(now))?.tokens;
+  return Number.isFinite(tokens) ? tokens : 0;
+}
+
+function buildAuthorKey(login) {
+  return `author:${login.toLowerCase()}`;
+}
+
+function buildInstallationKey(installationId) {
+  return `installation:${installationId}`;
+}
+
+function buildTokenUsageKey(now) {
+  return `tokens:${new Date(now).toISOString().slice(0, 10)}`;
+}
+
+function getCalendarWindowStart(window, now) {
+  const windowMs = window.days * DAY_MS;
+  return CALENDAR_WINDOW_ANCHOR_MS + Math.floor((now - CALENDAR_WINDOW_ANCHOR_MS) / windowMs) * windowMs;
+}
+
+/**
+ * 将旧版本按仓库累计的触发计数迁移为时间戳记录。
+ * 旧计数中的每一次审核都记为迁移时刻发生，因此原有用量会在一个完整窗口后自然恢复，而不是立即清零。
+ */
+function migrateLegacyTriggerCounts() {
+  const legacyEntries = [];
+  for (const { key, value } of triggerCountDb.getRange()) {
+    if (typeof value === "number") {
+      legacyEntries.push({ key, count: Number.isFinite(value) ? Math.max(0, Math.floor(value)) : 0 });
+    }
+  }
+  if (legacyEntries.length === 0) {
+    return;
+  }
+
+  const migratedAt = Date.now();
+  triggerCountDb.transactionSync(() => {
+    for (const { key, count } of legacyEntries) {
+      if (count === 0) {
+        triggerCountDb.removeSync(key);
+      } else {
+        triggerCountDb.putSync(key, { events: new Array(count).fill(migratedAt) });
+      }
+    }
+  });
+  console.info("Migrated %d legacy trigger counters to timestamped events", legacyEntries.length);
 }
 
 /**
@@ -226,21 +568,3 @@ async function closeTriggerCountDb() {
     console.error("Failed to close trigger count DB:", error);
   }
 }
-
-/**
- * 获取每个仓库允许的最大审核触发次数。
- * 优先使用环境变量 MAX_REVIEW_TRIGGERS_PER_REPO 的值，否则使用默认值。
- * @returns {number} 最大审核触发次数。
- */
-function getMaxReviewTriggersPerRepo() {
-  const parsed = Number.parseInt(
-    process.env.MAX_REVIEW_TRIGGERS_PER_REPO || "",
-    10
-  );
-
-  if (!Number.isInteger(parsed) || parsed <= 0) {
-    return DEFAULT_MAX_REVIEW_TRIGGERS_PER_REPO;
-  }
-
-  return parsed;
-}
@@ -0,0 +1,244 @@
+import {
+  MAX_FILES_TO_REVIEW,
+  PLUGIN_PUBLISH_LABEL,
+  REQUIRED_ISSUE_CHECKS,
+  REVIEW_COMMAND_MENTION,
+  SECURITY_REVIEW_LABEL,
+  SUPPORTED_REPOSITORY_PREFIX,
+} from "./constants.js";
+import {
+  DEFAULT_PROMPT_VARIABLES,
+  TOGGLEABLE_PROMPT_SECTION_IDS,
+} from "./prompt-templates.js";
+
+/**
+ * 仓库配置文件名，通过 Probot 的 context.config 从安装仓库的 .github 目录读取。
+ */
+export const REPO_CONFIG_FILE_NAME = "astr-plugin-reviewer.yml";
+
+/**
+ * 仓库配置的默认值，配置文件不存在或某个字段无效时使用。
+ */
+export const DEFAULT_REPO_CONFIG = Object.freeze({
+  allowedRepositories: [SUPPORTED_REPOSITORY_PREFIX],
+  pluginPublishLabel: PLUGIN_PUBLISH_LABEL,
+  securityReviewLabel: SECURITY_REVIEW_LABEL,
+  maxFilesToReview: MAX_FILES_TO_REVIEW,
+  commandMention: REVIEW_COMMAND_MENTION,
+  requiredChecks: REQUIRED_ISSUE_CHECKS,
+  reviewInstructions: "",
+  disabledPromptSections: [],
+  pythonVersion: DEFAULT_PROMPT_VARIABLES.pythonVersion,
+});
+
+/**
+ * 配置文件中各字段的 Schema。path 为字段在 YAML 中的路径，key 为解析后配置对象中的字段名。
+ * 支持的约束：type（string、integer、array）、items、minItems、minLength、maxLength、minimum、maximum、pattern、enum。
+ */
+export const REPO_CONFIG_SCHEMA = [
+  {
+    path: ["allowed_repositories"],
+    key: "allowedRepositories",
+    type: "array",
+    minItems: 1,
+    items: { type: "string", pattern: /^[\w.-]+\/(?:[\w.-]+)?$/ },
+  },
+  {
+    path: ["labels", "plugin_publish"],
+    key: "pluginPublishLabel",
+    type: "string",
+    minLength: 1,
+    maxLength: 50,
+  },
+  {
+    path: ["labels", "security_review"],
+    key: "securityReviewLabel",
+    type: "string",
+    minLength: 1,
+    maxLength: 50,
+  },
+  {
+    path: ["max_files_to_review"],
+    key: "maxFilesToReview",
+    type: "integer",
+    minimum: 1,
+    maximum: 200,
+  },
+  {
+    path: ["command_mention"],
+    key: "commandMention",
+    type: "string",
+    pattern: /^@[\w-]+(?:\[bot\])?$/,
+  },
+  {
+    path: ["required_checks"],
+    key: "requiredChecks",
+    type: "array",
+    items: { type: "string", minLength: 1 },
+  },
+  {
+    path: ["prompts", "extra_instructions"],
+    key: "reviewInstructions",
+    type: "string",
+    maxLength: 4000,
+  },
+  {
+    path: ["prompts", "disabled_sections"],
+    key: "disabledPromptSections",
+    type: "array",
+    items: { type: "string", enum: TOGGLEABLE_PROMPT_SECTION_IDS },
+  },
+  {
+    path: ["prompts", "python_version"],
+    key: "pythonVersion",
+    type: "string",
+    pattern: /^3\.\d{1,2}$/,
+  },
+];
+
+const loadedConfigs = new WeakMap();
+
+/**
+ * 读取当前事件所在仓库的审核配置（.github/astr-plugin-reviewer.yml），与默认值合并后返回。
+ * 同一事件上下文只读取一次。配置文件无法读取或解析时记录日志并使用默认配置；
+ * 个别字段无效时记录日志，仅这些字段回退到默认值。
+ * @param {import('probot').Context} context 事件上下文。
+ * @returns {Promise<typeof DEFAULT_REPO_CONFIG>} 仓库配置。
+ */
+export function loadRepoConfig(context) {
+  if (!loadedConfigs.has(context)) {
+    loadedConfigs.set(context, readRepoConfig(context));
+  }
+  return loadedConfigs.get(context);
+}
+
+/**
+ * 按 REPO_CONFIG_SCHEMA 校验配置文件内容，并与默认值合并。
+ * @param {unknown} raw 配置文件解析后的内容，文件不存在时为 null。
+ * @returns {{config: typeof DEFAULT_REPO_CONFIG, errors: string[], warnings: string[]}}
+ *   errors 为无效字段的说明（这些字段使用默认值）；warnings 为未知字段的说明。
+ */
+export function normalizeRepoConfig(raw) {
+  const config = { ...DEFAULT_REPO_CONFIG };
+  const errors = [];
+  const warnings = [];
+
+  if (raw === null || raw === undefined) {
+    return { config, errors, warnings };
+  }
+  if (!isPlainObject(raw)) {
+    errors.push("config file must be a YAML mapping");
+    return { config, errors, warnings };
+  }
+
+  warnings.push(...findUnknownKeys(raw));
+
+  for (const field of REPO_CONFIG_SCHEMA) {
+    const value = field.path.reduce(
+      (node, segment) => (isPlainObject(node) ? node[segment] : undefined),
+      raw
+    );
+    if (value === undefined || value === null) continue;
+
+    const problems = validateValue(value, field);
+    if (problems.length > 0) {
+      errors.push(...problems.map((problem) => `${field.path.join(".")} ${problem}`));
+      continue;
+    }
+    config[field.key] = typeof value === "string" ? value.trim() : value;
+  }
+
+  return { config, errors, warnings };
+}
+
+/**
+ * 判断仓库是否允许使用本应用：仓库需匹配配置中的 allowed_repositories（以 / 结尾的条目按前缀匹配，否则需完全一致）。
+ * 未配置时使用默认值，即 SUPPORTED_REPOSITORY_PREFIX 之下的仓库。
+ * @param {string|undefined} repositoryFullName 仓库全名（owner/repo）。
+ * @param {typeof DEFAULT_REPO_CONFIG} [repoConfig] 仓库配置。
+ * @returns {boolean} 允许时返回 true。
+ */
+export function isRepositoryAllowed(repositoryFullName, repoConfig = DEFAULT_REPO_CONFIG) {
+  if (!repositoryFullName) return false;
+
+  const name = repositoryFullName.toLowerCase();
+  return repoConfig.allowedRepositories.some((entry) => {
+    const allowed = entry.toLowerCase();
+    return allowed.endsWith("/") ? name.startsWith(allowed) : name === allowed;
+  });
+}
+
+async function readRepoConfig(context) {
+  let raw;
+  try {
+    raw = await context.config(REPO_CONFIG_FILE_NAME);
+  } catch (error) {
+    context.log.warn(
+      { err: error, file: REPO_CONFIG_FILE_NAME },
+      "Failed to load repository config, using defaults"
+    );
+    return { ...DEFAULT_REPO_CONFIG };
+  }
+
+  const { config, errors, warnings } = normalizeRepoConfig(raw);
+  if (errors.length > 0) {
+    context.log.warn(
+      { file: REPO_CONFIG_FILE_NAME, errors },
+      "Invalid repository config fields, falling back to defaults for them"
+    );
+  }
+  if (warnings.length > 0) {
+    context.log.warn({ file: REPO_CONFIG_FILE_NAME, warnings }, "Unknown repository config keys ignored");
+  }
+  return config;
+}
+
+function findUnknownKeys(raw) {
+  const knownPaths = REPO_CONFIG_SCHEMA.map((field) => field.path);
+  const unknown = [];
+
+  for (const [key, value] of Object.entries(raw)) {
+    const children = knownPaths.filter((path) => path[0] === key);
+    if (children.length === 0) {
+      unknown.push(`${key} is not a known config key`);
+      continue;
+    }
+    if (children.every((path) => path.length === 1) || !isPlainObject(value)) continue;
+
+    for (const childKey of Object.keys(value)) {
+      if (!children.some((path) => path[1] === childKey)) {
+        unknown.push(`${key}.${childKey} is not a known config key`);
+      }
+    }
+  }
+  return unknown;
+}
+
+function validateValue(value, schema) {
+  if (schema.type === "integer") {
+    if (!Number.isInteger(value)) return [`must be an integer, got ${JSON.stringify(value)}`];
+    if (schema.minimum !== undefined && value < schema.minimum) return [`must be at least ${schema.minimum}`];
+    if (schema.maximum !== undefined && value > schema.maximum) return [`must be at most ${schema.maximum}`];
+    return [];
+  }
+
+  if (schema.type === "string") {
+    if (typeof value !== "string") return [`must be a string, got ${typeof value}`];
+    const text = value.trim();
+    if (schema.minLength && text.length < schema.minLength) return ["must not be empty"];
+    if (schema.maxLength && text.length > schema.maxLength) return [`must be at most ${schema.maxLength} characters`];
+    if (schema.pattern && !schema.pattern.test(text)) return [`"${value}" does not match ${schema.pattern}`];
+    if (schema.enum && !schema.enum.includes(text)) return [`"${value}" must be one of: ${schema.enum.join(", ")}`];
+    return [];
+  }
+
+  if (!Array.isArray(value)) return [`must be a list, got ${typeof value}`];
+  if (schema.minItems && value.length < schema.minItems) return [`must contain at least ${schema.minItems} item(s)`];
+  return value.flatMap((item, index) =>
+    validateValue(item, schema.items).map((problem) => `[${index}] ${problem}`)
+  );
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,105 @@
+import fs from "node:fs";
+import path from "node:path";
+import { open } from "lmdb";
+
+const REVIEW_CACHE_DB_PATH = path.join(
+  process.cwd(),
+  "data",
+  "review-cache.lmdb"
+);
+
+let reviewCacheDb = null;
+let hasRegisteredCloseHook = false;
+
+/**
+ * 初始化审核结果缓存的 LMDB 数据库。
+ * 如果数据库已初始化，则直接返回。
+ */
+export function initializeReviewCacheDb() {
+  if (reviewCacheDb) return;
+
+  fs.mkdirSync(path.dirname(REVIEW_CACHE_DB_PATH), { recursive: true });
+  reviewCacheDb = open({
+    path: REVIEW_CACHE_DB_PATH,
+  });
+  registerDbCloseHook();
+  console.debug("Review cache DB initialized at %s", REVIEW_CACHE_DB_PATH);
+}
+
+/**
+ * 读取单个文件的缓存审核结果。
+ * 缓存以文件内容（blob SHA）、Prompt 版本与模型为键，三者任一变化都不会命中。
+ * @param {{blobSha: string, promptVersion: string, model: string}} key 缓存键。
+ * @returns {Array<object>|null} 缓存的审核发现（不含 file 字段），未命中时返回 null。
+ */
+export function getCachedFileReview(key) {
+  const cacheKey = buildCacheKey(key);
+  if (!cacheKey) return null;
+
+  initializeReviewCacheDb();
+  const entry = reviewCacheDb.get(cacheKey);
+  return Array.isArray(entry?.findings) ? entry.findings : null;
+}
+
+/**
+ * 写入单个文件的审核结果。
+ * @param {{blobSha: string, promptVersion: string, model: string}} key 缓存键。
+ * @param {Array<object>} findings 该文件的审核发现，file 字段会被移除，以便文件改名后仍可复用。
+ * @returns {boolean} 写入成功时返回 true。
+ */
+export function storeFileReview(key, findings) {
+  const cacheKey = buildCacheKey(key);
+  if (!cacheKey || !Array.isArray(findings)) return false;
+
+  initializeReviewCacheDb();
+  reviewCacheDb.putSync(cacheKey, {
+    findings: findings.map(({ file, ...rest }) => rest),
+    cachedAt: new Date().toISOString(),
+  });
+  return true;
+}
+
+/**
+ * 生成缓存键，任一组成部分缺失时返回 null。
+ * @param {{blobSha: string, promptVersion: string, model: string}} key 缓存键的组成部分。
+ * @returns {string|null} 缓存键。
+ */
+function buildCacheKey({ blobSha, promptVersion, model }) {
+  if (!blobSha || !promptVersion || !model) return null;
+  return `${promptVersion}:${model}:${blobSha}`;
+}
+
+/**
+ * 注册进程退出时关闭数据库的钩子。
+ * 确保钩子只注册一次。
+ */
+function registerDbCloseHook() {
+  if (hasRegisteredCloseHook) {
+    return;
+  }
+  hasRegisteredCloseHook = true;
+
+  process.once("beforeExit", () => {
+    void closeReviewCacheDb();
+  });
+}
+
+/**
+ * 关闭审核结果缓存数据库连接。
+ * @returns {Promise<void>}
+ */
+async function closeReviewCacheDb() {
+  if (!reviewCacheDb) {
+    return;
+  }
+
+  const db = reviewCacheDb;
+  reviewCacheDb = null;
+
+  try {
+    await db.close();
+    console.debug("Review cache DB closed");
+  } catch (error) {
+    console.error("Failed to close review cache DB:", error);
+  }
+}
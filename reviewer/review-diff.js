@@ -0,0 +1,166 @@
+import { formatFindingLine, sortFindings } from "./findings.js";
+
+const FILE_STATUS_LABELS = {
+  added: "新增",
+  removed: "删除",
+  modified: "修改",
+  renamed: "重命名",
+  copied: "复制",
+  changed: "变更",
+};
+const MAX_LISTED_CHANGED_FILES = 30;
+const MESSAGE_SIMILARITY_THRESHOLD = 0.5;
+
+/**
+ * 对比上次与本次审核的发现，区分已解决、仍未解决与新发现的问题。
+ * 带 ruleId 的静态检查发现按文件、规则与信息精确匹配；AI 给出的发现措辞每次可能不同，
+ * 精确匹配失败时再按文件、类别、严重程度与信息相似度匹配。匹配时忽略行号，以容忍代码位移。
+ * @param {Array<object>} previousFindings 上次审核的发现。
+ * @param {Array<object>} currentFindings 本次审核的发现。
+ * @param {Map<string, string>} [renamedPaths] 旧路径到新路径的映射，用于跟踪被重命名的文件。
+ * @returns {{resolved: Array<object>, stillOpen: Array<object>, added: Array<object>}} 对比结果；stillOpen 为本次审核中的对应发现。
+ */
+export function compareFindings(previousFindings, currentFindings, renamedPaths = new Map()) {
+  const previous = previousFindings.map((finding) => ({
+    finding,
+    file: renamedPaths.get(finding.file) ?? finding.file,
+    matched: false,
+  }));
+  const current = currentFindings.map((finding) => ({ finding, matched: false }));
+
+  for (const entry of current) {
+    const match = previous.find(
+      (candidate) => !candidate.matched && isExactMatch(candidate, entry.finding)
+    );
+    if (match) {
+      match.matched = true;
+      entry.matched = true;
+    }
+  }
+
+  for (const entry of current) {
+    if (entry.matched || entry.finding.ruleId) continue;
+    const match = previous.find(
+      (candidate) =>
+        !candidate.matched &&
+        !candidate.finding.ruleId &&
+        isSimilarMatch(candidate, entry.finding)
+    );
+    if (match) {
+      match.matched = true;
+      entry.matched = true;
+    }
+  }
+
+  return {
+    resolved: previous.filter((e) => !e.matched).map((e) => e.finding),
+    stillOpen: current.filter((e) => e.matched).map((e) => e.finding),
+    added: current.filter((e) => !e.matched).map((e) => e.finding),
+  };
+}
+
+/**
+ * 渲染“自上次审核以来的变化”报告章节。
+ * @param {object} changes 变化信息。
+ * @param {string} changes.previousCommitSha 上次审核的提交SHA。
+ * @param {Array<{path: string, status: string, previousPath?: string}>|null} changes.changedFiles 两次提交之间变化的文件，无法获取差异时为 null。
+ * @param {Array<object>} changes.resolved 已解决的发现（位于上次审核的提交中）。
+ * @param {Array<object>} changes.stillOpen 仍未解决的发现。
+ * @param {Array<object>} changes.added 新发现。
+ * @param {{owner: string, repo: string, commitSha: string}} linkOptions 本次审核提交的仓库信息。
+ * @returns {string} Markdown 文本。
+ */
+export function renderReviewChangesSection(changes, linkOptions) {
+  const { previousCommitSha, changedFiles, resolved, stillOpen, added } = changes;
+  const { owner, repo, commitSha } = linkOptions;
+  const previousLink = `[\`${previousCommitSha.slice(0, 7)}\`](https://github.com/${owner}/${repo}/compare/${previousCommitSha}...${commitSha})`;
+
+  let section = "### 🔄 自上次审核以来的变化\n\n";
+  if (previousCommitSha === commitSha) {
+    section += `自上次审核（提交 \`${commitSha.slice(0, 7)}\`）以来仓库没有新的提交。\n\n`;
+  } else if (!changedFiles) {
+    section += `无法获取与上次审核的提交 \`${previousCommitSha.slice(0, 7)}\` 之间的差异（该提交可能已被强制推送覆盖），以下对比仅基于两次审核的发现。\n\n`;
+  } else if (changedFiles.length === 0) {
+    section += `与上次审核的提交 ${previousLink} 相比没有文件发生变化。\n\n`;
+  } else {
+    section += `与上次审核的提交 ${previousLink} 相比，共有 ${changedFiles.length} 个文件发生变化：${formatChangedFiles(changedFiles)}\n\n`;
+  }
+
+  if (resolved.length + stillOpen.length + added.length === 0) {
+    return `${section}✅ 两次审核均未发现问题。\n`;
+  }
+
+  const previousLinkOptions = { owner, repo, commitSha: previousCommitSha };
+  section += renderFindingGroup("✅ 已解决", resolved, previousLinkOptions);
+  section += renderFindingGroup("⚠️ 仍未解决", stillOpen, linkOptions);
+  section += renderFindingGroup("🆕 新发现", added, linkOptions);
+  return section;
+}
+
+function renderFindingGroup(title, findings, linkOptions) {
+  let group = `**${title}（${findings.length}）**\n\n`;
+  if (findings.length === 0) return `${group}无\n\n`;
+  group += sortFindings(findings)
+    .map((finding) => formatFindingLine(finding, linkOptions))
+    .join("\n");
+  return `${group}\n\n`;
+}
+
+function formatChangedFiles(changedFiles) {
+  const listed = changedFiles.slice(0, MAX_LISTED_CHANGED_FILES).map((file) => {
+    const label = FILE_STATUS_LABELS[file.status] || file.status;
+    return file.previousPath
+      ? `\`${file.previousPath}\` → \`${file.path}\`（${label}）`
+      : `\`${file.path}\`（${label}）`;
+  });
+  const omitted = changedFiles.length - listed.length;
+  return omitted > 0 ? `${listed.join("、")} 等（另有 ${omitted} 个文件未列出）` : listed.join("、");
+}
+
+function isExactMatch(candidate, finding) {
+  return (
+    candidate.file === finding.file &&
+    (candidate.finding.ruleId || candidate.finding.category) ===
+      (finding.ruleId || finding.category) &&
+    candidate.finding.message === finding.message
+  );
+}
+
+function isSimilarMatch(candidate, finding) {
+  return (
+    candidate.file === finding.file &&
+    candidate.finding.category === finding.category &&
+    candidate.finding.severity === finding.severity &&
+    messageSimilarity(candidate.finding.message, finding.message) >=
+      MESSAGE_SIMILARITY_THRESHOLD
+  );
+}
+
+/**
+ * 基于字符二元组的 Dice 系数计算两条信息的相似度，对中英文均适用。
+ * @param {string} a 信息 A。
+ * @param {string} b 信息 B。
+ * @returns {number} 0 到 1 之间的相似度。
+ */
+function messageSimilarity(a, b) {
+  const bigramsA = toBigrams(a);
+  const bigramsB = toBigrams(b);
+  if (bigramsA.length === 0 || bigramsB.length === 0) return a === b ? 1 : 0;
+
+  const counts = new Map();
+  for (const bigram of bigramsA) counts.set(bigram, (counts.get(bigram) || 0) + 1);
+  let overlap = 0;
+  for (const bigram of bigramsB) {
+    const count = counts.get(bigram);
+    if (count) {
+      overlap += 1;
+      counts.set(bigram, count - 1);
+    }
+  }
+  return (2 * overlap) / (bigramsA.length + bigramsB.length);
+}
+
+function toBigrams(text) {
+  const chars = [...String(text).toLowerCase().replace(/\s+/g, "")];
+  return chars.slice(0, -1).map((char, index) => char + chars[index + 1]);
+}
@@ -1,9 +1,23 @@
 import {
+  getDailyTokenBudget,
   getReviewTriggerQuotaForIssue,
+  markReviewTriggerSuccessForAuthor,
+  markReviewTriggerSuccessForInstallation,
   markReviewTriggerSuccessForRepo,
+  recordTokenUsage,
 } from "./quota.js";
+import { recordIssueAuditEvent } from "./audit-log.js";
 import { postOrUpdateComment } from "./comments.js";
-import { validateIssueFormat } from "./validation.js";
+import { createProgressReporter } from "./progress.js";
+import { loadRepoConfig } from "./repo-config.js";
+import {
+  buildIssueKey,
+  getPreviousReview,
+  getReviewSkip,
+  recordReview,
+} from "./review-history.js";
+import { hasHighSeverityRisk } from "./security-scan.js";
+import { isValidGitRef, validateIssueFormat } from "./validation.js";
 import { reviewPlugin } from "./ai-review.js";
 
 /**
@@ -11,21 +25,68 @@ import { reviewPlugin } from "./ai-review.js";
  * @param {import('probot').Context} context 事件上下文。
  * @param {boolean} isUpdate 是否要更新一个已有的评论。
  * @param {number|null} commentId 要更新的评论的 ID。
+ * @param {{ref?: string|null, files?: string[]|null, signal?: AbortSignal|null, force?: boolean}} [options] ref 为审核命令中指定的版本，优先于提交内容中的 ref 字段；
+ *   files 为审核命令中指定的审核范围，只审核部分文件时不与上次审核对比，也不作为下次对比的基准；signal 在审核被取消时触发；
+ *   force 表示维护者通过 force-review 发起的审核，不检查也不消耗审核触发配额，并忽略 skip-review 标记。
+ * 每次运行的结果（包括使用的模型、消耗的 Token 与是否消耗配额）都会写入审计日志。
+ * 全局每日 Token 预算用尽时（包括 force 审核）不会调用 AI，而是返回延后信息，由审核队列在预算重置后重新运行。
+ * @returns {Promise<{deferUntil: string, commentId: number|null}|undefined>} 审核被延后时返回重新运行的时间与展示延后状态的评论 ID。
  */
-export async function handlePluginReview(context, isUpdate, commentId) {
+export async function handlePluginReview(
+  context,
+  isUpdate,
+  commentId,
+  { ref: commandRef = null, files = null, signal = null, force = false } = {}
+) {
   const { issue } = context.payload;
   let currentCommentId = commentId;
-  const quotaInfo = getReviewTriggerQuotaForIssue(issue);
+  const issueKey = buildIssueKey(context.payload.repository?.full_name, issue.number);
+  const audit = (outcome, { reviewResult = null, details = {} } = {}) =>
+    recordIssueAuditEvent(context, {
+      action: "review",
+      ...summarizeReviewUsage(reviewResult),
+      outcome,
+      details: { force, ref: commandRef, files, ...details },
+    });
+
+  const repoConfig = await loadRepoConfig(context);
+  const { commandMention } = repoConfig;
+
+  const skip = force ? null : loadReviewSkip(context, issueKey);
+  if (skip) {
+    context.log.info({ issueNumber: issue.number, skippedBy: skip.actor }, "Review skipped by maintainer");
+    await postOrUpdateComment(
+      context,
+      "review_skipped",
+      { actor: skip.actor },
+      isUpdate,
+      currentCommentId
+    );
+    audit("skipped", { details: { skippedBy: skip.actor } });
+    return;
+  }
+
+  let quotaInfo = force
+    ? null
+    : getReviewTriggerQuotaForIssue(issue, { installationId: context.payload.installation?.id ?? null });
 
   if (quotaInfo && !quotaInfo.allowed) {
-    context.log.warn({ issueNumber: issue.number, repoKey: quotaInfo.repoKey }, "Review quota exhausted");
+    context.log.warn({ issueNumber: issue.number, repoKey: quotaInfo.repoKey, exceeded: quotaInfo.exceeded }, "Review quota exhausted");
     await postOrUpdateComment(
       context,
       "review_limit_reached",
-      { quotaInfo },
+      { quotaInfo, commandMention },
       isUpdate,
       currentCommentId
     );
+    audit("limit_reached", {
+      details: {
+        exceeded: quotaInfo.exceeded ?? "repo",
+        quotaUsed: quotaInfo.used,
+        quotaMax: quotaInfo.max,
+        nextAvailableAt: quotaInfo.nextAvailableAt ?? null,
+      },
+    });
     return;
   }
 
@@ -39,9 +100,11 @@ export async function handlePluginReview(context, isUpdate, commentId) {
     currentCommentId
   );
 
-  const formatResult = await validateIssueFormat(issue);
+  const formatResult = await validateIssueFormat(issue, {
+    requiredChecks: repoConfig.requiredChecks,
+  });
   if (!formatResult.success) {
-    context.log.info({ issueNumber: issue.number }, "Format validation failed");
+    context.log.info({ issueNumber: issue.number, issueFormat: formatResult.format }, "Format validation failed");
     await postOrUpdateComment(
       context,
       "format_error",
@@ -49,42 +112,159 @@ export async function handlePluginReview(context, isUpdate, commentId) {
       true,
       currentCommentId
     );
+    audit("format_error", { details: { errors: formatResult.errors || [] } });
+    return;
+  }
+
+  const { pluginData, format } = formatResult;
+  if (commandRef && !isValidGitRef(commandRef)) {
+    context.log.info({ issueNumber: issue.number, ref: commandRef }, "Invalid ref in review command");
+    await postOrUpdateComment(
+      context,
+      "format_error",
+      {
+        errors: [`审核命令中指定的版本 \`${commandRef}\` 不是有效的分支、标签或提交SHA。`],
+        quotaInfo,
+      },
+      true,
+      currentCommentId
+    );
+    audit("invalid_ref");
     return;
   }
+  const tokenBudget = getDailyTokenBudget();
+  if (tokenBudget && !tokenBudget.allowed) {
+    context.log.warn(
+      { issueNumber: issue.number, tokensUsed: tokenBudget.used, budget: tokenBudget.budget, deferUntil: tokenBudget.resetsAt },
+      "Daily token budget exhausted, deferring review"
+    );
+    await postOrUpdateComment(
+      context,
+      "review_deferred",
+      { tokenBudget, quotaInfo },
+      true,
+      currentCommentId
+    );
+    audit("deferred", {
+      details: { tokensUsedToday: tokenBudget.used, tokenBudget: tokenBudget.budget, deferUntil: tokenBudget.resetsAt },
+    });
+    return { deferUntil: tokenBudget.resetsAt, commentId: currentCommentId };
+  }
 
-  const { pluginData } = formatResult;
+  const ref = commandRef || pluginData.ref || null;
   const { pathname } = new URL(pluginData.repo);
   const [, repoOwner, repoName] = pathname.split("/");
 
-  context.log.info({ issueNumber: issue.number, pluginName: pluginData.name, repo: `${repoOwner}/${repoName}` }, "Starting AI review");
+  context.log.info({ issueNumber: issue.number, pluginName: pluginData.name, repo: `${repoOwner}/${repoName}`, issueFormat: format, ref }, "Starting AI review");
 
-  const reviewResult = await reviewPlugin(context, pluginData);
+  const previousReview = files ? null : loadPreviousReview(context, issueKey);
+  const progress = createProgressReporter(context, currentCommentId, { quotaInfo });
+  let reviewResult;
+  try {
+    reviewResult = await reviewPlugin(context, pluginData, {
+      previousReview,
+      ref,
+      progress,
+      repoConfig,
+      files,
+      signal,
+    });
+  } finally {
+    await progress.stop();
+  }
+
+  recordReviewTokenUsage(context, reviewResult);
+  if (quotaInfo?.tokenBudget) {
+    quotaInfo = { ...quotaInfo, tokenBudget: getDailyTokenBudget() };
+  }
 
   if (reviewResult.success) {
     const successQuotaInfo = quotaInfo
       ? {
-          ...quotaInfo,
-          used: quotaInfo.used + 1,
-          remaining: Math.max(0, quotaInfo.remaining - 1),
+          ...consumeQuota(quotaInfo),
+          author: consumeQuota(quotaInfo.author),
+          installation: consumeQuota(quotaInfo.installation),
         }
       : null;
     const reviewSuccessCommentId = await postOrUpdateComment(
       context,
       "review_success",
-      { pluginData, review: reviewResult.review, quotaInfo: successQuotaInfo },
+      {
+        pluginData,
+        review: reviewResult.review,
+        reviewedCommit: {
+          repoKey: `${repoOwner}/${repoName}`,
+          commitSha: reviewResult.commitSha,
+          ref: reviewResult.ref,
+        },
+        quotaInfo: successQuotaInfo,
+        commandMention,
+      },
       true,
       currentCommentId
     );
 
+    if (issueKey && reviewResult.commitSha && !files) {
+      try {
+        recordReview(issueKey, {
+          repoKey: `${repoOwner}/${repoName}`,
+          commitSha: reviewResult.commitSha,
+          findings: reviewResult.findings,
+          reviewedPaths: reviewResult.reviewedPaths,
+        });
+      } catch (error) {
+        context.log.error({ err: error, issueKey }, "Failed to persist review history");
+      }
+    }
+
+    if (hasHighSeverityRisk(reviewResult.securityFindings || [])) {
+      await addSecurityReviewLabel(context, repoConfig.securityReviewLabel);
+    }
+
+    let quotaConsumed = false;
     if (reviewSuccessCommentId && quotaInfo?.repoKey) {
       try {
         markReviewTriggerSuccessForRepo(quotaInfo.repoKey);
+        if (quotaInfo.author) markReviewTriggerSuccessForAuthor(quotaInfo.author.login);
+        if (quotaInfo.installation) markReviewTriggerSuccessForInstallation(quotaInfo.installation.installationId);
+        quotaConsumed = true;
       } catch (error) {
         context.log.error({ err: error, repoKey: quotaInfo.repoKey }, "Failed to persist successful review trigger count");
       }
     }
+    audit("success", {
+      reviewResult,
+      details: {
+        commitSha: reviewResult.commitSha ?? null,
+        findingCount: reviewResult.findings?.length ?? 0,
+        quotaConsumed,
+      },
+    });
 
     context.log.info({ issueNumber: issue.number, pluginName: pluginData.name }, "Review completed successfully");
+  } else if (reviewResult.cancelled) {
+    context.log.info({ issueNumber: issue.number }, "Review cancelled");
+    await postOrUpdateComment(
+      context,
+      "review_cancelled",
+      { quotaInfo, commandMention },
+      true,
+      currentCommentId
+    );
+    audit("cancelled", { reviewResult });
+  } else if (reviewResult.providerError) {
+    context.log.warn({ issueNumber: issue.number, error: reviewResult.error, transient: reviewResult.transient }, "AI service failed during review");
+    await postOrUpdateComment(
+      context,
+      "review_service_unavailable",
+      { error: reviewResult.error, transient: reviewResult.transient, quotaInfo, commandMention },
+      true,
+      currentCommentId
+    );
+    audit("service_unavailable", {
+      reviewResult,
+      details: { error: reviewResult.error, transient: Boolean(reviewResult.transient) },
+    });
   } else {
     context.log.warn({ issueNumber: issue.number, error: reviewResult.error }, "AI review returned failure");
     await postOrUpdateComment(
@@ -94,5 +274,100 @@ export async function handlePluginReview(context, isUpdate, commentId) {
       true,
       currentCommentId
     );
+    audit("failure", { reviewResult, details: { error: reviewResult.error } });
+  }
+}
+
+/**
+ * 返回计入本次成功审核后的配额信息副本。
+ * @param {object|null|undefined} quota 单个维度的配额信息。
+ * @returns {object|null} 更新后的配额信息，quota 为空时返回 null。
+ */
+function consumeQuota(quota) {
+  if (!quota) return null;
+  return {
+    ...quota,
+    used: quota.used + 1,
+    remaining: Math.max(0, quota.remaining - 1),
+  };
+}
+
+/**
+ * 将本次审核消耗的 Token 计入全局每日用量。无论审核是否成功，已经发生的调用都会计入。
+ * @param {import('probot').Context} context 事件上下文。
+ * @param {object} reviewResult reviewPlugin 的返回值。
+ */
+function recordReviewTokenUsage(context, reviewResult) {
+  const { tokensUsed } = summarizeReviewUsage(reviewResult);
+  if (!tokensUsed) return;
+
+  try {
+    recordTokenUsage(tokensUsed);
+  } catch (error) {
+    context.log.error({ err: error, tokensUsed }, "Failed to persist daily token usage");
+  }
+}
+
+/**
+ * 从审核结果中提取审计日志需要的模型与 Token 用量。有 API 返回的用量时以其为准，否则使用本地计数。
+ * @param {object|null} reviewResult reviewPlugin 的返回值。
+ * @returns {{model: string|null, tokensUsed: number|null}}
+ */
+function summarizeReviewUsage(reviewResult) {
+  const tokenUsage = reviewResult?.tokenUsage;
+  return {
+    model: reviewResult?.models?.length ? reviewResult.models.join(",") : null,
+    tokensUsed: tokenUsage
+      ? tokenUsage.hasApiUsage
+        ? tokenUsage.totalTokens
+        : tokenUsage.sentTokens
+      : null,
+  };
+}
+
+/**
+ * 读取 Issue 上一次成功审核的记录。读取失败时按首次审核处理。
+ * @param {import('probot').Context} context 事件上下文。
+ * @param {string|null} issueKey 审核历史的键。
+ * @returns {object|null} 上一次审核的记录。
+ */
+function loadPreviousReview(context, issueKey) {
+  try {
+    return getPreviousReview(issueKey);
+  } catch (error) {
+    context.log.error({ err: error, issueKey }, "Failed to load review history");
+    return null;
+  }
+}
+
+/**
+ * 读取 Issue 的跳过审核标记。读取失败时按未跳过处理。
+ * @param {import('probot').Context} context 事件上下文。
+ * @param {string|null} issueKey 审核历史的键。
+ * @returns {{actor: string|null, skippedAt: string}|null} 跳过标记。
+ */
+function loadReviewSkip(context, issueKey) {
+  try {
+    return getReviewSkip(issueKey);
+  } catch (error) {
+    context.log.error({ err: error, issueKey }, "Failed to load review skip mark");
+    return null;
+  }
+}
+
+/**
+ * 为存在高危安全风险的插件 Issue 添加需要维护者复核的标签。
+ * @param {import('probot').Context} context 事件上下文。
+ * @param {string} label 标签名（仓库配置中的 labels.security_review）。
+ */
+async function addSecurityReviewLabel(context, label) {
+  try {
+    await context.octokit.issues.addLabels({
+      ...context.issue(),
+      labels: [label],
+    });
+    context.log.info({ issueNumber: context.payload.issue.number, label }, "Security review label added");
+  } catch (error) {
+    context.log.error({ err: error, issueNumber: context.payload.issue.number }, "Failed to add security review label");
   }
 }
@@ -0,0 +1,161 @@
+import fs from "node:fs";
+import path from "node:path";
+import { open } from "lmdb";
+
+const REVIEW_HISTORY_DB_PATH = path.join(
+  process.cwd(),
+  "data",
+  "review-history.lmdb"
+);
+
+let reviewHistoryDb = null;
+let hasRegisteredCloseHook = false;
+
+/**
+ * 初始化审核历史的 LMDB 数据库（issueKey -> 上次审核的提交与发现）。
+ * 如果数据库已初始化，则直接返回。
+ */
+export function initializeReviewHistoryDb() {
+  if (reviewHistoryDb) return;
+
+  fs.mkdirSync(path.dirname(REVIEW_HISTORY_DB_PATH), { recursive: true });
+  reviewHistoryDb = open({
+    path: REVIEW_HISTORY_DB_PATH,
+  });
+  registerDbCloseHook();
+  console.debug("Review history DB initialized at %s", REVIEW_HISTORY_DB_PATH);
+}
+
+/**
+ * 生成审核历史的键。
+ * @param {string|null|undefined} repositoryFullName Issue 所在仓库的完整名称（owner/repo）。
+ * @param {number|null|undefined} issueNumber Issue Number。
+ * @returns {string|null} 形如 "owner/repo#123" 的键，参数无效时返回 null。
+ */
+export function buildIssueKey(repositoryFullName, issueNumber) {
+  if (!repositoryFullName || !Number.isInteger(issueNumber) || issueNumber <= 0) {
+    return null;
+  }
+  return `${repositoryFullName}#${issueNumber}`;
+}
+
+/**
+ * 读取 Issue 上一次成功审核的记录。
+ * @param {string|null} issueKey buildIssueKey 生成的键。
+ * @returns {{repoKey: string, commitSha: string, findings: Array<object>, reviewedPaths?: string[], reviewedAt: string}|null} 审核记录，不存在时返回 null。
+ *   reviewedPaths 为得到结构化审核结果的文件，较早的记录中没有该字段。
+ */
+export function getPreviousReview(issueKey) {
+  if (!issueKey) return null;
+
+  initializeReviewHistoryDb();
+  const record = reviewHistoryDb.get(issueKey);
+  if (!record?.commitSha || !Array.isArray(record.findings)) {
+    return null;
+  }
+  return record;
+}
+
+/**
+ * 记录 Issue 本次成功审核的提交与发现，供下次审核对比。
+ * @param {string|null} issueKey buildIssueKey 生成的键。
+ * @param {{repoKey: string, commitSha: string, findings?: Array<object>, reviewedPaths?: string[]}} review 本次审核结果；
+ *   reviewedPaths 为得到结构化审核结果的文件，下次审核只沿用这些文件的结果。
+ * @returns {object|null} 写入的记录，参数无效时返回 null。
+ */
+export function recordReview(issueKey, { repoKey, commitSha, findings, reviewedPaths }) {
+  if (!issueKey || !repoKey || !commitSha) return null;
+
+  initializeReviewHistoryDb();
+  const record = {
+    repoKey,
+    commitSha,
+    findings: findings || [],
+    reviewedPaths: reviewedPaths || [],
+    reviewedAt: new Date().toISOString(),
+  };
+  reviewHistoryDb.putSync(issueKey, record);
+  return record;
+}
+
+/**
+ * 记录维护者跳过了 Issue 的 AI 审核（维护者命令 skip-review）。被跳过的 Issue 不再自动审核，直到维护者执行 force-review。
+ * 跳过标记与审核记录存放在同一数据库中，键为 "skip:" 加 issueKey。
+ * @param {string|null} issueKey buildIssueKey 生成的键。
+ * @param {{actor?: string|null}} [options] actor 为执行跳过的维护者。
+ * @returns {{actor: string|null, skippedAt: string}|null} 写入的标记，参数无效时返回 null。
+ */
+export function markReviewSkipped(issueKey, { actor = null } = {}) {
+  if (!issueKey) return null;
+
+  initializeReviewHistoryDb();
+  const mark = { actor, skippedAt: new Date().toISOString() };
+  reviewHistoryDb.putSync(buildSkipKey(issueKey), mark);
+  return mark;
+}
+
+/**
+ * 读取 Issue 的跳过审核标记。
+ * @param {string|null} issueKey buildIssueKey 生成的键。
+ * @returns {{actor: string|null, skippedAt: string}|null} 跳过标记，未被跳过时返回 null。
+ */
+export function getReviewSkip(issueKey) {
+  if (!issueKey) return null;
+
+  initializeReviewHistoryDb();
+  return reviewHistoryDb.get(buildSkipKey(issueKey)) || null;
+}
+
+/**
+ * 清除 Issue 的跳过审核标记。
+ * @param {string|null} issueKey buildIssueKey 生成的键。
+ * @returns {boolean} 存在标记并已清除时返回 true。
+ */
+export function clearReviewSkip(issueKey) {
+  if (!issueKey) return false;
+
+  initializeReviewHistoryDb();
+  const key = buildSkipKey(issueKey);
+  if (!reviewHistoryDb.get(key)) return false;
+  reviewHistoryDb.removeSync(key);
+  return true;
+}
+
+function buildSkipKey(issueKey) {
+  return `skip:${issueKey}`;
+}
+
+/**
+ * 注册进程退出时关闭数据库的钩子。
+ * 确保钩子只注册一次。
+ */
+function registerDbCloseHook() {
+  if (hasRegisteredCloseHook) {
+    return;
+  }
+  hasRegisteredCloseHook = true;
+
+  process.once("beforeExit", () => {
+    void closeReviewHistoryDb();
+  });
+}
+
+/**
+ * 关闭审核历史数据库连接。
+ * @returns {Promise<void>}
+ */
+async function closeReviewHistoryDb() {
+  if (!reviewHistoryDb) {
+    return;
+  }
+
+  const db = reviewHistoryDb;
+  reviewHistoryDb = null;
+
+  try {
+    await db.close();
+    console.debug("Review history DB closed");
+  } catch (error) {
+    console.error("Failed to close review history DB:", error);
+  }
+}
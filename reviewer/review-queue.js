@@ -0,0 +1,425 @@
+import fs from "node:fs";
+import path from "node:path";
+import { open } from "lmdb";
+import {
+  DEFAULT_REVIEW_CONCURRENCY,
+  ISSUE_LOCK_RETRY_INTERVAL_MS,
+  ISSUE_LOCK_TTL_MS,
+  MAX_REVIEW_JOB_ATTEMPTS,
+} from "./constants.js";
+import { acquireIssueLock, releaseIssueLock, renewIssueLock } from "./issue-lock.js";
+import { buildIssueKey } from "./review-history.js";
+
+const REVIEW_QUEUE_DB_PATH = path.join(
+  process.cwd(),
+  "data",
+  "review-queue.lmdb"
+);
+
+let reviewQueueDb = null;
+let hasRegisteredCloseHook = false;
+let jobSequence = 0;
+
+/**
+ * 初始化审核任务队列的 LMDB 数据库（jobId -> 任务记录）。
+ * 如果数据库已初始化，则直接返回。
+ */
+export function initializeReviewQueueDb() {
+  if (reviewQueueDb) return;
+
+  fs.mkdirSync(path.dirname(REVIEW_QUEUE_DB_PATH), { recursive: true });
+  reviewQueueDb = open({
+    path: REVIEW_QUEUE_DB_PATH,
+  });
+  registerDbCloseHook();
+  console.debug("Review queue DB initialized at %s", REVIEW_QUEUE_DB_PATH);
+}
+
+/**
+ * 获取同时运行的审核任务数上限。
+ * 优先使用环境变量 REVIEW_CONCURRENCY 的值，否则使用默认值。
+ * @returns {number} 并发上限。
+ */
+export function getReviewConcurrency() {
+  const parsed = Number.parseInt(process.env.REVIEW_CONCURRENCY || "", 10);
+
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    return DEFAULT_REVIEW_CONCURRENCY;
+  }
+
+  return parsed;
+}
+
+/**
+ * 创建持久化的审核任务队列。
+ * 任务在入队时写入 LMDB，运行结束后删除；进程重启后调用 resume 即可恢复尚未完成的任务（包括中断时正在运行的任务）。
+ * 同一 Issue 已有排队中的任务时，新的请求会合并到该任务中，而不是重复排队。
+ * 任务开始前需要获取该 Issue 的审核锁（见 issue-lock.js），因此同一 Issue 同一时间只会运行一个任务，
+ * 审核运行期间收到的请求会合并为一次后续审核，等当前审核结束后再运行。
+ * 任务可以要求延后运行（例如全局 Token 预算用尽时），延后的任务保留在队列中，到达指定时间后再运行。
+ * @param {object} options 队列选项。
+ * @param {number} [options.concurrency] 同时运行的任务数上限。
+ * @param {(job: object, context: object, options: {signal: AbortSignal}) => Promise<{deferUntil: string, commentId?: number|null}|void>} options.runJob
+ *   执行任务；任务被取消时 signal 会被触发，任务应尽快结束。返回 deferUntil 时任务会在该时间后重新运行，
+ *   commentId 为展示延后状态的评论，重新运行时会更新该评论。
+ * @param {(job: object) => Promise<object>} options.restoreContext 为没有事件上下文的任务（重启后恢复的任务）重建上下文。
+ * @param {(job: object, position: number, context: object) => Promise<number|null>} [options.notifyQueued]
+ *   任务需要等待或排队位置变化时调用，返回用于展示排队状态的评论 ID，任务开始时会更新该评论。
+ * @param {object} options.log 日志器实例。
+ * @returns {{enqueue: (job: object, context?: object|null) => Promise<{id: string, position: number}>,
+ *   resume: () => number, idle: () => Promise<void>,
+ *   getStatus: (issueKey: string) => {running: boolean, position: number|null},
+ *   cancel: (issueKey: string) => {running: boolean, queuedJob: object|null}}}
+ *   enqueue 返回任务 ID 与排队位置（0 表示已开始运行）；resume 返回恢复的任务数；idle 在队列清空后兑现；
+ *   getStatus 返回 Issue 是否有正在运行的任务及排队中任务的位置；cancel 取消 Issue 排队中的任务并中止正在运行的任务，返回被取消的内容。
+ */
+export function createReviewQueue({
+  concurrency = getReviewConcurrency(),
+  runJob,
+  restoreContext,
+  notifyQueued = null,
+  log,
+}) {
+  const pending = [];
+  const running = new Set();
+  const runningIssues = new Map();
+  const contexts = new Map();
+  let idleWaiters = [];
+  let lockRetryTimer = null;
+  let deferredTimer = null;
+
+  async function enqueue(job, context = null) {
+    initializeReviewQueueDb();
+
+    const existingId = findPendingJobId(
+      buildIssueKey(job.repositoryFullName, job.issueNumber)
+    );
+    if (existingId) {
+      const existing = reviewQueueDb.get(existingId);
+      const merged = {
+        ...existing,
+        ref: job.ref ?? existing.ref,
+        files: existing.files && job.files ? [...new Set([...existing.files, ...job.files])] : null,
+        isUpdate: existing.isUpdate || job.isUpdate,
+        force: Boolean(existing.force || job.force),
+        commentId: existing.commentId ?? job.commentId,
+      };
+      reviewQueueDb.putSync(existingId, merged);
+      if (context) contexts.set(existingId, context);
+      log.info({ jobId: existingId, issueNumber: job.issueNumber }, "Merged review request into queued job");
+      return { id: existingId, position: pending.indexOf(existingId) + 1 };
+    }
+
+    const record = {
+      ...job,
+      id: createJobId(),
+      status: "queued",
+      attempts: 0,
+      enqueuedAt: new Date().toISOString(),
+    };
+    reviewQueueDb.putSync(record.id, record);
+    if (context) contexts.set(record.id, context);
+    pending.push(record.id);
+    log.info({ jobId: record.id, issueNumber: job.issueNumber, queueLength: pending.length, running: running.size }, "Review job enqueued");
+
+    pump();
+    const position = pending.indexOf(record.id) + 1;
+    if (position > 0) {
+      await notifyPosition(record.id, position);
+    }
+    return { id: record.id, position };
+  }
+
+  function resume() {
+    initializeReviewQueueDb();
+
+    let resumed = 0;
+    for (const { key, value } of reviewQueueDb.getRange()) {
+      if (pending.includes(key) || running.has(key)) continue;
+
+      const attempts = value.status === "running" ? (value.attempts || 0) + 1 : value.attempts || 0;
+      if (attempts >= MAX_REVIEW_JOB_ATTEMPTS) {
+        log.warn({ jobId: key, issueNumber: value.issueNumber, attempts }, "Dropping review job interrupted too many times");
+        reviewQueueDb.removeSync(key);
+        continue;
+      }
+
+      reviewQueueDb.putSync(key, { ...value, status: "queued", attempts });
+      pending.push(key);
+      resumed += 1;
+    }
+
+    if (resumed > 0) {
+      log.info({ resumed }, "Resuming unfinished review jobs");
+      pump();
+      void notifyPendingPositions();
+    }
+    return resumed;
+  }
+
+  function getStatus(issueKey) {
+    initializeReviewQueueDb();
+
+    const queuedId = findPendingJobId(issueKey);
+    return {
+      running: runningIssues.has(issueKey),
+      position: queuedId ? pending.indexOf(queuedId) + 1 : null,
+    };
+  }
+
+  function cancel(issueKey) {
+    initializeReviewQueueDb();
+
+    let queuedJob = null;
+    const queuedId = findPendingJobId(issueKey);
+    if (queuedId) {
+      queuedJob = reviewQueueDb.get(queuedId);
+      pending.splice(pending.indexOf(queuedId), 1);
+      reviewQueueDb.removeSync(queuedId);
+      contexts.delete(queuedId);
+      log.info({ jobId: queuedId, issueKey }, "Queued review job cancelled");
+      void notifyPendingPositions();
+    }
+
+    const controller = runningIssues.get(issueKey);
+    if (controller && !controller.signal.aborted) {
+      controller.abort();
+      log.info({ issueKey }, "Running review job cancelled");
+    }
+
+    return { running: Boolean(controller), queuedJob };
+  }
+
+  function findPendingJobId(issueKey) {
+    if (!issueKey) return null;
+    return (
+      pending.find((id) => {
+        const queued = reviewQueueDb.get(id);
+        return queued && buildIssueKey(queued.repositoryFullName, queued.issueNumber) === issueKey;
+      }) || null
+    );
+  }
+
+  function idle() {
+    if (pending.length === 0 && running.size === 0) return Promise.resolve();
+    return new Promise((resolve) => idleWaiters.push(resolve));
+  }
+
+  function pump() {
+    let started = false;
+    let lockedElsewhere = false;
+    let nextDeferredAt = null;
+    let index = 0;
+    while (running.size < concurrency && index < pending.length) {
+      const id = pending[index];
+      const record = reviewQueueDb.get(id);
+      if (!record) {
+        pending.splice(index, 1);
+        continue;
+      }
+
+      if (isDeferred(record)) {
+        const notBefore = Date.parse(record.notBefore);
+        nextDeferredAt = nextDeferredAt === null ? notBefore : Math.min(nextDeferredAt, notBefore);
+        index += 1;
+        continue;
+      }
+
+      const issueKey = buildIssueKey(record.repositoryFullName, record.issueNumber);
+      if (issueKey && runningIssues.has(issueKey)) {
+        index += 1;
+        continue;
+      }
+      if (!acquireIssueLock(issueKey)) {
+        log.debug({ jobId: id, issueKey }, "Issue is locked by another process, waiting");
+        lockedElsewhere = true;
+        index += 1;
+        continue;
+      }
+
+      pending.splice(index, 1);
+      const controller = new AbortController();
+      if (issueKey) runningIssues.set(issueKey, controller);
+      const runningRecord = {
+        ...record,
+        status: "running",
+        startedAt: new Date().toISOString(),
+      };
+      reviewQueueDb.putSync(id, runningRecord);
+      running.add(id);
+      started = true;
+      void execute(runningRecord, issueKey, controller.signal);
+    }
+
+    if (lockedElsewhere) {
+      scheduleLockRetry();
+    }
+    if (nextDeferredAt !== null) {
+      scheduleDeferredRetry(nextDeferredAt);
+    }
+    if (started && pending.length > 0) {
+      void notifyPendingPositions();
+    }
+    if (pending.length === 0 && running.size === 0) {
+      const waiters = idleWaiters;
+      idleWaiters = [];
+      waiters.forEach((resolve) => resolve());
+    }
+  }
+
+  async function execute(record, issueKey, signal) {
+    const heartbeat = issueKey
+      ? setInterval(() => renewIssueLock(issueKey), ISSUE_LOCK_TTL_MS / 3)
+      : null;
+    heartbeat?.unref?.();
+
+    let deferral = null;
+    try {
+      const context = contexts.get(record.id) || (await restoreContext(record));
+      const result = await runJob(record, context, { signal });
+      if (result?.deferUntil && !signal.aborted) {
+        deferral = result;
+      }
+    } catch (error) {
+      log.error({ err: error, jobId: record.id, issueNumber: record.issueNumber }, "Review job failed");
+    } finally {
+      clearInterval(heartbeat);
+      if (issueKey) {
+        runningIssues.delete(issueKey);
+        releaseIssueLock(issueKey);
+      }
+      running.delete(record.id);
+      if (deferral) {
+        requeueDeferred(record, issueKey, deferral);
+      } else {
+        contexts.delete(record.id);
+        reviewQueueDb.removeSync(record.id);
+      }
+      pump();
+    }
+  }
+
+  function requeueDeferred(record, issueKey, { deferUntil, commentId }) {
+    // 运行期间已有同一 Issue 的后续请求在排队时，由该请求代替被延后的任务，它同样会等待预算恢复
+    if (findPendingJobId(issueKey)) {
+      contexts.delete(record.id);
+      reviewQueueDb.removeSync(record.id);
+      log.info({ jobId: record.id, issueKey }, "Deferred review job superseded by a queued request");
+      return;
+    }
+
+    const { startedAt, ...queuedRecord } = record;
+    reviewQueueDb.putSync(record.id, {
+      ...queuedRecord,
+      status: "queued",
+      notBefore: deferUntil,
+      ...(commentId && { commentId, isUpdate: true }),
+    });
+    pending.push(record.id);
+    log.info({ jobId: record.id, issueNumber: record.issueNumber, deferUntil }, "Review job deferred");
+  }
+
+  function scheduleLockRetry() {
+    if (lockRetryTimer) return;
+    lockRetryTimer = setTimeout(() => {
+      lockRetryTimer = null;
+      pump();
+    }, ISSUE_LOCK_RETRY_INTERVAL_MS);
+    lockRetryTimer.unref?.();
+  }
+
+  function scheduleDeferredRetry(time) {
+    if (deferredTimer) clearTimeout(deferredTimer);
+    // setTimeout 的延迟上限约为 24.8 天，更远的时间分多次等待
+    const delay = Math.min(Math.max(0, time - Date.now()), 2 ** 31 - 1);
+    deferredTimer = setTimeout(() => {
+      deferredTimer = null;
+      pump();
+    }, delay);
+    deferredTimer.unref?.();
+  }
+
+  async function notifyPendingPositions() {
+    for (const [index, id] of [...pending].entries()) {
+      await notifyPosition(id, index + 1);
+    }
+  }
+
+  async function notifyPosition(id, position) {
+    const record = reviewQueueDb.get(id);
+    if (
+      !notifyQueued ||
+      !record ||
+      record.status !== "queued" ||
+      isDeferred(record) ||
+      record.notifiedPosition === position
+    ) {
+      return;
+    }
+
+    try {
+      let context = contexts.get(id);
+      if (!context) {
+        context = await restoreContext(record);
+        contexts.set(id, context);
+      }
+      const commentId = await notifyQueued(record, position, context);
+
+      const latest = reviewQueueDb.get(id);
+      if (latest?.status !== "queued") return;
+      reviewQueueDb.putSync(id, {
+        ...latest,
+        notifiedPosition: position,
+        ...(commentId && { commentId, isUpdate: true }),
+      });
+    } catch (error) {
+      log.warn({ err: error, jobId: id }, "Failed to notify queue position");
+    }
+  }
+
+  return { enqueue, resume, idle, getStatus, cancel };
+}
+
+function isDeferred(record) {
+  return Boolean(record.notBefore) && Date.parse(record.notBefore) > Date.now();
+}
+
+function createJobId() {
+  jobSequence = (jobSequence + 1) % 1000000;
+  return `${String(Date.now()).padStart(15, "0")}-${String(jobSequence).padStart(6, "0")}`;
+}
+
+/**
+ * 注册进程退出时关闭数据库的钩子。
+ * 确保钩子只注册一次。
+ */
+function registerDbCloseHook() {
+  if (hasRegisteredCloseHook) {
+    return;
+  }
+  hasRegisteredCloseHook = true;
+
+  process.once("beforeExit", () => {
+    void closeReviewQueueDb();
+  });
+}
+
+/**
+ * 关闭审核任务队列数据库连接。
+ * @returns {Promise<void>}
+ */
+async function closeReviewQueueDb() {
+  if (!reviewQueueDb) {
+    return;
+  }
+
+  const db = reviewQueueDb;
+  reviewQueueDb = null;
+
+  try {
+    await db.close();
+    console.debug("Review queue DB closed");
+  } catch (error) {
+    console.error("Failed to close review queue DB:", error);
+  }
+}
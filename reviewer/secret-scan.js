@@ -0,0 +1,205 @@
+import { MAX_SECRET_SCAN_BLOB_SIZE } from "./constants.js";
+import { formatFindingLine, sortFindings } from "./findings.js";
+
+const BINARY_FILE_EXTENSIONS = [
+  "png", "jpg", "jpeg", "gif", "webp", "bmp", "ico", "svgz",
+  "mp3", "wav", "ogg", "flac", "silk", "amr", "mp4", "webm", "mov",
+  "ttf", "otf", "woff", "woff2", "eot",
+  "zip", "gz", "tgz", "bz2", "xz", "7z", "rar", "whl", "egg",
+  "pyc", "pyd", "so", "dll", "exe", "bin", "db", "sqlite", "pdf",
+];
+
+const KNOWN_SECRET_PATTERNS = [
+  { type: "Anthropic API Key", pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { type: "OpenAI 兼容 API Key", pattern: /\bsk-(?!ant-)(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}/g },
+  { type: "GitHub Token", pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g },
+  { type: "GitHub Token", pattern: /\bgithub_pat_[A-Za-z0-9_]{22,}\b/g },
+  { type: "Telegram Bot Token", pattern: /\b\d{8,10}:AA[A-Za-z0-9_-]{33}\b/g },
+  { type: "Discord Bot Token", pattern: /\b[MNO][A-Za-z\d_-]{23,25}\.[A-Za-z\d_-]{6}\.[A-Za-z\d_-]{27,38}\b/g },
+  { type: "Google API Key", pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { type: "AWS Access Key", pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { type: "Slack Token", pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+];
+
+const PRIVATE_KEY_BLOCK_PATTERN = /-----BEGIN ([A-Z ]*)PRIVATE KEY-----([\s\S]*?)-----END \1PRIVATE KEY-----/g;
+const QUOTED_ASSIGNMENT_PATTERN = /["']?([A-Za-z_][\w.-]*)["']?\s*[:=]\s*["']([^"'\s]{16,})["']/g;
+const ENV_ASSIGNMENT_PATTERN = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*([^\s"'#]{16,})\s*$/;
+const SENSITIVE_KEY_PATTERN = /api[_-]?key|apikey|secret|token|passw(?:or)?d|cookie|credential|access[_-]?key|private[_-]?key|authorization/i;
+const PLACEHOLDER_PATTERN = /^(?:your|my|example|sample|placeholder|changeme|replace|todo|none|null|test)|x{6,}|\*{4,}|<[^>]*>|\$\{|\{\{|\.\.\./i;
+const MIN_ASSIGNMENT_ENTROPY = 3.5;
+
+/**
+ * 判断一个 Git 树条目是否需要进行密钥扫描。二进制资源与过大的文件会被跳过。
+ * @param {{path: string, size?: number}} blob Git 树中的文件条目。
+ * @returns {boolean} 需要扫描时返回 true。
+ */
+export function shouldScanBlobForSecrets(blob) {
+  const extension = blob.path.split(".").pop().toLowerCase();
+  if (BINARY_FILE_EXTENSIONS.includes(extension)) return false;
+  return !(blob.size > MAX_SECRET_SCAN_BLOB_SIZE);
+}
+
+/**
+ * 扫描文件中疑似泄露的密钥与凭据。
+ * 返回的发现只包含打码后的值，原始密钥不会出现在结果中。
+ * @param {Array<{path: string, source: string}>} files 文件路径与文本内容。
+ * @returns {Array<object>} 密钥泄露发现，结构与其他审核发现一致，并附带 ruleId、secretType 与 maskedValue。
+ */
+export function scanSecrets(files) {
+  const findings = [];
+
+  for (const file of files) {
+    if (file.source.includes("\u0000")) continue;
+
+    for (const match of findSecretMatches(file.source)) {
+      const maskedValue = match.maskedValue ?? maskSecret(match.value);
+      findings.push({
+        ruleId: "secret-leak",
+        file: file.path,
+        lineStart: match.lineNumber,
+        lineEnd: match.lineNumber,
+        category: "security",
+        severity: match.severity,
+        secretType: match.type,
+        maskedValue,
+        message: `检测到疑似 ${match.type}：\`${maskedValue}\``,
+        suggestion:
+          "立即在对应平台吊销并重新生成该密钥，并改为通过插件配置或环境变量读取。",
+      });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * 将文本中疑似密钥的值替换为打码后的形式，行数保持不变。
+ * 用于在把源码发送给 AI 之前隐藏密钥。
+ * @param {string} text 原始文本。
+ * @returns {string} 打码后的文本。
+ */
+export function redactSecrets(text) {
+  let redacted = text.replace(
+    PRIVATE_KEY_BLOCK_PATTERN,
+    (block, kind, body) =>
+      `-----BEGIN ${kind}PRIVATE KEY-----${body.replace(/[^\n]/g, "")}-----END ${kind}PRIVATE KEY-----`
+  );
+
+  const values = new Set(
+    findSecretMatches(redacted)
+      .map((match) => match.value)
+      .filter((value) => !value.startsWith("-----BEGIN"))
+  );
+  for (const value of values) {
+    redacted = redacted.split(value).join(maskSecret(value));
+  }
+  return redacted;
+}
+
+/**
+ * 对密钥进行打码，仅保留少量首尾字符便于作者定位。
+ * @param {string} value 原始密钥。
+ * @returns {string} 打码后的值。
+ */
+export function maskSecret(value) {
+  if (value.length < 12) return "*".repeat(8);
+  return `${value.slice(0, 4)}${"*".repeat(8)}${value.slice(-2)}`;
+}
+
+/**
+ * 渲染“密钥泄露检查”报告章节。
+ * @param {Array<object>} findings scanSecrets 的结果。
+ * @param {{owner: string, repo: string, commitSha: string}} linkOptions 生成行链接所需的仓库信息。
+ * @param {number} scannedFileCount 已扫描的文件数。
+ * @returns {string} Markdown 文本。
+ */
+export function renderSecretLeakSection(findings, linkOptions, scannedFileCount) {
+  let section = "### 🔑 密钥泄露检查\n\n";
+  if (findings.length === 0) {
+    return `${section}✅ 已扫描 ${scannedFileCount} 个文件，未发现疑似泄露的密钥或凭据。\n`;
+  }
+
+  section += `在 ${scannedFileCount} 个已扫描文件中检测到 ${findings.length} 处疑似密钥或凭据，发送给 AI 的内容中已将其隐藏。\n\n`;
+  section += `> [!WARNING]\n> 密钥一旦提交到公开仓库即视为已泄露，仅删除文件或重写提交并不能消除风险。**请立即在对应平台吊销并重新生成这些密钥**，之后改为通过插件配置（\`_conf_schema.json\`）或环境变量读取。\n\n`;
+  section += sortFindings(findings)
+    .map((finding) => formatFindingLine(finding, linkOptions))
+    .join("\n");
+  return `${section}\n`;
+}
+
+function findSecretMatches(text) {
+  const matches = [];
+
+  for (const block of text.matchAll(PRIVATE_KEY_BLOCK_PATTERN)) {
+    matches.push({
+      type: "私钥",
+      severity: "critical",
+      value: block[0],
+      maskedValue: `-----BEGIN ${block[1]}PRIVATE KEY-----`,
+      lineNumber: text.slice(0, block.index).split("\n").length,
+    });
+  }
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const lineNumber = index + 1;
+    const knownValues = [];
+
+    for (const { type, pattern } of KNOWN_SECRET_PATTERNS) {
+      for (const [value] of line.matchAll(pattern)) {
+        if (PLACEHOLDER_PATTERN.test(value) || knownValues.some((v) => v.includes(value))) continue;
+        knownValues.push(value);
+        matches.push({ type, severity: "critical", value, lineNumber });
+      }
+    }
+
+    for (const { key, value } of findAssignments(line)) {
+      if (!SENSITIVE_KEY_PATTERN.test(key)) continue;
+      if (knownValues.some((v) => value.includes(v) || v.includes(value))) continue;
+      if (!looksLikeSecretValue(value)) continue;
+      matches.push({
+        type: describeAssignedSecret(key),
+        severity: "high",
+        value,
+        lineNumber,
+      });
+    }
+  });
+
+  return matches;
+}
+
+function findAssignments(line) {
+  const assignments = [...line.matchAll(QUOTED_ASSIGNMENT_PATTERN)].map(
+    ([, key, value]) => ({ key, value })
+  );
+  const envMatch = line.match(ENV_ASSIGNMENT_PATTERN);
+  if (envMatch) assignments.push({ key: envMatch[1], value: envMatch[2] });
+  return assignments;
+}
+
+function looksLikeSecretValue(value) {
+  if (PLACEHOLDER_PATTERN.test(value)) return false;
+  if (/:\/\/|^[./~]|\.(?:json|ya?ml|txt|py|log)$/i.test(value)) return false;
+  if (!/[A-Za-z]/.test(value) || !/\d/.test(value)) return false;
+  return shannonEntropy(value) >= MIN_ASSIGNMENT_ENTROPY;
+}
+
+function describeAssignedSecret(key) {
+  if (/qq/i.test(key)) return "QQ 机器人凭据";
+  if (/cookie/i.test(key)) return "Cookie";
+  if (/passw/i.test(key)) return "密码";
+  return "高熵凭据";
+}
+
+function shannonEntropy(value) {
+  const frequencies = new Map();
+  for (const char of value) {
+    frequencies.set(char, (frequencies.get(char) || 0) + 1);
+  }
+  let entropy = 0;
+  for (const count of frequencies.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
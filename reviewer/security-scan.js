@@ -0,0 +1,207 @@
+import { formatFindingLine, sortFindings } from "./findings.js";
+import { scanPythonLines } from "./python-source.js";
+
+const ENCODED_BLOB_PATTERN = /["'][A-Za-z0-9+/=_-]{200,}["']|["'](?:\\x[0-9a-fA-F]{2}){50,}["']|["'][0-9a-fA-F]{200,}["']/;
+const DECODE_CALL_PATTERN = /\b(?:b64decode|b32decode|b85decode|a85decode|decodebytes|unhexlify|fromhex|decompress|rot13|rot_13)\b|\bcodecs\.decode\s*\(/;
+const DYNAMIC_EXEC_PATTERN = /(?:^|[^\w.])(?:exec|eval|compile)\s*\(|\bmarshal\.loads?\s*\(|\b__import__\s*\(\s*["']builtins["']\s*\)\s*\.\s*(?:exec|eval)\b/;
+const NETWORK_FETCH_PATTERN = /\b(?:requests|httpx|aiohttp|urllib\.request|urllib3)\b|\burlopen\s*\(|\bsession\.(?:get|post)\s*\(/;
+const REMOTE_PAYLOAD_PATTERN = /\.(?:text|content|read)\b|\burlopen\s*\(|\b(?:requests|httpx)\.(?:get|post)\s*\(/;
+const PICKLE_LOAD_PATTERN = /\b(?:pickle|cPickle|dill|joblib)\.loads?\s*\(/;
+
+const SHELL_PIPE_PATTERN = /\b(?:curl|wget)\b[^"'\n]*\|\s*(?:ba|z)?sh\b|\b(?:powershell|iex)\b[^"'\n]*(?:DownloadString|iwr|Invoke-WebRequest)/i;
+const SHELL_CALL_PATTERN = /\bos\.(?:system|popen)\s*\(|\bshell\s*=\s*True\b|\bcreate_subprocess_shell\s*\(/;
+const RUNTIME_INSTALL_PATTERN = /["']pip["']\s*,\s*["']install["']|\bpip3?\s+install\b|\bpip\.main\s*\(/;
+
+const SENSITIVE_PATH_PATTERN = /cmd_config\.json|\.ssh\/|id_rsa|id_ed25519|\.aws\/credentials|\.git-credentials|\.netrc|\/etc\/(?:passwd|shadow)|Login Data|Local State|\.docker\/config\.json/i;
+const EXFILTRATION_ENDPOINT_PATTERN = /(?:discord(?:app)?\.com\/api\/webhooks|api\.telegram\.org\/bot|webhook\.site|requestbin|pipedream\.net|pastebin\.com\/api|transfer\.sh|ngrok(?:-free)?\.(?:io|app)|burpcollaborator|interact\.sh|oast\.(?:fun|me|pro|live|site))/i;
+const RAW_IP_URL_PATTERN = /["'](?:https?|ftp):\/\/(?!127\.|0\.0\.0\.0|localhost)(?:\d{1,3}\.){3}\d{1,3}(?::\d+)?/;
+
+/**
+ * 扫描插件源码中的恶意代码与供应链风险特征。
+ * 这是基于正则与上下文的启发式检查，结果需由维护者人工确认。
+ * @param {Array<{path: string, source: string}>} files 文件路径与原始源码。
+ * @returns {Array<object>} 风险发现，结构与其他审核发现一致，category 为 security，并附带 ruleId。
+ */
+export function scanSecurityRisks(files) {
+  return files.flatMap((file) => scanFile(file.path, file.source));
+}
+
+/**
+ * 判断风险发现中是否存在需要维护者重点复核的高危项。
+ * @param {Array<{severity: string}>} findings scanSecurityRisks 的结果。
+ * @returns {boolean} 存在 critical 或 high 级别的发现时返回 true。
+ */
+export function hasHighSeverityRisk(findings) {
+  return findings.some(
+    (finding) => finding.severity === "critical" || finding.severity === "high"
+  );
+}
+
+/**
+ * 渲染“安全风险”报告章节。
+ * @param {Array<object>} findings scanSecurityRisks 的结果。
+ * @param {{owner: string, repo: string, commitSha: string}} linkOptions 生成行链接所需的仓库信息。
+ * @returns {string} Markdown 文本。
+ */
+export function renderSecurityRiskSection(findings, linkOptions) {
+  let section = "### 🛡️ 安全风险\n\n";
+  if (findings.length === 0) {
+    return `${section}✅ 未发现可疑的恶意代码或供应链风险特征。\n`;
+  }
+
+  section += `静态扫描发现 ${findings.length} 处可疑代码，以下结果为启发式匹配，请维护者人工确认：\n\n`;
+  section += sortFindings(findings)
+    .map((finding) => formatFindingLine(finding, linkOptions))
+    .join("\n");
+  return `${section}\n`;
+}
+
+function scanFile(filePath, source) {
+  const findings = [];
+  const codeLines = scanPythonLines(source);
+  const fileUsesNetwork = codeLines.some((line) => NETWORK_FETCH_PATTERN.test(line.code));
+  const fileExecutesDynamically = codeLines.some((line) => DYNAMIC_EXEC_PATTERN.test(line.code));
+
+  for (const { lineNumber, code } of codeLines) {
+    const add = (ruleId, severity, message, suggestion) =>
+      findings.push(createFinding(ruleId, filePath, lineNumber, { severity, message, suggestion }));
+
+    if (DYNAMIC_EXEC_PATTERN.test(code)) {
+      if (DECODE_CALL_PATTERN.test(code) || ENCODED_BLOB_PATTERN.test(code)) {
+        add(
+          "obfuscated-exec",
+          "critical",
+          "将解码后的数据直接交给 exec / eval / marshal 执行，这是典型的混淆恶意载荷写法。",
+          "移除动态执行，以明文源码实现所需功能。"
+        );
+        continue;
+      }
+      if (fileUsesNetwork && REMOTE_PAYLOAD_PATTERN.test(code)) {
+        add(
+          "download-exec",
+          "critical",
+          "直接执行从网络获取的内容。",
+          "不要在运行时下载并执行代码，所需逻辑应随插件源码一起发布。"
+        );
+        continue;
+      }
+      if (/\bmarshal\.loads?\s*\(/.test(code)) {
+        add(
+          "obfuscated-exec",
+          "high",
+          "使用 marshal 加载字节码，可能用于隐藏真实执行的代码。",
+          "以明文源码实现所需功能。"
+        );
+        continue;
+      }
+    }
+
+    if (SHELL_PIPE_PATTERN.test(code)) {
+      add(
+        "download-exec",
+        "critical",
+        "通过 shell 管道下载并执行远程脚本。",
+        "不要在运行时下载并执行脚本。"
+      );
+      continue;
+    }
+
+    if (PICKLE_LOAD_PATTERN.test(code)) {
+      if (fileUsesNetwork && REMOTE_PAYLOAD_PATTERN.test(code)) {
+        add(
+          "remote-pickle",
+          "critical",
+          "反序列化来自网络的 pickle 数据，可导致任意代码执行。",
+          "改用 JSON 等安全的数据格式。"
+        );
+        continue;
+      }
+      if (fileUsesNetwork) {
+        add(
+          "remote-pickle",
+          "high",
+          "在发起网络请求的文件中使用 pickle 反序列化，数据可能来自不可信的远程来源。",
+          "确认数据来源可信，或改用 JSON 等安全的数据格式。"
+        );
+        continue;
+      }
+    }
+
+    if (SENSITIVE_PATH_PATTERN.test(code)) {
+      add(
+        "credential-access",
+        "high",
+        "访问了 AstrBot 配置文件或系统凭据相关路径，可能导致密钥泄露。",
+        "插件配置请通过 AstrBotConfig 读取，不要直接访问框架或系统的敏感文件。"
+      );
+    }
+
+    if (EXFILTRATION_ENDPOINT_PATTERN.test(code)) {
+      add(
+        "exfiltration-endpoint",
+        "high",
+        "硬编码了常用于数据外传的端点（如 Webhook、Telegram Bot、内网穿透服务）。",
+        "如确有需要，请在文档中说明用途，并让用户通过插件配置自行填写地址。"
+      );
+    } else if (RAW_IP_URL_PATTERN.test(code)) {
+      add(
+        "exfiltration-endpoint",
+        "medium",
+        "硬编码了以 IP 地址表示的外部服务地址。",
+        "请在文档中说明该服务的用途，或改为可配置项。"
+      );
+    }
+
+    if (SHELL_CALL_PATTERN.test(code)) {
+      add(
+        "shell-command",
+        /\bf["']|\+|%|\.format\s*\(/.test(code) ? "high" : "medium",
+        "以 shell 字符串执行系统命令，拼接外部输入时存在命令注入风险。",
+        "改用 asyncio.create_subprocess_exec 或 subprocess 的参数列表形式，并避免 shell=True。"
+      );
+    }
+
+    if (RUNTIME_INSTALL_PATTERN.test(code)) {
+      add(
+        "runtime-install",
+        "medium",
+        "在运行时安装 Python 依赖包，绕过了 requirements.txt 的声明与审核。",
+        "将依赖声明在 requirements.txt 中，由 AstrBot 统一安装。"
+      );
+    }
+  }
+
+  findings.push(...scanEncodedBlobs(filePath, source, fileExecutesDynamically));
+  return findings;
+}
+
+function scanEncodedBlobs(filePath, source, fileExecutesDynamically) {
+  const findings = [];
+  source.split(/\r?\n/).forEach((line, index) => {
+    if (line.trimStart().startsWith("#")) return;
+    if (!ENCODED_BLOB_PATTERN.test(line)) return;
+    if (DYNAMIC_EXEC_PATTERN.test(line)) return;
+
+    findings.push(
+      createFinding("encoded-blob", filePath, index + 1, {
+        severity: fileExecutesDynamically ? "high" : "low",
+        message: fileExecutesDynamically
+          ? "包含大段编码数据，且同一文件中存在动态执行代码，疑似隐藏的恶意载荷。"
+          : "包含大段编码数据，请确认其用途（如内嵌图片或字体）。",
+        suggestion: "将资源文件以独立文件形式提供，避免在源码中内嵌编码数据。",
+      })
+    );
+  });
+  return findings;
+}
+
+function createFinding(ruleId, filePath, lineNumber, details) {
+  return {
+    ruleId,
+    file: filePath,
+    lineStart: lineNumber,
+    lineEnd: lineNumber,
+    category: "security",
+    ...details,
+  };
+}
@@ -0,0 +1,88 @@
+import {
+  DEFAULT_TOKENIZER_ENCODING,
+  TOKEN_ESTIMATION_RATIO,
+  TOKENIZER_ENCODING_BY_MODEL_PREFIX,
+} from "./constants.js";
+
+const SUPPORTED_ENCODINGS = ["o200k_base", "cl100k_base"];
+const HEURISTIC_TOKENIZER = "heuristic";
+
+const encodingCache = new Map();
+
+/**
+ * 创建与模型匹配的 Token 计数器。
+ * 优先使用本地 BPE 分词器，加载失败或显式配置为 heuristic 时回退到按字符比例估算。
+ * @param {{model: string, tokenizer?: string}} config 应用配置。
+ * @param {object} [log] 日志器实例。
+ * @returns {Promise<{name: string, count: (text: string) => number}>} Token 计数器。
+ */
+export async function createTokenCounter(config, log) {
+  const encodingName = resolveEncodingName(config.model, config.tokenizer);
+  if (encodingName === HEURISTIC_TOKENIZER) {
+    return createHeuristicCounter();
+  }
+
+  try {
+    const encoding = await loadEncoding(encodingName);
+    return {
+      name: encodingName,
+      count: (text) => {
+        try {
+          return encoding.countTokens(text, { disallowedSpecial: new Set() });
+        } catch {
+          return estimateTokensByRatio(text);
+        }
+      },
+    };
+  } catch (error) {
+    log?.warn("Failed to load tokenizer, falling back to heuristic", { encodingName, err: error });
+    return createHeuristicCounter();
+  }
+}
+
+/**
+ * 根据模型名与配置解析应使用的编码名称。
+ * @param {string} model 模型名称。
+ * @param {string|undefined} tokenizer 配置的分词器（auto、heuristic 或编码名称）。
+ * @returns {string} 编码名称或 heuristic。
+ */
+export function resolveEncodingName(model, tokenizer) {
+  const configured = (tokenizer || "auto").trim().toLowerCase();
+  if (configured === HEURISTIC_TOKENIZER) return HEURISTIC_TOKENIZER;
+  if (SUPPORTED_ENCODINGS.includes(configured)) return configured;
+
+  const normalizedModel = (model || "").toLowerCase().split("/").pop();
+  const matched = TOKENIZER_ENCODING_BY_MODEL_PREFIX.find(([prefix]) =>
+    normalizedModel.startsWith(prefix)
+  );
+  return matched ? matched[1] : DEFAULT_TOKENIZER_ENCODING;
+}
+
+/**
+ * 按字符比例估算文本的 Token 数。
+ * @param {string} text 文本内容。
+ * @returns {number} 估算的 Token 数。
+ */
+export function estimateTokensByRatio(text) {
+  return Math.ceil(text.length * TOKEN_ESTIMATION_RATIO);
+}
+
+function createHeuristicCounter() {
+  return { name: HEURISTIC_TOKENIZER, count: estimateTokensByRatio };
+}
+
+async function loadEncoding(encodingName) {
+  if (!encodingCache.has(encodingName)) {
+    encodingCache.set(
+      encodingName,
+      import(`gpt-tokenizer/encoding/${encodingName}`)
+    );
+  }
+
+  try {
+    return await encodingCache.get(encodingName);
+  } catch (error) {
+    encodingCache.delete(encodingName);
+    throw error;
+  }
+}
@@ -1,13 +1,26 @@
 import yaml from "js-yaml";
+import { REQUIRED_ISSUE_CHECKS } from "./constants.js";
+import {
+  getIssueFormLabel,
+  isChecklistItemChecked,
+  ISSUE_FORMATS,
+  parseIssueBody,
+} from "./issue-parser.js";
+import {
+  describeKeyLocation,
+  validateMetadataSchema,
+} from "./metadata-schema.js";
 
 /**
- * 验证插件提交Issue的格式。
+ * 验证插件提交Issue的格式。支持旧版JSON代码块模板与GitHub Issue表单两种正文格式。
  * @param {object} issue Issue对象。
- * @returns {Promise<{success: boolean, errors?: string[], pluginData?: object}>} 验证结果。
+ * @param {{requiredChecks?: string[]}} [options] requiredChecks 为必须勾选的声明，默认使用 REQUIRED_ISSUE_CHECKS。
+ * @returns {Promise<{success: boolean, errors?: string[], pluginData?: object, format?: string|null}>} 验证结果，format 为识别出的正文格式。
  */
-export async function validateIssueFormat(issue) {
+export async function validateIssueFormat(issue, { requiredChecks = REQUIRED_ISSUE_CHECKS } = {}) {
   const errors = [];
-  const body = issue.body || "";
+  const parsed = parseIssueBody(issue.body);
+  const { format } = parsed;
 
   if (
     !/^\[Plugin\]\s+.+$/i.test(issue.title) ||
@@ -16,44 +29,40 @@ export async function validateIssueFormat(issue) {
     errors.push("Issue标题格式不正确，应为: `[Plugin] 您的插件名`");
   }
 
-  const requiredChecks = [
-    "我的插件经过完整的测试",
-    "我的插件不包含恶意代码",
-    "我已阅读并同意遵守该项目的 [行为准则](https://docs.github.com/zh/site-policy/github-terms/github-community-code-of-conduct)。",
-  ];
   requiredChecks.forEach((check) => {
-    const patternText = check.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-    if (!new RegExp(`-\\s*\\[[xX]\\]\\s+${patternText}`).test(body)) {
+    if (!isChecklistItemChecked(parsed.checkedItems, check)) {
       errors.push(`必需的声明未勾选: "${check.split("](")[0]}"`);
     }
   });
 
-  const jsonMatch = body.match(/```json\s*([\s\S]*?)\s*```/i);
-  if (!jsonMatch?.[1]) {
+  if (!format) {
     errors.push(
-      "在Issue内容中未找到JSON代码块。请使用 ```json ... ``` 将插件信息包裹起来。"
+      "在Issue内容中未找到JSON代码块。请使用 ```json ... ``` 将插件信息包裹起来，或通过插件提交表单填写。"
     );
-    return { success: false, errors };
+    return { success: false, errors, format };
   }
 
-  let pluginData;
-  try {
-    pluginData = JSON.parse(jsonMatch[1]);
-  } catch (e) {
+  if (parsed.error) {
     errors.push(
-      `JSON格式错误: ${e.message}。请检查语法，如逗号、引号是否正确。`
+      `JSON格式错误: ${parsed.error.message}。请检查语法，如逗号、引号是否正确。`
     );
-    return { success: false, errors };
+    return { success: false, errors, format };
   }
 
+  const { pluginData } = parsed;
+  const describeField = (key) =>
+    format === ISSUE_FORMATS.ISSUE_FORM
+      ? `表单的「${getIssueFormLabel(key)}」中`
+      : "JSON中";
+
   if (!pluginData.name || pluginData.name === "插件名")
-    errors.push("请在JSON中提供一个有效的 `name`。");
+    errors.push(`请在${describeField("name")}提供一个有效的 \`name\`。`);
   if (!pluginData.desc || pluginData.desc === "插件介绍")
-    errors.push("请在JSON中提供一个有效的 `desc`。");
+    errors.push(`请在${describeField("desc")}提供一个有效的 \`desc\`。`);
   if (!pluginData.author || pluginData.author === "作者名")
-    errors.push("请在JSON中提供一个有效的 `author`。");
+    errors.push(`请在${describeField("author")}提供一个有效的 \`author\`。`);
   if (!pluginData.repo) {
-    errors.push("请在JSON中提供 `repo` 仓库地址。");
+    errors.push(`请在${describeField("repo")}提供 \`repo\` 仓库地址。`);
   } else {
     try {
       const url = new URL(pluginData.repo);
@@ -65,70 +74,111 @@ export async function validateIssueFormat(issue) {
     }
   }
 
+  if (pluginData.ref != null && pluginData.ref !== "") {
+    if (!isValidGitRef(pluginData.ref)) {
+      errors.push(
+        `指定的审核版本 \`${pluginData.ref}\` 不是有效的分支、标签或提交SHA。`
+      );
+    }
+  } else {
+    delete pluginData.ref;
+  }
+
   return errors.length > 0
-    ? { success: false, errors }
-    : { success: true, pluginData };
+    ? { success: false, errors, format }
+    : { success: true, pluginData, format };
+}
+
+/**
+ * 判断字符串是否为可用于指定审核版本的 Git 引用（分支、标签或提交SHA）。
+ * 规则参考 git check-ref-format，拒绝空白、控制字符与 `..` 等会被 Git 拒绝的写法。
+ * @param {unknown} ref 待检查的值。
+ * @returns {boolean} 有效时返回 true。
+ */
+export function isValidGitRef(ref) {
+  if (typeof ref !== "string" || ref.length === 0 || ref.length > 255) {
+    return false;
+  }
+  return (
+    /^[^\s~^:?*[\\\x00-\x1f\x7f]+$/.test(ref) &&
+    !ref.includes("..") &&
+    !ref.includes("@{") &&
+    !/^[-/.]|[/.]$|\/\/|\.lock$/.test(ref)
+  );
 }
 
 /**
  * 验证仓库中的metadata.yaml文件并与提交的JSON数据进行比较。
+ * 字段格式按 METADATA_SCHEMA 声明式校验，错误信息附带所在行号；未知字段只作为警告返回。
  * @param {import('@octokit/core').Octokit} octokit Octokit实例。
  * @param {{owner: string, repo: string}} repoInfo 仓库信息。
  * @param {object} pluginData 从Issue中解析出的插件数据。
- * @returns {Promise<{success: boolean, errors: string[]}>} 验证结果。
+ * @param {{ref?: string}} [options] ref 为读取文件所用的分支、标签或提交SHA，未指定时使用默认分支。
+ * @returns {Promise<{success: boolean, errors: string[], warnings: string[]}>} 验证结果。
  */
-export async function validateMetadataYaml(octokit, repoInfo, pluginData) {
+export async function validateMetadataYaml(octokit, repoInfo, pluginData, { ref } = {}) {
   const errors = [];
+  const warnings = [];
 
   try {
-    const { data: repo } = await octokit.rest.repos.get(repoInfo);
-    const defaultBranch = repo.default_branch;
+    const targetRef = ref || (await octokit.rest.repos.get(repoInfo)).data.default_branch;
 
-    let yamlContent;
+    let content;
     try {
       const { data } = await octokit.rest.repos.getContent({
         ...repoInfo,
         path: "metadata.yaml",
-        ref: defaultBranch,
+        ref: targetRef,
       });
 
       if (!data || !data.content) {
         errors.push("metadata.yaml文件内容为空");
-        return { success: false, errors };
+        return { success: false, errors, warnings };
       }
 
-      const content = Buffer.from(data.content, "base64").toString("utf8");
-      yamlContent = yaml.load(content);
+      content = Buffer.from(data.content, "base64").toString("utf8");
     } catch (error) {
       if (error.status === 404) {
         errors.push("未在仓库中找到必需的metadata.yaml文件");
       } else {
         errors.push(`无法读取metadata.yaml文件: ${error.message}`);
       }
-      return { success: false, errors };
+      return { success: false, errors, warnings };
+    }
+
+    let yamlContent;
+    try {
+      yamlContent = yaml.load(content);
+    } catch (error) {
+      errors.push(describeYamlSyntaxError(error, content));
+      return { success: false, errors, warnings };
     }
 
     if (!yamlContent) {
       errors.push("无法解析metadata.yaml文件内容");
-      return { success: false, errors };
+      return { success: false, errors, warnings };
+    }
+    if (typeof yamlContent !== "object" || Array.isArray(yamlContent)) {
+      errors.push("metadata.yaml的顶层必须是 `字段名: 值` 形式的键值对");
+      return { success: false, errors, warnings };
     }
 
-    if (yamlContent.name !== pluginData.name) {
+    const schemaResult = validateMetadataSchema(yamlContent, content);
+    errors.push(...schemaResult.errors);
+    warnings.push(...schemaResult.warnings);
+
+    if ("name" in yamlContent && yamlContent.name !== pluginData.name) {
       errors.push(
-        `metadata.yaml中的name字段 "${yamlContent.name}" 与JSON中提交的 "${pluginData.name}" 不一致`
+        `${describeKeyLocation("name", content)} "${yamlContent.name}" 与JSON中提交的 "${pluginData.name}" 不一致`
       );
     }
 
-    if (yamlContent.author !== pluginData.author) {
+    if ("author" in yamlContent && yamlContent.author !== pluginData.author) {
       errors.push(
-        `metadata.yaml中的author字段 "${yamlContent.author}" 与JSON中提交的 "${pluginData.author}" 不一致`
+        `${describeKeyLocation("author", content)} "${yamlContent.author}" 与JSON中提交的 "${pluginData.author}" 不一致`
       );
     }
 
-    if (!yamlContent.version) {
-      errors.push("metadata.yaml中缺少必需的version字段");
-    }
-
     const hasDescription = "description" in yamlContent;
     const hasDesc = "desc" in yamlContent;
 
@@ -139,27 +189,68 @@ export async function validateMetadataYaml(octokit, repoInfo, pluginData) {
         "metadata.yaml中不能同时存在description和desc字段，请只保留其中一个"
       );
     } else {
-      const yamlDesc = hasDescription
-        ? yamlContent.description
-        : yamlContent.desc;
+      const fieldName = hasDescription ? "description" : "desc";
+      const yamlDesc = yamlContent[fieldName];
       if (yamlDesc !== pluginData.desc) {
-        const fieldName = hasDescription ? "description" : "desc";
         errors.push(
-          `metadata.yaml中的${fieldName}字段 "${yamlDesc}" 与JSON中提交的desc "${pluginData.desc}" 不一致`
+          `${describeKeyLocation(fieldName, content)} "${yamlDesc}" 与JSON中提交的desc "${pluginData.desc}" 不一致`
         );
       }
     }
 
-    if (yamlContent.repo !== pluginData.repo) {
+    if ("repo" in yamlContent && yamlContent.repo !== pluginData.repo) {
       errors.push(
-        `metadata.yaml中的repo字段 "${yamlContent.repo}" 与JSON中提交的 "${pluginData.repo}" 不一致`
+        `${describeKeyLocation("repo", content)} "${yamlContent.repo}" 与JSON中提交的 "${pluginData.repo}" 不一致`
       );
     }
 
-    return { success: errors.length === 0, errors };
+    if (typeof yamlContent.logo === "string" && errors.length === 0) {
+      const logoError = await checkLogoExists(octokit, repoInfo, targetRef, yamlContent.logo, content);
+      if (logoError) errors.push(logoError);
+    }
+
+    return { success: errors.length === 0, errors, warnings };
   } catch (error) {
     octokit.log.error("Unexpected error validating metadata.yaml", { err: error });
     errors.push(`验证metadata.yaml时出现系统错误: ${error.message}`);
-    return { success: false, errors };
+    return { success: false, errors, warnings };
+  }
+}
+
+/**
+ * 将YAML语法错误转换为包含行号与出错行原文的提示。
+ * @param {Error & {mark?: {line: number}, reason?: string}} error js-yaml 抛出的异常。
+ * @param {string} content metadata.yaml 原文。
+ * @returns {string} 错误信息。
+ */
+function describeYamlSyntaxError(error, content) {
+  const reason = error.reason || error.message;
+  if (!Number.isInteger(error.mark?.line)) {
+    return `metadata.yaml存在YAML语法错误: ${reason}`;
+  }
+
+  const lineNumber = error.mark.line + 1;
+  const lineText = content.split(/\r?\n/)[error.mark.line] ?? "";
+  return `metadata.yaml第${lineNumber}行存在YAML语法错误: ${reason}\n  出错行: ${lineText.trim() || "（空行）"}`;
+}
+
+/**
+ * 检查metadata.yaml中声明的logo文件是否存在于仓库中。
+ * @param {import('@octokit/core').Octokit} octokit Octokit实例。
+ * @param {{owner: string, repo: string}} repoInfo 仓库信息。
+ * @param {string} ref 分支、标签或提交SHA。
+ * @param {string} logoPath logo字段的值。
+ * @param {string} content metadata.yaml 原文。
+ * @returns {Promise<string|null>} 错误信息，文件存在时为 null。
+ */
+async function checkLogoExists(octokit, repoInfo, ref, logoPath, content) {
+  try {
+    await octokit.rest.repos.getContent({ ...repoInfo, path: logoPath, ref });
+    return null;
+  } catch (error) {
+    if (error.status === 404) {
+      return `${describeKeyLocation("logo", content)}指向的文件 "${logoPath}" 不存在`;
+    }
+    throw error;
   }
 }
@@ -0,0 +1,107 @@
+import fs from "node:fs";
+import path from "node:path";
+import { open } from "lmdb";
+import { WEBHOOK_DELIVERY_TTL_MS } from "./constants.js";
+
+const WEBHOOK_DELIVERY_DB_PATH = path.join(
+  process.cwd(),
+  "data",
+  "webhook-deliveries.lmdb"
+);
+
+let webhookDeliveryDb = null;
+let hasRegisteredCloseHook = false;
+
+/**
+ * 初始化 Webhook 投递记录的 LMDB 数据库（X-GitHub-Delivery -> 首次接收时间戳），并清理过期记录。
+ * 如果数据库已初始化，则直接返回。
+ */
+export function initializeWebhookDeliveryDb() {
+  if (webhookDeliveryDb) return;
+
+  fs.mkdirSync(path.dirname(WEBHOOK_DELIVERY_DB_PATH), { recursive: true });
+  webhookDeliveryDb = open({
+    path: WEBHOOK_DELIVERY_DB_PATH,
+  });
+  registerDbCloseHook();
+  console.debug("Webhook delivery DB initialized at %s", WEBHOOK_DELIVERY_DB_PATH);
+  pruneExpiredDeliveries();
+}
+
+/**
+ * 记录一次 Webhook 投递，并判断它是否为 GitHub 的重复投递。
+ * GitHub 重新投递时会沿用原来的 X-GitHub-Delivery，因此同一 ID 在有效期内只会被处理一次。
+ * @param {string|undefined} deliveryId X-GitHub-Delivery 请求头的值（Probot 中为 context.id）。
+ * @param {number} [now] 当前时间（毫秒）。
+ * @returns {boolean} 首次收到该投递时返回 true；重复投递返回 false。缺少投递 ID 时始终返回 true。
+ */
+export function markDeliveryReceived(deliveryId, now = Date.now()) {
+  if (!deliveryId) return true;
+
+  initializeWebhookDeliveryDb();
+  return webhookDeliveryDb.transactionSync(() => {
+    const receivedAt = webhookDeliveryDb.get(deliveryId);
+    if (typeof receivedAt === "number" && now - receivedAt < WEBHOOK_DELIVERY_TTL_MS) {
+      return false;
+    }
+
+    webhookDeliveryDb.putSync(deliveryId, now);
+    return true;
+  });
+}
+
+/**
+ * 删除超过有效期的投递记录。GitHub 只允许重新投递近几天内的事件，更早的记录无需保留。
+ * @param {number} [now] 当前时间（毫秒）。
+ * @returns {number} 删除的记录数。
+ */
+export function pruneExpiredDeliveries(now = Date.now()) {
+  initializeWebhookDeliveryDb();
+
+  let removed = 0;
+  for (const { key, value } of webhookDeliveryDb.getRange()) {
+    if (typeof value !== "number" || now - value >= WEBHOOK_DELIVERY_TTL_MS) {
+      webhookDeliveryDb.removeSync(key);
+      removed += 1;
+    }
+  }
+  if (removed > 0) {
+    console.debug("Pruned %d expired webhook deliveries", removed);
+  }
+  return removed;
+}
+
+/**
+ * 注册进程退出时关闭数据库的钩子。
+ * 确保钩子只注册一次。
+ */
+function registerDbCloseHook() {
+  if (hasRegisteredCloseHook) {
+    return;
+  }
+  hasRegisteredCloseHook = true;
+
+  process.once("beforeExit", () => {
+    void closeWebhookDeliveryDb();
+  });
+}
+
+/**
+ * 关闭 Webhook 投递记录数据库连接。
+ * @returns {Promise<void>}
+ */
+async function closeWebhookDeliveryDb() {
+  if (!webhookDeliveryDb) {
+    return;
+  }
+
+  const db = webhookDeliveryDb;
+  webhookDeliveryDb = null;
+
+  try {
+    await db.close();
+    console.debug("Webhook delivery DB closed");
+  } catch (error) {
+    console.error("Failed to close webhook delivery DB:", error);
+  }
+}
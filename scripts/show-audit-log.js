@@ -0,0 +1,86 @@
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { queryAuditEvents } from "../reviewer/audit-log.js";
+
+const usage = `Usage: npm run show:audit -- [options]
+
+Options:
+  --repo <owner/repo>   Filter by plugin repository
+  --issue <number>      Filter by issue number
+  --action <name>       Filter by action (review, dedup_check, unsupported_repository or a maintainer command)
+  --since <date>        Only events at or after this time (ISO 8601 or YYYY-MM-DD)
+  --until <date>        Only events at or before this time; a bare date covers the whole day
+  --limit <number>      Only the most recent N events
+  --help                Show this message`;
+
+const { values } = parseArgs({
+  options: {
+    repo: { type: "string" },
+    issue: { type: "string" },
+    action: { type: "string" },
+    since: { type: "string" },
+    until: { type: "string" },
+    limit: { type: "string" },
+    help: { type: "boolean" },
+  },
+});
+
+if (values.help) {
+  console.log(usage);
+  process.exit(0);
+}
+
+function fail(message) {
+  console.error(message);
+  console.error(usage);
+  process.exit(1);
+}
+
+function parsePositiveInteger(value, name) {
+  if (value === undefined) return undefined;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    fail(`Invalid --${name}: ${value}`);
+  }
+  return parsed;
+}
+
+function parseTime(value, name, { endOfDay = false } = {}) {
+  if (value === undefined) return undefined;
+  const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = new Date(isDateOnly && endOfDay ? `${value}T23:59:59.999Z` : value);
+  if (Number.isNaN(time.getTime())) {
+    fail(`Invalid --${name}: ${value}`);
+  }
+  return time;
+}
+
+const filters = {
+  repoKey: values.repo,
+  issueNumber: parsePositiveInteger(values.issue, "issue"),
+  action: values.action,
+  since: parseTime(values.since, "since"),
+  until: parseTime(values.until, "until", { endOfDay: true }),
+  limit: parsePositiveInteger(values.limit, "limit"),
+};
+
+// 数据库的初始化/关闭日志会写到 stdout，屏蔽后输出可以直接交给 jq 等工具处理
+console.debug = () => {};
+
+const dbPath = path.join(process.cwd(), "data", "audit-log.lmdb");
+const events = fs.existsSync(dbPath) ? queryAuditEvents(filters) : [];
+
+console.log(
+  JSON.stringify(
+    {
+      path: dbPath,
+      exists: fs.existsSync(dbPath),
+      filters,
+      count: events.length,
+      events,
+    },
+    null,
+    2
+  )
+);
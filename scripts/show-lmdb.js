@@ -3,7 +3,16 @@ import path from "node:path";
 import { open } from "lmdb";
 
 const dataDir = path.join(process.cwd(), "data");
-const dbFileNames = ["plugin-publish-imdb.lmdb", "repo-trigger-counts.lmdb"];
+const dbFileNames = [
+  "audit-log.lmdb",
+  "issue-locks.lmdb",
+  "plugin-publish-imdb.lmdb",
+  "repo-trigger-counts.lmdb",
+  "review-cache.lmdb",
+  "review-history.lmdb",
+  "review-queue.lmdb",
+  "webhook-deliveries.lmdb",
+];
 
 async function readDb(fileName) {
   const dbPath = path.join(dataDir, fileName);
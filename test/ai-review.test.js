@@ -8,7 +8,16 @@ jest.unstable_mockModule("openai", () => ({
   })),
 }));
 
+const mockGetCachedFileReview = jest.fn(() => null);
+const mockStoreFileReview = jest.fn(() => true);
+
+jest.unstable_mockModule("../reviewer/review-cache.js", () => ({
+  getCachedFileReview: mockGetCachedFileReview,
+  storeFileReview: mockStoreFileReview,
+}));
+
 const { reviewPlugin } = await import("../reviewer/ai-review.js");
+const { DEFAULT_REPO_CONFIG } = await import("../reviewer/repo-config.js");
 
 describe("reviewPlugin", () => {
   const originalEnv = { ...process.env };
@@ -19,6 +28,8 @@ describe("reviewPlugin", () => {
     process.env.OPENAI_MODEL = "test-model";
     process.env.OPENAI_MAX_INPUT_TOKENS = "4000";
     delete process.env.OPENAI_BASE_URL;
+    delete process.env.OPENAI_TOKENIZER;
+    process.env.REVIEW_OUTPUT_MODE = "markdown";
   });
 
   afterEach(() => {
@@ -40,6 +51,13 @@ describe("reviewPlugin", () => {
     "repo: https://github.com/owner/repo",
   ].join("\n");
 
+  const pluginSource = [
+    "from astrbot.api.star import Star",
+    "",
+    "class TestPlugin(Star):",
+    "    pass",
+  ].join("\n");
+
   function createMockContext() {
     return {
       log: { trace() {}, debug() {}, info() {}, warn() {}, error() {}, fatal() {} },
@@ -50,6 +68,9 @@ describe("reviewPlugin", () => {
             get: jest
               .fn()
               .mockResolvedValue({ data: { default_branch: "main" } }),
+            getBranch: jest.fn().mockResolvedValue({
+              data: { commit: { sha: "abc1234def5678" } },
+            }),
             getContent: jest.fn().mockResolvedValue({
               data: {
                 content: Buffer.from(metadataYaml).toString("base64"),
@@ -67,7 +88,7 @@ describe("reviewPlugin", () => {
             }),
             getBlob: jest.fn().mockResolvedValue({
               data: {
-                content: Buffer.from('print("hello")').toString("base64"),
+                content: Buffer.from(pluginSource).toString("base64"),
               },
             }),
           },
@@ -99,6 +120,22 @@ describe("reviewPlugin", () => {
     expect(result.error).toContain("metadata.yaml");
   });
 
+  it("lists metadata.yaml warnings in the review", async () => {
+    const context = createMockContext();
+    const yamlWithUnknownKey = `${metadataYaml}\nhomepage: https://example.com`;
+    context.octokit.rest.repos.getContent.mockResolvedValue({
+      data: { content: Buffer.from(yamlWithUnknownKey).toString("base64") },
+    });
+    mockCreate.mockResolvedValue({
+      choices: [{ message: { content: "Review content" } }],
+    });
+
+    const result = await reviewPlugin(context, validPluginData);
+    expect(result.success).toBe(true);
+    expect(result.review).toContain("### 📝 metadata.yaml 提示");
+    expect(result.review).toContain("homepage字段不是已知的字段");
+  });
+
   it("returns error when no Python files exist", async () => {
     const context = createMockContext();
     context.octokit.rest.git.getTree.mockResolvedValue({
@@ -187,18 +224,58 @@ describe("reviewPlugin", () => {
     context.octokit.rest.git.getBlob.mockResolvedValue({
       data: { content: Buffer.from(pythonCode).toString("base64") },
     });
-    mockCreate.mockImplementation(async (params) => {
-      const prompt = params.messages[0].content;
-      // Verify comments were stripped - the blank line and full-comment line removed
-      expect(prompt).not.toContain("# This is a comment");
-      expect(prompt).not.toContain("# inline comment");
-      // String with # should be preserved
-      expect(prompt).toContain('x = "string with # inside"');
-      return { choices: [{ message: { content: "Review" } }] };
+    mockCreate.mockResolvedValue({
+      choices: [{ message: { content: "Review" } }],
     });
 
     await reviewPlugin(context, validPluginData);
-    expect(mockCreate).toHaveBeenCalled();
+    const prompt = mockCreate.mock.calls[0][0].messages[0].content;
+    // Verify comments were stripped - the blank line and full-comment line removed
+    expect(prompt).not.toContain("# This is a comment");
+    expect(prompt).not.toContain("# inline comment");
+    // String with # should be preserved
+    expect(prompt).toContain('x = "string with # inside"');
+  });
+
+  it("applies the file limit and extra instructions from the repository config", async () => {
+    const context = createMockContext();
+    mockCreate.mockResolvedValue({
+      choices: [{ message: { content: "Review" } }],
+    });
+    const repoConfig = {
+      ...DEFAULT_REPO_CONFIG,
+      maxFilesToReview: 1,
+      reviewInstructions: "重点检查网络请求是否设置超时。",
+    };
+
+    const result = await reviewPlugin(context, validPluginData, { repoConfig });
+
+    expect(result.success).toBe(true);
+    const prompt = mockCreate.mock.calls[0][0].messages[0].content;
+    expect(prompt).toContain("### main.py");
+    expect(prompt).not.toContain("### utils.py");
+    expect(prompt).toContain("## 仓库维护者的附加审核要求");
+    expect(prompt).toContain("重点检查网络请求是否设置超时。");
+    expect(result.review).toContain(
+      "*注意：Python 文件数超过审核上限（1 个），以下 1 个文件本次未审核：*\n```\nutils.py\n```"
+    );
+  });
+
+  it("invalidates cached reviews when the extra instructions change", async () => {
+    process.env.REVIEW_OUTPUT_MODE = "json";
+    mockCreate.mockResolvedValue({
+      choices: [{ message: { content: '{"findings": []}' } }],
+    });
+
+    await reviewPlugin(createMockContext(), validPluginData);
+    await reviewPlugin(createMockContext(), validPluginData, {
+      repoConfig: { ...DEFAULT_REPO_CONFIG, reviewInstructions: "检查超时" },
+    });
+
+    const versions = new Set(
+      mockGetCachedFileReview.mock.calls.map(([key]) => key.promptVersion)
+    );
+    expect(versions.size).toBe(2);
   });
 
   it("respects token limits for file selection", async () => {
@@ -244,6 +321,10 @@ describe("reviewPlugin", () => {
 
     const result = await reviewPlugin(context, validPluginData);
     expect(result.success).toBe(true);
+    expect(result.review).toContain(
+      "*注意：以下 1 个文件获取内容失败，本次未审核：*\n```\nmain.py\n```"
+    );
+    expect(result.review).not.toContain("超过审核上限");
   });
 
   it("handles general exceptions in reviewPlugin", async () => {
@@ -287,7 +368,7 @@ describe("reviewPlugin", () => {
     }
   });
 
-  it("uses MAIN_FILE_PROMPT for main.py files", async () => {
+  it("uses the main.py prompt for main.py files", async () => {
     const context = createMockContext();
     context.octokit.rest.git.getTree.mockResolvedValue({
       data: {
@@ -295,18 +376,17 @@ describe("reviewPlugin", () => {
       },
     });
 
-    mockCreate.mockImplementation(async (params) => {
-      const prompt = params.messages[0].content;
-      // MAIN_FILE_PROMPT contains framework-specific checks
-      expect(prompt).toContain("针对 main.py 的额外审查要求");
-      return { choices: [{ message: { content: "Review" } }] };
+    mockCreate.mockResolvedValue({
+      choices: [{ message: { content: "Review" } }],
     });
 
     await reviewPlugin(context, validPluginData);
-    expect(mockCreate).toHaveBeenCalled();
+    const prompt = mockCreate.mock.calls[0][0].messages[0].content;
+    // The main.py prompt contains framework-specific checks
+    expect(prompt).toContain("针对 main.py 的额外审查要求");
   });
 
-  it("uses REGULAR_FILE_PROMPT for non-main.py files", async () => {
+  it("uses the regular prompt for non-main.py files", async () => {
     const context = createMockContext();
     context.octokit.rest.git.getTree.mockResolvedValue({
       data: {
@@ -314,15 +394,1193 @@ describe("reviewPlugin", () => {
       },
     });
 
+    mockCreate.mockResolvedValue({
+      choices: [{ message: { content: "Review" } }],
+    });
+
+    await reviewPlugin(context, validPluginData);
+    const prompt = mockCreate.mock.calls[0][0].messages[0].content;
+    // The regular prompt does not contain main.py-specific checks
+    expect(prompt).not.toContain("针对 main.py 的额外审查要求");
+    expect(prompt).toContain("Python Code Review Expert");
+  });
+
+  it("splits files into multiple batches and reviews all of them", async () => {
+    const context = createMockContext();
+    process.env.OPENAI_MAX_INPUT_TOKENS = "8000";
+
+    const files = Array.from({ length: 6 }, (_, i) => ({
+      type: "blob",
+      path: `module${i}.py`,
+      sha: `sha${i}`,
+    }));
+    context.octokit.rest.git.getTree.mockResolvedValue({
+      data: { tree: files },
+    });
+    context.octokit.rest.git.getBlob.mockResolvedValue({
+      data: {
+        content: Buffer.from("value = 1\n".repeat(400)).toString("base64"),
+      },
+    });
+
+    let batchIndex = 0;
     mockCreate.mockImplementation(async (params) => {
       const prompt = params.messages[0].content;
-      // REGULAR_FILE_PROMPT does not contain main.py-specific checks
-      expect(prompt).not.toContain("针对 main.py 的额外审查要求");
-      expect(prompt).toContain("Python Code Review Expert");
-      return { choices: [{ message: { content: "Review" } }] };
+      if (prompt.includes("```python")) {
+        batchIndex += 1;
+        return { choices: [{ message: { content: `Batch ${batchIndex}` } }] };
+      }
+      return {
+        choices: [{ message: { content: "### 📋 总体评价\n## 代码评审团" } }],
+      };
     });
 
-    await reviewPlugin(context, validPluginData);
-    expect(mockCreate).toHaveBeenCalled();
+    const result = await reviewPlugin(context, validPluginData);
+    expect(result.success).toBe(true);
+    expect(batchIndex).toBeGreaterThan(1);
+    for (let i = 1; i <= batchIndex; i++) {
+      expect(result.review).toContain(`Batch ${i}`);
+    }
+    expect(result.review).toContain("6 / 6");
+    expect(result.review).toContain(`${batchIndex} 批`);
+    expect(result.review.match(/## 代码评审团/g)).toHaveLength(1);
+    expect(mockCreate).toHaveBeenCalledTimes(batchIndex + 1);
+  });
+
+  it("runs the summarization pass on the batch reports", async () => {
+    const context = createMockContext();
+    mockCreate
+      .mockResolvedValueOnce({
+        choices: [{ message: { content: "### main.py\nIssue A" } }],
+      })
+      .mockResolvedValueOnce({
+        choices: [{ message: { content: "### 📋 总体评价\nSummary" } }],
+      });
+
+    const result = await reviewPlugin(context, validPluginData);
+    expect(result.success).toBe(true);
+    const summaryPrompt = mockCreate.mock.calls[1][0].messages[0].content;
+    expect(summaryPrompt).toContain("### main.py\nIssue A");
+    expect(summaryPrompt).toContain("代码评审团");
+    expect(result.review).toContain("### 📋 总体评价\nSummary");
+  });
+
+  it("composes prompts from the sections enabled in the repository config", async () => {
+    const context = createMockContext();
+    mockCreate.mockResolvedValue({
+      choices: [{ message: { content: "Review" } }],
+    });
+    const repoConfig = {
+      ...DEFAULT_REPO_CONFIG,
+      disabledPromptSections: ["main-file", "reviewer-panel"],
+      pythonVersion: "3.12",
+    };
+
+    const result = await reviewPlugin(context, validPluginData, { repoConfig });
+
+    const reviewPrompt = mockCreate.mock.calls[0][0].messages[0].content;
+    const summaryPrompt = mockCreate.mock.calls[1][0].messages[0].content;
+    expect(reviewPrompt).toContain("严格限定为 Python 3.12 进行审查");
+    expect(reviewPrompt).not.toContain("针对 main.py 的额外审查要求");
+    expect(summaryPrompt).not.toContain("代码评审团");
+    expect(result.review).toContain("* **Prompt 版本**: `review-role@1`、`environment@1`");
+    expect(result.review).not.toContain("`reviewer-panel@1`");
+  });
+
+  it("keeps per-file reports when the summarization pass fails", async () => {
+    const context = createMockContext();
+    mockCreate
+      .mockResolvedValueOnce({
+        choices: [{ message: { content: "### main.py\nIssue A" } }],
+      })
+      .mockRejectedValueOnce(new Error("API timeout"));
+
+    const result = await reviewPlugin(context, validPluginData);
+    expect(result.success).toBe(true);
+    expect(result.review).toContain("### main.py\nIssue A");
+    expect(result.review).toContain("总体评价生成失败");
+  });
+
+  it("truncates a single file that exceeds the batch budget", async () => {
+    const context = createMockContext();
+    context.octokit.rest.git.getTree.mockResolvedValue({
+      data: { tree: [{ type: "blob", path: "helper.py", sha: "sha1" }] },
+    });
+    context.octokit.rest.git.getBlob.mockResolvedValue({
+      data: {
+        content: Buffer.from("value = 1\n".repeat(5000)).toString("base64"),
+      },
+    });
+    mockCreate.mockResolvedValue({
+      choices: [{ message: { content: "Review" } }],
+    });
+
+    const result = await reviewPlugin(context, validPluginData);
+    expect(result.success).toBe(true);
+    const prompt = mockCreate.mock.calls[0][0].messages[0].content;
+    expect(prompt).toContain("文件过长，后续内容已截断");
+    expect(result.review).toContain("`helper.py`");
+  });
+
+  it("reports locally counted tokens and API usage in the summary", async () => {
+    const context = createMockContext();
+    mockCreate.mockResolvedValue({
+      choices: [{ message: { content: "Review" } }],
+      usage: { prompt_tokens: 120, completion_tokens: 30, total_tokens: 150 },
+    });
+
+    const result = await reviewPlugin(context, validPluginData);
+    expect(result.success).toBe(true);
+    expect(result.review).toMatch(/已发送 Token\*\*: \d+（本地计数，分词器 `o200k_base`，共 2 次请求）/);
+    expect(result.review).toContain("输入 240 / 输出 60 / 合计 300 Token");
+    expect(result.models).toEqual(["test-model"]);
+    expect(result.tokenUsage).toEqual(
+      expect.objectContaining({ requestCount: 2, hasApiUsage: true, promptTokens: 240, totalTokens: 300 })
+    );
+  });
+
+  it("falls back to the ratio heuristic when configured", async () => {
+    const context = createMockContext();
+    process.env.OPENAI_TOKENIZER = "heuristic";
+    mockCreate.mockResolvedValue({
+      choices: [{ message: { content: "Review" } }],
+    });
+
+    const result = await reviewPlugin(context, validPluginData);
+    expect(result.success).toBe(true);
+    expect(result.review).toContain("分词器 `heuristic`");
+    expect(result.review).not.toContain("API 用量");
+  });
+
+  it("shows the reviewed commit in the summary", async () => {
+    const context = createMockContext();
+    mockCreate.mockResolvedValue({
+      choices: [{ message: { content: "Review" } }],
+    });
+
+    const result = await reviewPlugin(context, validPluginData);
+    expect(result.success).toBe(true);
+    expect(result.commitSha).toBe("abc1234def5678");
+    expect(result.review).toContain(
+      "[`abc1234`](https://github.com/owner/repo/tree/abc1234def5678)"
+    );
+    expect(context.octokit.rest.git.getTree).toHaveBeenCalledWith(
+      expect.objectContaining({ tree_sha: "abc1234def5678" })
+    );
+  });
+
+  describe("framework rule check", () => {
+    it("lists verified rules in the report and the prompt", async () => {
+      const context = createMockContext();
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: "Review" } }],
+      });
+
+      const result = await reviewPlugin(context, validPluginData);
+      expect(result.success).toBe(true);
+      expect(result.review).toContain("### 🧩 框架规范检查");
+      expect(result.review).toContain("- ✅ 插件中必须存在继承自 Star 的插件主类");
+      expect(result.review).not.toContain("**发现的问题**");
+
+      const prompt = mockCreate.mock.calls[0][0].messages[0].content;
+      expect(prompt).toContain("已由静态检查验证的规则");
+      expect(prompt).toContain("- 日志记录器 logger 必须从 astrbot.api 导入");
+    });
+
+    it("reports violations with line links and folds them into the verdict", async () => {
+      process.env.REVIEW_OUTPUT_MODE = "json";
+      const context = createMockContext();
+      context.octokit.rest.git.getTree.mockResolvedValue({
+        data: { tree: [{ type: "blob", path: "main.py", sha: "sha1" }] },
+      });
+      context.octokit.rest.git.getBlob.mockResolvedValue({
+        data: {
+          content: Buffer.from(
+            [
+              "import logging",
+              "from astrbot.api.star import Star",
+              "",
+              "class TestPlugin(Star):",
+              "    pass",
+            ].join("\n")
+          ).toString("base64"),
+        },
+      });
+      mockCreate.mockImplementation(async (params) => ({
+        choices: [
+          {
+            message: {
+              content: params.response_format
+                ? '{"findings": []}'
+                : "### 📋 总体评价\nOK",
+            },
+          },
+        ],
+      }));
+
+      const result = await reviewPlugin(context, validPluginData);
+      expect(result.success).toBe(true);
+      expect(result.verdict.level).toBe("needs_attention");
+      expect(result.findings).toEqual([
+        expect.objectContaining({ ruleId: "logger-source", lineStart: 1 }),
+      ]);
+      expect(result.review.indexOf("**审核结论**: ⚠️ 建议修改")).toBeLessThan(
+        result.review.indexOf("### 🧩 框架规范检查")
+      );
+      expect(result.review).toContain("- ❌ 日志记录器 logger 必须从 astrbot.api 导入");
+      expect(result.review).toContain(
+        "https://github.com/owner/repo/blob/abc1234def5678/main.py#L1"
+      );
+    });
+  });
+
+  describe("security scan", () => {
+    it("renders a security risk section and returns the risks", async () => {
+      const context = createMockContext();
+      context.octokit.rest.git.getTree.mockResolvedValue({
+        data: { tree: [{ type: "blob", path: "main.py", sha: "sha1" }] },
+      });
+      context.octokit.rest.git.getBlob.mockResolvedValue({
+        data: {
+          content: Buffer.from(
+            [
+              pluginSource,
+              "import base64",
+              "exec(base64.b64decode(PAYLOAD))",
+            ].join("\n")
+          ).toString("base64"),
+        },
+      });
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: "Review" } }],
+      });
+
+      const result = await reviewPlugin(context, validPluginData);
+      expect(result.success).toBe(true);
+      expect(result.securityFindings).toEqual([
+        expect.objectContaining({
+          ruleId: "obfuscated-exec",
+          severity: "critical",
+          lineStart: 6,
+        }),
+      ]);
+      expect(result.review).toContain("### 🛡️ 安全风险");
+      expect(result.review).toContain(
+        "https://github.com/owner/repo/blob/abc1234def5678/main.py#L6"
+      );
+    });
+
+    it("reports a clean scan", async () => {
+      const context = createMockContext();
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: "Review" } }],
+      });
+
+      const result = await reviewPlugin(context, validPluginData);
+      expect(result.securityFindings).toEqual([]);
+      expect(result.review).toContain("✅ 未发现可疑的恶意代码或供应链风险特征");
+    });
+  });
+
+  describe("secret scan", () => {
+    const githubToken = `ghp_${"a1B2c3D4e5F6".repeat(3)}`;
+
+    it("scans non-Python files and never sends raw secrets to the model", async () => {
+      const context = createMockContext();
+      context.octokit.rest.git.getTree.mockResolvedValue({
+        data: {
+          tree: [
+            { type: "blob", path: "main.py", sha: "sha-main" },
+            { type: "blob", path: "config.json", sha: "sha-config" },
+            { type: "blob", path: "logo.png", sha: "sha-logo" },
+          ],
+        },
+      });
+      const blobs = {
+        "sha-main": `${pluginSource}\nTOKEN = "${githubToken}"`,
+        "sha-config": `{\n  "github_token": "${githubToken}"\n}`,
+      };
+      context.octokit.rest.git.getBlob.mockImplementation(async ({ file_sha }) => ({
+        data: { content: Buffer.from(blobs[file_sha]).toString("base64") },
+      }));
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: "Review" } }],
+      });
+
+      const result = await reviewPlugin(context, validPluginData);
+      expect(result.success).toBe(true);
+      expect(context.octokit.rest.git.getBlob).not.toHaveBeenCalledWith(
+        expect.objectContaining({ file_sha: "sha-logo" })
+      );
+      expect(
+        result.secretFindings.map((f) => `${f.file}#${f.lineStart}`)
+      ).toEqual(["main.py#5", "config.json#2"]);
+      expect(result.review).toContain("### 🔑 密钥泄露检查");
+      expect(result.review).toContain("在 2 个已扫描文件中检测到 2 处疑似密钥或凭据");
+      expect(result.review).toContain("ghp_********F6");
+      expect(result.review).not.toContain(githubToken);
+
+      for (const [params] of mockCreate.mock.calls) {
+        expect(JSON.stringify(params)).not.toContain(githubToken);
+      }
+    });
+  });
+
+  describe("dependency review", () => {
+    it("reviews requirements.txt against the imports in the code", async () => {
+      const context = createMockContext();
+      context.octokit.rest.git.getTree.mockResolvedValue({
+        data: {
+          tree: [
+            { type: "blob", path: "main.py", sha: "sha-main" },
+            { type: "blob", path: "requirements.txt", sha: "sha-req" },
+          ],
+        },
+      });
+      const blobs = {
+        "sha-main": `${pluginSource}\nimport numpy`,
+        "sha-req": "loguru>=0.7\n",
+      };
+      context.octokit.rest.git.getBlob.mockImplementation(async ({ file_sha }) => ({
+        data: { content: Buffer.from(blobs[file_sha]).toString("base64") },
+      }));
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: "Review" } }],
+      });
+
+      const result = await reviewPlugin(context, validPluginData);
+      expect(result.success).toBe(true);
+      expect(result.review).toContain("### 📦 依赖检查");
+      expect(result.review).toContain("已解析 `requirements.txt`，共声明 1 个依赖");
+      expect(result.review).toContain("禁止声明依赖 loguru");
+      expect(result.review).toContain("导入了第三方库 numpy");
+    });
+  });
+
+  describe("config schema check", () => {
+    it("validates _conf_schema.json against the config keys used in code", async () => {
+      const context = createMockContext();
+      context.octokit.rest.git.getTree.mockResolvedValue({
+        data: {
+          tree: [
+            { type: "blob", path: "main.py", sha: "sha-main" },
+            { type: "blob", path: "_conf_schema.json", sha: "sha-schema" },
+          ],
+        },
+      });
+      const blobs = {
+        "sha-main": `${pluginSource}\n    def f(self):\n        return self.config["missing_key"]`,
+        "sha-schema": '{"token": {"type": "string", "description": "t", "default": 1}}',
+      };
+      context.octokit.rest.git.getBlob.mockImplementation(async ({ file_sha }) => ({
+        data: { content: Buffer.from(blobs[file_sha]).toString("base64") },
+      }));
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: "Review" } }],
+      });
+
+      const result = await reviewPlugin(context, validPluginData);
+      expect(result.success).toBe(true);
+      expect(result.review).toContain("### ⚙️ 配置 Schema 检查");
+      expect(result.review).toContain("配置项 token 的 default 值 1 与 type \"string\" 不匹配");
+      expect(result.review).toContain("读取的配置键 missing_key 未在 _conf_schema.json 中声明");
+    });
+  });
+
+  describe("pinned ref", () => {
+    it("reviews the commit the ref resolves to", async () => {
+      const context = createMockContext();
+      context.octokit.rest.repos.getCommit = jest.fn().mockResolvedValue({
+        data: { sha: "fedcba9876543" },
+      });
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: "Review content" } }],
+      });
+
+      const result = await reviewPlugin(context, validPluginData, { ref: "v1.2.0" });
+      expect(result.success).toBe(true);
+      expect(result.commitSha).toBe("fedcba9876543");
+      expect(result.ref).toBe("v1.2.0");
+      expect(context.octokit.rest.repos.getCommit).toHaveBeenCalledWith({
+        owner: "owner",
+        repo: "repo",
+        ref: "v1.2.0",
+      });
+      expect(context.octokit.rest.repos.getBranch).not.toHaveBeenCalled();
+      expect(context.octokit.rest.repos.getContent).toHaveBeenCalledWith(
+        expect.objectContaining({ path: "metadata.yaml", ref: "fedcba9876543" })
+      );
+      expect(context.octokit.rest.git.getTree).toHaveBeenCalledWith(
+        expect.objectContaining({ tree_sha: "fedcba9876543" })
+      );
+      expect(result.review).toContain(
+        "* **审核提交**: [`fedcba9`](https://github.com/owner/repo/tree/fedcba9876543)（`v1.2.0`）"
+      );
+    });
+
+    it("reports a ref that does not exist", async () => {
+      const context = createMockContext();
+      context.octokit.rest.repos.getCommit = jest
+        .fn()
+        .mockRejectedValue(Object.assign(new Error("No commit found"), { status: 422 }));
+
+      const result = await reviewPlugin(context, validPluginData, { ref: "missing" });
+      expect(result.success).toBe(false);
+      expect(result.error).toContain("找不到指定的版本 `missing`");
+      expect(context.octokit.rest.git.getTree).not.toHaveBeenCalled();
+    });
+
+    it("uses the default branch head when no ref is given", async () => {
+      const context = createMockContext();
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: "Review content" } }],
+      });
+
+      const result = await reviewPlugin(context, validPluginData);
+      expect(result.commitSha).toBe("abc1234def5678");
+      expect(result.ref).toBe("main");
+      expect(context.octokit.rest.repos.getContent).toHaveBeenCalledWith(
+        expect.objectContaining({ path: "metadata.yaml", ref: "abc1234def5678" })
+      );
+    });
+  });
+
+  describe("requested files", () => {
+    function mockTree(context) {
+      context.octokit.rest.git.getTree.mockResolvedValue({
+        data: {
+          tree: [
+            { type: "blob", path: "main.py", sha: "sha1" },
+            { type: "blob", path: "utils/helpers.py", sha: "sha2" },
+            { type: "blob", path: "utils_extra.py", sha: "sha3" },
+          ],
+        },
+      });
+    }
+
+    it("reviews only the files under the requested paths", async () => {
+      const context = createMockContext();
+      mockTree(context);
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: "Review content" } }],
+      });
+
+      const result = await reviewPlugin(context, validPluginData, { files: ["utils"] });
+
+      expect(result.success).toBe(true);
+      expect(result.review).toContain("* **已审核文件**: 1 / 3");
+      expect(result.review).toContain("* **审核范围**: 仅审核命令中指定的路径 `utils`");
+      expect(result.review).toContain("utils/helpers.py");
+      expect(result.review).not.toContain("utils_extra.py");
+      expect(result.review).not.toContain("本次未审核");
+    });
+
+    it("does not report a missing Star subclass when the scope leaves out main.py", async () => {
+      process.env.REVIEW_OUTPUT_MODE = "json";
+      const context = createMockContext();
+      mockTree(context);
+      context.octokit.rest.git.getBlob.mockResolvedValue({
+        data: { content: Buffer.from("def helper():\n    return 1").toString("base64") },
+      });
+      mockCreate.mockImplementation(async (params) => ({
+        choices: [
+          {
+            message: {
+              content: params.response_format ? '{"findings": []}' : "### 📋 总体评价\nOK",
+            },
+          },
+        ],
+      }));
+
+      const result = await reviewPlugin(context, validPluginData, { files: ["utils"] });
+
+      expect(result.success).toBe(true);
+      expect(result.findings).not.toContainEqual(
+        expect.objectContaining({ ruleId: "star-subclass" })
+      );
+      expect(result.verdict.level).toBe("passed");
+      expect(result.review).toContain(
+        "- ➖ 插件中必须存在继承自 Star 的插件主类（本次只审核了部分文件，未检查）"
+      );
+    });
+
+    it("reports requested paths without Python files", async () => {
+      const context = createMockContext();
+      mockTree(context);
+
+      const result = await reviewPlugin(context, validPluginData, { files: ["docs", "README.md"] });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("指定的路径中未找到任何Python（.py）文件：docs、README.md");
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("cancellation", () => {
+    it("stops before reviewing when the signal is aborted", async () => {
+      const context = createMockContext();
+      const controller = new AbortController();
+      controller.abort();
+
+      const result = await reviewPlugin(context, validPluginData, { signal: controller.signal });
+
+      expect(result).toEqual({ success: false, cancelled: true, error: "审核已被取消。" });
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
+
+    it("skips the remaining work when cancelled during a batch", async () => {
+      const context = createMockContext();
+      const controller = new AbortController();
+      mockCreate.mockImplementation(async () => {
+        controller.abort();
+        return { choices: [{ message: { content: "Review content" } }] };
+      });
+
+      const result = await reviewPlugin(context, validPluginData, { signal: controller.signal });
+
+      expect(result.cancelled).toBe(true);
+      expect(mockCreate).toHaveBeenCalledTimes(1);
+    });
+
+    it("returns the tokens already spent when cancelled after a batch", async () => {
+      const context = createMockContext();
+      const controller = new AbortController();
+      mockCreate.mockImplementation(async () => {
+        controller.abort();
+        return {
+          choices: [{ message: { content: "Review content" } }],
+          usage: { prompt_tokens: 300, completion_tokens: 50, total_tokens: 350 },
+        };
+      });
+
+      const result = await reviewPlugin(context, validPluginData, { signal: controller.signal });
+
+      expect(result.cancelled).toBe(true);
+      expect(result.tokenUsage).toMatchObject({ requestCount: 1, hasApiUsage: true, totalTokens: 350 });
+    });
+  });
+
+  describe("incremental re-review", () => {
+    const previousReview = {
+      repoKey: "owner/repo",
+      commitSha: "0ld0000000000",
+      findings: [
+        {
+          file: "utils.py",
+          lineStart: 3,
+          lineEnd: 3,
+          category: "correctness",
+          severity: "high",
+          message: "旧问题",
+          suggestion: "",
+        },
+      ],
+    };
+
+    it("compares with the previously reviewed commit and renders the changes", async () => {
+      const context = createMockContext();
+      context.octokit.rest.repos.compareCommits = jest.fn().mockResolvedValue({
+        data: { files: [{ filename: "utils.py", status: "modified" }] },
+      });
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: "Review content" } }],
+      });
+
+      const result = await reviewPlugin(context, validPluginData, { previousReview });
+      expect(result.success).toBe(true);
+      expect(context.octokit.rest.repos.compareCommits).toHaveBeenCalledWith({
+        owner: "owner",
+        repo: "repo",
+        base: "0ld0000000000",
+        head: "abc1234def5678",
+      });
+      expect(result.review).toContain("### 🔄 自上次审核以来的变化");
+      expect(result.review).toContain("`utils.py`（修改）");
+      expect(result.review).toContain("**✅ 已解决（1）**");
+      expect(result.review).toContain("blob/0ld0000000000/utils.py#L3");
+
+      const prompt = mockCreate.mock.calls[0][0].messages[0].content;
+      expect(prompt.indexOf("### utils.py")).toBeLessThan(prompt.indexOf("### main.py"));
+    });
+
+    it("still renders the comparison when the diff cannot be fetched", async () => {
+      const context = createMockContext();
+      context.octokit.rest.repos.compareCommits = jest
+        .fn()
+        .mockRejectedValue(Object.assign(new Error("No common ancestor"), { status: 404 }));
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: "Review content" } }],
+      });
+
+      const result = await reviewPlugin(context, validPluginData, { previousReview });
+      expect(result.success).toBe(true);
+      expect(result.review).toContain("无法获取与上次审核的提交");
+      expect(result.review).toContain("**✅ 已解决（1）**");
+    });
+
+    function mockJsonReviews({ invalidFor = null } = {}) {
+      mockCreate.mockImplementation(async (params) => {
+        const prompt = params.messages[0].content;
+        if (!params.response_format) {
+          return { choices: [{ message: { content: "### 📋 总体评价\nOK" } }] };
+        }
+        const content = invalidFor && prompt.includes(`### ${invalidFor}`) ? "not json" : '{"findings": []}';
+        return { choices: [{ message: { content } }] };
+      });
+    }
+
+    function sentPaths() {
+      // The last call is the summary, whose input repeats the per-file report headings
+      return mockCreate.mock.calls
+        .slice(0, -1)
+        .map(([params]) => params.messages[0].content)
+        .flatMap((prompt) => prompt.match(/^### \S+\.py$/gm) || [])
+        .map((heading) => heading.slice(4));
+    }
+
+    const unchangedReview = {
+      ...previousReview,
+      commitSha: "abc1234def5678",
+      reviewedPaths: ["main.py", "utils.py"],
+    };
+
+    it("only sends changed files and main.py to the model and carries forward the rest", async () => {
+      process.env.REVIEW_OUTPUT_MODE = "json";
+      const context = createMockContext();
+      context.octokit.rest.git.getTree.mockResolvedValue({
+        data: {
+          tree: [
+            { type: "blob", path: "main.py", sha: "sha1" },
+            { type: "blob", path: "utils.py", sha: "sha2" },
+            { type: "blob", path: "helpers.py", sha: "sha3" },
+          ],
+        },
+      });
+      context.octokit.rest.repos.compareCommits = jest.fn().mockResolvedValue({
+        data: { files: [{ filename: "helpers.py", status: "modified" }] },
+      });
+      mockJsonReviews();
+
+      const result = await reviewPlugin(context, validPluginData, {
+        previousReview: { ...previousReview, reviewedPaths: ["main.py", "utils.py", "helpers.py"] },
+      });
+
+      expect(result.success).toBe(true);
+      expect(sentPaths()).toEqual(expect.arrayContaining(["main.py", "helpers.py"]));
+      expect(sentPaths()).not.toContain("utils.py");
+      expect(mockGetCachedFileReview).not.toHaveBeenCalledWith(
+        expect.objectContaining({ blobSha: "sha2" })
+      );
+      expect(result.findings).toContainEqual(
+        expect.objectContaining({ file: "utils.py", message: "旧问题" })
+      );
+      expect(result.review).toContain("**⚠️ 仍未解决（1）**");
+      expect(result.review).toContain("* **增量审核**: 1 个文件自上次审核以来未发生变化");
+      expect(result.review).toContain("* **已审核文件**: 3 / 3");
+      expect(result.reviewedPaths).toEqual(expect.arrayContaining(["main.py", "utils.py", "helpers.py"]));
+    });
+
+    it("does not review the whole repository again when nothing was committed", async () => {
+      process.env.REVIEW_OUTPUT_MODE = "json";
+      const context = createMockContext();
+      context.octokit.rest.repos.compareCommits = jest.fn();
+      mockJsonReviews();
+
+      const result = await reviewPlugin(context, validPluginData, { previousReview: unchangedReview });
+
+      expect(result.success).toBe(true);
+      expect(context.octokit.rest.repos.compareCommits).not.toHaveBeenCalled();
+      expect(sentPaths()).toEqual(["main.py"]);
+    });
+
+    it("reviews files that were over the file limit last time", async () => {
+      process.env.REVIEW_OUTPUT_MODE = "json";
+      mockJsonReviews();
+
+      const limited = await reviewPlugin(createMockContext(), validPluginData, {
+        repoConfig: { ...DEFAULT_REPO_CONFIG, maxFilesToReview: 1 },
+      });
+      expect(limited.reviewedPaths).toEqual(["main.py"]);
+
+      mockCreate.mockClear();
+      const result = await reviewPlugin(createMockContext(), validPluginData, {
+        previousReview: { ...unchangedReview, reviewedPaths: limited.reviewedPaths },
+      });
+
+      expect(result.success).toBe(true);
+      expect(sentPaths()).toEqual(["main.py", "utils.py"]);
+      expect(result.review).not.toContain("增量审核");
+    });
+
+    it("reviews files whose batch fell back to Markdown last time", async () => {
+      process.env.REVIEW_OUTPUT_MODE = "json";
+      mockJsonReviews({ invalidFor: "utils.py" });
+
+      const fallback = await reviewPlugin(createMockContext(), validPluginData);
+      expect(fallback.success).toBe(true);
+      expect(fallback.reviewedPaths).toEqual(["main.py"]);
+
+      mockJsonReviews();
+      mockCreate.mockClear();
+      await reviewPlugin(createMockContext(), validPluginData, {
+        previousReview: { ...unchangedReview, reviewedPaths: fallback.reviewedPaths },
+      });
+
+      expect(sentPaths()).toEqual(["main.py", "utils.py"]);
+    });
+
+    it("does not carry forward previous results in Markdown mode", async () => {
+      const context = createMockContext();
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: "Review content" } }],
+      });
+
+      const result = await reviewPlugin(context, validPluginData, { previousReview: unchangedReview });
+
+      expect(result.success).toBe(true);
+      expect(sentPaths()).toEqual(["main.py", "utils.py"]);
+      expect(result.review).not.toContain("增量审核");
+      expect(result.reviewedPaths).toEqual([]);
+    });
+
+    it("ignores history recorded for a different repository", async () => {
+      const context = createMockContext();
+      context.octokit.rest.repos.compareCommits = jest.fn();
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: "Review content" } }],
+      });
+
+      const result = await reviewPlugin(context, validPluginData, {
+        previousReview: { ...previousReview, repoKey: "someone/else" },
+      });
+      expect(result.success).toBe(true);
+      expect(context.octokit.rest.repos.compareCommits).not.toHaveBeenCalled();
+      expect(result.review).not.toContain("自上次审核以来的变化");
+    });
+  });
+
+  describe("progress reporting", () => {
+    function streamOf(text) {
+      return (async function* () {
+        for (const part of [text.slice(0, 3), text.slice(3)]) {
+          yield { choices: [{ delta: { content: part } }] };
+        }
+        yield { choices: [], usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } };
+      })();
+    }
+
+    it("streams AI output and reports each stage", async () => {
+      const context = createMockContext();
+      const progress = { report: jest.fn() };
+      mockCreate.mockImplementation(async (params) =>
+        params.stream ? streamOf("Review content") : { choices: [{ message: { content: "x" } }] }
+      );
+
+      const result = await reviewPlugin(context, validPluginData, { progress });
+      expect(result.success).toBe(true);
+      expect(result.review).toContain("Review content");
+      expect(mockCreate.mock.calls.every(([params]) => params.stream === true)).toBe(true);
+      expect(result.review).toContain("输入 20 / 输出 10 / 合计 30 Token");
+
+      const reports = progress.report.mock.calls;
+      expect(reports.map(([key]) => key)).toEqual(
+        expect.arrayContaining(["metadata", "fetch", "static", "review", "summary"])
+      );
+      expect(reports).toContainEqual(["metadata", "metadata.yaml 校验通过", { done: true }]);
+      expect(reports).toContainEqual(["fetch", "已获取 2 个 Python 文件（仓库共 2 个）", { done: true }]);
+      expect(reports).toContainEqual(["review", "正在审核第 1/1 批（2 个文件）"]);
+      expect(reports).toContainEqual(["review", "正在审核第 1/1 批（2 个文件），已接收 14 字符"]);
+      expect(reports).toContainEqual(["review", "AI 审核完成，共 1 批", { done: true }]);
+      expect(reports).toContainEqual(["summary", "正在生成总体评价，已接收 14 字符"]);
+    });
+
+    it("does not stream when no progress reporter is given", async () => {
+      const context = createMockContext();
+      mockCreate.mockResolvedValue({ choices: [{ message: { content: "Review content" } }] });
+
+      await reviewPlugin(context, validPluginData);
+      expect(mockCreate.mock.calls.some(([params]) => params.stream)).toBe(false);
+    });
+  });
+
+  describe("AI service failures", () => {
+    function serviceError(status) {
+      return Object.assign(new Error(`status ${status}`), { status });
+    }
+
+    beforeEach(() => {
+      process.env.LLM_RETRY_BASE_DELAY_MS = "0";
+    });
+
+    it("retries transient failures and reports them as provider errors", async () => {
+      const context = createMockContext();
+      process.env.LLM_MAX_RETRIES = "1";
+      mockCreate.mockRejectedValue(serviceError(503));
+
+      const result = await reviewPlugin(context, validPluginData);
+      expect(mockCreate).toHaveBeenCalledTimes(2);
+      expect(result).toEqual({
+        success: false,
+        error: "AI审核服务暂时不可用（已尝试 2 次），请稍后重试。",
+        providerError: true,
+        transient: true,
+        tokenUsage: expect.objectContaining({ requestCount: 1, hasApiUsage: false, totalTokens: 0 }),
+      });
+    });
+
+    it("marks non-transient API errors as provider errors without retrying", async () => {
+      const context = createMockContext();
+      mockCreate.mockRejectedValue(serviceError(401));
+
+      const result = await reviewPlugin(context, validPluginData);
+      expect(mockCreate).toHaveBeenCalledTimes(1);
+      expect(result.providerError).toBe(true);
+      expect(result.transient).toBe(false);
+      expect(result.error).toContain("内部错误");
+    });
+
+    it("falls back to the next model and notes it in the summary", async () => {
+      const context = createMockContext();
+      process.env.LLM_MAX_RETRIES = "0";
+      process.env.LLM_FALLBACK_MODELS = "backup-model@2000";
+      mockCreate.mockImplementation(async (params) => {
+        if (params.model === "test-model") throw serviceError(429);
+        return { choices: [{ message: { content: "Review content" } }] };
+      });
+
+      const result = await reviewPlugin(context, validPluginData);
+      expect(result.success).toBe(true);
+      const models = mockCreate.mock.calls.map(([params]) => params.model);
+      expect(models[0]).toBe("test-model");
+      expect(models.slice(1).every((model) => model === "backup-model")).toBe(true);
+      expect(result.review).toContain(
+        "* **审核模型**: `backup-model`（主模型 `test-model` 调用失败，已自动切换至备用模型）"
+      );
+    });
+
+    it("keeps completed batches and re-batches the rest for the fallback model", async () => {
+      const context = createMockContext();
+      process.env.REVIEW_OUTPUT_MODE = "json";
+      process.env.OPENAI_MAX_INPUT_TOKENS = "100000";
+      process.env.LLM_MAX_RETRIES = "0";
+      process.env.LLM_FALLBACK_MODELS = "backup-model";
+      const tree = Array.from({ length: 20 }, (_, i) => ({
+        type: "blob",
+        path: `mod${i}.py`,
+        sha: `sha${i}`,
+      }));
+      context.octokit.rest.git.getTree.mockResolvedValue({ data: { tree } });
+      let primaryCalls = 0;
+      mockCreate.mockImplementation(async (params) => {
+        if (params.model === "test-model" && ++primaryCalls > 1) {
+          throw serviceError(503);
+        }
+        if (params.response_format?.type === "json_object") {
+          return { choices: [{ message: { content: '{"findings": []}' } }] };
+        }
+        return { choices: [{ message: { content: "### 📋 总体评价\nOK" } }] };
+      });
+
+      const result = await reviewPlugin(context, validPluginData);
+      expect(result.success).toBe(true);
+      const reviewedFiles = (call) =>
+        call[0].messages[0].content.match(/^### mod\d+\.py$/gm) || [];
+      const [first, failed, ...rest] = mockCreate.mock.calls;
+      expect(first[0].model).toBe("test-model");
+      expect(failed[0].model).toBe("test-model");
+      const fallbackFiles = rest
+        .filter(([params]) => params.model === "backup-model" && params.response_format)
+        .flatMap(reviewedFiles);
+      expect(fallbackFiles).toEqual(reviewedFiles(failed));
+      expect(reviewedFiles(first)).toHaveLength(15);
+      expect(new Set([...reviewedFiles(first), ...fallbackFiles]).size).toBe(20);
+      expect(result.review).toContain("`test-model`、`backup-model`");
+      expect(mockStoreFileReview).toHaveBeenCalledWith(
+        expect.objectContaining({ model: "test-model", blobSha: "sha0" }),
+        []
+      );
+      expect(mockStoreFileReview).toHaveBeenCalledWith(
+        expect.objectContaining({ model: "backup-model" }),
+        []
+      );
+    });
+
+    it("reuses cached reviews written by a fallback model", async () => {
+      const context = createMockContext();
+      process.env.REVIEW_OUTPUT_MODE = "json";
+      process.env.LLM_FALLBACK_MODELS = "backup-model";
+      mockGetCachedFileReview.mockImplementation(({ model, blobSha }) =>
+        model === "backup-model" && blobSha === "sha2" ? [] : null
+      );
+      mockCreate.mockImplementation(async (params) =>
+        params.response_format
+          ? { choices: [{ message: { content: '{"findings": []}' } }] }
+          : { choices: [{ message: { content: "### 📋 总体评价\nOK" } }] }
+      );
+
+      try {
+        const result = await reviewPlugin(context, validPluginData);
+        expect(result.success).toBe(true);
+        expect(mockGetCachedFileReview.mock.calls.map(([key]) => [key.blobSha, key.model])).toEqual([
+          ["sha1", "test-model"],
+          ["sha1", "backup-model"],
+          ["sha2", "test-model"],
+          ["sha2", "backup-model"],
+        ]);
+        const prompt = mockCreate.mock.calls[0][0].messages[0].content;
+        expect(prompt).toContain("### main.py");
+        expect(prompt).not.toContain("### utils.py");
+        expect(result.review).toContain("* **缓存复用**: 1 个文件");
+      } finally {
+        mockGetCachedFileReview.mockImplementation(() => null);
+      }
+    });
+  });
+
+  describe("structured output mode", () => {
+    beforeEach(() => {
+      process.env.REVIEW_OUTPUT_MODE = "json";
+    });
+
+    function mockStructuredResponses(findings) {
+      mockCreate.mockImplementation(async (params) => {
+        if (params.response_format?.type === "json_object") {
+          return {
+            choices: [{ message: { content: JSON.stringify({ findings }) } }],
+          };
+        }
+        return { choices: [{ message: { content: "### 📋 总体评价\nOK" } }] };
+      });
+    }
+
+    it("requests JSON output with original line numbers", async () => {
+      const context = createMockContext();
+      context.octokit.rest.git.getTree.mockResolvedValue({
+        data: { tree: [{ type: "blob", path: "main.py", sha: "sha1" }] },
+      });
+      context.octokit.rest.git.getBlob.mockResolvedValue({
+        data: {
+          content: Buffer.from(
+            ["# header comment", "", "import os", "x = 1"].join("\n")
+          ).toString("base64"),
+        },
+      });
+      mockStructuredResponses([]);
+
+      await reviewPlugin(context, validPluginData);
+      const params = mockCreate.mock.calls[0][0];
+      expect(params.response_format).toEqual({ type: "json_object" });
+      const prompt = params.messages[0].content;
+      expect(prompt).toContain("   3| import os");
+      expect(prompt).toContain("   4| x = 1");
+      expect(prompt).toContain("针对 main.py 的额外审查要求");
+      expect(prompt).toContain('"findings"');
+    });
+
+    it("renders findings with verdict, severities and line links", async () => {
+      const context = createMockContext();
+      mockStructuredResponses([
+        {
+          file: "utils.py",
+          line_start: 4,
+          line_end: 4,
+          category: "style",
+          severity: "low",
+          message: "命名不清晰",
+          suggestion: "使用更具体的名称",
+        },
+        {
+          file: "main.py",
+          line_start: 10,
+          line_end: 12,
+          category: "framework",
+          severity: "critical",
+          message: "logger 未从 astrbot.api 导入",
+          suggestion: "改为 from astrbot.api import logger",
+        },
+      ]);
+
+      const result = await reviewPlugin(context, validPluginData);
+      expect(result.success).toBe(true);
+      expect(result.verdict.level).toBe("changes_requested");
+      expect(result.findings).toHaveLength(2);
+      expect(result.review).toContain("**审核结论**: ❌ 需要修改");
+      expect(result.review).toContain(
+        "https://github.com/owner/repo/blob/abc1234def5678/main.py#L10-L12"
+      );
+      expect(result.review.indexOf("main.py#L10-L12")).toBeLessThan(
+        result.review.indexOf("utils.py#L4")
+      );
+      expect(result.review).toContain("建议：改为 from astrbot.api import logger");
+    });
+
+    it("falls back to Markdown when the model returns invalid JSON", async () => {
+      const context = createMockContext();
+      mockCreate
+        .mockResolvedValueOnce({
+          choices: [{ message: { content: "抱歉，我无法输出 JSON" } }],
+        })
+        .mockResolvedValueOnce({
+          choices: [{ message: { content: "### main.py\nMarkdown review" } }],
+        })
+        .mockResolvedValueOnce({
+          choices: [{ message: { content: "### 📋 总体评价\nOK" } }],
+        });
+
+      const result = await reviewPlugin(context, validPluginData);
+      expect(result.success).toBe(true);
+      expect(result.verdict).toBeNull();
+      expect(result.review).toContain("Markdown review");
+      expect(mockCreate.mock.calls[1][0].response_format).toBeUndefined();
+    });
+
+    it("falls back to Markdown when the provider rejects JSON mode", async () => {
+      const context = createMockContext();
+      const badRequest = Object.assign(
+        new Error("400 'response_format' of type 'json_object' is not supported with this model."),
+        { status: 400 }
+      );
+      mockCreate
+        .mockRejectedValueOnce(badRequest)
+        .mockResolvedValue({
+          choices: [{ message: { content: "Markdown review" } }],
+        });
+
+      const result = await reviewPlugin(context, validPluginData);
+      expect(result.success).toBe(true);
+      expect(result.review).toContain("Markdown review");
+    });
+
+    it("reports other bad requests instead of retrying them as Markdown", async () => {
+      const context = createMockContext();
+      mockCreate.mockRejectedValue(
+        Object.assign(new Error("400 This model's maximum context length is 8192 tokens."), { status: 400 })
+      );
+
+      const result = await reviewPlugin(context, validPluginData);
+      expect(result.success).toBe(false);
+      expect(result.providerError).toBe(true);
+      expect(mockCreate).toHaveBeenCalledTimes(1);
+    });
+
+    it("reviews main.py in its own batch so other files get the regular prompt", async () => {
+      const context = createMockContext();
+      mockStructuredResponses([]);
+
+      const result = await reviewPlugin(context, validPluginData);
+      expect(result.success).toBe(true);
+      const prompts = mockCreate.mock.calls
+        .filter(([params]) => params.response_format)
+        .map(([params]) => params.messages[0].content);
+      expect(prompts).toHaveLength(2);
+      expect(prompts[0]).toContain("### main.py");
+      expect(prompts[0]).not.toContain("### utils.py");
+      expect(prompts[1]).toContain("### utils.py");
+      expect(prompts[1]).not.toContain("### main.py");
+    });
+
+    it("stores per-file findings in the review cache", async () => {
+      const context = createMockContext();
+      mockStructuredResponses([
+        {
+          file: "utils.py",
+          line_start: 4,
+          line_end: 4,
+          category: "style",
+          severity: "low",
+          message: "命名不清晰",
+          suggestion: "使用更具体的名称",
+        },
+      ]);
+
+      const result = await reviewPlugin(context, validPluginData);
+      expect(result.success).toBe(true);
+      expect(mockStoreFileReview).toHaveBeenCalledTimes(2);
+      const [mainKey, mainFindings] = mockStoreFileReview.mock.calls[0];
+      const [utilsKey, utilsFindings] = mockStoreFileReview.mock.calls[1];
+      expect(mainKey).toMatchObject({ blobSha: "sha1", model: "test-model" });
+      expect(mainKey.promptVersion).toMatch(/^[0-9a-f]{16}$/);
+      expect(mainFindings).toEqual([]);
+      expect(utilsKey.blobSha).toBe("sha2");
+      expect(utilsFindings).toEqual([expect.objectContaining({ message: "命名不清晰" })]);
+      expect(result.review).toContain("* **缓存复用**: 0 个文件");
+    });
+
+    it("only sends uncached files to the model and reuses cached findings", async () => {
+      const context = createMockContext();
+      mockGetCachedFileReview.mockImplementation(({ blobSha }) =>
+        blobSha === "sha2"
+          ? [
+              {
+                lineStart: 2,
+                lineEnd: 2,
+                category: "correctness",
+                severity: "high",
+                message: "缓存中的问题",
+                suggestion: "修复它",
+              },
+            ]
+          : null
+      );
+      mockStructuredResponses([]);
+
+      try {
+        const result = await reviewPlugin(context, validPluginData);
+        expect(result.success).toBe(true);
+        const prompt = mockCreate.mock.calls[0][0].messages[0].content;
+        expect(prompt).toContain("### main.py");
+        expect(prompt).not.toContain("### utils.py");
+        expect(mockStoreFileReview).toHaveBeenCalledTimes(1);
+        expect(result.findings).toEqual(
+          expect.arrayContaining([
+            expect.objectContaining({ file: "utils.py", message: "缓存中的问题" }),
+          ])
+        );
+        expect(result.verdict.level).toBe("needs_attention");
+        expect(result.review).toContain("utils.py#L2");
+        expect(result.review).toContain("* **缓存复用**: 1 个文件");
+        expect(result.review).toContain("* **已审核文件**: 2 / 2");
+      } finally {
+        mockGetCachedFileReview.mockImplementation(() => null);
+      }
+    });
+
+    it("skips the batch request when every file is cached", async () => {
+      const context = createMockContext();
+      mockGetCachedFileReview.mockImplementation(() => []);
+      mockStructuredResponses([]);
+
+      try {
+        const result = await reviewPlugin(context, validPluginData);
+        expect(result.success).toBe(true);
+        expect(mockCreate).toHaveBeenCalledTimes(1);
+        expect(mockCreate.mock.calls[0][0].response_format).toBeUndefined();
+        expect(result.review).toContain("本次未向 AI 发送任何文件");
+      } finally {
+        mockGetCachedFileReview.mockImplementation(() => null);
+      }
+    });
+
+    it("does not use the cache in markdown mode", async () => {
+      process.env.REVIEW_OUTPUT_MODE = "markdown";
+      const context = createMockContext();
+      mockCreate.mockResolvedValue({
+        choices: [{ message: { content: "Review content" } }],
+      });
+
+      const result = await reviewPlugin(context, validPluginData);
+      expect(result.success).toBe(true);
+      expect(mockGetCachedFileReview).not.toHaveBeenCalled();
+      expect(result.review).not.toContain("缓存复用");
+    });
+
+    it("fails when the JSON request errors for other reasons", async () => {
+      const context = createMockContext();
+      mockCreate.mockRejectedValue(new Error("API timeout"));
+
+      const result = await reviewPlugin(context, validPluginData);
+      expect(result.success).toBe(false);
+      expect(result.error).toContain("内部错误");
+    });
   });
 });
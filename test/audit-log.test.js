@@ -0,0 +1,128 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+
+const store = new Map();
+const mockDb = {
+  get: jest.fn((key) => store.get(key)),
+  putSync: jest.fn((key, value) => store.set(key, value)),
+  getRange: jest.fn(({ start, end } = {}) =>
+    [...store.keys()]
+      .sort()
+      .filter((key) => (!start || key >= start) && (!end || key < end))
+      .map((key) => ({ key, value: store.get(key) }))
+  ),
+  close: jest.fn().mockResolvedValue(undefined),
+};
+
+jest.unstable_mockModule("lmdb", () => ({
+  open: jest.fn(() => mockDb),
+}));
+
+const { queryAuditEvents, recordAuditEvent, recordIssueAuditEvent } = await import(
+  "../reviewer/audit-log.js"
+);
+
+describe("audit log", () => {
+  beforeEach(() => {
+    store.clear();
+    jest.clearAllMocks();
+  });
+
+  it("appends events with a timestamp and defaults for missing fields", () => {
+    const record = recordAuditEvent({ action: "reset-quota", actor: "maintainer", outcome: "success" });
+
+    expect(record).toEqual({
+      id: expect.stringMatching(/^\d{15}-\d{6}$/),
+      timestamp: expect.any(String),
+      action: "reset-quota",
+      actor: "maintainer",
+      repositoryFullName: null,
+      issueNumber: null,
+      repoKey: null,
+      model: null,
+      tokensUsed: null,
+      outcome: "success",
+      details: {},
+    });
+    expect(store.get(record.id)).toBe(record);
+  });
+
+  it("never overwrites earlier events", () => {
+    const first = recordAuditEvent({ action: "a", outcome: "success" });
+    const second = recordAuditEvent({ action: "b", outcome: "denied" });
+
+    expect(second.id > first.id).toBe(true);
+    expect(store.size).toBe(2);
+  });
+
+  it("fills in issue fields from the event context", () => {
+    const context = {
+      payload: {
+        issue: { number: 3, body: '```json\n{"repo": "https://github.com/owner/repo"}\n```' },
+        repository: { full_name: "AstrBotDevs/registry" },
+        sender: { login: "author" },
+      },
+      log: { error: jest.fn() },
+    };
+
+    const record = recordIssueAuditEvent(context, {
+      action: "review",
+      model: "gpt-4o",
+      tokensUsed: 1200,
+      outcome: "success",
+    });
+
+    expect(record).toEqual(
+      expect.objectContaining({
+        action: "review",
+        actor: "author",
+        repositoryFullName: "AstrBotDevs/registry",
+        issueNumber: 3,
+        repoKey: "owner/repo",
+        model: "gpt-4o",
+        tokensUsed: 1200,
+        outcome: "success",
+      })
+    );
+  });
+
+  it("logs instead of throwing when the audit log cannot be written", () => {
+    const context = { payload: { issue: { number: 3 } }, log: { error: jest.fn() } };
+    mockDb.putSync.mockImplementationOnce(() => {
+      throw new Error("disk full");
+    });
+
+    expect(recordIssueAuditEvent(context, { action: "unlink-dedup", outcome: "failed" })).toBeNull();
+    expect(context.log.error).toHaveBeenCalledWith(
+      expect.objectContaining({ action: "unlink-dedup" }),
+      "Failed to write audit event"
+    );
+  });
+
+  describe("queryAuditEvents", () => {
+    const put = (time, event) => {
+      const id = `${String(Date.parse(time)).padStart(15, "0")}-000001`;
+      store.set(id, { id, timestamp: time, ...event });
+    };
+
+    beforeEach(() => {
+      put("2026-01-01T00:00:00.000Z", { action: "review", repoKey: "Owner/Repo", issueNumber: 1 });
+      put("2026-01-02T00:00:00.000Z", { action: "dedup_check", repoKey: "owner/repo", issueNumber: 2 });
+      put("2026-01-03T00:00:00.000Z", { action: "review", repoKey: "other/repo", issueNumber: 3 });
+    });
+
+    it("filters by repository without regard to case, issue and action", () => {
+      expect(queryAuditEvents({ repoKey: "owner/repo" }).map((event) => event.issueNumber)).toEqual([1, 2]);
+      expect(queryAuditEvents({ issueNumber: 3 }).map((event) => event.issueNumber)).toEqual([3]);
+      expect(queryAuditEvents({ action: "review" }).map((event) => event.issueNumber)).toEqual([1, 3]);
+    });
+
+    it("filters by an inclusive date range and keeps the most recent events within the limit", () => {
+      expect(
+        queryAuditEvents({ since: "2026-01-02T00:00:00.000Z", until: "2026-01-03T00:00:00.000Z" }).map(
+          (event) => event.issueNumber
+        )
+      ).toEqual([2, 3]);
+      expect(queryAuditEvents({ limit: 2 }).map((event) => event.issueNumber)).toEqual([2, 3]);
+    });
+  });
+});
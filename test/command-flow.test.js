@@ -0,0 +1,481 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+
+jest.unstable_mockModule("../reviewer/comments.js", () => ({
+  postOrUpdateComment: jest.fn().mockResolvedValue(1),
+}));
+
+jest.unstable_mockModule("../reviewer/quota.js", () => ({
+  getMaxReviewTriggersPerRepo: jest.fn(() => 5),
+  getPluginRepoKeyFromIssue: jest.fn(() => "o/r"),
+  getReviewTriggerQuotaForIssue: jest.fn(),
+  setReviewTriggersRemainingForRepo: jest.fn(),
+}));
+
+jest.unstable_mockModule("../reviewer/review-history.js", () => ({
+  buildIssueKey: jest.fn((repo, number) => `${repo}#${number}`),
+  clearReviewSkip: jest.fn(() => false),
+  getPreviousReview: jest.fn(),
+  markReviewSkipped: jest.fn(),
+}));
+
+jest.unstable_mockModule("../reviewer/issue-dedup.js", () => ({
+  markIssueAsDuplicate: jest.fn(),
+  unlinkIssueForRepo: jest.fn(),
+}));
+
+jest.unstable_mockModule("../reviewer/audit-log.js", () => ({
+  recordIssueAuditEvent: jest.fn(),
+}));
+
+const { handleCommand } = await import("../reviewer/command-flow.js");
+const { postOrUpdateComment } = await import("../reviewer/comments.js");
+const { getReviewTriggerQuotaForIssue, setReviewTriggersRemainingForRepo } = await import(
+  "../reviewer/quota.js"
+);
+const { clearReviewSkip, getPreviousReview, markReviewSkipped } = await import(
+  "../reviewer/review-history.js"
+);
+const { markIssueAsDuplicate, unlinkIssueForRepo } = await import("../reviewer/issue-dedup.js");
+const { recordIssueAuditEvent } = await import("../reviewer/audit-log.js");
+const { getFindingId } = await import("../reviewer/findings.js");
+const { DEFAULT_REPO_CONFIG } = await import("../reviewer/repo-config.js");
+
+function createContext() {
+  return {
+    payload: {
+      issue: { number: 3 },
+      comment: { id: 70, user: { login: "maintainer" } },
+      repository: { full_name: "AstrBotDevs/registry" },
+    },
+    octokit: {
+      reactions: { createForIssueComment: jest.fn().mockResolvedValue({}) },
+      repos: {
+        getCollaboratorPermissionLevel: jest
+          .fn()
+          .mockResolvedValue({ data: { permission: "write", role_name: "write" } }),
+      },
+    },
+    repo: jest.fn((params = {}) => ({ owner: "AstrBotDevs", repo: "registry", ...params })),
+    log: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+  };
+}
+
+describe("handleCommand", () => {
+  let reviewQueue;
+  let enqueueReview;
+  let options;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    reviewQueue = {
+      getStatus: jest.fn(() => ({ running: false, position: null })),
+      cancel: jest.fn(() => ({ running: false, queuedJob: null })),
+    };
+    enqueueReview = jest.fn();
+    options = { repoConfig: DEFAULT_REPO_CONFIG, reviewQueue, enqueueReview };
+  });
+
+  it("reacts to the command comment and still runs the command when the reaction fails", async () => {
+    const context = createContext();
+    context.octokit.reactions.createForIssueComment.mockRejectedValue(new Error("forbidden"));
+
+    await handleCommand(context, { name: "help" }, options);
+
+    expect(context.octokit.reactions.createForIssueComment).toHaveBeenCalledWith({
+      owner: "AstrBotDevs",
+      repo: "registry",
+      comment_id: 70,
+      content: "eyes",
+    });
+    expect(context.log.warn).toHaveBeenCalledWith(
+      expect.objectContaining({ commentId: 70 }),
+      "Failed to add reaction to command comment"
+    );
+    expect(postOrUpdateComment).toHaveBeenCalledWith(
+      context,
+      "command_help",
+      { usage: expect.stringContaining("`@astrpluginreviewer explain <问题编号>`") },
+      false,
+      null
+    );
+  });
+
+  it("replies with the error and the command list for invalid commands", async () => {
+    const context = createContext();
+
+    await handleCommand(context, { name: null, error: "未知命令 `x`。" }, options);
+
+    expect(context.octokit.reactions.createForIssueComment).toHaveBeenCalledWith(
+      expect.objectContaining({ content: "confused" })
+    );
+    expect(postOrUpdateComment).toHaveBeenCalledWith(
+      context,
+      "command_error",
+      { error: "未知命令 `x`。", usage: expect.stringContaining("`@astrpluginreviewer help`") },
+      false,
+      null
+    );
+  });
+
+  it("enqueues a review with the command options", async () => {
+    const context = createContext();
+
+    await handleCommand(context, { name: "review", ref: "v1", files: ["main.py"] }, options);
+
+    expect(enqueueReview).toHaveBeenCalledWith(context, { ref: "v1", files: ["main.py"] });
+    expect(postOrUpdateComment).not.toHaveBeenCalled();
+  });
+
+  it("reports the queue status and the last review", async () => {
+    const context = createContext();
+    reviewQueue.getStatus.mockReturnValue({ running: true, position: 2 });
+    getPreviousReview.mockReturnValue({
+      repoKey: "o/r",
+      commitSha: "abcdef1234",
+      reviewedAt: "2026-01-01T00:00:00.000Z",
+      findings: [{}, {}],
+    });
+
+    await handleCommand(context, { name: "status" }, options);
+
+    expect(reviewQueue.getStatus).toHaveBeenCalledWith("AstrBotDevs/registry#3");
+    expect(postOrUpdateComment).toHaveBeenCalledWith(
+      context,
+      "command_status",
+      {
+        status: { running: true, position: 2 },
+        lastReview: {
+          repoKey: "o/r",
+          commitSha: "abcdef1234",
+          reviewedAt: "2026-01-01T00:00:00.000Z",
+          findingCount: 2,
+        },
+      },
+      false,
+      null
+    );
+  });
+
+  it("reports the quota of the plugin repository", async () => {
+    const context = createContext();
+    const quota = { repoKey: "o/r", used: 1, max: 3, remaining: 2, allowed: true };
+    getReviewTriggerQuotaForIssue.mockReturnValue(quota);
+
+    await handleCommand(context, { name: "quota" }, options);
+
+    expect(postOrUpdateComment).toHaveBeenCalledWith(context, "command_quota", { quota }, false, null);
+  });
+
+  describe("explain", () => {
+    const finding = {
+      file: "main.py",
+      lineStart: 3,
+      lineEnd: 3,
+      ruleId: "logger-source",
+      category: "framework",
+      severity: "critical",
+      message: "使用了 logging 模块",
+      suggestion: "从 astrbot.api 导入 logger",
+    };
+
+    it("explains a finding of the last review", async () => {
+      const context = createContext();
+      getPreviousReview.mockReturnValue({ repoKey: "o/r", commitSha: "abcdef1234", findings: [finding] });
+
+      await handleCommand(context, { name: "explain", findingId: getFindingId(finding) }, options);
+
+      const [, type, data] = postOrUpdateComment.mock.calls[0];
+      expect(type).toBe("finding_explanation");
+      expect(data.findingId).toBe(getFindingId(finding));
+      expect(data.explanation).toContain("[`main.py#L3`](https://github.com/o/r/blob/abcdef1234/main.py#L3)");
+      expect(data.explanation).toContain("**来源**：静态检查（规则 `logger-source`）");
+      expect(data.explanation).toContain("**规则说明**：日志记录器 logger 必须从 astrbot.api 导入");
+      expect(data.explanation).toContain("提交 `abcdef1` 的审核结果");
+    });
+
+    it("marks AI findings as possibly inaccurate", async () => {
+      const context = createContext();
+      const aiFinding = { ...finding, ruleId: undefined, message: "未处理异常" };
+      getPreviousReview.mockReturnValue({ repoKey: "o/r", commitSha: "abcdef1234", findings: [aiFinding] });
+
+      await handleCommand(context, { name: "explain", findingId: getFindingId(aiFinding) }, options);
+
+      const [, , data] = postOrUpdateComment.mock.calls[0];
+      expect(data.explanation).toContain("**来源**：AI 审核");
+      expect(data.explanation).toContain("可能存在误报");
+    });
+
+    it("replies with an error when the finding does not exist", async () => {
+      const context = createContext();
+      getPreviousReview.mockReturnValue(null);
+
+      await handleCommand(context, { name: "explain", findingId: "abcdef" }, options);
+
+      expect(postOrUpdateComment).toHaveBeenCalledWith(
+        context,
+        "command_error",
+        expect.objectContaining({ error: expect.stringContaining("没有编号为 `abcdef` 的问题") }),
+        false,
+        null
+      );
+    });
+  });
+
+  describe("cancel", () => {
+    it("marks the queued job's comment as cancelled", async () => {
+      const context = createContext();
+      reviewQueue.cancel.mockReturnValue({ running: false, queuedJob: { commentId: 88 } });
+
+      await handleCommand(context, { name: "cancel" }, options);
+
+      expect(reviewQueue.cancel).toHaveBeenCalledWith("AstrBotDevs/registry#3");
+      expect(postOrUpdateComment).toHaveBeenCalledWith(
+        context,
+        "review_cancelled",
+        { commandMention: "@astrpluginreviewer" },
+        true,
+        88
+      );
+    });
+
+    it("leaves the running review to update its own comment", async () => {
+      const context = createContext();
+      reviewQueue.cancel.mockReturnValue({ running: true, queuedJob: null });
+
+      await handleCommand(context, { name: "cancel" }, options);
+
+      expect(postOrUpdateComment).not.toHaveBeenCalled();
+    });
+
+    it("replies with an error when there is nothing to cancel", async () => {
+      const context = createContext();
+
+      await handleCommand(context, { name: "cancel" }, options);
+
+      expect(postOrUpdateComment).toHaveBeenCalledWith(
+        context,
+        "command_error",
+        expect.objectContaining({ error: "当前没有排队中或正在进行的审核，无需取消。" }),
+        false,
+        null
+      );
+    });
+  });
+
+  describe("maintainer commands", () => {
+    it("denies commenters without write permission and audits the attempt", async () => {
+      const context = createContext();
+      context.octokit.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+        data: { permission: "read", role_name: "triage" },
+      });
+
+      await handleCommand(context, { name: "reset-quota" }, options);
+
+      expect(context.octokit.repos.getCollaboratorPermissionLevel).toHaveBeenCalledWith({
+        owner: "AstrBotDevs",
+        repo: "registry",
+        username: "maintainer",
+      });
+      expect(setReviewTriggersRemainingForRepo).not.toHaveBeenCalled();
+      expect(postOrUpdateComment).toHaveBeenCalledWith(
+        context,
+        "command_denied",
+        { command: "reset-quota" },
+        false,
+        null
+      );
+      expect(recordIssueAuditEvent).toHaveBeenCalledWith(context, {
+        action: "reset-quota",
+        actor: "maintainer",
+        outcome: "denied",
+        details: { permission: "read" },
+      });
+    });
+
+    it("checks the base permission of commenters with custom organization roles", async () => {
+      const context = createContext();
+      context.octokit.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+        data: { permission: "write", role_name: "security-manager" },
+      });
+
+      await handleCommand(context, { name: "skip-review" }, options);
+
+      expect(markReviewSkipped).toHaveBeenCalled();
+      expect(postOrUpdateComment).not.toHaveBeenCalledWith(
+        context,
+        "command_denied",
+        expect.anything(),
+        false,
+        null
+      );
+    });
+
+    it("treats commenters who are not collaborators as non-maintainers", async () => {
+      const context = createContext();
+      context.octokit.repos.getCollaboratorPermissionLevel.mockRejectedValue(
+        Object.assign(new Error("Not Found"), { status: 404 })
+      );
+
+      await handleCommand(context, { name: "skip-review" }, options);
+
+      expect(markReviewSkipped).not.toHaveBeenCalled();
+      expect(recordIssueAuditEvent).toHaveBeenCalledWith(
+        context,
+        expect.objectContaining({ outcome: "denied", details: { permission: "none" } })
+      );
+      expect(context.log.error).not.toHaveBeenCalled();
+    });
+
+    it("resets and sets the repository quota", async () => {
+      const context = createContext();
+      getReviewTriggerQuotaForIssue.mockReturnValue({ repoKey: "o/r", remaining: 0, max: 5 });
+      setReviewTriggersRemainingForRepo.mockImplementation((repoKey, remaining) => ({
+        repoKey,
+        remaining,
+        max: 5,
+      }));
+
+      await handleCommand(context, { name: "reset-quota" }, options);
+      await handleCommand(context, { name: "set-quota", remaining: 2 }, options);
+
+      expect(setReviewTriggersRemainingForRepo.mock.calls).toEqual([
+        ["o/r", 5],
+        ["o/r", 2],
+      ]);
+      expect(postOrUpdateComment).toHaveBeenLastCalledWith(
+        context,
+        "maintainer_action",
+        {
+          message: "已将插件仓库 `o/r` 的剩余审核触发次数设置为 **2** / 5 次。",
+          actor: "maintainer",
+        },
+        false,
+        null
+      );
+      expect(recordIssueAuditEvent).toHaveBeenLastCalledWith(
+        context,
+        expect.objectContaining({
+          action: "set-quota",
+          outcome: "success",
+          details: { repoKey: "o/r", previousRemaining: 0, remaining: 2 },
+        })
+      );
+    });
+
+    it("rejects a quota above the repository limit", async () => {
+      const context = createContext();
+
+      await handleCommand(context, { name: "set-quota", remaining: 6 }, options);
+
+      expect(setReviewTriggersRemainingForRepo).not.toHaveBeenCalled();
+      expect(postOrUpdateComment).toHaveBeenCalledWith(
+        context,
+        "command_error",
+        expect.objectContaining({ error: "剩余次数不能超过每个仓库的上限 5 次。" }),
+        false,
+        null
+      );
+      expect(recordIssueAuditEvent).toHaveBeenCalledWith(
+        context,
+        expect.objectContaining({ outcome: "failed", details: { error: "剩余次数不能超过每个仓库的上限 5 次。" } })
+      );
+    });
+
+    it("forces a review and lifts the skip mark", async () => {
+      const context = createContext();
+      clearReviewSkip.mockReturnValue(true);
+
+      await handleCommand(context, { name: "force-review", ref: "v1", files: null }, options);
+
+      expect(clearReviewSkip).toHaveBeenCalledWith("AstrBotDevs/registry#3");
+      expect(enqueueReview).toHaveBeenCalledWith(context, { ref: "v1", files: null, force: true });
+      expect(postOrUpdateComment).not.toHaveBeenCalled();
+      expect(recordIssueAuditEvent).toHaveBeenCalledWith(
+        context,
+        expect.objectContaining({
+          action: "force-review",
+          outcome: "success",
+          details: { repoKey: "o/r", ref: "v1", files: null, skipCleared: true },
+        })
+      );
+    });
+
+    it("skips the review and cancels pending work", async () => {
+      const context = createContext();
+      reviewQueue.cancel.mockReturnValue({ running: false, queuedJob: { commentId: 88 } });
+
+      await handleCommand(context, { name: "skip-review" }, options);
+
+      expect(reviewQueue.cancel).toHaveBeenCalledWith("AstrBotDevs/registry#3");
+      expect(markReviewSkipped).toHaveBeenCalledWith("AstrBotDevs/registry#3", { actor: "maintainer" });
+      expect(postOrUpdateComment).toHaveBeenCalledWith(
+        context,
+        "review_skipped",
+        { actor: "maintainer" },
+        true,
+        88
+      );
+    });
+
+    it("marks the issue as a duplicate", async () => {
+      const context = createContext();
+      markIssueAsDuplicate.mockResolvedValue({ success: true, repoKey: "o/r" });
+
+      await handleCommand(context, { name: "mark-duplicate", issueNumber: 1 }, options);
+
+      expect(markIssueAsDuplicate).toHaveBeenCalledWith(context, 1);
+      expect(reviewQueue.cancel).toHaveBeenCalledWith("AstrBotDevs/registry#3");
+      expect(recordIssueAuditEvent).toHaveBeenCalledWith(
+        context,
+        expect.objectContaining({ action: "mark-duplicate", details: { repoKey: "o/r", duplicateOf: 1 } })
+      );
+    });
+
+    it("reports why an issue cannot be marked as a duplicate", async () => {
+      const context = createContext();
+      markIssueAsDuplicate.mockResolvedValue({ success: false, error: "找不到 Issue #99。" });
+
+      await handleCommand(context, { name: "mark-duplicate", issueNumber: 99 }, options);
+
+      expect(reviewQueue.cancel).not.toHaveBeenCalled();
+      expect(postOrUpdateComment).toHaveBeenCalledWith(
+        context,
+        "command_error",
+        expect.objectContaining({ error: "找不到 Issue #99。" }),
+        false,
+        null
+      );
+    });
+
+    it("unlinks the dedup mapping of the plugin repository", async () => {
+      const context = createContext();
+      unlinkIssueForRepo.mockReturnValue(2);
+
+      await handleCommand(context, { name: "unlink-dedup" }, options);
+
+      expect(unlinkIssueForRepo).toHaveBeenCalledWith("o/r");
+      expect(postOrUpdateComment).toHaveBeenCalledWith(
+        context,
+        "maintainer_action",
+        expect.objectContaining({ message: "已解除插件仓库 `o/r` 与 #2 的去重关联。" }),
+        false,
+        null
+      );
+    });
+
+    it("audits failed actions before rethrowing", async () => {
+      const context = createContext();
+      unlinkIssueForRepo.mockImplementation(() => {
+        throw new Error("DB error");
+      });
+
+      await expect(handleCommand(context, { name: "unlink-dedup" }, options)).rejects.toThrow("DB error");
+
+      expect(recordIssueAuditEvent).toHaveBeenCalledWith(
+        context,
+        expect.objectContaining({ action: "unlink-dedup", outcome: "failed", details: { error: "DB error" } })
+      );
+      unlinkIssueForRepo.mockReset();
+    });
+  });
+});
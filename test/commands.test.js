@@ -0,0 +1,126 @@
+import { describe, it, expect } from "@jest/globals";
+import { REVIEW_COMMANDS, formatCommandUsage, parseCommand } from "../reviewer/commands.js";
+
+describe("parseCommand", () => {
+  it("returns null when the comment has no command", () => {
+    expect(parseCommand("thanks!")).toBeNull();
+    expect(parseCommand("thanks @astrpluginreviewer!")).toBeNull();
+    expect(parseCommand("@astrpluginreviewers review")).toBeNull();
+    expect(parseCommand("> @astrpluginreviewer review")).toBeNull();
+    expect(parseCommand(null)).toBeNull();
+  });
+
+  it("parses a bare review command", () => {
+    expect(parseCommand("@AstrPluginReviewer review")).toEqual({ name: "review", ref: null, files: null });
+  });
+
+  it("resolves aliases case-insensitively", () => {
+    expect(parseCommand("@astrpluginreviewer RE-REVIEW").name).toBe("review");
+    expect(parseCommand("@astrpluginreviewer H")).toEqual({ name: "help" });
+    expect(parseCommand("@astrpluginreviewer 状态")).toEqual({ name: "status" });
+    expect(parseCommand("@astrpluginreviewer limit")).toEqual({ name: "quota" });
+    expect(parseCommand("@astrpluginreviewer stop")).toEqual({ name: "cancel" });
+  });
+
+  it("only reads the command line", () => {
+    expect(parseCommand("请重新审核\n  @astrpluginreviewer review\n--ref v1.2.0")).toEqual({
+      name: "review",
+      ref: null,
+      files: null,
+    });
+  });
+
+  it("parses review options", () => {
+    expect(
+      parseCommand("@astrpluginreviewer review --files ./main.py utils/ `core/api.py` --REF v1.2.0")
+    ).toEqual({ name: "review", ref: "v1.2.0", files: ["main.py", "utils", "core/api.py"] });
+    expect(parseCommand("@astrpluginreviewer review --files a.py --files b.py a.py").files).toEqual([
+      "a.py",
+      "b.py",
+    ]);
+  });
+
+  it("keeps supporting the ref=value form", () => {
+    expect(parseCommand("@astrpluginreviewer review ref=v1.2.0").ref).toBe("v1.2.0");
+    expect(parseCommand("@astrpluginreviewer review REF=`feature/x`").ref).toBe("feature/x");
+  });
+
+  it("validates review options", () => {
+    const error = (body) => parseCommand(body).error;
+    expect(error("@astrpluginreviewer review --ref")).toBe("`--ref` 需要指定分支、标签或提交SHA。");
+    expect(error("@astrpluginreviewer review --ref a --ref b")).toBe("`--ref` 只能指定一次。");
+    expect(error("@astrpluginreviewer review --files --ref a")).toBe("`--files` 需要至少指定一个文件或目录。");
+    expect(error("@astrpluginreviewer review --files ../secret.py")).toBe(
+      "`../secret.py` 不是有效的仓库内相对路径。"
+    );
+    expect(error("@astrpluginreviewer review --files /etc/passwd")).toBe(
+      "`/etc/passwd` 不是有效的仓库内相对路径。"
+    );
+    expect(error("@astrpluginreviewer review --files *.py")).toBe("`*.py` 不是有效的仓库内相对路径。");
+    expect(error("@astrpluginreviewer review --force")).toBe("无法识别的参数 `--force`。");
+    expect(
+      error(`@astrpluginreviewer review --files ${Array.from({ length: 21 }, (_, i) => `f${i}.py`).join(" ")}`)
+    ).toBe("`--files` 最多指定 20 个路径。");
+  });
+
+  it("parses the finding id of explain", () => {
+    expect(parseCommand("@astrpluginreviewer explain A1B2C3")).toEqual({ name: "explain", findingId: "a1b2c3" });
+    expect(parseCommand("@astrpluginreviewer why `#a1b2c3`")).toEqual({ name: "explain", findingId: "a1b2c3" });
+    expect(parseCommand("@astrpluginreviewer explain").error).toBe("`explain` 需要指定一个问题编号。");
+    expect(parseCommand("@astrpluginreviewer explain xyz").error).toBe(
+      "`xyz` 不是有效的问题编号，问题编号为 6 位十六进制字符。"
+    );
+  });
+
+  it("reports unknown, missing and over-specified commands", () => {
+    expect(parseCommand("@astrpluginreviewer reveiw")).toEqual({ name: null, error: "未知命令 `reveiw`。" });
+    expect(parseCommand("@astrpluginreviewer")).toEqual({ name: null, error: "缺少命令。" });
+    expect(parseCommand("@astrpluginreviewer status now")).toEqual({
+      name: "status",
+      error: "命令 `status` 不接受参数。",
+    });
+  });
+
+  it("parses maintainer commands", () => {
+    expect(parseCommand("@astrpluginreviewer reset-quota")).toEqual({ name: "reset-quota" });
+    expect(parseCommand("@astrpluginreviewer SET-QUOTA 3")).toEqual({ name: "set-quota", remaining: 3 });
+    expect(parseCommand("@astrpluginreviewer force-review --ref v1")).toEqual({
+      name: "force-review",
+      ref: "v1",
+      files: null,
+    });
+    expect(parseCommand("@astrpluginreviewer 跳过审核")).toEqual({ name: "skip-review" });
+    expect(parseCommand("@astrpluginreviewer mark-duplicate #12")).toEqual({
+      name: "mark-duplicate",
+      issueNumber: 12,
+    });
+    expect(parseCommand("@astrpluginreviewer duplicate 12").issueNumber).toBe(12);
+    expect(parseCommand("@astrpluginreviewer unlink-dedup")).toEqual({ name: "unlink-dedup" });
+  });
+
+  it("validates maintainer command arguments", () => {
+    const error = (body) => parseCommand(body).error;
+    expect(error("@astrpluginreviewer set-quota")).toBe("`set-quota` 需要指定一个剩余次数。");
+    expect(error("@astrpluginreviewer set-quota -1")).toBe("`-1` 不是有效的次数，次数应为非负整数。");
+    expect(error("@astrpluginreviewer mark-duplicate")).toBe("`mark-duplicate` 需要指定一个 Issue 编号。");
+    expect(error("@astrpluginreviewer mark-duplicate #0")).toBe("`#0` 不是有效的 Issue 编号。");
+    expect(error("@astrpluginreviewer force-review --force")).toBe("无法识别的参数 `--force`。");
+    expect(error("@astrpluginreviewer reset-quota all")).toBe("命令 `reset-quota` 不接受参数。");
+  });
+
+  it("uses the configured mention", () => {
+    const options = { mention: "@registry-bot[bot]" };
+    expect(parseCommand("@registry-bot[bot] review --ref main", options).ref).toBe("main");
+    expect(parseCommand("@astrpluginreviewer review", options)).toBeNull();
+  });
+});
+
+describe("formatCommandUsage", () => {
+  it("lists every command with its usage and aliases", () => {
+    const usage = formatCommandUsage("@bot");
+    expect(usage.split("\n")).toHaveLength(REVIEW_COMMANDS.length);
+    expect(usage).toContain("- `@bot review [--files 路径...] [--ref 分支/标签/提交SHA]`：");
+    expect(usage).toContain("（别名：`stop`、`取消`）");
+    expect(usage).toContain("- `@bot set-quota <剩余次数>`：将插件仓库的剩余审核触发次数设置为指定值（仅限维护者；别名：`设置配额`）");
+  });
+});
@@ -211,6 +211,93 @@ describe("postOrUpdateComment", () => {
     expect(body).toContain("Code looks good overall.");
   });
 
+  it("links the reviewed commit in review_success comment", async () => {
+    const context = createMockContext();
+    await postOrUpdateComment(
+      context,
+      "review_success",
+      {
+        pluginData: { name: "MyPlugin" },
+        review: "Code looks good overall.",
+        reviewedCommit: { repoKey: "owner/repo", commitSha: "abcdef1234567", ref: "v1.2.0" },
+      },
+      false,
+      null
+    );
+    const body = context.octokit.issues.createComment.mock.calls[0][0].body;
+    expect(body).toContain(
+      "本次审核的提交：[`abcdef1`](https://github.com/owner/repo/tree/abcdef1234567)（`v1.2.0`）"
+    );
+  });
+
+  it("tells the author a failed AI service is not their plugin's fault", async () => {
+    const context = createMockContext();
+    await postOrUpdateComment(
+      context,
+      "review_service_unavailable",
+      { error: "AI审核服务暂时不可用（已尝试 4 次），请稍后重试。", transient: true },
+      false,
+      null
+    );
+    const body = context.octokit.issues.createComment.mock.calls[0][0].body;
+    expect(body).toContain("## ⏳ AI审核服务暂时不可用");
+    expect(body).toContain("这不是您插件的问题");
+    expect(body).toContain("不计入仓库的审核触发次数");
+    expect(body).toContain("*请稍后评论 `@astrpluginreviewer review`");
+  });
+
+  it("uses a different title for non-transient AI service failures", async () => {
+    const context = createMockContext();
+    await postOrUpdateComment(
+      context,
+      "review_service_unavailable",
+      { error: "调用AI审核服务时发生内部错误。", transient: false },
+      false,
+      null
+    );
+    const body = context.octokit.issues.createComment.mock.calls[0][0].body;
+    expect(body).toContain("## ❌ AI审核服务调用失败");
+    expect(body).toContain("维护者会尽快排查该问题");
+  });
+
+  it("renders stage progress in review_started comment", async () => {
+    const context = createMockContext();
+    await postOrUpdateComment(
+      context,
+      "review_started",
+      {
+        progress: {
+          steps: [
+            { text: "metadata.yaml 校验通过", done: true },
+            { text: "正在审核第 2/3 批（15 个文件）", done: false },
+          ],
+          elapsedSeconds: 95,
+        },
+      },
+      true,
+      7
+    );
+    const body = context.octokit.issues.updateComment.mock.calls[0][0].body;
+    expect(body).toContain("## ⏳ 正在审核中...");
+    expect(body).toContain("**审核进度**（已用时 1 分 35 秒）");
+    expect(body).toContain("- ✅ metadata.yaml 校验通过\n- 🔄 正在审核第 2/3 批（15 个文件）");
+  });
+
+  it("renders the queue position in review_queued comment", async () => {
+    const context = createMockContext();
+    const id = await postOrUpdateComment(
+      context,
+      "review_queued",
+      { position: 3 },
+      false,
+      null
+    );
+    expect(id).toBe(42);
+    const body = context.octokit.issues.createComment.mock.calls[0][0].body;
+    expect(body).toContain("## ⏳ 正在审核中...");
+    expect(body).toContain("排在第 3 位");
+  });
+
   it("includes quota info in review_limit_reached comment", async () => {
     const context = createMockContext();
     await postOrUpdateComment(
@@ -228,6 +315,99 @@ describe("postOrUpdateComment", () => {
     expect(body).toContain("5 次");
   });
 
+  it("shows the quota window and when the next review becomes available", async () => {
+    const context = createMockContext();
+    await postOrUpdateComment(
+      context,
+      "review_limit_reached",
+      {
+        quotaInfo: {
+          repoKey: "owner/repo",
+          max: 5,
+          remaining: 0,
+          window: { mode: "sliding", days: 7 },
+          nextAvailableAt: "2026-10-26T08:30:00.000Z",
+        },
+      },
+      false,
+      null
+    );
+    const body = context.octokit.issues.createComment.mock.calls[0][0].body;
+    expect(body).toContain("`owner/repo` 最近 7 天内的审核触发次数已达到上限（5 次）");
+    expect(body).toContain("下一次可触发审核的时间：**2026-10-26 08:30 UTC**");
+    expect(body).not.toContain("请联系维护者调整上限配置");
+  });
+
+  it("names the author when their trigger quota is exhausted", async () => {
+    const context = createMockContext();
+    await postOrUpdateComment(
+      context,
+      "review_limit_reached",
+      {
+        quotaInfo: {
+          repoKey: "owner/repo",
+          max: 5,
+          remaining: 3,
+          exceeded: "author",
+          author: {
+            login: "alice",
+            max: 2,
+            remaining: 0,
+            window: { mode: "sliding", days: 7 },
+            nextAvailableAt: "2026-10-26T08:30:00.000Z",
+          },
+        },
+      },
+      false,
+      null
+    );
+    const body = context.octokit.issues.createComment.mock.calls[0][0].body;
+    expect(body).toContain("## ⚠️ 提交者触发次数已达上限");
+    expect(body).toContain("提交者 @alice 最近 7 天内的审核触发次数已达到上限（2 次）");
+    expect(body).toContain("下一次可触发审核的时间：**2026-10-26 08:30 UTC**");
+  });
+
+  it("explains a review deferred by the daily token budget", async () => {
+    const context = createMockContext();
+    await postOrUpdateComment(
+      context,
+      "review_deferred",
+      {
+        tokenBudget: { budget: 1000, used: 1200, remaining: 0, resetsAt: "2026-10-22T00:00:00.000Z" },
+        quotaInfo: { repoKey: "owner/repo", remaining: 3 },
+      },
+      false,
+      null
+    );
+    const body = context.octokit.issues.createComment.mock.calls[0][0].body;
+    expect(body).toContain("## ⏳ 审核已延后");
+    expect(body).toContain("已使用 1200 / 1000 Token");
+    expect(body).toContain("**2026-10-22 00:00 UTC**");
+  });
+
+  it("describes calendar quota windows in the quota reply", async () => {
+    const context = createMockContext();
+    await postOrUpdateComment(
+      context,
+      "command_quota",
+      {
+        quota: {
+          repoKey: "owner/repo",
+          max: 5,
+          used: 2,
+          remaining: 3,
+          window: { mode: "calendar", days: 7 },
+          nextAvailableAt: null,
+        },
+      },
+      false,
+      null
+    );
+    const body = context.octokit.issues.createComment.mock.calls[0][0].body;
+    expect(body).toContain("`owner/repo` 本周（UTC，周一起算）已使用 **2** / 5 次审核，剩余 **3** 次。");
+    expect(body).not.toContain("下一次可触发审核的时间");
+  });
+
   it("includes uninstall notice in unsupported_repository comment", async () => {
     const context = createMockContext();
     await postOrUpdateComment(
@@ -235,7 +415,7 @@ describe("postOrUpdateComment", () => {
       "unsupported_repository",
       {
         repositoryFullName: "foo/bar",
-        supportedRepositoryPrefix: "AstrBotDevs/",
+        allowedRepositories: ["AstrBotDevs/", "someone/plugins"],
       },
       false,
       null
@@ -244,10 +424,24 @@ describe("postOrUpdateComment", () => {
     expect(body).toContain("当前仓库不受支持");
     expect(body).toContain("foo/bar");
     expect(body).toContain("AstrBotDevs/");
-    expect(body).toContain("开头的仓库");
+    expect(body).toContain("本应用仅支持在 `AstrBotDevs/` 开头的仓库、`someone/plugins` 中使用。");
     expect(body).toContain("卸载此 GitHub App");
   });
 
+  it("tells users to use the configured command mention", async () => {
+    const context = createMockContext();
+    await postOrUpdateComment(
+      context,
+      "review_service_unavailable",
+      { error: "timeout", transient: true, commandMention: "@registry-bot" },
+      false,
+      null
+    );
+    const body = context.octokit.issues.createComment.mock.calls[0][0].body;
+    expect(body).toContain("评论 `@registry-bot review`");
+    expect(body).not.toContain("@astrpluginreviewer");
+  });
+
   it("appends quota hint to footer", async () => {
     const context = createMockContext();
     await postOrUpdateComment(
@@ -262,6 +456,29 @@ describe("postOrUpdateComment", () => {
     expect(body).toContain("剩余触发次数：**3**");
   });
 
+  it("appends enabled author, installation and token budget quotas to the footer", async () => {
+    const context = createMockContext();
+    await postOrUpdateComment(
+      context,
+      "review_started",
+      {
+        quotaInfo: {
+          repoKey: "owner/repo",
+          remaining: 3,
+          author: { login: "alice", remaining: 1 },
+          installation: null,
+          tokenBudget: { budget: 1000, used: 400, remaining: 600 },
+        },
+      },
+      false,
+      null
+    );
+    const body = context.octokit.issues.createComment.mock.calls[0][0].body;
+    expect(body).toContain("提交者 @alice 剩余触发次数：**1**");
+    expect(body).toContain("今日 AI Token 预算剩余：**600** / 1000");
+    expect(body).not.toContain("本应用安装今日剩余审核次数");
+  });
+
   it("does not append quota hint when quotaInfo is null", async () => {
     const context = createMockContext();
     await postOrUpdateComment(
@@ -320,6 +537,47 @@ describe("postOrUpdateComment", () => {
     );
   });
 
+  it("adds re-review checkbox on review_cancelled", async () => {
+    const context = createMockContext({
+      issue: { number: 1, body: "original body" },
+    });
+    await postOrUpdateComment(context, "review_cancelled", {}, true, 5);
+    expect(context.octokit.issues.updateComment).toHaveBeenCalledWith(
+      expect.objectContaining({ body: expect.stringContaining("## ⚠️ 审核已取消") })
+    );
+    expect(context.octokit.issues.update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        body: expect.stringContaining("重新提交审核"),
+      })
+    );
+  });
+
+  it("renders the queue state and the last review in command_status comment", async () => {
+    const context = createMockContext();
+    await postOrUpdateComment(
+      context,
+      "command_status",
+      {
+        status: { running: true, position: 1 },
+        lastReview: {
+          repoKey: "o/r",
+          commitSha: "abcdef1234",
+          reviewedAt: "2026-01-01T00:00:00.000Z",
+          findingCount: 2,
+        },
+      },
+      false,
+      null
+    );
+    const body = context.octokit.issues.createComment.mock.calls[0][0].body;
+    expect(body).toContain("## 📊 审核状态");
+    expect(body).toContain("- 🔄 正在审核中");
+    expect(body).toContain("排在第 1 位");
+    expect(body).toContain("[`abcdef1`](https://github.com/o/r/tree/abcdef1234)");
+    expect(body).toContain("共记录 2 个问题");
+    expect(context.octokit.issues.update).not.toHaveBeenCalled();
+  });
+
   it("removes re-review section on review_success", async () => {
     const bodyWithSection =
       "original body\n\n## 审核选项\n\n- [ ] 重新提交审核";
@@ -337,6 +595,17 @@ describe("postOrUpdateComment", () => {
     expect(updateCall.body).not.toContain("审核选项");
     expect(updateCall.body).not.toContain("重新提交审核");
   });
+
+  it("removes re-review section on review_skipped", async () => {
+    const context = createMockContext({
+      issue: { number: 1, body: "original body\n\n## 审核选项\n\n- [ ] 重新提交审核" },
+    });
+    await postOrUpdateComment(context, "review_skipped", { actor: "maintainer" }, false, null);
+    const body = context.octokit.issues.createComment.mock.calls[0][0].body;
+    expect(body).toContain("## ⏭️ 已跳过 AI 审核");
+    expect(body).toContain("维护者 @maintainer 已跳过");
+    expect(context.octokit.issues.update.mock.calls[0][0].body).toBe("original body");
+  });
 });
 
 describe("postSystemErrorComment", () => {
@@ -0,0 +1,150 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  renderConfSchemaSection,
+  validateConfSchema,
+} from "../reviewer/conf-schema.js";
+
+const validSchema = JSON.stringify(
+  {
+    token: { description: "Bot Token", type: "string", default: "" },
+    mode: {
+      description: "模式",
+      type: "string",
+      options: ["fast", "slow"],
+      default: "fast",
+    },
+    limits: {
+      description: "限制",
+      type: "object",
+      items: {
+        max_count: { description: "最大次数", type: "int", default: 3 },
+      },
+    },
+  },
+  null,
+  2
+);
+
+function ruleHits(findings) {
+  return findings.map((f) => [f.ruleId, f.severity, f.file, f.lineStart]);
+}
+
+describe("validateConfSchema", () => {
+  it("accepts a valid schema and matching config access", () => {
+    const result = validateConfSchema(validSchema, [
+      {
+        path: "main.py",
+        source: [
+          "class P(Star):",
+          "    def __init__(self, context, config):",
+          "        self.config = config",
+          '        token = self.config["token"]',
+          '        limit = self.config.get("limits", {}).get("max_count", 3)',
+        ].join("\n"),
+      },
+    ]);
+    expect(result).toEqual({ findings: [], fieldCount: 3 });
+  });
+
+  it("reports invalid JSON with the error line", () => {
+    const result = validateConfSchema('{\n  "a": {\n    "type": "string",\n  }\n}', []);
+    expect(ruleHits(result.findings)).toEqual([
+      ["invalid-json", "critical", "_conf_schema.json", 4],
+    ]);
+  });
+
+  it("rejects a non-object root", () => {
+    expect(ruleHits(validateConfSchema("[]", []).findings)).toEqual([
+      ["invalid-root", "critical", "_conf_schema.json", 1],
+    ]);
+  });
+
+  it("checks types, defaults, options and nested items", () => {
+    const schema = JSON.stringify(
+      {
+        a: { description: "a", type: "number" },
+        b: { description: "b", type: "int", default: "3" },
+        c: { description: "c", type: "string", options: ["x"], default: "y" },
+        d: { description: "d", type: "bool", options: [true, false] },
+        e: { description: "e", type: "object" },
+        f: {
+          description: "f",
+          type: "object",
+          items: { g: { type: "float", default: 1, hnit: "typo" } },
+        },
+        h: "string",
+      },
+      null,
+      2
+    );
+    const findings = validateConfSchema(schema, []).findings;
+    expect(findings.map((f) => [f.ruleId, f.lineStart])).toEqual([
+      ["unknown-type", 2],
+      ["default-type-mismatch", 6],
+      ["default-not-in-options", 11],
+      ["invalid-options", 19],
+      ["invalid-items", 27],
+      ["missing-description", 35],
+      ["unknown-key", 35],
+      ["invalid-field", 42],
+    ]);
+    expect(findings[5].message).toContain("配置项 f.g 缺少 description");
+  });
+
+  it("reports config keys missing from the schema", () => {
+    const result = validateConfSchema(validSchema, [
+      {
+        path: "main.py",
+        source: [
+          "class P(Star):",
+          "    def __init__(self, context, config):",
+          "        self.config = config",
+          '        a = self.config["api_key"]',
+          '        b = self.config.get("timeout", 10)',
+          '        c = self.config["limits"]["min_count"]',
+          '        d = self.config["api_key"]',
+        ].join("\n"),
+      },
+    ]);
+    expect(ruleHits(result.findings)).toEqual([
+      ["undeclared-config-key", "high", "main.py", 4],
+      ["undeclared-config-key", "medium", "main.py", 5],
+      ["undeclared-config-key", "high", "main.py", 6],
+    ]);
+    expect(result.findings[2].message).toContain("limits.min_count");
+  });
+
+  it("skips files that assign self.config from another source", () => {
+    const result = validateConfSchema(validSchema, [
+      {
+        path: "main.py",
+        source: 'self.config = json.load(f)\nx = self.config["other"]',
+      },
+    ]);
+    expect(result.findings).toEqual([]);
+  });
+});
+
+describe("renderConfSchemaSection", () => {
+  const linkOptions = { owner: "o", repo: "r", commitSha: "abc" };
+
+  it("notes a missing schema file", () => {
+    expect(renderConfSchemaSection(null, linkOptions)).toContain(
+      "未提供 `_conf_schema.json`"
+    );
+  });
+
+  it("reports a valid schema", () => {
+    expect(
+      renderConfSchemaSection({ findings: [], fieldCount: 2 }, linkOptions)
+    ).toContain("共定义 2 个配置项");
+  });
+
+  it("lists problems with line links", () => {
+    const section = renderConfSchemaSection(
+      validateConfSchema('{"a": {"type": "x", "description": "a"}}', []),
+      linkOptions
+    );
+    expect(section).toContain("https://github.com/o/r/blob/abc/_conf_schema.json#L1");
+  });
+});
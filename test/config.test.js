@@ -13,6 +13,7 @@ describe("config", () => {
       process.env.OPENAI_API_KEY = "test-key";
       process.env.OPENAI_MODEL = "test-model";
       process.env.OPENAI_MAX_INPUT_TOKENS = "4000";
+      delete process.env.LLM_PROVIDER;
     });
 
     it("does not throw when all required variables are set", () => {
@@ -42,6 +43,17 @@ describe("config", () => {
         "OPENAI_API_KEY, OPENAI_MODEL, OPENAI_MAX_INPUT_TOKENS"
       );
     });
+
+    it("does not require OPENAI_API_KEY for providers that need no key", () => {
+      process.env.LLM_PROVIDER = "ollama";
+      delete process.env.OPENAI_API_KEY;
+      expect(() => validateEnvironment()).not.toThrow();
+    });
+
+    it("throws for an unsupported LLM_PROVIDER", () => {
+      process.env.LLM_PROVIDER = "gemini";
+      expect(() => validateEnvironment()).toThrow('Unsupported LLM_PROVIDER "gemini"');
+    });
   });
 
   describe("getConfig", () => {
@@ -49,18 +61,72 @@ describe("config", () => {
       process.env.OPENAI_API_KEY = "my-api-key";
       process.env.OPENAI_MODEL = "gpt-4";
       process.env.OPENAI_MAX_INPUT_TOKENS = "8000";
+      delete process.env.LLM_PROVIDER;
+      delete process.env.LLM_MAX_RETRIES;
+      delete process.env.LLM_RETRY_BASE_DELAY_MS;
+      delete process.env.LLM_FALLBACK_MODELS;
     });
 
     it("returns correct values from env", () => {
       const config = getConfig();
       expect(config).toEqual({
+        provider: "openai-chat",
         apiKey: "my-api-key",
         baseURL: null,
         model: "gpt-4",
         maxInputTokens: 8000,
+        tokenizer: "auto",
+        reviewOutputMode: "json",
+        maxRetries: 3,
+        retryBaseDelayMs: 2000,
+        fallbackModels: [],
       });
     });
 
+    it("switches to Markdown output when REVIEW_OUTPUT_MODE is markdown", () => {
+      process.env.REVIEW_OUTPUT_MODE = "markdown";
+      const config = getConfig();
+      expect(config.reviewOutputMode).toBe("markdown");
+    });
+
+    it("reads the provider from LLM_PROVIDER", () => {
+      process.env.LLM_PROVIDER = " Anthropic ";
+      const config = getConfig();
+      expect(config.provider).toBe("anthropic");
+    });
+
+    it("reads retry settings and allows disabling retries", () => {
+      process.env.LLM_MAX_RETRIES = "0";
+      process.env.LLM_RETRY_BASE_DELAY_MS = "500";
+      const config = getConfig();
+      expect(config.maxRetries).toBe(0);
+      expect(config.retryBaseDelayMs).toBe(500);
+    });
+
+    it("ignores invalid retry settings", () => {
+      process.env.LLM_MAX_RETRIES = "-1";
+      process.env.LLM_RETRY_BASE_DELAY_MS = "soon";
+      const config = getConfig();
+      expect(config.maxRetries).toBe(3);
+      expect(config.retryBaseDelayMs).toBe(2000);
+    });
+
+    it("parses the fallback model chain", () => {
+      process.env.LLM_FALLBACK_MODELS = " gpt-4o-mini@16000, qwen2.5-coder:7b ,,bad@x";
+      const config = getConfig();
+      expect(config.fallbackModels).toEqual([
+        { model: "gpt-4o-mini", maxInputTokens: 16000 },
+        { model: "qwen2.5-coder:7b", maxInputTokens: 8000 },
+        { model: "bad@x", maxInputTokens: 8000 },
+      ]);
+    });
+
+    it("reads tokenizer from OPENAI_TOKENIZER", () => {
+      process.env.OPENAI_TOKENIZER = "cl100k_base";
+      const config = getConfig();
+      expect(config.tokenizer).toBe("cl100k_base");
+    });
+
     it("includes baseURL when OPENAI_BASE_URL is set", () => {
       process.env.OPENAI_BASE_URL = "https://custom.api.com";
       const config = getConfig();
@@ -0,0 +1,175 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  normalizePackageName,
+  parseDependencyManifests,
+  renderDependencySection,
+  reviewDependencies,
+} from "../reviewer/dependency-review.js";
+
+function review({ requirements = "", pythonSource = "", repositoryPaths = [] }) {
+  const dependencies = parseDependencyManifests([
+    { path: "requirements.txt", source: requirements },
+  ]);
+  return reviewDependencies({
+    dependencies,
+    pythonFiles: [{ path: "main.py", source: pythonSource }],
+    repositoryPaths: ["main.py", "requirements.txt", ...repositoryPaths],
+  });
+}
+
+function ruleHits(findings) {
+  return findings.map((f) => [f.ruleId, f.severity, f.file, f.lineStart]);
+}
+
+describe("normalizePackageName", () => {
+  it("follows PEP 503", () => {
+    expect(normalizePackageName("Foo_Bar.baz")).toBe("foo-bar-baz");
+  });
+});
+
+describe("parseDependencyManifests", () => {
+  it("parses requirements.txt with comments, extras, markers and options", () => {
+    const deps = parseDependencyManifests([
+      {
+        path: "requirements.txt",
+        source: [
+          "# comment",
+          "-r base.txt",
+          "httpx[http2]>=0.27  # inline",
+          "PyYAML==6.0 ; python_version >= '3.10'",
+          "jinja2",
+        ].join("\n"),
+      },
+    ]);
+    expect(deps.map((d) => [d.name, d.spec, d.lineNumber])).toEqual([
+      ["httpx", ">=0.27", 3],
+      ["pyyaml", "==6.0", 4],
+      ["jinja2", "", 5],
+    ]);
+  });
+
+  it("parses PEP 621 and Poetry dependencies from pyproject.toml", () => {
+    const deps = parseDependencyManifests([
+      {
+        path: "pyproject.toml",
+        source: [
+          "[project]",
+          'name = "demo"',
+          "dependencies = [",
+          '  "aiofiles>=23.0",',
+          '  "jinja2",',
+          "]",
+          "[tool.poetry.dependencies]",
+          'python = "^3.10"',
+          'numpy = "^1.26"',
+          'pandas = { version = "*", optional = true }',
+        ].join("\n"),
+      },
+    ]);
+    expect(deps.map((d) => [d.name, d.spec, d.lineNumber])).toEqual([
+      ["aiofiles", ">=23.0", 4],
+      ["jinja2", "", 5],
+      ["numpy", "^1.26", 9],
+      ["pandas", "", 10],
+    ]);
+  });
+
+  it("parses install_requires from setup.py", () => {
+    const deps = parseDependencyManifests([
+      {
+        path: "setup.py",
+        source: [
+          "from setuptools import setup",
+          "setup(",
+          "    install_requires=[",
+          '        "requests>=2.0",  # http',
+          "        'jinja2'",
+          "    ],",
+          ")",
+        ].join("\n"),
+      },
+    ]);
+    expect(deps.map((d) => [d.name, d.lineNumber])).toEqual([
+      ["requests", 4],
+      ["jinja2", 5],
+    ]);
+  });
+});
+
+describe("reviewDependencies", () => {
+  it("passes well-declared dependencies", () => {
+    expect(
+      review({
+        requirements: "jinja2>=3.0\nPillow>=10.0",
+        pythonSource: "import os\nimport jinja2\nfrom PIL import Image\nfrom astrbot.api import logger\nfrom .utils import x",
+      })
+    ).toEqual([]);
+  });
+
+  it("flags unpinned, banned and typosquatted packages", () => {
+    expect(ruleHits(review({ requirements: "jinja2\nloguru>=0.7\nreqeusts==2.0" }))).toEqual([
+      ["unpinned-version", "low", "requirements.txt", 1],
+      ["banned-package", "high", "requirements.txt", 2],
+      ["typosquat", "critical", "requirements.txt", 3],
+    ]);
+  });
+
+  it("flags AstrBot core dependencies that are pinned or capped", () => {
+    expect(ruleHits(review({ requirements: "aiohttp==3.8.0\nopenai>=1.0\npydantic<2" }))).toEqual([
+      ["core-dependency-clash", "medium", "requirements.txt", 1],
+      ["core-dependency-clash", "medium", "requirements.txt", 3],
+    ]);
+  });
+
+  it("flags conflicting declarations across manifests", () => {
+    const dependencies = parseDependencyManifests([
+      { path: "requirements.txt", source: "jinja2>=3.0" },
+      { path: "pyproject.toml", source: '[project]\ndependencies = ["jinja2==2.11"]' },
+    ]);
+    const findings = reviewDependencies({ dependencies, pythonFiles: [], repositoryPaths: [] });
+    expect(ruleHits(findings)).toEqual([
+      ["conflicting-versions", "medium", "pyproject.toml", 2],
+    ]);
+    expect(findings[0].message).toContain("`requirements.txt` 中为 `>=3.0`");
+  });
+
+  it("flags undeclared third-party imports once per module", () => {
+    const findings = review({
+      requirements: "jinja2>=3.0",
+      pythonSource: [
+        "import numpy as np",
+        "import numpy.linalg",
+        "import aiohttp",
+        "import yaml",
+        "from helpers import util",
+        "from data.plugins.x import y",
+      ].join("\n"),
+      repositoryPaths: ["helpers/util.py"],
+    });
+    expect(ruleHits(findings)).toEqual([
+      ["undeclared-import", "medium", "main.py", 1],
+      ["undeclared-import", "medium", "main.py", 4],
+    ]);
+  });
+});
+
+describe("renderDependencySection", () => {
+  const linkOptions = { owner: "o", repo: "r", commitSha: "abc" };
+
+  it("notes a missing manifest", () => {
+    expect(
+      renderDependencySection([], linkOptions, { manifestPaths: [], dependencyCount: 0 })
+    ).toContain("未找到 `requirements.txt`");
+  });
+
+  it("lists parsed manifests and findings", () => {
+    const section = renderDependencySection(
+      review({ requirements: "loguru" }),
+      linkOptions,
+      { manifestPaths: ["requirements.txt"], dependencyCount: 1 }
+    );
+    expect(section).toContain("### 📦 依赖检查");
+    expect(section).toContain("已解析 `requirements.txt`，共声明 1 个依赖");
+    expect(section).toContain("https://github.com/o/r/blob/abc/requirements.txt#L1");
+  });
+});
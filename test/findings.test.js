@@ -0,0 +1,228 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  computeVerdict,
+  getFindingId,
+  parseFindingsResponse,
+  renderFindingsReport,
+  renderVerdict,
+  sortFindings,
+} from "../reviewer/findings.js";
+
+const paths = ["main.py", "utils/helpers.py"];
+
+describe("parseFindingsResponse", () => {
+  it("parses a well-formed response", () => {
+    const result = parseFindingsResponse(
+      JSON.stringify({
+        findings: [
+          {
+            file: "main.py",
+            line_start: 3,
+            line_end: 5,
+            category: "security",
+            severity: "high",
+            message: "使用了 os.system",
+            suggestion: "改用 asyncio.create_subprocess_exec",
+          },
+        ],
+      }),
+      paths
+    );
+    expect(result.success).toBe(true);
+    expect(result.findings).toEqual([
+      {
+        file: "main.py",
+        lineStart: 3,
+        lineEnd: 5,
+        category: "security",
+        severity: "high",
+        message: "使用了 os.system",
+        suggestion: "改用 asyncio.create_subprocess_exec",
+      },
+    ]);
+  });
+
+  it("repairs fenced JSON with surrounding text and trailing commas", () => {
+    const text = [
+      "以下是结果：",
+      "```json",
+      '{"findings": [{"file": "main.py", "line_start": 1, "severity": "warning", "message": "m",},],}',
+      "```",
+    ].join("\n");
+    const result = parseFindingsResponse(text, paths);
+    expect(result.success).toBe(true);
+    expect(result.findings[0]).toMatchObject({
+      severity: "medium",
+      category: "other",
+      lineEnd: 1,
+    });
+  });
+
+  it("accepts a top-level array", () => {
+    const result = parseFindingsResponse(
+      '[{"file": "main.py", "message": "m"}]',
+      paths
+    );
+    expect(result.success).toBe(true);
+    expect(result.findings[0].lineStart).toBeNull();
+  });
+
+  it("resolves partial file paths and drops unknown files", () => {
+    const result = parseFindingsResponse(
+      JSON.stringify({
+        findings: [
+          { file: "helpers.py", message: "a" },
+          { file: "./main.py", message: "b" },
+          { file: "other.py", message: "c" },
+          { file: "main.py", message: "" },
+        ],
+      }),
+      paths
+    );
+    expect(result.findings.map((f) => f.file)).toEqual([
+      "utils/helpers.py",
+      "main.py",
+    ]);
+    expect(result.droppedCount).toBe(2);
+  });
+
+  it("fixes inverted line ranges", () => {
+    const result = parseFindingsResponse(
+      '{"findings": [{"file": "main.py", "line_start": 9, "line_end": 2, "message": "m"}]}',
+      paths
+    );
+    expect(result.findings[0]).toMatchObject({ lineStart: 9, lineEnd: 9 });
+  });
+
+  it("fails for non-JSON text", () => {
+    const result = parseFindingsResponse("没有问题", paths);
+    expect(result.success).toBe(false);
+  });
+
+  it("fails when findings is missing", () => {
+    const result = parseFindingsResponse('{"issues": []}', paths);
+    expect(result.success).toBe(false);
+  });
+});
+
+describe("computeVerdict", () => {
+  it("requests changes when there is a critical finding", () => {
+    const verdict = computeVerdict([
+      { severity: "critical" },
+      { severity: "low" },
+    ]);
+    expect(verdict.level).toBe("changes_requested");
+    expect(verdict.counts).toMatchObject({ critical: 1, low: 1 });
+  });
+
+  it("needs attention for high findings", () => {
+    expect(computeVerdict([{ severity: "high" }]).level).toBe(
+      "needs_attention"
+    );
+  });
+
+  it("passes with only minor findings", () => {
+    expect(computeVerdict([{ severity: "medium" }]).level).toBe("passed");
+    expect(computeVerdict([]).level).toBe("passed");
+  });
+});
+
+describe("renderVerdict", () => {
+  it("renders the verdict label with severity counts", () => {
+    const text = renderVerdict(
+      computeVerdict([{ severity: "high" }, { severity: "low" }])
+    );
+    expect(text).toContain("**审核结论**: ⚠️ 建议修改");
+    expect(text).toContain("**问题统计**: 🟠 高 1 · 🔵 低 1");
+  });
+
+  it("notes when there are no findings", () => {
+    expect(renderVerdict(computeVerdict([]))).toContain(
+      "**问题统计**: 未发现问题"
+    );
+  });
+});
+
+describe("sortFindings", () => {
+  it("orders by severity, then file, then line", () => {
+    const sorted = sortFindings([
+      { file: "b.py", lineStart: 1, severity: "low" },
+      { file: "b.py", lineStart: 9, severity: "critical" },
+      { file: "a.py", lineStart: 5, severity: "critical" },
+      { file: "a.py", lineStart: 2, severity: "critical" },
+    ]);
+    expect(sorted.map((f) => `${f.file}:${f.lineStart}`)).toEqual([
+      "a.py:2",
+      "a.py:5",
+      "b.py:9",
+      "b.py:1",
+    ]);
+  });
+});
+
+describe("getFindingId", () => {
+  const finding = { file: "main.py", lineStart: 3, ruleId: "logger-source", category: "framework", message: "m" };
+
+  it("returns a stable 6-digit hex id", () => {
+    expect(getFindingId(finding)).toMatch(/^[0-9a-f]{6}$/);
+    expect(getFindingId({ ...finding, severity: "low", suggestion: "s" })).toBe(getFindingId(finding));
+  });
+
+  it("changes when the location or the message changes", () => {
+    expect(getFindingId({ ...finding, lineStart: 4 })).not.toBe(getFindingId(finding));
+    expect(getFindingId({ ...finding, message: "n" })).not.toBe(getFindingId(finding));
+  });
+});
+
+describe("renderFindingsReport", () => {
+  const options = {
+    owner: "owner",
+    repo: "repo",
+    commitSha: "deadbeef",
+    reviewedPaths: paths,
+  };
+
+  it("renders per-file sections with links to the reviewed commit", () => {
+    const report = renderFindingsReport(
+      [
+        {
+          file: "main.py",
+          lineStart: 7,
+          lineEnd: 7,
+          category: "framework",
+          severity: "high",
+          message: "filter 未从 astrbot.api.event 导入",
+          suggestion: "from astrbot.api.event import filter",
+        },
+      ],
+      options
+    );
+    expect(report).not.toContain("**审核结论**");
+    expect(report).toContain("### main.py");
+    expect(report).toContain(
+      "[`main.py#L7`](https://github.com/owner/repo/blob/deadbeef/main.py#L7)"
+    );
+    expect(report).toContain("建议：from astrbot.api.event import filter");
+    expect(report).toMatch(/- `[0-9a-f]{6}` /);
+    expect(report).toContain("### utils/helpers.py\n\n✅ 未发现问题");
+  });
+
+  it("renders findings without line numbers as plain paths", () => {
+    const report = renderFindingsReport(
+      [
+        {
+          file: "main.py",
+          lineStart: null,
+          lineEnd: null,
+          category: "other",
+          severity: "info",
+          message: "m",
+          suggestion: "",
+        },
+      ],
+      options
+    );
+    expect(report).toContain("`main.py`：m");
+    expect(report).not.toContain("建议：");
+  });
+});
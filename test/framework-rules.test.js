@@ -0,0 +1,179 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  checkFrameworkRules,
+  describeVerifiedRules,
+  FRAMEWORK_RULES,
+  renderFrameworkComplianceSection,
+} from "../reviewer/framework-rules.js";
+
+const header = [
+  "from astrbot.api import logger",
+  "from astrbot.api.event import filter, AstrMessageEvent",
+  "from astrbot.api.star import Context, Star",
+  "",
+  "class MyPlugin(Star):",
+];
+
+function check(...bodyLines) {
+  return checkFrameworkRules([
+    { path: "main.py", source: [...header, ...bodyLines].join("\n") },
+  ]);
+}
+
+describe("checkFrameworkRules", () => {
+  it("passes a compliant plugin", () => {
+    expect(
+      check(
+        "    @filter.on_llm_request()",
+        "    async def on_req(self, event, req):",
+        "        await event.send(event.plain_result('hi'))",
+        "    @filter.command('hello')",
+        "    async def hello(self, event):",
+        "        yield event.plain_result('hi')"
+      )
+    ).toEqual([]);
+  });
+
+  it("flags logging and loguru imports", () => {
+    const findings = checkFrameworkRules([
+      {
+        path: "main.py",
+        source: "import logging\nfrom loguru import logger\nclass P(Star):\n    pass",
+      },
+    ]);
+    expect(findings.map((f) => [f.ruleId, f.lineStart])).toEqual([
+      ["logger-source", 1],
+      ["logger-source", 2],
+    ]);
+  });
+
+  it("ignores imports inside docstrings and comments", () => {
+    const findings = checkFrameworkRules([
+      {
+        path: "main.py",
+        source: '"""\nimport logging\n"""\n# import loguru\nclass P(Star):\n    pass',
+      },
+    ]);
+    expect(findings).toEqual([]);
+  });
+
+  it("flags @filter usage without importing filter from astrbot.api.event", () => {
+    const findings = checkFrameworkRules([
+      {
+        path: "main.py",
+        source: [
+          "from astrbot.api.star import Star",
+          "class P(Star):",
+          "    @filter.command('a')",
+          "    async def a(self, event):",
+          "        pass",
+        ].join("\n"),
+      },
+    ]);
+    expect(findings).toEqual([
+      expect.objectContaining({
+        ruleId: "filter-import",
+        severity: "critical",
+        lineStart: 3,
+      }),
+    ]);
+  });
+
+  it("checks LLM hook signatures", () => {
+    const findings = check(
+      "    @filter.on_llm_response()",
+      "    def on_resp(self, event):",
+      "        pass"
+    );
+    expect(findings.map((f) => f.ruleId)).toEqual([
+      "llm-hook-signature",
+      "llm-hook-signature",
+    ]);
+    expect(findings[0].lineStart).toBe(7);
+  });
+
+  it("flags yield in special hooks but not in nested functions", () => {
+    const findings = check(
+      "    @filter.after_message_sent()",
+      "    async def sent(self, event):",
+      "        def gen():",
+      "            yield 1",
+      "        yield event.plain_result('x')"
+    );
+    expect(findings).toEqual([
+      expect.objectContaining({
+        ruleId: "no-yield-in-special-hooks",
+        lineStart: 10,
+      }),
+    ]);
+  });
+
+  it("flags permission_type on llm_tool methods", () => {
+    const findings = check(
+      "    @filter.llm_tool(name='t')",
+      "    @filter.permission_type(filter.PermissionType.ADMIN)",
+      "    async def tool(self, event):",
+      "        pass"
+    );
+    expect(findings).toEqual([
+      expect.objectContaining({ ruleId: "llm-tool-permission", lineStart: 7 }),
+    ]);
+  });
+
+  it("reports a missing Star subclass on main.py", () => {
+    const findings = checkFrameworkRules([
+      { path: "utils.py", source: "x = 1" },
+      { path: "main.py", source: "class P:\n    pass" },
+    ]);
+    expect(findings).toEqual([
+      expect.objectContaining({
+        ruleId: "star-subclass",
+        file: "main.py",
+        lineStart: null,
+        severity: "critical",
+      }),
+    ]);
+  });
+
+  it("skips the Star subclass check when only part of the plugin is checked", () => {
+    const files = [{ path: "utils/helpers.py", source: "x = 1" }];
+    expect(checkFrameworkRules(files, { partial: true })).toEqual([]);
+    expect(checkFrameworkRules(files)).toEqual([
+      expect.objectContaining({ ruleId: "star-subclass" }),
+    ]);
+  });
+});
+
+describe("renderFrameworkComplianceSection", () => {
+  const linkOptions = { owner: "o", repo: "r", commitSha: "abc" };
+
+  it("marks every rule as passed when there are no violations", () => {
+    const section = renderFrameworkComplianceSection([], linkOptions);
+    expect(section).toContain("### 🧩 框架规范检查");
+    expect(section.match(/- ✅/g)).toHaveLength(FRAMEWORK_RULES.length);
+    expect(section).not.toContain("发现的问题");
+  });
+
+  it("marks whole-plugin rules as unchecked for partial reviews", () => {
+    const section = renderFrameworkComplianceSection([], linkOptions, { partial: true });
+    expect(section).toContain("- ➖ 插件中必须存在继承自 Star 的插件主类（本次只审核了部分文件，未检查）");
+    expect(section.match(/- ✅/g)).toHaveLength(FRAMEWORK_RULES.length - 1);
+  });
+
+  it("lists violations with line links", () => {
+    const findings = checkFrameworkRules([
+      { path: "main.py", source: "import logging\nclass P(Star):\n    pass" },
+    ]);
+    const section = renderFrameworkComplianceSection(findings, linkOptions);
+    expect(section).toContain("- ❌ 日志记录器 logger 必须从 astrbot.api 导入");
+    expect(section).toContain("https://github.com/o/r/blob/abc/main.py#L1");
+  });
+});
+
+describe("describeVerifiedRules", () => {
+  it("lists one line per rule", () => {
+    expect(describeVerifiedRules().split("\n")).toHaveLength(
+      FRAMEWORK_RULES.length
+    );
+  });
+});
@@ -7,6 +7,8 @@ jest.unstable_mockModule("../reviewer/config.js", () => ({
 jest.unstable_mockModule("../reviewer/issue-dedup.js", () => ({
   shouldContinueAfterDedupCheck: jest.fn(),
   cleanupDedupMappingForClosedIssue: jest.fn(),
+  markIssueAsDuplicate: jest.fn(),
+  unlinkIssueForRepo: jest.fn(),
 }));
 
 jest.unstable_mockModule("../reviewer/comments.js", () => ({
@@ -19,6 +21,28 @@ jest.unstable_mockModule("../reviewer/review-flow.js", () => ({
   handlePluginReview: jest.fn(),
 }));
 
+jest.unstable_mockModule("../reviewer/audit-log.js", () => ({
+  recordIssueAuditEvent: jest.fn(),
+}));
+
+jest.unstable_mockModule("../reviewer/webhook-deliveries.js", () => ({
+  markDeliveryReceived: jest.fn(),
+}));
+
+jest.unstable_mockModule("../reviewer/job-context.js", () => ({
+  createJobContext: jest.fn(),
+}));
+
+jest.unstable_mockModule("../reviewer/review-queue.js", () => ({
+  createReviewQueue: jest.fn(({ runJob }) => ({
+    enqueue: jest.fn(async (job, context) => {
+      await runJob(job, context, { signal: null });
+      return { id: "job-1", position: 0 };
+    }),
+    resume: jest.fn(() => 0),
+  })),
+}));
+
 const app = (await import("../index.js")).default;
 
 const { validateEnvironment } = await import("../reviewer/config.js");
@@ -30,6 +54,10 @@ const { findLastReviewComment, postOrUpdateComment, postSystemErrorComment } = a
   "../reviewer/comments.js"
 );
 const { handlePluginReview } = await import("../reviewer/review-flow.js");
+const { createReviewQueue } = await import("../reviewer/review-queue.js");
+const { createJobContext } = await import("../reviewer/job-context.js");
+const { markDeliveryReceived } = await import("../reviewer/webhook-deliveries.js");
+const { recordIssueAuditEvent } = await import("../reviewer/audit-log.js");
 
 function createMockApp() {
   const handlers = {};
@@ -57,13 +85,19 @@ function createMockContext(payload) {
         get: jest.fn().mockResolvedValue({ data: { state: "open" } }),
         update: jest.fn().mockResolvedValue({}),
       },
+      reactions: {
+        createForIssueComment: jest.fn().mockResolvedValue({}),
+      },
     },
+    repo: jest.fn((params = {}) => ({ owner: "repoowner", repo: "reponame", ...params })),
     issue: jest.fn((params = {}) => ({
       owner: "repoowner",
       repo: "reponame",
       issue_number: payload.issue?.number || 1,
       ...params,
     })),
+    config: jest.fn().mockResolvedValue(null),
+    log: { trace() {}, debug() {}, info() {}, warn: jest.fn(), error() {}, fatal() {} },
   };
 }
 
@@ -73,6 +107,7 @@ describe("index (app entry point)", () => {
   beforeEach(() => {
     jest.clearAllMocks();
     shouldContinueAfterDedupCheck.mockResolvedValue(true);
+    markDeliveryReceived.mockReturnValue(true);
     const result = createMockApp();
     handlers = result.handlers;
     app(result.mockApp);
@@ -89,6 +124,82 @@ describe("index (app entry point)", () => {
     expect(handlers["issue_comment.created"]).toBeDefined();
   });
 
+  describe("review queue", () => {
+    function getQueueOptions() {
+      return createReviewQueue.mock.calls[0][0];
+    }
+
+    it("resumes unfinished review jobs on startup", () => {
+      const queue = createReviewQueue.mock.results[0].value;
+      expect(queue.resume).toHaveBeenCalledTimes(1);
+    });
+
+    it("enqueues the review job with installation, repository and issue", async () => {
+      const context = createMockContext({
+        action: "opened",
+        installation: { id: 42 },
+        issue: { number: 7, labels: [{ name: "plugin-publish" }] },
+      });
+
+      await handlers["issues.opened"](context);
+
+      const queue = createReviewQueue.mock.results[0].value;
+      expect(queue.enqueue).toHaveBeenCalledWith(
+        {
+          installationId: 42,
+          repositoryFullName: "AstrBotDevs/AstrBot",
+          issueNumber: 7,
+          isUpdate: false,
+          commentId: null,
+          ref: null,
+          files: null,
+          force: false,
+        },
+        context
+      );
+    });
+
+    it("restores job contexts through the app installation", async () => {
+      const job = { id: "job-1", installationId: 42 };
+      await getQueueOptions().restoreContext(job);
+      expect(createJobContext).toHaveBeenCalledWith(expect.any(Object), job);
+    });
+
+    it("posts a review_queued comment with the queue position", async () => {
+      const context = createMockContext({ issue: { number: 7 } });
+      postOrUpdateComment.mockResolvedValue(99);
+
+      const commentId = await getQueueOptions().notifyQueued(
+        { issueNumber: 7, commentId: null },
+        2,
+        context
+      );
+
+      expect(commentId).toBe(99);
+      expect(postOrUpdateComment).toHaveBeenCalledWith(
+        context,
+        "review_queued",
+        { position: 2 },
+        false,
+        null
+      );
+    });
+
+    it("updates the existing comment when the job already has one", async () => {
+      const context = createMockContext({ issue: { number: 7 } });
+
+      await getQueueOptions().notifyQueued({ issueNumber: 7, commentId: 5 }, 1, context);
+
+      expect(postOrUpdateComment).toHaveBeenCalledWith(
+        context,
+        "review_queued",
+        { position: 1 },
+        true,
+        5
+      );
+    });
+  });
+
   describe("issues.opened handler", () => {
     it("calls handlePluginReview for issue with plugin-publish label", async () => {
       const context = createMockContext({
@@ -102,7 +213,7 @@ describe("index (app entry point)", () => {
 
       await handlers["issues.opened"](context);
 
-      expect(handlePluginReview).toHaveBeenCalledWith(context, false, null);
+      expect(handlePluginReview).toHaveBeenCalledWith(context, false, null, { ref: null, files: null, signal: null, force: false });
     });
 
     it("accepts any repository under AstrBotDevs", async () => {
@@ -118,7 +229,7 @@ describe("index (app entry point)", () => {
 
       await handlers["issues.opened"](context);
 
-      expect(handlePluginReview).toHaveBeenCalledWith(context, false, null);
+      expect(handlePluginReview).toHaveBeenCalledWith(context, false, null, { ref: null, files: null, signal: null, force: false });
       expect(postOrUpdateComment).not.toHaveBeenCalled();
     });
 
@@ -171,6 +282,37 @@ describe("index (app entry point)", () => {
       expect(handlePluginReview).not.toHaveBeenCalled();
     });
 
+    it("uses the label and allowed repositories from the repository config", async () => {
+      const context = createMockContext({
+        action: "opened",
+        issue: { number: 1, labels: [{ name: "plugin-submit" }], body: "some body" },
+      });
+      context.config.mockResolvedValue({ labels: { plugin_publish: "plugin-submit" } });
+
+      await handlers["issues.opened"](context);
+
+      expect(context.config).toHaveBeenCalledWith("astr-plugin-reviewer.yml");
+      expect(handlePluginReview).toHaveBeenCalledWith(context, false, null, { ref: null, files: null, signal: null, force: false });
+
+      findLastReviewComment.mockResolvedValue(null);
+      const restricted = createMockContext({
+        action: "opened",
+        issue: { number: 2, labels: [{ name: "plugin-publish" }], body: "some body" },
+      });
+      restricted.config.mockResolvedValue({ allowed_repositories: ["AstrBotDevs/registry"] });
+
+      await handlers["issues.opened"](restricted);
+
+      expect(handlePluginReview).toHaveBeenCalledTimes(1);
+      expect(postOrUpdateComment).toHaveBeenCalledWith(
+        restricted,
+        "unsupported_repository",
+        expect.objectContaining({ repositoryFullName: "AstrBotDevs/AstrBot" }),
+        false,
+        null
+      );
+    });
+
     it("skips issues with no labels", async () => {
       const context = createMockContext({
         action: "opened",
@@ -237,11 +379,60 @@ describe("index (app entry point)", () => {
         "unsupported_repository",
         expect.objectContaining({
           repositoryFullName: "someone/other",
-          supportedRepositoryPrefix: "AstrBotDevs/",
+          allowedRepositories: ["AstrBotDevs/"],
         }),
         false,
         null
       );
+      expect(recordIssueAuditEvent).toHaveBeenCalledWith(context, {
+        action: "unsupported_repository",
+        outcome: "warned",
+      });
+    });
+
+    it("audits but does not repeat the uninstall notice on unsupported repository", async () => {
+      findLastReviewComment.mockResolvedValue({ id: 5, body: "## ⚠️ 当前仓库不受支持" });
+      const context = createMockContext({
+        action: "opened",
+        repository: { full_name: "someone/other" },
+        issue: {
+          number: 1,
+          labels: [{ name: "plugin-publish" }],
+          body: "some body",
+        },
+      });
+
+      await handlers["issues.opened"](context);
+
+      expect(postOrUpdateComment).not.toHaveBeenCalled();
+      expect(recordIssueAuditEvent).toHaveBeenCalledWith(context, {
+        action: "unsupported_repository",
+        outcome: "already_warned",
+      });
+    });
+
+    it("uses the allowed repositories from the repository config", async () => {
+      findLastReviewComment.mockResolvedValue(null);
+      const context = createMockContext({
+        action: "opened",
+        repository: { full_name: "someone/other" },
+        issue: {
+          number: 1,
+          labels: [{ name: "bug" }],
+          body: "some body",
+        },
+      });
+      context.config.mockResolvedValue({ allowed_repositories: ["someone/"] });
+
+      await handlers["issues.opened"](context);
+
+      expect(postOrUpdateComment).not.toHaveBeenCalledWith(
+        context,
+        "unsupported_repository",
+        expect.anything(),
+        false,
+        null
+      );
     });
 
     it("posts uninstall notice on unsupported repository even without plugin-publish label", async () => {
@@ -264,7 +455,7 @@ describe("index (app entry point)", () => {
         "unsupported_repository",
         expect.objectContaining({
           repositoryFullName: "someone/other",
-          supportedRepositoryPrefix: "AstrBotDevs/",
+          allowedRepositories: ["AstrBotDevs/"],
         }),
         false,
         null
@@ -308,7 +499,7 @@ describe("index (app entry point)", () => {
       expect(handlePluginReview).not.toHaveBeenCalled();
     });
 
-    it("skips when review is in progress", async () => {
+    it("queues a follow-up review without taking over the in-progress comment", async () => {
       findLastReviewComment.mockResolvedValue({
         id: 10,
         body: "## ⏳ 正在审核中...",
@@ -324,6 +515,26 @@ describe("index (app entry point)", () => {
 
       await handlers["issues.edited"](context);
 
+      expect(context.octokit.issues.update).toHaveBeenCalled();
+      expect(handlePluginReview).toHaveBeenCalledWith(context, false, null, { ref: null, files: null, signal: null, force: false });
+    });
+
+    it("skips redelivered webhooks", async () => {
+      markDeliveryReceived.mockReturnValue(false);
+      const context = createMockContext({
+        action: "edited",
+        issue: {
+          number: 1,
+          labels: [{ name: "plugin-publish" }],
+          body: "- [x] 重新提交审核",
+        },
+      });
+      context.id = "delivery-1";
+
+      await handlers["issues.edited"](context);
+
+      expect(markDeliveryReceived).toHaveBeenCalledWith("delivery-1");
+      expect(findLastReviewComment).not.toHaveBeenCalled();
       expect(handlePluginReview).not.toHaveBeenCalled();
     });
 
@@ -363,7 +574,7 @@ describe("index (app entry point)", () => {
       await handlers["issues.edited"](context);
 
       expect(context.octokit.issues.update).toHaveBeenCalled();
-      expect(handlePluginReview).toHaveBeenCalledWith(context, true, 10);
+      expect(handlePluginReview).toHaveBeenCalledWith(context, true, 10, { ref: null, files: null, signal: null, force: false });
     });
 
     it("unchecks re-review checkbox before calling handlePluginReview", async () => {
@@ -441,7 +652,89 @@ describe("index (app entry point)", () => {
 
       await handlers["issue_comment.created"](context);
 
-      expect(handlePluginReview).toHaveBeenCalledWith(context, false, null);
+      expect(handlePluginReview).toHaveBeenCalledWith(context, false, null, { ref: null, files: null, signal: null, force: false });
+    });
+
+    it("passes the ref argument of the review command", async () => {
+      findLastReviewComment.mockResolvedValue(null);
+      const context = createMockContext({
+        action: "created",
+        issue: {
+          number: 1,
+          labels: [{ name: "plugin-publish" }],
+        },
+        comment: {
+          id: 51,
+          body: "@astrpluginreviewer review ref=v1.2.0",
+          user: { login: "testuser", type: "User" },
+        },
+      });
+
+      await handlers["issue_comment.created"](context);
+
+      expect(handlePluginReview).toHaveBeenCalledWith(context, false, null, { ref: "v1.2.0", files: null, signal: null, force: false });
+    });
+
+    it("acknowledges the command with a reaction and passes the review options", async () => {
+      const context = createMockContext({
+        action: "created",
+        issue: {
+          number: 1,
+          labels: [{ name: "plugin-publish" }],
+        },
+        comment: {
+          id: 52,
+          body: "@astrpluginreviewer review --files main.py utils/ --ref v1.2.0",
+          user: { login: "testuser", type: "User" },
+        },
+      });
+
+      await handlers["issue_comment.created"](context);
+
+      expect(context.octokit.reactions.createForIssueComment).toHaveBeenCalledWith({
+        owner: "repoowner",
+        repo: "reponame",
+        comment_id: 52,
+        content: "eyes",
+      });
+      expect(handlePluginReview).toHaveBeenCalledWith(context, false, null, {
+        ref: "v1.2.0",
+        files: ["main.py", "utils"],
+        signal: null,
+        force: false,
+      });
+    });
+
+    it("replies with the valid commands when the command is mistyped", async () => {
+      const context = createMockContext({
+        action: "created",
+        issue: {
+          number: 1,
+          labels: [{ name: "plugin-publish" }],
+        },
+        comment: {
+          id: 53,
+          body: "@astrpluginreviewer reveiw",
+          user: { login: "testuser", type: "User" },
+        },
+      });
+
+      await handlers["issue_comment.created"](context);
+
+      expect(handlePluginReview).not.toHaveBeenCalled();
+      expect(context.octokit.reactions.createForIssueComment).toHaveBeenCalledWith(
+        expect.objectContaining({ comment_id: 53, content: "confused" })
+      );
+      expect(postOrUpdateComment).toHaveBeenCalledWith(
+        context,
+        "command_error",
+        expect.objectContaining({
+          error: "未知命令 `reveiw`。",
+          usage: expect.stringContaining("`@astrpluginreviewer review"),
+        }),
+        false,
+        null
+      );
     });
 
     it("skips issues without plugin-publish label", async () => {
@@ -463,7 +756,7 @@ describe("index (app entry point)", () => {
       expect(handlePluginReview).not.toHaveBeenCalled();
     });
 
-    it("skips when review is already in progress", async () => {
+    it("queues the command while a review is already in progress", async () => {
       findLastReviewComment.mockResolvedValue({
         id: 10,
         body: "## ⏳ 正在审核中...",
@@ -483,6 +776,26 @@ describe("index (app entry point)", () => {
 
       await handlers["issue_comment.created"](context);
 
+      expect(handlePluginReview).toHaveBeenCalledWith(context, false, null, { ref: null, files: null, signal: null, force: false });
+    });
+
+    it("skips redelivered comment webhooks", async () => {
+      markDeliveryReceived.mockReturnValue(false);
+      const context = createMockContext({
+        action: "created",
+        issue: {
+          number: 1,
+          labels: [{ name: "plugin-publish" }],
+        },
+        comment: {
+          id: 50,
+          body: "@astrpluginreviewer review",
+          user: { login: "testuser", type: "User" },
+        },
+      });
+
+      await handlers["issue_comment.created"](context);
+
       expect(handlePluginReview).not.toHaveBeenCalled();
     });
 
@@ -592,7 +905,7 @@ describe("index (app entry point)", () => {
         "unsupported_repository",
         expect.objectContaining({
           repositoryFullName: "someone/other",
-          supportedRepositoryPrefix: "AstrBotDevs/",
+          allowedRepositories: ["AstrBotDevs/"],
         }),
         false,
         null
@@ -623,7 +936,7 @@ describe("index (app entry point)", () => {
         "unsupported_repository",
         expect.objectContaining({
           repositoryFullName: "someone/other",
-          supportedRepositoryPrefix: "AstrBotDevs/",
+          allowedRepositories: ["AstrBotDevs/"],
         }),
         false,
         null
@@ -4,6 +4,10 @@ jest.unstable_mockModule("../reviewer/quota.js", () => ({
   getPluginRepoKeyFromIssue: jest.fn(),
 }));
 
+jest.unstable_mockModule("../reviewer/audit-log.js", () => ({
+  recordIssueAuditEvent: jest.fn(),
+}));
+
 const mockDb = {
   getIssueIdForRepo: jest.fn(),
   markIssueForRepo: jest.fn(),
@@ -24,8 +28,11 @@ const {
   shouldContinueAfterDedupCheck,
   cleanupDedupMappingForClosedIssue,
   initializeImdb,
+  markIssueAsDuplicate,
+  unlinkIssueForRepo,
 } = await import("../reviewer/issue-dedup.js");
 const { getPluginRepoKeyFromIssue } = await import("../reviewer/quota.js");
+const { recordIssueAuditEvent } = await import("../reviewer/audit-log.js");
 
 function createMockContext(issueOverrides = {}) {
   return {
@@ -81,6 +88,12 @@ describe("issue dedup", () => {
 
     expect(shouldContinue).toBe(true);
     expect(mockDb.markIssueForRepo).not.toHaveBeenCalled();
+    expect(recordIssueAuditEvent).toHaveBeenCalledWith(context, {
+      action: "dedup_check",
+      repoKey: null,
+      outcome: "no_repo_key",
+      details: {},
+    });
   });
 
   it("records mapping and continues when no existing issue", async () => {
@@ -91,6 +104,10 @@ describe("issue dedup", () => {
 
     expect(shouldContinue).toBe(true);
     expect(mockDb.markIssueForRepo).toHaveBeenCalledWith("owner/repo", 8);
+    expect(recordIssueAuditEvent).toHaveBeenCalledWith(
+      context,
+      expect.objectContaining({ action: "dedup_check", repoKey: "owner/repo", outcome: "first_submission" })
+    );
   });
 
   it("continues when existing issue id equals current issue", async () => {
@@ -118,6 +135,10 @@ describe("issue dedup", () => {
     expect(context.octokit.issues.update).toHaveBeenCalledWith(
       expect.objectContaining({ state: "closed", state_reason: "not_planned" })
     );
+    expect(recordIssueAuditEvent).toHaveBeenCalledWith(
+      context,
+      expect.objectContaining({ outcome: "closed_duplicate", details: { duplicateOf: 7 } })
+    );
   });
 
   it("replaces stale mapping when existing issue is closed", async () => {
@@ -146,6 +167,13 @@ describe("issue dedup", () => {
     expect(shouldContinue).toBe(true);
     expect(mockDb.removeIssueForRepoIfMatch).toHaveBeenCalledWith("owner/repo");
     expect(mockDb.markIssueForRepo).toHaveBeenCalledWith("owner/repo", 9);
+    expect(recordIssueAuditEvent).toHaveBeenCalledWith(
+      context,
+      expect.objectContaining({
+        outcome: "replaced_stale_mapping",
+        details: { previousIssueId: 3, reason: "missing" },
+      })
+    );
   });
 
   it("continues when existing issue lookup fails with non-404", async () => {
@@ -158,6 +186,10 @@ describe("issue dedup", () => {
 
     expect(shouldContinue).toBe(true);
     expect(mockDb.markIssueForRepo).not.toHaveBeenCalled();
+    expect(recordIssueAuditEvent).toHaveBeenCalledWith(
+      context,
+      expect.objectContaining({ outcome: "lookup_failed", details: { previousIssueId: 3, error: "API down" } })
+    );
   });
 
   it("cleans up mapping for closed issue", () => {
@@ -177,4 +209,48 @@ describe("issue dedup", () => {
 
     expect(mockDb.removeIssueForRepoIfMatch).not.toHaveBeenCalled();
   });
+
+  it("closes the issue as a duplicate of the given issue and remaps the repo", async () => {
+    const context = createMockContext({ number: 10 });
+
+    const result = await markIssueAsDuplicate(context, 4);
+
+    expect(result).toEqual({ success: true, repoKey: "owner/repo" });
+    expect(context.octokit.issues.get).toHaveBeenCalledWith(expect.objectContaining({ issue_number: 4 }));
+    expect(mockDb.markIssueForRepo).toHaveBeenCalledWith("owner/repo", 4);
+    expect(context.octokit.issues.createComment).toHaveBeenCalledWith(
+      expect.objectContaining({ body: "Duplicate of #4" })
+    );
+    expect(context.octokit.issues.update).toHaveBeenCalledWith(
+      expect.objectContaining({ state: "closed", state_reason: "not_planned" })
+    );
+  });
+
+  it("refuses to mark an issue as a duplicate of itself or of a missing issue", async () => {
+    const context = createMockContext({ number: 10 });
+    expect(await markIssueAsDuplicate(context, 10)).toEqual({
+      success: false,
+      error: "不能将 Issue 标记为其自身的重复。",
+    });
+
+    context.octokit.issues.get.mockRejectedValue(Object.assign(new Error("Not Found"), { status: 404 }));
+    expect(await markIssueAsDuplicate(context, 99)).toEqual({
+      success: false,
+      error: "找不到 Issue #99。",
+    });
+    expect(context.octokit.issues.update).not.toHaveBeenCalled();
+    expect(mockDb.markIssueForRepo).not.toHaveBeenCalled();
+  });
+
+  it("unlinks the repo mapping regardless of the mapped issue", () => {
+    mockDb.getIssueIdForRepo.mockReturnValue(5);
+    expect(unlinkIssueForRepo("owner/repo")).toBe(5);
+    expect(mockDb.removeIssueForRepoIfMatch).toHaveBeenCalledWith("owner/repo");
+
+    mockDb.removeIssueForRepoIfMatch.mockClear();
+    mockDb.getIssueIdForRepo.mockReturnValue(undefined);
+    expect(unlinkIssueForRepo("owner/repo")).toBeNull();
+    expect(unlinkIssueForRepo(null)).toBeNull();
+    expect(mockDb.removeIssueForRepoIfMatch).not.toHaveBeenCalled();
+  });
 });
@@ -0,0 +1,71 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+
+const store = new Map();
+const mockDb = {
+  get: jest.fn((key) => store.get(key)),
+  putSync: jest.fn((key, value) => store.set(key, value)),
+  removeSync: jest.fn((key) => store.delete(key)),
+  transactionSync: jest.fn((callback) => callback()),
+  close: jest.fn().mockResolvedValue(undefined),
+};
+
+jest.unstable_mockModule("lmdb", () => ({
+  open: jest.fn(() => mockDb),
+}));
+
+const {
+  LOCK_OWNER,
+  acquireIssueLock,
+  releaseIssueLock,
+  renewIssueLock,
+} = await import("../reviewer/issue-lock.js");
+
+describe("issue lock", () => {
+  beforeEach(() => {
+    store.clear();
+    jest.clearAllMocks();
+  });
+
+  it("acquires a free lock with an expiry", () => {
+    expect(acquireIssueLock("o/r#1", { ttlMs: 1000, now: 5000 })).toBe(true);
+    expect(store.get("o/r#1")).toEqual({ owner: LOCK_OWNER, acquiredAt: 5000, expiresAt: 6000 });
+    expect(mockDb.transactionSync).toHaveBeenCalled();
+  });
+
+  it("rejects a lock held by another process until it expires", () => {
+    store.set("o/r#1", { owner: "other", acquiredAt: 0, expiresAt: 6000 });
+
+    expect(acquireIssueLock("o/r#1", { ttlMs: 1000, now: 5999 })).toBe(false);
+    expect(store.get("o/r#1").owner).toBe("other");
+
+    expect(acquireIssueLock("o/r#1", { ttlMs: 1000, now: 6000 })).toBe(true);
+    expect(store.get("o/r#1")).toEqual({ owner: LOCK_OWNER, acquiredAt: 6000, expiresAt: 7000 });
+  });
+
+  it("treats missing issue keys as lock-free", () => {
+    expect(acquireIssueLock(null)).toBe(true);
+    expect(mockDb.transactionSync).not.toHaveBeenCalled();
+  });
+
+  it("renews only locks owned by the current process", () => {
+    acquireIssueLock("o/r#1", { ttlMs: 1000, now: 0 });
+    expect(renewIssueLock("o/r#1", { ttlMs: 1000, now: 800 })).toBe(true);
+    expect(store.get("o/r#1")).toEqual({ owner: LOCK_OWNER, acquiredAt: 0, expiresAt: 1800 });
+
+    store.set("o/r#2", { owner: "other", acquiredAt: 0, expiresAt: 1000 });
+    expect(renewIssueLock("o/r#2", { ttlMs: 1000, now: 800 })).toBe(false);
+    expect(store.get("o/r#2").expiresAt).toBe(1000);
+    expect(renewIssueLock("o/r#3")).toBe(false);
+  });
+
+  it("releases only locks owned by the current process", () => {
+    acquireIssueLock("o/r#1");
+    store.set("o/r#2", { owner: "other", acquiredAt: 0, expiresAt: Date.now() + 1000 });
+
+    releaseIssueLock("o/r#1");
+    releaseIssueLock("o/r#2");
+
+    expect(store.has("o/r#1")).toBe(false);
+    expect(store.has("o/r#2")).toBe(true);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  getIssueFormLabel,
+  isChecklistItemChecked,
+  parseIssueBody,
+} from "../reviewer/issue-parser.js";
+
+describe("parseIssueBody", () => {
+  it("parses the legacy JSON template", () => {
+    const body = '- [x] 同意\n\n```json\n{"name": "demo", "repo": "https://github.com/a/b"}\n```';
+    expect(parseIssueBody(body)).toEqual({
+      format: "json",
+      pluginData: { name: "demo", repo: "https://github.com/a/b" },
+      source: '{"name": "demo", "repo": "https://github.com/a/b"}',
+      error: null,
+      checkedItems: ["同意"],
+    });
+  });
+
+  it("keeps the JSON source when parsing fails", () => {
+    const result = parseIssueBody("```json\n{bad}\n```");
+    expect(result.format).toBe("json");
+    expect(result.pluginData).toBeNull();
+    expect(result.source).toBe("{bad}");
+    expect(result.error).toBeInstanceOf(SyntaxError);
+  });
+
+  it("parses an issue form rendered body", () => {
+    const body = [
+      "### 插件名称（英文）",
+      "",
+      "astrbot_plugin_demo",
+      "",
+      "### 插件介绍",
+      "",
+      "第一行",
+      "第二行",
+      "",
+      "### 作者",
+      "",
+      "someone",
+      "",
+      "### 仓库地址",
+      "",
+      "```text",
+      "https://github.com/someone/astrbot_plugin_demo",
+      "```",
+      "",
+      "### 标签",
+      "",
+      "工具, 娱乐、 群管",
+      "",
+      "### 社交链接",
+      "",
+      "_No response_",
+      "",
+      "### 其他说明",
+      "",
+      "ignored",
+      "",
+      "## 审核选项",
+      "",
+      "- [x] 重新提交审核",
+    ].join("\n");
+
+    expect(parseIssueBody(body)).toEqual({
+      format: "issue-form",
+      pluginData: {
+        name: "astrbot_plugin_demo",
+        desc: "第一行\n第二行",
+        author: "someone",
+        repo: "https://github.com/someone/astrbot_plugin_demo",
+        tags: ["工具", "娱乐", "群管"],
+        social_link: "",
+      },
+      source: null,
+      error: null,
+      checkedItems: ["重新提交审核"],
+    });
+  });
+
+  it("prefers the JSON block when both formats are present", () => {
+    const body = '### 插件名\n\nform\n\n```json\n{"name": "json"}\n```';
+    expect(parseIssueBody(body)).toMatchObject({
+      format: "json",
+      pluginData: { name: "json" },
+    });
+  });
+
+  it("returns a null format for unrecognized bodies", () => {
+    expect(parseIssueBody("### 随便写写\n\n内容")).toMatchObject({
+      format: null,
+      pluginData: null,
+    });
+    expect(parseIssueBody(null).format).toBeNull();
+  });
+});
+
+describe("isChecklistItemChecked", () => {
+  const label =
+    "我已阅读并同意遵守该项目的 [行为准则](https://docs.github.com/zh/site-policy/github-terms/github-community-code-of-conduct)。";
+
+  it("ignores link syntax and trailing punctuation", () => {
+    expect(isChecklistItemChecked(["我已阅读并同意遵守该项目的行为准则"], label)).toBe(true);
+    expect(isChecklistItemChecked([label], label)).toBe(true);
+  });
+
+  it("returns false when the item is not checked", () => {
+    expect(isChecklistItemChecked(["我的插件经过完整的测试"], label)).toBe(false);
+  });
+});
+
+describe("getIssueFormLabel", () => {
+  it("returns the primary form label", () => {
+    expect(getIssueFormLabel("repo")).toBe("仓库地址");
+    expect(getIssueFormLabel("unknown")).toBe("unknown");
+  });
+});
@@ -0,0 +1,413 @@
+import { jest, describe, it, expect, beforeAll, afterAll, beforeEach } from "@jest/globals";
+import http from "node:http";
+import {
+  LLM_PROVIDER_NAMES,
+  createLlmProvider,
+  isJsonModeUnsupportedError,
+  isTransientLlmError,
+  providerRequiresApiKey,
+} from "../reviewer/llm-provider.js";
+
+/**
+ * 本地桩服务：记录收到的请求，并按路径返回预设响应。
+ */
+function createStubServer() {
+  const requests = [];
+  const routes = new Map();
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      const path = req.url.split("?")[0];
+      requests.push({ path, headers: req.headers, body: raw ? JSON.parse(raw) : null });
+      const queue = routes.get(path) || [];
+      const route = (queue.length > 1 ? queue.shift() : queue[0]) || { status: 404, body: { error: "not found" } };
+      res.writeHead(route.status, { "content-type": route.contentType || "application/json" });
+      res.end(route.raw ?? JSON.stringify(route.body));
+    });
+  });
+
+  return {
+    requests,
+    respond(path, body, status = 200) {
+      routes.set(path, [{ status, body }]);
+    },
+    respondStream(path, lines, contentType) {
+      routes.set(path, [{ status: 200, raw: lines.join("\n") + "\n", contentType }]);
+    },
+    respondSequence(path, responses) {
+      routes.set(path, responses.map(([status, body]) => ({ status, body })));
+    },
+    reset() {
+      requests.length = 0;
+      routes.clear();
+    },
+    listen: () =>
+      new Promise((resolve) => {
+        server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+      }),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+describe("LLM providers", () => {
+  const stub = createStubServer();
+  let baseURL;
+
+  beforeAll(async () => {
+    baseURL = await stub.listen();
+  });
+
+  afterAll(async () => {
+    await stub.close();
+  });
+
+  beforeEach(() => {
+    stub.reset();
+  });
+
+  it("lists the supported providers", () => {
+    expect(LLM_PROVIDER_NAMES).toEqual(["openai-chat", "openai-responses", "anthropic", "ollama"]);
+    expect(providerRequiresApiKey("ollama")).toBe(false);
+    expect(providerRequiresApiKey("anthropic")).toBe(true);
+  });
+
+  it("rejects an unknown provider", () => {
+    expect(() => createLlmProvider({ provider: "gemini", model: "m" })).toThrow(
+      'Unsupported LLM provider "gemini"'
+    );
+  });
+
+  describe("retries", () => {
+    const config = () => ({
+      provider: "openai-chat",
+      apiKey: "sk-test",
+      baseURL: `${baseURL}/v1`,
+      model: "gpt-4o-mini",
+      retryBaseDelayMs: 0,
+    });
+
+    it("retries rate limits and server errors with backoff", async () => {
+      stub.respondSequence("/v1/chat/completions", [
+        [429, { error: { message: "rate limited" } }],
+        [503, { error: { message: "unavailable" } }],
+        [200, { choices: [{ message: { role: "assistant", content: "ok" } }] }],
+      ]);
+
+      const result = await createLlmProvider(config()).complete("review");
+      expect(result.content).toBe("ok");
+      expect(stub.requests).toHaveLength(3);
+    });
+
+    it("gives up after the configured number of retries", async () => {
+      stub.respond("/v1/messages", { type: "error" }, 500);
+
+      const provider = createLlmProvider({ ...config(), provider: "anthropic", baseURL, maxRetries: 2 });
+      await expect(provider.complete("review")).rejects.toMatchObject({ status: 500, attempts: 3 });
+      expect(stub.requests).toHaveLength(3);
+    });
+
+    it("does not retry client errors", async () => {
+      stub.respond("/api/chat", { error: "model not found" }, 404);
+
+      const provider = createLlmProvider({ ...config(), provider: "ollama", baseURL });
+      await expect(provider.complete("review")).rejects.toMatchObject({ status: 404, attempts: 1 });
+      expect(stub.requests).toHaveLength(1);
+    });
+
+    it("classifies transient failures", () => {
+      expect(isTransientLlmError({ status: 429 })).toBe(true);
+      expect(isTransientLlmError({ status: 502 })).toBe(true);
+      expect(isTransientLlmError({ status: 400 })).toBe(false);
+      expect(isTransientLlmError({ status: 401 })).toBe(false);
+      expect(isTransientLlmError({ name: "APIConnectionTimeoutError" })).toBe(true);
+      expect(isTransientLlmError({ name: "TimeoutError" })).toBe(true);
+      expect(isTransientLlmError(Object.assign(new TypeError("fetch failed"), { cause: { code: "ECONNRESET" } }))).toBe(true);
+      expect(isTransientLlmError(new Error("boom"))).toBe(false);
+      expect(isTransientLlmError(null)).toBe(false);
+    });
+
+    it("recognizes bad requests caused by JSON mode only", () => {
+      expect(isJsonModeUnsupportedError({ status: 400, message: "'response_format' is not supported" })).toBe(true);
+      expect(isJsonModeUnsupportedError({ status: 400, message: "400", error: { message: "json mode unavailable" } })).toBe(true);
+      expect(isJsonModeUnsupportedError({ status: 400, message: "maximum context length is 8192 tokens" })).toBe(false);
+      expect(isJsonModeUnsupportedError({ status: 500, message: "response_format failed" })).toBe(false);
+      expect(isJsonModeUnsupportedError(null)).toBe(false);
+    });
+  });
+
+  describe("openai-chat", () => {
+    const config = () => ({ provider: "openai-chat", apiKey: "sk-test", baseURL: `${baseURL}/v1`, model: "gpt-4o-mini" });
+
+    it("sends chat completions and requests JSON mode", async () => {
+      stub.respond("/v1/chat/completions", {
+        choices: [{ message: { role: "assistant", content: '{"findings": []}' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 },
+      });
+
+      const provider = createLlmProvider(config());
+      const result = await provider.complete("review", { json: true });
+
+      expect(provider.contextWindow).toBe(128000);
+      expect(result).toEqual({
+        content: '{"findings": []}',
+        usage: { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 },
+      });
+      expect(stub.requests[0].headers.authorization).toBe("Bearer sk-test");
+      expect(stub.requests[0].body).toEqual({
+        model: "gpt-4o-mini",
+        messages: [{ role: "user", content: "review" }],
+        response_format: { type: "json_object" },
+      });
+    });
+
+    it("applies model quirks instead of requesting JSON mode", async () => {
+      stub.respond("/v1/chat/completions", {
+        choices: [{ message: { role: "assistant", content: "ok" } }],
+      });
+
+      const provider = createLlmProvider({ ...config(), model: "qwen3-235b-a22b-fp8" });
+      const result = await provider.complete("review", { json: true });
+
+      expect(provider.supportsJsonMode).toBe(false);
+      expect(provider.contextWindow).toBeNull();
+      expect(result.usage).toBeNull();
+      expect(stub.requests[0].body.response_format).toEqual({ type: "text" });
+    });
+
+    it("surfaces the HTTP status of failed requests", async () => {
+      stub.respond("/v1/chat/completions", { error: { message: "json mode unsupported" } }, 400);
+
+      const provider = createLlmProvider(config());
+      await expect(provider.complete("review", { json: true })).rejects.toMatchObject({ status: 400, attempts: 1 });
+      expect(stub.requests).toHaveLength(1);
+    });
+  });
+
+  describe("openai-responses", () => {
+    it("sends the prompt as Responses input", async () => {
+      stub.respond("/v1/responses", {
+        object: "response",
+        output: [
+          {
+            type: "message",
+            role: "assistant",
+            content: [{ type: "output_text", text: "### 总体评价\nOK", annotations: [] }],
+          },
+        ],
+        usage: { input_tokens: 20, output_tokens: 5, total_tokens: 25 },
+      });
+
+      const provider = createLlmProvider({
+        provider: "openai-responses",
+        apiKey: "sk-test",
+        baseURL: `${baseURL}/v1`,
+        model: "gpt-5-mini",
+      });
+      const result = await provider.complete("summarize", { json: true });
+
+      expect(provider.contextWindow).toBe(400000);
+      expect(result).toEqual({
+        content: "### 总体评价\nOK",
+        usage: { prompt_tokens: 20, completion_tokens: 5, total_tokens: 25 },
+      });
+      expect(stub.requests[0].body).toEqual({
+        model: "gpt-5-mini",
+        input: "summarize",
+        text: { format: { type: "json_object" } },
+      });
+    });
+  });
+
+  describe("anthropic", () => {
+    it("calls the Messages API without JSON mode", async () => {
+      stub.respond("/v1/messages", {
+        content: [
+          { type: "text", text: '{"findings": ' },
+          { type: "text", text: "[]}" },
+        ],
+        usage: { input_tokens: 30, output_tokens: 7 },
+      });
+
+      const provider = createLlmProvider({
+        provider: "anthropic",
+        apiKey: "ant-test",
+        baseURL: `${baseURL}/`,
+        model: "claude-sonnet-4-5",
+      });
+      const result = await provider.complete("review", { json: true });
+
+      expect(provider.supportsJsonMode).toBe(false);
+      expect(provider.contextWindow).toBe(200000);
+      expect(result).toEqual({
+        content: '{"findings": []}',
+        usage: { prompt_tokens: 30, completion_tokens: 7, total_tokens: 37 },
+      });
+      expect(stub.requests[0].headers["x-api-key"]).toBe("ant-test");
+      expect(stub.requests[0].headers["anthropic-version"]).toBe("2023-06-01");
+      expect(stub.requests[0].body).toEqual({
+        model: "claude-sonnet-4-5",
+        max_tokens: 8192,
+        messages: [{ role: "user", content: "review" }],
+      });
+    });
+
+    it("throws with the status of an error response", async () => {
+      stub.respond("/v1/messages", { type: "error", error: { type: "overloaded_error" } }, 529);
+
+      const provider = createLlmProvider({ provider: "anthropic", apiKey: "k", baseURL, model: "claude-sonnet-4-5", maxRetries: 0 });
+      await expect(provider.complete("review")).rejects.toMatchObject({
+        status: 529,
+        message: expect.stringContaining("overloaded_error"),
+      });
+    });
+  });
+
+  describe("ollama", () => {
+    it("calls /api/chat with JSON format and the context size", async () => {
+      stub.respond("/api/chat", {
+        message: { role: "assistant", content: '{"findings": []}' },
+        done: true,
+        prompt_eval_count: 40,
+        eval_count: 9,
+      });
+
+      const provider = createLlmProvider({
+        provider: "ollama",
+        baseURL,
+        model: "qwen2.5-coder:14b",
+        maxInputTokens: 16000,
+      });
+      const result = await provider.complete("review", { json: true });
+
+      expect(provider.contextWindow).toBeNull();
+      expect(result).toEqual({
+        content: '{"findings": []}',
+        usage: { prompt_tokens: 40, completion_tokens: 9, total_tokens: 49 },
+      });
+      expect(stub.requests[0].headers.authorization).toBeUndefined();
+      expect(stub.requests[0].body).toEqual({
+        model: "qwen2.5-coder:14b",
+        messages: [{ role: "user", content: "review" }],
+        stream: false,
+        format: "json",
+        options: { num_ctx: 16000 },
+      });
+    });
+
+    it("omits the format for plain text requests", async () => {
+      stub.respond("/api/chat", { message: { content: "OK" }, done: true });
+
+      const provider = createLlmProvider({ provider: "ollama", baseURL, model: "llama3.1" });
+      const result = await provider.complete("summarize");
+
+      expect(result).toEqual({ content: "OK", usage: null });
+      expect(stub.requests[0].body).not.toHaveProperty("format");
+    });
+  });
+
+  describe("streaming", () => {
+    const sse = (events) => events.map((event) => `data: ${JSON.stringify(event)}\n`);
+
+    it("streams chat completions and reports received characters", async () => {
+      stub.respondStream(
+        "/v1/chat/completions",
+        [
+          ...sse([
+            { choices: [{ index: 0, delta: { role: "assistant", content: "### " } }] },
+            { choices: [{ index: 0, delta: { content: "main.py" } }] },
+            { choices: [], usage: { prompt_tokens: 10, completion_tokens: 3, total_tokens: 13 } },
+          ]),
+          "data: [DONE]\n",
+        ],
+        "text/event-stream"
+      );
+      const onProgress = jest.fn();
+
+      const provider = createLlmProvider({ provider: "openai-chat", apiKey: "k", baseURL: `${baseURL}/v1`, model: "gpt-4o" });
+      const result = await provider.complete("review", { onProgress });
+
+      expect(result).toEqual({
+        content: "### main.py",
+        usage: { prompt_tokens: 10, completion_tokens: 3, total_tokens: 13 },
+      });
+      expect(onProgress.mock.calls).toEqual([[{ receivedChars: 4 }], [{ receivedChars: 11 }]]);
+      expect(stub.requests[0].body).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+    });
+
+    it("streams Responses API output text deltas", async () => {
+      stub.respondStream(
+        "/v1/responses",
+        sse([
+          { type: "response.output_text.delta", delta: "O" },
+          { type: "response.output_text.delta", delta: "K" },
+          { type: "response.completed", response: { usage: { input_tokens: 5, output_tokens: 2, total_tokens: 7 } } },
+        ]),
+        "text/event-stream"
+      );
+      const onProgress = jest.fn();
+
+      const provider = createLlmProvider({ provider: "openai-responses", apiKey: "k", baseURL: `${baseURL}/v1`, model: "gpt-5" });
+      const result = await provider.complete("summarize", { onProgress });
+
+      expect(result).toEqual({ content: "OK", usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 } });
+      expect(onProgress).toHaveBeenLastCalledWith({ receivedChars: 2 });
+    });
+
+    it("streams Anthropic message events", async () => {
+      stub.respondStream(
+        "/v1/messages",
+        sse([
+          { type: "message_start", message: { usage: { input_tokens: 21 } } },
+          { type: "content_block_start", index: 0, content_block: { type: "text", text: "" } },
+          { type: "content_block_delta", index: 0, delta: { type: "text_delta", text: "Hello" } },
+          { type: "content_block_delta", index: 0, delta: { type: "text_delta", text: " world" } },
+          { type: "message_delta", delta: { stop_reason: "end_turn" }, usage: { output_tokens: 2 } },
+          { type: "message_stop" },
+        ]).map((line) => `event: x\n${line}`),
+        "text/event-stream"
+      );
+      const onProgress = jest.fn();
+
+      const provider = createLlmProvider({ provider: "anthropic", apiKey: "k", baseURL, model: "claude-sonnet-4-5" });
+      const result = await provider.complete("review", { onProgress });
+
+      expect(result).toEqual({ content: "Hello world", usage: { prompt_tokens: 21, completion_tokens: 2, total_tokens: 23 } });
+      expect(onProgress).toHaveBeenLastCalledWith({ receivedChars: 11 });
+      expect(stub.requests[0].body.stream).toBe(true);
+    });
+
+    it("retries an Anthropic stream that reports overload", async () => {
+      stub.respondStream(
+        "/v1/messages",
+        sse([{ type: "error", error: { type: "overloaded_error", message: "Overloaded" } }]),
+        "text/event-stream"
+      );
+
+      const provider = createLlmProvider({ provider: "anthropic", apiKey: "k", baseURL, model: "claude-sonnet-4-5", maxRetries: 1, retryBaseDelayMs: 0 });
+      await expect(provider.complete("review", { onProgress: () => {} })).rejects.toMatchObject({ status: 503, attempts: 2 });
+    });
+
+    it("streams Ollama NDJSON chunks", async () => {
+      stub.respondStream(
+        "/api/chat",
+        [
+          JSON.stringify({ message: { content: '{"findings"' }, done: false }),
+          JSON.stringify({ message: { content: ": []}" }, done: false }),
+          JSON.stringify({ message: { content: "" }, done: true, prompt_eval_count: 8, eval_count: 4 }),
+        ],
+        "application/x-ndjson"
+      );
+      const onProgress = jest.fn();
+
+      const provider = createLlmProvider({ provider: "ollama", baseURL, model: "llama3.1" });
+      const result = await provider.complete("review", { json: true, onProgress });
+
+      expect(result).toEqual({ content: '{"findings": []}', usage: { prompt_tokens: 8, completion_tokens: 4, total_tokens: 12 } });
+      expect(onProgress).toHaveBeenCalledTimes(2);
+      expect(stub.requests[0].body).toMatchObject({ stream: true, format: "json" });
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect } from "@jest/globals";
+import yaml from "js-yaml";
+import {
+  describeKeyLocation,
+  renderMetadataWarningSection,
+  validateMetadataSchema,
+} from "../reviewer/metadata-schema.js";
+
+function validate(content) {
+  return validateMetadataSchema(yaml.load(content), content);
+}
+
+const validMetadata = [
+  "name: astrbot_plugin_demo",
+  "display_name: 演示插件",
+  "desc: 一个演示插件",
+  "version: v1.2.0",
+  "author: someone",
+  "repo: https://github.com/someone/astrbot_plugin_demo",
+  "tags:",
+  "  - 工具",
+  "  - 娱乐",
+  "social_link: https://space.bilibili.com/123",
+  "logo: assets/logo.png",
+  'astrbot_version: ">=3.5.0,<4.0.0"',
+].join("\n");
+
+describe("validateMetadataSchema", () => {
+  it("accepts a complete and valid metadata file", () => {
+    expect(validate(validMetadata)).toEqual({ errors: [], warnings: [] });
+  });
+
+  it("reports missing required keys", () => {
+    const { errors } = validate("name: demo\ndesc: d\n");
+    expect(errors).toEqual([
+      "metadata.yaml中缺少必需的author字段",
+      "metadata.yaml中缺少必需的version字段",
+      "metadata.yaml中缺少必需的repo字段",
+    ]);
+  });
+
+  it("reports an invalid semver version with its line number", () => {
+    const { errors } = validate(validMetadata.replace("v1.2.0", "1.2.x"));
+    expect(errors).toEqual([
+      expect.stringMatching(/^metadata\.yaml第4行的version字段"1\.2\.x" 不是有效的语义化版本号/),
+    ]);
+  });
+
+  it("asks for quotes when a string key is parsed as a number", () => {
+    const { errors } = validate(validMetadata.replace("v1.2.0", "1.0"));
+    expect(errors[0]).toContain("第4行的version字段应为字符串，实际为数字");
+    expect(errors[0]).toContain("引号");
+  });
+
+  it("validates tags, social_link, logo and astrbot_version formats", () => {
+    const content = validMetadata
+      .replace("  - 娱乐", "  - 工具")
+      .replace("https://space.bilibili.com/123", "bilibili")
+      .replace("assets/logo.png", "../logo.bmp")
+      .replace(">=3.5.0,<4.0.0", "latest");
+    const { errors } = validate(content);
+
+    expect(errors).toHaveLength(4);
+    expect(errors[0]).toBe("metadata.yaml第7行的tags字段包含重复项");
+    expect(errors[1]).toContain("第10行的social_link字段");
+    expect(errors[2]).toContain("第11行的logo字段");
+    expect(errors[3]).toContain("第12行的astrbot_version字段");
+  });
+
+  it("reports non-string tag items by position", () => {
+    const { errors } = validate(validMetadata.replace("  - 娱乐", "  - 42"));
+    expect(errors).toEqual(["metadata.yaml第7行的tags字段第 2 项应为字符串，实际为数字，请用引号包裹该值"]);
+  });
+
+  it("only warns about unknown keys", () => {
+    const { errors, warnings } = validate(`${validMetadata}\nauther: typo`);
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([
+      "metadata.yaml第13行的auther字段不是已知的字段，AstrBot 会忽略它，请检查拼写",
+    ]);
+  });
+});
+
+describe("describeKeyLocation", () => {
+  it("omits the line number when the key cannot be found", () => {
+    expect(describeKeyLocation("logo", "name: a")).toBe("metadata.yaml中的logo字段");
+  });
+
+  it("matches quoted keys", () => {
+    expect(describeKeyLocation("name", '# c\n"name": a')).toBe("metadata.yaml第2行的name字段");
+  });
+});
+
+describe("renderMetadataWarningSection", () => {
+  it("lists every warning", () => {
+    const section = renderMetadataWarningSection(["a", "b"]);
+    expect(section).toContain("### 📝 metadata.yaml 提示");
+    expect(section).toContain("- a\n- b");
+  });
+});
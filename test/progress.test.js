@@ -0,0 +1,115 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+
+jest.unstable_mockModule("../reviewer/comments.js", () => ({
+  postOrUpdateComment: jest.fn(),
+}));
+
+const { createProgressReporter } = await import("../reviewer/progress.js");
+const { postOrUpdateComment } = await import("../reviewer/comments.js");
+
+function createMockContext() {
+  return { log: { debug() {}, info() {}, warn: jest.fn(), error() {} } };
+}
+
+describe("createProgressReporter", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    postOrUpdateComment.mockResolvedValue(42);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("throttles comment updates and publishes the latest state", async () => {
+    const context = createMockContext();
+    const reporter = createProgressReporter(context, 42, {
+      quotaInfo: { repoKey: "o/r" },
+      minIntervalMs: 1000,
+    });
+
+    reporter.report("metadata", "metadata.yaml 校验通过", { done: true });
+    reporter.report("review", "正在审核第 1/2 批");
+    reporter.report("review", "正在审核第 2/2 批");
+    expect(postOrUpdateComment).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(postOrUpdateComment).toHaveBeenCalledTimes(1);
+    expect(postOrUpdateComment).toHaveBeenCalledWith(
+      context,
+      "review_started",
+      {
+        quotaInfo: { repoKey: "o/r" },
+        progress: {
+          steps: [
+            { text: "metadata.yaml 校验通过", done: true },
+            { text: "正在审核第 2/2 批", done: false },
+          ],
+          elapsedSeconds: 1,
+        },
+      },
+      true,
+      42
+    );
+
+    reporter.report("summary", "正在生成总体评价");
+    await jest.advanceTimersByTimeAsync(500);
+    expect(postOrUpdateComment).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(500);
+    expect(postOrUpdateComment).toHaveBeenCalledTimes(2);
+  });
+
+  it("drops pending updates once stopped", async () => {
+    const reporter = createProgressReporter(createMockContext(), 42, { minIntervalMs: 1000 });
+
+    reporter.report("review", "正在审核第 1/1 批");
+    await reporter.stop();
+    reporter.report("summary", "正在生成总体评价");
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(postOrUpdateComment).not.toHaveBeenCalled();
+  });
+
+  it("waits for an in-flight update when stopping", async () => {
+    let resolveUpdate;
+    postOrUpdateComment.mockReturnValue(new Promise((resolve) => { resolveUpdate = resolve; }));
+    const reporter = createProgressReporter(createMockContext(), 42, { minIntervalMs: 0 });
+
+    reporter.report("review", "正在审核第 1/1 批");
+    await Promise.resolve();
+    expect(postOrUpdateComment).toHaveBeenCalledTimes(1);
+
+    let stopped = false;
+    const stopping = reporter.stop().then(() => { stopped = true; });
+    await Promise.resolve();
+    expect(stopped).toBe(false);
+
+    resolveUpdate(42);
+    await stopping;
+    expect(stopped).toBe(true);
+  });
+
+  it("does nothing without a comment to update", async () => {
+    const reporter = createProgressReporter(createMockContext(), null, { minIntervalMs: 0 });
+
+    reporter.report("review", "正在审核第 1/1 批");
+    await reporter.stop();
+
+    expect(postOrUpdateComment).not.toHaveBeenCalled();
+  });
+
+  it("logs failed updates without throwing", async () => {
+    const context = createMockContext();
+    postOrUpdateComment.mockRejectedValue(new Error("API down"));
+    const reporter = createProgressReporter(context, 42, { minIntervalMs: 0 });
+
+    reporter.report("review", "正在审核第 1/1 批");
+    await reporter.stop();
+
+    expect(context.log.warn).toHaveBeenCalledWith(
+      expect.objectContaining({ commentId: 42 }),
+      "Failed to update review progress comment"
+    );
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  DEFAULT_PROMPT_VARIABLES,
+  PROMPT_SECTIONS,
+  TOGGLEABLE_PROMPT_SECTION_IDS,
+  buildPromptSet,
+} from "../reviewer/prompt-templates.js";
+
+describe("prompt templates", () => {
+  it("loads every section in order with its metadata", () => {
+    expect(PROMPT_SECTIONS.map((section) => section.id)).toEqual([
+      "review-role",
+      "environment",
+      "general",
+      "framework",
+      "main-file",
+      "disclaimers",
+      "review-start",
+      "summary-role",
+      "reviewer-panel",
+      "summary-start",
+    ]);
+    expect(TOGGLEABLE_PROMPT_SECTION_IDS).toEqual([
+      "environment",
+      "general",
+      "framework",
+      "main-file",
+      "disclaimers",
+      "reviewer-panel",
+    ]);
+  });
+
+  it("composes the default prompts with numbered requirements", () => {
+    const promptSet = buildPromptSet();
+
+    expect(promptSet.mainFile).toContain("## 核心审查要求\n\n### 1. 版本与运行环境");
+    expect(promptSet.mainFile).toContain("### 4. 针对 main.py 的额外审查要求 (必须严格遵守)");
+    expect(promptSet.mainFile).toContain("使用中文对以下 main.py 代码进行审查");
+    expect(promptSet.regularFile).not.toContain("针对 main.py 的额外审查要求");
+    expect(promptSet.regularFile).toContain("使用中文对以下代码进行审查");
+    expect(promptSet.summary).toContain("### 代码评审团");
+    expect(promptSet.summary.trim().endsWith("进行总结并输出你的中文报告。")).toBe(true);
+    expect(promptSet.sectionVersions).toEqual(
+      PROMPT_SECTIONS.map((section) => `${section.id}@${section.version}`)
+    );
+  });
+
+  it("fills in template variables", () => {
+    const defaults = buildPromptSet();
+    expect(defaults.regularFile).toContain(
+      `严格限定为 Python ${DEFAULT_PROMPT_VARIABLES.pythonVersion} 进行审查`
+    );
+    expect(defaults.regularFile).toContain("from astrbot.api import logger");
+    expect(defaults.mainFile).not.toMatch(/\{\{\s*\w+\s*\}\}/);
+
+    const custom = buildPromptSet({ variables: { pythonVersion: "3.12" } });
+    expect(custom.regularFile).toContain("严格限定为 Python 3.12 进行审查");
+  });
+
+  it("drops disabled sections and renumbers the remaining requirements", () => {
+    const promptSet = buildPromptSet({ disabledSections: ["environment", "reviewer-panel"] });
+
+    expect(promptSet.mainFile).not.toContain("版本与运行环境");
+    expect(promptSet.mainFile).toContain("### 1. 综合审查维度");
+    expect(promptSet.mainFile).toContain("### 3. 针对 main.py 的额外审查要求");
+    expect(promptSet.summary).not.toContain("代码评审团");
+    expect(promptSet.sectionVersions).not.toContain("environment@1");
+    expect(promptSet.sectionVersions).not.toContain("reviewer-panel@1");
+  });
+
+  it("omits the requirements heading when all requirement sections are disabled", () => {
+    const promptSet = buildPromptSet({
+      disabledSections: ["environment", "general", "framework", "main-file"],
+    });
+    expect(promptSet.mainFile).not.toContain("核心审查要求");
+    expect(promptSet.mainFile).toContain("## 特别注意");
+  });
+
+  it("keeps required sections even when they are listed as disabled", () => {
+    const promptSet = buildPromptSet({ disabledSections: ["review-role", "summary-start"] });
+    expect(promptSet.mainFile).toContain("# Role: Python Code Review Expert");
+    expect(promptSet.summary).toContain("## 开始总结");
+  });
+
+  it("passes the extra review instructions through", () => {
+    expect(buildPromptSet({ reviewInstructions: "检查超时" }).reviewInstructions).toBe("检查超时");
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  findClassDefinitions,
+  findFunctionDefinitions,
+  findImports,
+  removeCommentsFromLine,
+  scanPythonLines,
+} from "../reviewer/python-source.js";
+
+describe("removeCommentsFromLine", () => {
+  it("strips trailing comments but keeps # inside strings", () => {
+    expect(removeCommentsFromLine('x = 1  # note')).toBe("x = 1");
+    expect(removeCommentsFromLine('x = "a # b"')).toBe('x = "a # b"');
+  });
+});
+
+describe("scanPythonLines", () => {
+  it("drops comments, blank lines and docstring contents", () => {
+    const lines = scanPythonLines(
+      [
+        "# comment",
+        "def f():",
+        '    """',
+        "    import logging",
+        '    """',
+        "    return 1  # trailing",
+      ].join("\n")
+    );
+    expect(lines).toEqual([
+      { lineNumber: 2, code: "def f():", indent: 0 },
+      { lineNumber: 3, code: '    ""', indent: 4 },
+      { lineNumber: 6, code: "    return 1", indent: 4 },
+    ]);
+  });
+});
+
+describe("findFunctionDefinitions", () => {
+  it("extracts decorators, async flag, multi-line params and body range", () => {
+    const lines = scanPythonLines(
+      [
+        "class P(Star):",
+        "    @filter.on_llm_request()",
+        "    async def hook(",
+        "        self,",
+        "        event: AstrMessageEvent,",
+        "        req: ProviderRequest,",
+        "    ):",
+        "        await event.send(x)",
+        "    def other(self):",
+        "        pass",
+      ].join("\n")
+    );
+    const [hook, other] = findFunctionDefinitions(lines);
+    expect(hook).toMatchObject({
+      name: "hook",
+      isAsync: true,
+      params: ["self", "event: AstrMessageEvent", "req: ProviderRequest"],
+      decorators: [{ name: "filter.on_llm_request", lineNumber: 2 }],
+      lineNumber: 3,
+    });
+    expect(lines.slice(hook.bodyStart, hook.bodyEnd).map((l) => l.lineNumber)).toEqual([8]);
+    expect(other).toMatchObject({ name: "other", isAsync: false, decorators: [] });
+  });
+});
+
+describe("findClassDefinitions", () => {
+  it("extracts base classes", () => {
+    const lines = scanPythonLines("class A(star.Star, Mixin):\n    pass\nclass B:\n    pass");
+    expect(findClassDefinitions(lines)).toEqual([
+      { name: "A", bases: ["star.Star", "Mixin"], lineNumber: 1 },
+      { name: "B", bases: [], lineNumber: 3 },
+    ]);
+  });
+});
+
+describe("findImports", () => {
+  it("parses plain, aliased and parenthesized imports", () => {
+    const lines = scanPythonLines(
+      [
+        "import os, logging as log",
+        "from astrbot.api.event import (",
+        "    filter,",
+        "    AstrMessageEvent,",
+        ")",
+      ].join("\n")
+    );
+    expect(findImports(lines)).toEqual([
+      { module: "os", names: [{ name: "os", alias: null }], isFrom: false, lineNumber: 1 },
+      {
+        module: "logging",
+        names: [{ name: "logging", alias: "log" }],
+        isFrom: false,
+        lineNumber: 1,
+      },
+      {
+        module: "astrbot.api.event",
+        names: [
+          { name: "filter", alias: null },
+          { name: "AstrMessageEvent", alias: null },
+        ],
+        isFrom: true,
+        lineNumber: 2,
+      },
+    ]);
+  });
+});
@@ -1,8 +1,14 @@
-import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+import { jest, describe, it, expect, beforeEach, afterEach } from "@jest/globals";
 
 const mockDb = {
   get: jest.fn(),
   putSync: jest.fn(),
+  removeSync: jest.fn(),
+  getRange: jest.fn(() => [
+    { key: "legacy/repo", value: 3 },
+    { key: "unused/repo", value: 0 },
+    { key: "current/repo", value: { events: [1] } },
+  ]),
   transactionSync: jest.fn((fn) => fn()),
   close: jest.fn().mockResolvedValue(undefined),
 };
@@ -15,10 +21,27 @@ const {
   initializeTriggerCountDb,
   getReviewTriggerQuotaForIssue,
   markReviewTriggerSuccessForRepo,
+  setReviewTriggersRemainingForRepo,
+  getReviewQuotaWindow,
+  markReviewTriggerSuccessForAuthor,
+  markReviewTriggerSuccessForInstallation,
+  getDailyTokenBudget,
+  recordTokenUsage,
 } = await import("../reviewer/quota.js");
 
 // Initialize once so triggerCountDb is set for all tests
 initializeTriggerCountDb();
+const migrationCalls = {
+  putSync: [...mockDb.putSync.mock.calls],
+  removeSync: [...mockDb.removeSync.mock.calls],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const repoIssue = { body: '```json\n{"repo": "https://github.com/owner/repo"}\n```' };
+
+function recentEvents(count, ageMs = 1000) {
+  return new Array(count).fill(Date.now() - ageMs);
+}
 
 describe("quota", () => {
   const originalEnv = { ...process.env };
@@ -29,6 +52,22 @@ describe("quota", () => {
     mockDb.transactionSync.mockImplementation((fn) => fn());
     process.env = { ...originalEnv };
     delete process.env.MAX_REVIEW_TRIGGERS_PER_REPO;
+    delete process.env.REVIEW_QUOTA_WINDOW_DAYS;
+    delete process.env.REVIEW_QUOTA_WINDOW_MODE;
+    delete process.env.MAX_REVIEW_TRIGGERS_PER_AUTHOR;
+    delete process.env.MAX_REVIEWS_PER_INSTALLATION_PER_DAY;
+    delete process.env.DAILY_TOKEN_BUDGET;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("migrates legacy lifetime counters to timestamped events", () => {
+    expect(migrationCalls.putSync).toEqual([
+      ["legacy/repo", { events: [expect.any(Number), expect.any(Number), expect.any(Number)] }],
+    ]);
+    expect(migrationCalls.removeSync).toEqual([["unused/repo"]]);
   });
 
   describe("getReviewTriggerQuotaForIssue", () => {
@@ -111,7 +150,7 @@ describe("quota", () => {
     });
 
     it("reflects used count from database", () => {
-      mockDb.get.mockReturnValue(3);
+      mockDb.get.mockReturnValue({ events: recentEvents(3) });
       const issue = {
         body: '```json\n{"repo": "https://github.com/owner/repo"}\n```',
       };
@@ -124,7 +163,7 @@ describe("quota", () => {
     });
 
     it("disallows when quota is exhausted", () => {
-      mockDb.get.mockReturnValue(5);
+      mockDb.get.mockReturnValue({ events: recentEvents(5) });
       const issue = {
         body: '```json\n{"repo": "https://github.com/owner/repo"}\n```',
       };
@@ -133,6 +172,7 @@ describe("quota", () => {
         allowed: false,
         used: 5,
         remaining: 0,
+        nextAvailableAt: expect.any(String),
       });
     });
 
@@ -145,6 +185,21 @@ describe("quota", () => {
       expect(result).toMatchObject({ max: 10, remaining: 10 });
     });
 
+    it("extracts the repo from an issue form body", () => {
+      const issue = {
+        body: "### 插件名\n\nTestPlugin\n\n### 仓库地址\n\nhttps://github.com/owner/repo.git\n",
+      };
+      const result = getReviewTriggerQuotaForIssue(issue);
+      expect(result).toMatchObject({ repoKey: "owner/repo" });
+    });
+
+    it("returns null when the issue form repo field has no response", () => {
+      const issue = {
+        body: "### 插件名\n\nTestPlugin\n\n### 仓库地址\n\n_No response_\n",
+      };
+      expect(getReviewTriggerQuotaForIssue(issue)).toBeNull();
+    });
+
     it("falls back to malformed JSON regex extraction", () => {
       const issue = {
         body: '```json\n{bad json, "repo": "https://github.com/owner/repo"}\n```',
@@ -156,7 +211,7 @@ describe("quota", () => {
 
   describe("markReviewTriggerSuccessForRepo", () => {
     it("increments count and returns updated quota", () => {
-      mockDb.get.mockReturnValue(0);
+      mockDb.get.mockReturnValue(undefined);
       const result = markReviewTriggerSuccessForRepo("owner/repo");
       expect(result).toMatchObject({
         incremented: true,
@@ -165,11 +220,11 @@ describe("quota", () => {
         used: 1,
         remaining: 4,
       });
-      expect(mockDb.putSync).toHaveBeenCalledWith("owner/repo", 1);
+      expect(mockDb.putSync).toHaveBeenCalledWith("owner/repo", { events: [expect.any(Number)] });
     });
 
     it("returns not allowed when reaching max", () => {
-      mockDb.get.mockReturnValue(4);
+      mockDb.get.mockReturnValue({ events: recentEvents(4) });
       const result = markReviewTriggerSuccessForRepo("owner/repo");
       expect(result).toMatchObject({
         incremented: true,
@@ -180,7 +235,7 @@ describe("quota", () => {
     });
 
     it("does not increment when already at max", () => {
-      mockDb.get.mockReturnValue(5);
+      mockDb.get.mockReturnValue({ events: recentEvents(5) });
       const result = markReviewTriggerSuccessForRepo("owner/repo");
       expect(result).toMatchObject({
         incremented: false,
@@ -201,4 +256,204 @@ describe("quota", () => {
       expect(result).toBeNull();
     });
   });
+
+  describe("setReviewTriggersRemainingForRepo", () => {
+    it("stores the used count that leaves the given remaining triggers", () => {
+      setReviewTriggersRemainingForRepo("owner/repo", 2);
+      expect(mockDb.putSync).toHaveBeenCalledWith("owner/repo", {
+        events: [expect.any(Number), expect.any(Number), expect.any(Number)],
+      });
+    });
+
+    it("keeps the most recent events when lowering the used count", () => {
+      const now = Date.now();
+      mockDb.get.mockReturnValue({ events: [now - 3 * DAY_MS, now - 2 * DAY_MS, now - DAY_MS] });
+
+      setReviewTriggersRemainingForRepo("owner/repo", 3);
+
+      expect(mockDb.putSync).toHaveBeenCalledWith("owner/repo", { events: [now - 2 * DAY_MS, now - DAY_MS] });
+    });
+
+    it("removes the counter when the quota is fully restored", () => {
+      setReviewTriggersRemainingForRepo("owner/repo", 5);
+      expect(mockDb.removeSync).toHaveBeenCalledWith("owner/repo");
+      expect(mockDb.putSync).not.toHaveBeenCalled();
+    });
+
+    it("returns the updated quota", () => {
+      mockDb.get.mockReturnValue({ events: recentEvents(4) });
+      expect(setReviewTriggersRemainingForRepo("owner/repo", 1)).toEqual({
+        allowed: true,
+        repoKey: "owner/repo",
+        max: 5,
+        used: 4,
+        remaining: 1,
+        window: { mode: "sliding", days: 7 },
+        nextAvailableAt: null,
+      });
+    });
+
+    it("rejects invalid values", () => {
+      expect(setReviewTriggersRemainingForRepo("owner/repo", 6)).toBeNull();
+      expect(setReviewTriggersRemainingForRepo("owner/repo", -1)).toBeNull();
+      expect(setReviewTriggersRemainingForRepo("owner/repo", 1.5)).toBeNull();
+      expect(setReviewTriggersRemainingForRepo(null, 1)).toBeNull();
+      expect(mockDb.putSync).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("quota windows", () => {
+    it("reads the window from the environment", () => {
+      expect(getReviewQuotaWindow()).toEqual({ mode: "sliding", days: 7 });
+
+      process.env.REVIEW_QUOTA_WINDOW_DAYS = "30";
+      process.env.REVIEW_QUOTA_WINDOW_MODE = "Calendar";
+      expect(getReviewQuotaWindow()).toEqual({ mode: "calendar", days: 30 });
+
+      process.env.REVIEW_QUOTA_WINDOW_DAYS = "0";
+      expect(getReviewQuotaWindow()).toEqual({ mode: "lifetime", days: 0 });
+
+      process.env.REVIEW_QUOTA_WINDOW_DAYS = "-1";
+      process.env.REVIEW_QUOTA_WINDOW_MODE = "monthly";
+      expect(getReviewQuotaWindow()).toEqual({ mode: "sliding", days: 7 });
+    });
+
+    it("ignores events outside the sliding window and reports when the oldest one expires", () => {
+      const now = Date.now();
+      mockDb.get.mockReturnValue({
+        events: [now - 8 * DAY_MS, now - 6 * DAY_MS, now - 5 * DAY_MS, now - 3 * DAY_MS, now - 2 * DAY_MS, now - DAY_MS],
+      });
+      jest.spyOn(Date, "now").mockReturnValue(now);
+
+      expect(getReviewTriggerQuotaForIssue(repoIssue)).toMatchObject({
+        allowed: false,
+        used: 5,
+        remaining: 0,
+        nextAvailableAt: new Date(now + DAY_MS).toISOString(),
+      });
+    });
+
+    it("drops expired events when recording a review", () => {
+      const now = Date.now();
+      mockDb.get.mockReturnValue({ events: [now - 10 * DAY_MS, now - DAY_MS] });
+      jest.spyOn(Date, "now").mockReturnValue(now);
+
+      const result = markReviewTriggerSuccessForRepo("owner/repo");
+
+      expect(result).toMatchObject({ incremented: true, used: 2, remaining: 3 });
+      expect(mockDb.putSync).toHaveBeenCalledWith("owner/repo", { events: [now - DAY_MS, now] });
+    });
+
+    it("counts calendar windows from Monday UTC and reopens at the next period", () => {
+      process.env.REVIEW_QUOTA_WINDOW_MODE = "calendar";
+      const now = Date.parse("2026-10-21T12:00:00.000Z"); // Wednesday
+      jest.spyOn(Date, "now").mockReturnValue(now);
+      mockDb.get.mockReturnValue({
+        events: [
+          Date.parse("2026-10-18T23:00:00.000Z"),
+          ...new Array(5).fill(Date.parse("2026-10-19T01:00:00.000Z")),
+        ],
+      });
+
+      expect(getReviewTriggerQuotaForIssue(repoIssue)).toMatchObject({
+        allowed: false,
+        used: 5,
+        window: { mode: "calendar", days: 7 },
+        nextAvailableAt: "2026-10-26T00:00:00.000Z",
+      });
+    });
+
+    it("never expires events when the window is disabled", () => {
+      process.env.REVIEW_QUOTA_WINDOW_DAYS = "0";
+      mockDb.get.mockReturnValue({ events: recentEvents(5, 365 * DAY_MS) });
+
+      expect(getReviewTriggerQuotaForIssue(repoIssue)).toMatchObject({
+        allowed: false,
+        used: 5,
+        nextAvailableAt: null,
+      });
+    });
+  });
+
+  describe("additional quota dimensions", () => {
+    const now = Date.parse("2026-10-21T12:00:00.000Z");
+    const authorIssue = { ...repoIssue, user: { login: "Alice" } };
+
+    beforeEach(() => {
+      jest.spyOn(Date, "now").mockReturnValue(now);
+    });
+
+    it("omits dimensions whose limits are not set", () => {
+      expect(getReviewTriggerQuotaForIssue(authorIssue, { installationId: 7 })).toMatchObject({
+        allowed: true,
+        exceeded: null,
+        author: null,
+        installation: null,
+        tokenBudget: null,
+      });
+    });
+
+    it("reports the author and installation quotas and the first exhausted one", () => {
+      process.env.MAX_REVIEW_TRIGGERS_PER_AUTHOR = "2";
+      process.env.MAX_REVIEWS_PER_INSTALLATION_PER_DAY = "10";
+      mockDb.get.mockImplementation((key) => {
+        if (key === "author:alice") return { events: [now - DAY_MS, now - 1000] };
+        if (key === "installation:7") return { events: [now - DAY_MS, now - 1000] };
+        return undefined;
+      });
+
+      const result = getReviewTriggerQuotaForIssue(authorIssue, { installationId: 7 });
+
+      expect(result).toMatchObject({
+        allowed: false,
+        exceeded: "author",
+        repoKey: "owner/repo",
+        remaining: 5,
+        author: { login: "Alice", used: 2, remaining: 0, nextAvailableAt: new Date(now + 6 * DAY_MS).toISOString() },
+        installation: { installationId: 7, used: 1, remaining: 9, window: { mode: "calendar", days: 1 } },
+      });
+    });
+
+    it("records author and installation reviews only when their limits are set", () => {
+      expect(markReviewTriggerSuccessForAuthor("Alice")).toBeNull();
+      expect(markReviewTriggerSuccessForInstallation(7)).toBeNull();
+      expect(mockDb.putSync).not.toHaveBeenCalled();
+
+      process.env.MAX_REVIEW_TRIGGERS_PER_AUTHOR = "3";
+      process.env.MAX_REVIEWS_PER_INSTALLATION_PER_DAY = "10";
+
+      expect(markReviewTriggerSuccessForAuthor("Alice")).toMatchObject({ login: "Alice", incremented: true, used: 1 });
+      expect(markReviewTriggerSuccessForInstallation(7)).toMatchObject({ installationId: 7, incremented: true, used: 1 });
+      expect(mockDb.putSync).toHaveBeenCalledWith("author:alice", { events: [now] });
+      expect(mockDb.putSync).toHaveBeenCalledWith("installation:7", { events: [now] });
+    });
+
+    it("reports the daily token budget and when it resets", () => {
+      expect(getDailyTokenBudget()).toBeNull();
+
+      process.env.DAILY_TOKEN_BUDGET = "1000";
+      mockDb.get.mockImplementation((key) => (key === "tokens:2026-10-21" ? { tokens: 1200 } : undefined));
+
+      expect(getDailyTokenBudget()).toEqual({
+        allowed: false,
+        budget: 1000,
+        used: 1200,
+        remaining: 0,
+        resetsAt: "2026-10-22T00:00:00.000Z",
+      });
+      expect(getReviewTriggerQuotaForIssue(repoIssue)).toMatchObject({
+        allowed: true,
+        tokenBudget: expect.objectContaining({ allowed: false }),
+      });
+    });
+
+    it("accumulates token usage per UTC day", () => {
+      mockDb.get.mockImplementation((key) => (key === "tokens:2026-10-21" ? { tokens: 1200 } : undefined));
+
+      expect(recordTokenUsage(300)).toBe(1500);
+      expect(mockDb.putSync).toHaveBeenCalledWith("tokens:2026-10-21", { tokens: 1500 });
+      expect(recordTokenUsage(0)).toBeNull();
+      expect(recordTokenUsage(undefined)).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,186 @@
+import { jest, describe, it, expect } from "@jest/globals";
+import {
+  DEFAULT_REPO_CONFIG,
+  REPO_CONFIG_FILE_NAME,
+  isRepositoryAllowed,
+  loadRepoConfig,
+  normalizeRepoConfig,
+} from "../reviewer/repo-config.js";
+
+function createContext(config) {
+  return {
+    config: jest.fn(async () => {
+      if (config instanceof Error) throw config;
+      return config;
+    }),
+    log: { warn: jest.fn() },
+  };
+}
+
+describe("normalizeRepoConfig", () => {
+  it("returns the defaults when no config file exists", () => {
+    expect(normalizeRepoConfig(null)).toEqual({
+      config: DEFAULT_REPO_CONFIG,
+      errors: [],
+      warnings: [],
+    });
+  });
+
+  it("maps valid YAML keys onto the config", () => {
+    const { config, errors, warnings } = normalizeRepoConfig({
+      allowed_repositories: ["AstrBotDevs/AstrBot_Plugins_Collection"],
+      labels: { plugin_publish: "plugin-submit", security_review: "needs-audit" },
+      max_files_to_review: 30,
+      command_mention: "@reviewer-bot",
+      required_checks: ["我的插件经过完整的测试"],
+      prompts: {
+        extra_instructions: "  重点检查网络请求是否设置超时。  ",
+        disabled_sections: ["reviewer-panel"],
+        python_version: "3.12",
+      },
+    });
+
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([]);
+    expect(config).toEqual({
+      allowedRepositories: ["AstrBotDevs/AstrBot_Plugins_Collection"],
+      pluginPublishLabel: "plugin-submit",
+      securityReviewLabel: "needs-audit",
+      maxFilesToReview: 30,
+      commandMention: "@reviewer-bot",
+      requiredChecks: ["我的插件经过完整的测试"],
+      reviewInstructions: "重点检查网络请求是否设置超时。",
+      disabledPromptSections: ["reviewer-panel"],
+      pythonVersion: "3.12",
+    });
+  });
+
+  it("allows disabling the required checklist with an empty list", () => {
+    expect(normalizeRepoConfig({ required_checks: [] }).config.requiredChecks).toEqual([]);
+  });
+
+  it("falls back to defaults for invalid fields only", () => {
+    const { config, errors } = normalizeRepoConfig({
+      max_files_to_review: "many",
+      command_mention: "reviewer",
+      allowed_repositories: [],
+      labels: { plugin_publish: "  ", security_review: "audit" },
+      required_checks: ["ok", 3],
+      prompts: { extra_instructions: "x".repeat(4001) },
+    });
+
+    expect(config).toEqual({ ...DEFAULT_REPO_CONFIG, securityReviewLabel: "audit" });
+    expect(errors).toEqual([
+      "allowed_repositories must contain at least 1 item(s)",
+      "labels.plugin_publish must not be empty",
+      'max_files_to_review must be an integer, got "many"',
+      'command_mention "reviewer" does not match /^@[\\w-]+(?:\\[bot\\])?$/',
+      "required_checks [1] must be a string, got number",
+      "prompts.extra_instructions must be at most 4000 characters",
+    ]);
+  });
+
+  it("only allows disabling toggleable prompt sections", () => {
+    const { config, errors } = normalizeRepoConfig({
+      prompts: { disabled_sections: ["general", "review-role"], python_version: 3.1 },
+    });
+
+    expect(config.disabledPromptSections).toEqual([]);
+    expect(config.pythonVersion).toBe(DEFAULT_REPO_CONFIG.pythonVersion);
+    expect(errors).toEqual([
+      expect.stringMatching(/^prompts\.disabled_sections \[1\] "review-role" must be one of: environment, general, /),
+      "prompts.python_version must be a string, got number",
+    ]);
+  });
+
+  it("enforces numeric bounds", () => {
+    expect(normalizeRepoConfig({ max_files_to_review: 0 }).errors).toEqual([
+      "max_files_to_review must be at least 1",
+    ]);
+    expect(normalizeRepoConfig({ max_files_to_review: 500 }).errors).toEqual([
+      "max_files_to_review must be at most 200",
+    ]);
+  });
+
+  it("warns about unknown keys", () => {
+    const { warnings } = normalizeRepoConfig({
+      max_file_to_review: 10,
+      labels: { plugin_publish: "p", securty_review: "s" },
+    });
+    expect(warnings).toEqual([
+      "max_file_to_review is not a known config key",
+      "labels.securty_review is not a known config key",
+    ]);
+  });
+
+  it("rejects config files that are not a mapping", () => {
+    const { config, errors } = normalizeRepoConfig(["a"]);
+    expect(config).toEqual(DEFAULT_REPO_CONFIG);
+    expect(errors).toEqual(["config file must be a YAML mapping"]);
+  });
+});
+
+describe("isRepositoryAllowed", () => {
+  it("accepts repositories under the supported prefix by default", () => {
+    expect(isRepositoryAllowed("AstrBotDevs/AstrBot")).toBe(true);
+    expect(isRepositoryAllowed("foo/bar")).toBe(false);
+    expect(isRepositoryAllowed(undefined)).toBe(false);
+  });
+
+  it("narrows the allowed repositories by prefix or exact name", () => {
+    const config = {
+      ...DEFAULT_REPO_CONFIG,
+      allowedRepositories: ["AstrBotDevs/AstrBot_Plugins_Collection", "AstrBotDevs/test-"],
+    };
+    expect(isRepositoryAllowed("AstrBotDevs/astrbot_plugins_collection", config)).toBe(true);
+    expect(isRepositoryAllowed("AstrBotDevs/AstrBot", config)).toBe(false);
+    expect(isRepositoryAllowed("AstrBotDevs/test-", config)).toBe(true);
+  });
+
+  it("replaces the default prefix with the configured repositories", () => {
+    const config = { ...DEFAULT_REPO_CONFIG, allowedRepositories: ["foo/"] };
+    expect(isRepositoryAllowed("foo/bar", config)).toBe(true);
+    expect(isRepositoryAllowed("AstrBotDevs/AstrBot", config)).toBe(false);
+  });
+});
+
+describe("loadRepoConfig", () => {
+  it("reads the config file once per context", async () => {
+    const context = createContext({ max_files_to_review: 10 });
+
+    const first = await loadRepoConfig(context);
+    const second = await loadRepoConfig(context);
+
+    expect(first.maxFilesToReview).toBe(10);
+    expect(second).toBe(first);
+    expect(context.config).toHaveBeenCalledTimes(1);
+    expect(context.config).toHaveBeenCalledWith(REPO_CONFIG_FILE_NAME);
+  });
+
+  it("logs invalid fields and unknown keys", async () => {
+    const context = createContext({ max_files_to_review: -1, foo: 1 });
+
+    const config = await loadRepoConfig(context);
+
+    expect(config.maxFilesToReview).toBe(DEFAULT_REPO_CONFIG.maxFilesToReview);
+    expect(context.log.warn).toHaveBeenCalledWith(
+      { file: REPO_CONFIG_FILE_NAME, errors: ["max_files_to_review must be at least 1"] },
+      "Invalid repository config fields, falling back to defaults for them"
+    );
+    expect(context.log.warn).toHaveBeenCalledWith(
+      { file: REPO_CONFIG_FILE_NAME, warnings: ["foo is not a known config key"] },
+      "Unknown repository config keys ignored"
+    );
+  });
+
+  it("uses the defaults when the config file cannot be loaded", async () => {
+    const error = new Error("YAMLException: bad indentation");
+    const context = createContext(error);
+
+    expect(await loadRepoConfig(context)).toEqual(DEFAULT_REPO_CONFIG);
+    expect(context.log.warn).toHaveBeenCalledWith(
+      { err: error, file: REPO_CONFIG_FILE_NAME },
+      "Failed to load repository config, using defaults"
+    );
+  });
+});
@@ -0,0 +1,62 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+
+const mockDb = {
+  get: jest.fn(),
+  putSync: jest.fn(),
+  close: jest.fn().mockResolvedValue(undefined),
+};
+
+jest.unstable_mockModule("lmdb", () => ({
+  open: jest.fn(() => mockDb),
+}));
+
+const {
+  initializeReviewCacheDb,
+  getCachedFileReview,
+  storeFileReview,
+} = await import("../reviewer/review-cache.js");
+
+initializeReviewCacheDb();
+
+describe("review cache", () => {
+  const key = { blobSha: "abc123", promptVersion: "v1", model: "gpt-test" };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDb.get.mockReturnValue(undefined);
+  });
+
+  it("returns cached findings keyed by prompt version, model and blob SHA", () => {
+    mockDb.get.mockReturnValue({ findings: [{ message: "m" }], cachedAt: "2024-01-01T00:00:00.000Z" });
+    expect(getCachedFileReview(key)).toEqual([{ message: "m" }]);
+    expect(mockDb.get).toHaveBeenCalledWith("v1:gpt-test:abc123");
+  });
+
+  it("returns null on a cache miss or a malformed entry", () => {
+    expect(getCachedFileReview(key)).toBeNull();
+    mockDb.get.mockReturnValue({ findings: "bad" });
+    expect(getCachedFileReview(key)).toBeNull();
+  });
+
+  it("returns null without touching the DB when a key part is missing", () => {
+    expect(getCachedFileReview({ ...key, model: "" })).toBeNull();
+    expect(mockDb.get).not.toHaveBeenCalled();
+  });
+
+  it("stores findings without the file path", () => {
+    const stored = storeFileReview(key, [
+      { file: "main.py", lineStart: 1, message: "m" },
+    ]);
+    expect(stored).toBe(true);
+    expect(mockDb.putSync).toHaveBeenCalledWith("v1:gpt-test:abc123", {
+      findings: [{ lineStart: 1, message: "m" }],
+      cachedAt: expect.any(String),
+    });
+  });
+
+  it("does not store invalid input", () => {
+    expect(storeFileReview({ ...key, blobSha: null }, [])).toBe(false);
+    expect(storeFileReview(key, null)).toBe(false);
+    expect(mockDb.putSync).not.toHaveBeenCalled();
+  });
+});
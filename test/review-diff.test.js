@@ -0,0 +1,114 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  compareFindings,
+  renderReviewChangesSection,
+} from "../reviewer/review-diff.js";
+
+function finding(overrides) {
+  return {
+    file: "main.py",
+    lineStart: 1,
+    lineEnd: 1,
+    category: "correctness",
+    severity: "medium",
+    message: "message",
+    suggestion: "",
+    ...overrides,
+  };
+}
+
+describe("compareFindings", () => {
+  it("matches static findings by rule and message regardless of line numbers", () => {
+    const previous = [
+      finding({ ruleId: "logger-import", category: "framework", message: "A", lineStart: 3 }),
+      finding({ ruleId: "blocking-io", category: "async", message: "B" }),
+    ];
+    const current = [
+      finding({ ruleId: "logger-import", category: "framework", message: "A", lineStart: 9 }),
+      finding({ ruleId: "shell-command", category: "security", message: "C" }),
+    ];
+
+    const result = compareFindings(previous, current);
+    expect(result.resolved.map((f) => f.message)).toEqual(["B"]);
+    expect(result.stillOpen).toEqual([current[0]]);
+    expect(result.added.map((f) => f.message)).toEqual(["C"]);
+  });
+
+  it("matches reworded AI findings in the same file, category and severity", () => {
+    const previous = [finding({ message: "在 on_message 中使用了同步的 requests.get 请求" })];
+    const current = [
+      finding({ message: "on_message 中使用同步的 requests.get 请求会阻塞事件循环" }),
+      finding({ file: "utils.py", message: "在 on_message 中使用了同步的 requests.get 请求" }),
+    ];
+
+    const result = compareFindings(previous, current);
+    expect(result.resolved).toEqual([]);
+    expect(result.stillOpen).toEqual([current[0]]);
+    expect(result.added).toEqual([current[1]]);
+  });
+
+  it("does not loosely match findings with a different severity", () => {
+    const result = compareFindings(
+      [finding({ message: "变量命名不清晰" })],
+      [finding({ severity: "low", message: "变量命名不够清晰" })]
+    );
+    expect(result.resolved).toHaveLength(1);
+    expect(result.added).toHaveLength(1);
+  });
+
+  it("follows renamed files", () => {
+    const result = compareFindings(
+      [finding({ file: "old.py", message: "A" })],
+      [finding({ file: "new.py", message: "A" })],
+      new Map([["old.py", "new.py"]])
+    );
+    expect(result.stillOpen).toHaveLength(1);
+    expect(result.resolved).toEqual([]);
+  });
+});
+
+describe("renderReviewChangesSection", () => {
+  const linkOptions = { owner: "o", repo: "r", commitSha: "bbbbbbbbbbbb" };
+
+  it("lists changed files and groups findings with commit-specific links", () => {
+    const section = renderReviewChangesSection(
+      {
+        previousCommitSha: "aaaaaaaaaaaa",
+        changedFiles: [
+          { path: "main.py", status: "modified" },
+          { path: "new.py", status: "renamed", previousPath: "old.py" },
+        ],
+        resolved: [finding({ message: "已修复的问题", lineStart: 5, lineEnd: 5 })],
+        stillOpen: [],
+        added: [finding({ message: "新的问题", lineStart: 7, lineEnd: 7 })],
+      },
+      linkOptions
+    );
+
+    expect(section).toContain("### 🔄 自上次审核以来的变化");
+    expect(section).toContain("https://github.com/o/r/compare/aaaaaaaaaaaa...bbbbbbbbbbbb");
+    expect(section).toContain("共有 2 个文件发生变化：`main.py`（修改）、`old.py` → `new.py`（重命名）");
+    expect(section).toContain("**✅ 已解决（1）**");
+    expect(section).toContain("blob/aaaaaaaaaaaa/main.py#L5");
+    expect(section).toContain("**⚠️ 仍未解决（0）**\n\n无");
+    expect(section).toContain("**🆕 新发现（1）**");
+    expect(section).toContain("blob/bbbbbbbbbbbb/main.py#L7");
+  });
+
+  it("explains when there are no new commits", () => {
+    const section = renderReviewChangesSection(
+      { previousCommitSha: "bbbbbbbbbbbb", changedFiles: [], resolved: [], stillOpen: [], added: [] },
+      linkOptions
+    );
+    expect(section).toContain("没有新的提交");
+    expect(section).toContain("两次审核均未发现问题");
+  });
+
+  it("explains when the diff is unavailable", () => {
+    const section = renderReviewChangesSection(
+      { previousCommitSha: "aaaaaaaaaaaa", changedFiles: null, resolved: [], stillOpen: [], added: [] },
+      linkOptions
+    );
+    expect(section).toContain("无法获取与上次审核的提交 `aaaaaaa` 之间的差异");
+  });
+});
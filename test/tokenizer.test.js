@@ -0,0 +1,58 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  createTokenCounter,
+  estimateTokensByRatio,
+  resolveEncodingName,
+} from "../reviewer/tokenizer.js";
+
+describe("resolveEncodingName", () => {
+  it("maps OpenAI model families to their encodings", () => {
+    expect(resolveEncodingName("gpt-4o-mini", "auto")).toBe("o200k_base");
+    expect(resolveEncodingName("gpt-4-turbo", "auto")).toBe("cl100k_base");
+    expect(resolveEncodingName("gpt-3.5-turbo", "auto")).toBe("cl100k_base");
+    expect(resolveEncodingName("o3-mini", undefined)).toBe("o200k_base");
+  });
+
+  it("ignores provider prefixes in model names", () => {
+    expect(resolveEncodingName("openai/gpt-4", "auto")).toBe("cl100k_base");
+  });
+
+  it("uses the default encoding for unknown models", () => {
+    expect(resolveEncodingName("qwen3-235b-a22b-fp8", "auto")).toBe(
+      "o200k_base"
+    );
+  });
+
+  it("honours an explicitly configured encoding", () => {
+    expect(resolveEncodingName("gpt-4o", "cl100k_base")).toBe("cl100k_base");
+    expect(resolveEncodingName("gpt-4o", "HEURISTIC")).toBe("heuristic");
+  });
+});
+
+describe("createTokenCounter", () => {
+  it("counts tokens with the BPE tokenizer", async () => {
+    const counter = await createTokenCounter({ model: "gpt-4o" });
+    expect(counter.name).toBe("o200k_base");
+    expect(counter.count("hello world")).toBe(2);
+  });
+
+  it("counts Chinese text more accurately than the ratio heuristic", async () => {
+    const counter = await createTokenCounter({ model: "gpt-4" });
+    const text = "日志记录器必须且只能从框架导入";
+    expect(counter.count(text)).toBeGreaterThan(estimateTokensByRatio(text));
+  });
+
+  it("does not throw on special token markers in plugin code", async () => {
+    const counter = await createTokenCounter({ model: "gpt-4o" });
+    expect(counter.count('eos = "<|endoftext|>"')).toBeGreaterThan(0);
+  });
+
+  it("returns the ratio heuristic when configured", async () => {
+    const counter = await createTokenCounter({
+      model: "gpt-4o",
+      tokenizer: "heuristic",
+    });
+    expect(counter.name).toBe("heuristic");
+    expect(counter.count("abcdefgh")).toBe(2);
+  });
+});
@@ -1,5 +1,6 @@
 import { jest, describe, it, expect } from "@jest/globals";
 import {
+  isValidGitRef,
   validateIssueFormat,
   validateMetadataYaml,
 } from "../reviewer/validation.js";
@@ -43,6 +44,16 @@ describe("validateIssueFormat", () => {
     });
   });
 
+  it("checks the configured required declarations", async () => {
+    const issue = makeValidIssue({ body: makeValidBody().replace("- [x] 我的插件不包含恶意代码", "- [ ] 我的插件不包含恶意代码") });
+
+    expect((await validateIssueFormat(issue)).success).toBe(false);
+    expect((await validateIssueFormat(issue, { requiredChecks: ["我的插件经过完整的测试"] })).success).toBe(true);
+
+    const result = await validateIssueFormat(makeValidIssue(), { requiredChecks: ["我已签署贡献者协议"] });
+    expect(result.errors).toEqual(['必需的声明未勾选: "我已签署贡献者协议"']);
+  });
+
   it("fails when title is missing [Plugin] prefix", async () => {
     const result = await validateIssueFormat(
       makeValidIssue({ title: "My Plugin" })
@@ -208,6 +219,91 @@ describe("validateIssueFormat", () => {
   });
 });
 
+describe("ref pinning", () => {
+  it("accepts branches, tags and commit SHAs", () => {
+    for (const ref of ["main", "feature/new-ui", "v1.2.0", "3f2a9c1", "release-2024.01"]) {
+      expect(isValidGitRef(ref)).toBe(true);
+    }
+  });
+
+  it("rejects refs git would refuse", () => {
+    for (const ref of ["", "a b", "a..b", "-main", "main/", "x.lock", "a:b", "a@{1}", 42]) {
+      expect(isValidGitRef(ref)).toBe(false);
+    }
+  });
+
+  it("keeps a valid ref from the submission JSON", async () => {
+    const result = await validateIssueFormat(
+      makeValidIssue({ body: makeValidBody({ ref: "v1.2.0" }) })
+    );
+    expect(result.success).toBe(true);
+    expect(result.pluginData.ref).toBe("v1.2.0");
+  });
+
+  it("rejects an invalid ref in the submission JSON", async () => {
+    const result = await validateIssueFormat(
+      makeValidIssue({ body: makeValidBody({ ref: "bad ref" }) })
+    );
+    expect(result.success).toBe(false);
+    expect(result.errors).toEqual([expect.stringContaining("`bad ref` 不是有效的")]);
+  });
+
+  it("drops an empty ref", async () => {
+    const result = await validateIssueFormat(
+      makeValidIssue({ body: makeValidBody({ ref: "" }) })
+    );
+    expect(result.success).toBe(true);
+    expect(result.pluginData).not.toHaveProperty("ref");
+  });
+});
+
+describe("validateIssueFormat with issue forms", () => {
+  function makeFormBody(fields = {}) {
+    const values = {
+      插件名: "TestPlugin",
+      插件介绍: "A test plugin",
+      作者: "testauthor",
+      仓库地址: "https://github.com/owner/repo",
+      ...fields,
+    };
+    return [
+      ...Object.entries(values).flatMap(([label, value]) => [`### ${label}`, "", value, ""]),
+      "### 提交前确认",
+      "",
+      "- [X] 我的插件经过完整的测试",
+      "- [X] 我的插件不包含恶意代码",
+      "- [X] 我已阅读并同意遵守该项目的 [行为准则](https://docs.github.com/zh/site-policy/github-terms/github-community-code-of-conduct)",
+    ].join("\n");
+  }
+
+  it("produces the same pluginData as the JSON template", async () => {
+    const formResult = await validateIssueFormat(makeValidIssue({ body: makeFormBody() }));
+    const jsonResult = await validateIssueFormat(makeValidIssue());
+
+    expect(formResult).toEqual({
+      success: true,
+      pluginData: jsonResult.pluginData,
+      format: "issue-form",
+    });
+    expect(jsonResult.format).toBe("json");
+  });
+
+  it("points missing fields at the form label", async () => {
+    const body = makeFormBody({ 作者: "_No response_" });
+    const result = await validateIssueFormat(makeValidIssue({ body }));
+    expect(result.success).toBe(false);
+    expect(result.format).toBe("issue-form");
+    expect(result.errors).toEqual(["请在表单的「作者」中提供一个有效的 `author`。"]);
+  });
+
+  it("requires the form checkboxes to be checked", async () => {
+    const body = makeFormBody().replace("- [X] 我的插件不包含恶意代码", "- [ ] 我的插件不包含恶意代码");
+    const result = await validateIssueFormat(makeValidIssue({ body }));
+    expect(result.success).toBe(false);
+    expect(result.errors).toEqual(['必需的声明未勾选: "我的插件不包含恶意代码"']);
+  });
+});
+
 describe("validateMetadataYaml", () => {
   const pluginData = {
     name: "TestPlugin",
@@ -412,6 +508,105 @@ describe("validateMetadataYaml", () => {
     );
   });
 
+  it("quotes the offending line on YAML syntax errors", async () => {
+    const yaml = [
+      "name: TestPlugin",
+      "author: testauthor",
+      "desc: A test plugin: with colon",
+      "version: 1.0.0",
+    ].join("\n");
+    const octokit = createMockOctokit(yaml);
+    const result = await validateMetadataYaml(octokit, repoInfo, pluginData);
+    expect(result.success).toBe(false);
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0]).toContain("metadata.yaml第3行存在YAML语法错误");
+    expect(result.errors[0]).toContain("出错行: desc: A test plugin: with colon");
+  });
+
+  it("fails when the top level is not a mapping", async () => {
+    const octokit = createMockOctokit("- name: TestPlugin");
+    const result = await validateMetadataYaml(octokit, repoInfo, pluginData);
+    expect(result.success).toBe(false);
+    expect(result.errors[0]).toContain("顶层必须是");
+  });
+
+  it("reports schema violations with line numbers", async () => {
+    const yaml = makeYaml({
+      name: "TestPlugin",
+      author: "testauthor",
+      version: "latest",
+      desc: "A test plugin",
+      repo: "https://github.com/owner/repo",
+      social_link: "not a url",
+    });
+    const octokit = createMockOctokit(yaml);
+    const result = await validateMetadataYaml(octokit, repoInfo, pluginData);
+    expect(result.success).toBe(false);
+    expect(result.errors).toEqual([
+      expect.stringContaining("第3行的version字段"),
+      expect.stringContaining("第6行的social_link字段"),
+    ]);
+  });
+
+  it("returns unknown keys as warnings without failing", async () => {
+    const yaml = makeYaml({
+      name: "TestPlugin",
+      author: "testauthor",
+      version: "1.0.0",
+      desc: "A test plugin",
+      repo: "https://github.com/owner/repo",
+      homepage: "https://example.com",
+    });
+    const octokit = createMockOctokit(yaml);
+    const result = await validateMetadataYaml(octokit, repoInfo, pluginData);
+    expect(result.success).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.warnings).toEqual([
+      expect.stringContaining("第6行的homepage字段不是已知的字段"),
+    ]);
+  });
+
+  it("fails when the declared logo file does not exist", async () => {
+    const yaml = makeYaml({
+      name: "TestPlugin",
+      author: "testauthor",
+      version: "1.0.0",
+      desc: "A test plugin",
+      repo: "https://github.com/owner/repo",
+      logo: "logo.png",
+    });
+    const notFound = Object.assign(new Error("Not Found"), { status: 404 });
+    const getContent = jest.fn(async ({ path }) => {
+      if (path === "logo.png") throw notFound;
+      return { data: { content: Buffer.from(yaml).toString("base64") } };
+    });
+    const octokit = createMockOctokit(yaml, { getContent });
+    const result = await validateMetadataYaml(octokit, repoInfo, pluginData);
+    expect(result.success).toBe(false);
+    expect(result.errors).toEqual([
+      'metadata.yaml第6行的logo字段指向的文件 "logo.png" 不存在',
+    ]);
+  });
+
+  it("reads metadata.yaml at the given ref without looking up the default branch", async () => {
+    const yaml = makeYaml({
+      name: "TestPlugin",
+      author: "testauthor",
+      version: "1.0.0",
+      desc: "A test plugin",
+      repo: "https://github.com/owner/repo",
+    });
+    const octokit = createMockOctokit(yaml);
+    const result = await validateMetadataYaml(octokit, repoInfo, pluginData, { ref: "abc123" });
+    expect(result.success).toBe(true);
+    expect(octokit.rest.repos.get).not.toHaveBeenCalled();
+    expect(octokit.rest.repos.getContent).toHaveBeenCalledWith({
+      ...repoInfo,
+      path: "metadata.yaml",
+      ref: "abc123",
+    });
+  });
+
   it("handles API errors gracefully", async () => {
     const error = new Error("Server error");
     error.status = 500;
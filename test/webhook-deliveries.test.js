@@ -0,0 +1,54 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+
+const store = new Map();
+const mockDb = {
+  get: jest.fn((key) => store.get(key)),
+  putSync: jest.fn((key, value) => store.set(key, value)),
+  removeSync: jest.fn((key) => store.delete(key)),
+  getRange: jest.fn(() => [...store.entries()].map(([key, value]) => ({ key, value }))),
+  transactionSync: jest.fn((callback) => callback()),
+  close: jest.fn().mockResolvedValue(undefined),
+};
+
+jest.unstable_mockModule("lmdb", () => ({
+  open: jest.fn(() => mockDb),
+}));
+
+const { WEBHOOK_DELIVERY_TTL_MS } = await import("../reviewer/constants.js");
+const { markDeliveryReceived, pruneExpiredDeliveries } = await import(
+  "../reviewer/webhook-deliveries.js"
+);
+
+describe("webhook deliveries", () => {
+  beforeEach(() => {
+    store.clear();
+    jest.clearAllMocks();
+  });
+
+  it("accepts the first delivery and rejects redeliveries of the same id", () => {
+    expect(markDeliveryReceived("delivery-1", 1000)).toBe(true);
+    expect(markDeliveryReceived("delivery-1", 2000)).toBe(false);
+    expect(markDeliveryReceived("delivery-2", 2000)).toBe(true);
+    expect(store.get("delivery-1")).toBe(1000);
+  });
+
+  it("accepts a delivery again once its record has expired", () => {
+    markDeliveryReceived("delivery-1", 0);
+    expect(markDeliveryReceived("delivery-1", WEBHOOK_DELIVERY_TTL_MS)).toBe(true);
+  });
+
+  it("always accepts events without a delivery id", () => {
+    expect(markDeliveryReceived(undefined)).toBe(true);
+    expect(markDeliveryReceived(undefined)).toBe(true);
+    expect(mockDb.putSync).not.toHaveBeenCalled();
+  });
+
+  it("prunes expired and malformed records", () => {
+    store.set("old", 0);
+    store.set("fresh", WEBHOOK_DELIVERY_TTL_MS);
+    store.set("bad", "x");
+
+    expect(pruneExpiredDeliveries(WEBHOOK_DELIVERY_TTL_MS + 1)).toBe(2);
+    expect([...store.keys()]).toEqual(["fresh"]);
+  });
+});